@@ -0,0 +1,8 @@
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/tests/**/*.test.js'],
+  // The tests run against a throwaway Postgres built from database/schema.sql
+  globalSetup: '<rootDir>/tests/setup/globalSetup.mjs',
+  globalTeardown: '<rootDir>/tests/setup/globalTeardown.mjs',
+  setupFiles: ['<rootDir>/tests/setup/env.js']
+};
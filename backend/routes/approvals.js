@@ -3,15 +3,69 @@ const Joi = require('joi');
 const db = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const approvalService = require('../services/approvalService');
+const currencyService = require('../services/currencyService');
+const ruleValidationService = require('../services/ruleValidationService');
+const actionTokenService = require('../services/actionTokenService');
+const attachmentService = require('../services/attachmentService');
+const expenseStateMachine = require('../services/expenseStateMachine');
 
 const router = express.Router();
 
 // Validation schemas
 const approvalActionSchema = Joi.object({
+  action: Joi.string().valid('approved', 'rejected', 'skipped', 'changes_requested').required(),
+  approvedAmount: Joi.number().positive().precision(2).when('action', {
+    is: 'approved',
+    otherwise: Joi.forbidden()
+  }), // Partial approval, in the expense currency
+  comments: Joi.string().max(500).when('action', {
+    is: 'changes_requested',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }).when('approvedAmount', {
+    is: Joi.exist(),
+    then: Joi.required().messages({ 'any.required': 'A justification is required when approving a reduced amount' })
+  })
+});
+
+const bulkActionSchema = Joi.object({
+  expenseIds: Joi.array().items(Joi.number().integer()).unique().min(1).max(100).required(),
   action: Joi.string().valid('approved', 'rejected').required(),
   comments: Joi.string().max(500).optional()
 });
 
+const reportActionSchema = Joi.object({
+  action: Joi.string().valid('approved', 'rejected').required(),
+  comments: Joi.string().max(500).optional(),
+  rejectedLines: Joi.array().items(Joi.object({
+    expenseId: Joi.number().integer().required(),
+    comments: Joi.string().max(500).required()
+  })).unique('expenseId').when('action', {
+    is: 'approved',
+    otherwise: Joi.forbidden()
+  }) // Lines rejected while the rest of the report is approved
+});
+
+const tokenActionSchema = Joi.object({
+  comments: Joi.string().max(500).allow('').optional()
+});
+
+const overrideReasonCodes = ['policy_exception', 'approver_unavailable', 'duplicate_claim', 'fraud_suspected', 'data_correction', 'other'];
+
+const overrideActionSchema = Joi.object({
+  action: Joi.string().valid('approved', 'rejected').required(),
+  reasonCode: Joi.string().valid(...overrideReasonCodes).required(),
+  comments: Joi.string().max(500).when('reasonCode', {
+    is: 'other',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+});
+
+const overrideDecisionSchema = Joi.object({
+  comments: Joi.string().max(500).allow('').optional()
+});
+
 const approvalRuleSchema = Joi.object({
   name: Joi.string().min(2).max(255).required(),
   ruleType: Joi.string().valid('sequential', 'percentage', 'specific_approver', 'hybrid').required(),
@@ -25,217 +79,1249 @@ const approvalRuleSchema = Joi.object({
     is: Joi.string().valid('specific_approver', 'hybrid'),
     then: Joi.required()
   }),
+  approverGroupId: Joi.number().integer().allow(null).when('ruleType', {
+    is: Joi.string().valid('percentage', 'hybrid'),
+    otherwise: Joi.forbidden()
+  }),
   sequenceOrder: Joi.number().integer().min(1).default(1),
+  distinctStepApprovers: Joi.boolean().default(false),
+  enforceValidation: Joi.boolean().default(false), // Refuse to save when the rule causes rule-set warnings
+  slaHours: Joi.number().integer().min(1).optional(),
+  conditions: Joi.object({
+    categoryIds: Joi.array().items(Joi.number().integer()).unique().default([]),
+    submitterRoles: Joi.array().items(Joi.string().valid('admin', 'manager', 'employee')).unique().default([]),
+    employeeIds: Joi.array().items(Joi.number().integer()).unique().default([]),
+    merchantPattern: Joi.string().max(255).allow('', null).optional(),
+    currencies: Joi.array().items(Joi.string().length(3).uppercase()).unique().default([])
+  }).default({}),
   steps: Joi.array().items(Joi.object({
     stepOrder: Joi.number().integer().min(1).required(),
-    approverRole: Joi.string().valid('manager', 'admin', 'specific_user').required(),
+    approverRole: Joi.string()
+      .valid('manager', 'manager_of_manager', 'manager_level', 'chain_admin', 'admin', 'specific_user', 'specific_users', 'group')
+      .required(),
     approverId: Joi.number().integer().when('approverRole', {
       is: 'specific_user',
       then: Joi.required()
     }),
-    isRequired: Joi.boolean().default(true)
+    approverIds: Joi.array().items(Joi.number().integer()).min(1).unique().when('approverRole', {
+      is: 'specific_users',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    approverGroupId: Joi.number().integer().when('approverRole', {
+      is: 'group',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    quorumType: Joi.string().valid('any', 'all', 'count').default('all'),
+    quorumCount: Joi.number().integer().min(1).when('quorumType', {
+      is: 'count',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    managerLevel: Joi.number().integer().min(1).when('approverRole', {
+      is: 'manager_level',
+      then: Joi.required()
+    }),
+    isRequired: Joi.boolean().default(true),
+    timeoutHours: Joi.number().integer().min(1).when('isRequired', {
+      is: true,
+      then: Joi.forbidden()
+    })
   })).when('ruleType', {
     is: 'sequential',
     then: Joi.required()
   })
 });
 
-// Get pending approvals for current user
-router.get('/pending', authenticateToken, requireRole(['manager', 'admin']), async (req, res) => {
-  try {
-    const { page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
+// Make sure rule conditions only reference categories and employees of the admin's company
+const validateRuleConditions = async (conditions, companyId) => {
+  const { categoryIds = [], employeeIds = [] } = conditions;
+
+  if (categoryIds.length > 0) {
+    const categories = await db.query(
+      'SELECT COUNT(*) FROM expense_categories WHERE company_id = $1 AND id = ANY($2::int[])',
+      [companyId, categoryIds]
+    );
+
+    if (parseInt(categories.rows[0].count) !== categoryIds.length) {
+      return 'Rule conditions reference unknown expense categories';
+    }
+  }
+
+  if (employeeIds.length > 0) {
+    const employees = await db.query(
+      'SELECT COUNT(*) FROM users WHERE company_id = $1 AND id = ANY($2::int[])',
+      [companyId, employeeIds]
+    );
+
+    if (parseInt(employees.rows[0].count) !== employeeIds.length) {
+      return 'Rule conditions reference unknown employees';
+    }
+  }
+
+  return null;
+};
+
+// Rules and steps may only target approver groups of the admin's company
+const validateRuleGroups = async (approverGroupId, steps = [], companyId) => {
+  const groupIds = [...new Set([approverGroupId, ...steps.map(step => step.approverGroupId)].filter(Boolean))];
+
+  if (groupIds.length === 0) {
+    return null;
+  }
+
+  const groups = await db.query(
+    'SELECT COUNT(*) FROM approver_groups WHERE company_id = $1 AND id = ANY($2::int[])',
+    [companyId, groupIds]
+  );
+
+  return parseInt(groups.rows[0].count) === groupIds.length ? null : 'Rule references unknown approver groups';
+};
+
+const insertRuleSteps = async (client, ruleId, steps) => {
+  for (const step of steps) {
+    await client.query(`
+      INSERT INTO approval_rule_steps (rule_id, step_order, approver_role, approver_id, approver_ids,
+                                       approver_group_id, manager_level, quorum_type, quorum_count,
+                                       is_required, timeout_hours)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [ruleId, step.stepOrder, step.approverRole, step.approverId, step.approverIds,
+        step.approverGroupId, step.managerLevel, step.quorumType, step.quorumCount,
+        step.isRequired, step.timeoutHours]);
+  }
+};
+
+const simulationSchema = Joi.object({
+  amount: Joi.number().positive().required(),
+  currency: Joi.string().length(3).uppercase().required(),
+  categoryId: Joi.number().integer().required(),
+  employeeId: Joi.number().integer().required(),
+  merchantName: Joi.string().max(255).allow('').optional()
+});
+
+const approverGroupSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(500).allow('').optional(),
+  memberIds: Joi.array().items(Joi.number().integer()).unique().default([])
+});
+
+const delegationSchema = Joi.object({
+  delegatorId: Joi.number().integer().optional(),
+  delegateId: Joi.number().integer().required(),
+  startDate: Joi.date().required(),
+  endDate: Joi.date().min(Joi.ref('startDate')).required(),
+  maxAmount: Joi.number().positive().optional()
+});
+
+// SQL condition: the approval (alias ea) is delegated to the user in the given parameter; amount is
+// what the delegation's limit is checked against (the expense, alias e, unless given)
+const delegatedTo = (userParam, amount = 'e.converted_amount') => `EXISTS (
+  SELECT 1 FROM approval_delegations ad
+  WHERE ad.delegator_id = ea.approver_id
+  AND ad.delegate_id = ${userParam}
+  AND ad.is_active = true
+  AND CURRENT_DATE BETWEEN ad.start_date AND ad.end_date
+  AND (ad.max_amount IS NULL OR ${amount} <= ad.max_amount)
+)`;
+
+// Finds the pending approval the user may act on for an expense, their own first, then delegated ones.
+// Returns { approval } or { status, error } describing why the user cannot act.
+const findActionableApproval = async (expenseId, user, action) => {
+  const pendingApproval = await db.query(`
+    SELECT ea.id, ea.approver_id, ea.is_required, ea.step_order, e.employee_id,
+           e.currency, COALESCE(e.approved_amount, e.amount) as approvable_amount
+    FROM expense_approvals ea
+    JOIN expenses e ON ea.expense_id = e.id
+    WHERE ea.expense_id = $1 
+    AND (ea.approver_id = $2 OR ${delegatedTo('$2')})
+    AND ea.status = 'pending'
+    AND e.status IN ('submitted', 'in_review')
+    AND e.company_id = $3
+    AND e.report_id IS NULL
+    ORDER BY (ea.approver_id = $2) DESC
+  `, [expenseId, user.id, user.company_id]);
+
+  if (pendingApproval.rows.length === 0) {
+    return { status: 404, error: 'No pending approval found for this expense' };
+  }
+
+  const approval = pendingApproval.rows[0];
+
+  if (action === 'skipped' && approval.is_required) {
+    return { status: 400, error: 'Only optional approval steps can be skipped' };
+  }
+
+  // Workflows are built without conflicts, but delegation can still hand someone their own expense
+  // or a later step of one they already approved
+  if (approval.employee_id === user.id) {
+    return { status: 403, error: 'You cannot approve your own expense' };
+  }
+
+  const rule = await approvalService.getPinnedRule(db, expenseId);
+
+  if (rule?.distinct_step_approvers) {
+    const earlier = await db.query(`
+      SELECT 1 FROM expense_approvals
+      WHERE expense_id = $1 AND step_order < $2 AND status = 'approved'
+      AND (approver_id = $3 OR acted_by = $3)
+    `, [expenseId, approval.step_order, user.id]);
+
+    if (earlier.rows.length > 0) {
+      return { status: 403, error: 'You already approved an earlier step of this expense' };
+    }
+  }
+
+  return { approval };
+};
+
+// Resolves an email action token to the approval it may decide. The link only works for the
+// approver it was issued to, and only while that approver's row is still pending.
+// Returns { token, approval, approver } or { status, error }.
+const resolveActionToken = async (token) => {
+  const { token: stored, status, error } = await actionTokenService.verify(db, token);
+
+  if (error) {
+    return { status, error };
+  }
+
+  const approver = await db.query(`
+    SELECT ea.expense_id, u.id, u.company_id, u.first_name, u.last_name
+    FROM expense_approvals ea
+    JOIN users u ON u.id = $2
+    WHERE ea.id = $1 AND u.is_active = true
+  `, [stored.expense_approval_id, stored.approver_id]);
+
+  if (approver.rows.length === 0) {
+    return { status: 404, error: 'This approval link is invalid' };
+  }
+
+  const { expense_id: expenseId, ...user } = approver.rows[0];
+  const { approval, status: actionStatus, error: actionError } = await findActionableApproval(expenseId, user, stored.action);
+
+  if (actionError) {
+    return { status: actionStatus, error: actionError };
+  }
+
+  if (approval.id !== stored.expense_approval_id || approval.approver_id !== stored.approver_id) {
+    return { status: 410, error: 'This expense no longer needs your decision' };
+  }
+
+  return { token: stored, approval, approver: user, expenseId };
+};
+
+// Public: show what an email approval link will do, without using it (mail scanners follow links)
+router.get('/action-tokens/:token', async (req, res) => {
+  try {
+    const { status, error, token, approver, expenseId } = await resolveActionToken(req.params.token);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const expense = await db.query(`
+      SELECT e.id, e.description, e.amount, e.currency, e.converted_amount, e.approved_amount,
+             e.expense_date, e.merchant_name, c.name as category_name, co.base_currency,
+             u.first_name, u.last_name
+      FROM expenses e
+      JOIN users u ON e.employee_id = u.id
+      JOIN expense_categories c ON e.category_id = c.id
+      JOIN companies co ON e.company_id = co.id
+      WHERE e.id = $1
+    `, [expenseId]);
+
+    res.json({
+      action: token.action,
+      expiresAt: token.expires_at,
+      approver: { first_name: approver.first_name, last_name: approver.last_name },
+      expense: expense.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Get action token error:', error);
+    res.status(500).json({ error: 'Failed to load approval link' });
+  }
+});
+
+// Public: carry out the decision of an email approval link. The decision is attributed to the
+// approver the link was issued to.
+router.post('/action-tokens/:token', async (req, res) => {
+  try {
+    const { error, value } = tokenActionSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const resolved = await resolveActionToken(req.params.token);
+
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const { token, approval, approver, expenseId } = resolved;
+
+    const result = await approvalService.processApproval(
+      expenseId, approval.approver_id, token.action, value.comments || null, approver.id,
+      { auditAction: 'email_approval_decision', auditDetails: { actionTokenId: token.token_id }, actionToken: token }
+    );
+
+    res.json({
+      message: `Expense ${token.action} successfully`,
+      finalStatus: result.status
+    });
+
+  } catch (error) {
+    if (error instanceof actionTokenService.TokenUsedError) {
+      return res.status(410).json({ error: error.message });
+    }
+
+    if (error instanceof expenseStateMachine.InvalidTransitionError || error instanceof approvalService.AlreadyDecidedError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Use action token error:', error);
+    res.status(500).json({ error: 'Failed to process approval' });
+  }
+});
+
+// Get pending approvals for current user (including delegated ones)
+router.get('/pending', authenticateToken, requireRole(['manager', 'admin']), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await db.query(`
+      SELECT e.id, e.amount, e.currency, e.converted_amount, e.approved_amount, e.adjustment_reason, e.description, 
+             e.expense_date, e.created_at,
+             u.first_name, u.last_name, u.email,
+             c.name as category_name,
+             ea.step_order, ea.is_required,
+             COALESCE(ea.comments, (
+               SELECT prev.comments FROM expense_approvals prev
+               WHERE prev.expense_id = e.id AND prev.status = 'changes_requested'
+               ORDER BY prev.approved_at DESC
+               LIMIT 1
+             )) as approval_comments,
+             co.base_currency,
+             d.first_name as on_behalf_of_first_name, d.last_name as on_behalf_of_last_name,
+             sf.first_name as substituted_for_first_name, sf.last_name as substituted_for_last_name,
+             ea.substitution_reason
+      FROM expense_approvals ea
+      JOIN expenses e ON ea.expense_id = e.id
+      JOIN users u ON e.employee_id = u.id
+      JOIN expense_categories c ON e.category_id = c.id
+      JOIN companies co ON e.company_id = co.id
+      LEFT JOIN users d ON ea.approver_id = d.id AND ea.approver_id <> $1
+      LEFT JOIN users sf ON ea.substituted_for = sf.id
+      WHERE (ea.approver_id = $1 OR ${delegatedTo('$1')})
+      AND ea.status = 'pending'
+      AND e.status IN ('submitted', 'in_review')
+      AND e.employee_id <> $1
+      AND e.report_id IS NULL
+      ORDER BY e.created_at ASC
+      LIMIT $2 OFFSET $3
+    `, [req.user.id, limit, offset]);
+
+    // Get total count
+    const countResult = await db.query(`
+      SELECT COUNT(*) 
+      FROM expense_approvals ea
+      JOIN expenses e ON ea.expense_id = e.id
+      WHERE (ea.approver_id = $1 OR ${delegatedTo('$1')})
+      AND ea.status = 'pending'
+      AND e.status IN ('submitted', 'in_review')
+      AND e.employee_id <> $1
+      AND e.report_id IS NULL
+    `, [req.user.id]);
+
+    const totalCount = parseInt(countResult.rows[0].count);
+    const attachments = await attachmentService.listForExpenses(db, result.rows.map(row => row.id));
+
+    res.json({
+      approvals: result.rows.map(row => ({ ...row, attachments: attachments[row.id] || [] })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get pending approvals error:', error);
+    res.status(500).json({ error: 'Failed to fetch pending approvals' });
+  }
+});
+
+// Approve or reject several expenses with one shared comment. Each expense is processed in its own
+// transaction, so one failure does not hold back the others.
+router.post('/bulk', authenticateToken, requireRole(['manager', 'admin']), async (req, res) => {
+  try {
+    const { error, value } = bulkActionSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { expenseIds, action, comments } = value;
+    const results = [];
+
+    for (const expenseId of expenseIds) {
+      try {
+        const { approval, error: actionError } = await findActionableApproval(expenseId, req.user, action);
+
+        if (actionError) {
+          results.push({ expenseId, success: false, error: actionError });
+          continue;
+        }
+
+        const result = await approvalService.processApproval(
+          expenseId, approval.approver_id, action, comments, req.user.id, { auditAction: 'bulk_approval_decision' }
+        );
+
+        results.push({ expenseId, success: true, finalStatus: result.status });
+      } catch (itemError) {
+        if (itemError instanceof expenseStateMachine.InvalidTransitionError || itemError instanceof approvalService.AlreadyDecidedError) {
+          results.push({ expenseId, success: false, error: itemError.message });
+          continue;
+        }
+
+        console.error(`Bulk approval error for expense ${expenseId}:`, itemError);
+        results.push({ expenseId, success: false, error: 'Failed to process approval' });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      message: `${succeeded} of ${results.length} expense(s) ${action}`,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+
+  } catch (error) {
+    console.error('Bulk approval error:', error);
+    res.status(500).json({ error: 'Failed to process approvals' });
+  }
+});
+
+// SQL condition: the report (alias r) still has lines awaiting a decision
+const REPORT_IS_OPEN = `EXISTS (
+  SELECT 1 FROM expenses line
+  WHERE line.report_id = r.id AND line.status IN ('submitted', 'in_review')
+)`;
+
+// SQL condition: the open report (alias r) has an approval pending for the user in the given parameter
+const awaitsDecision = (userParam) => `EXISTS (
+  SELECT 1 FROM expense_approvals ea
+  WHERE ea.report_id = r.id
+  AND ea.status = 'pending'
+  AND (ea.approver_id = ${userParam} OR ${delegatedTo(userParam, 'r.total_amount')})
+) AND r.employee_id <> ${userParam} AND ${REPORT_IS_OPEN}`;
+
+// Finds the pending report approval the user may act on, their own first, then delegated ones.
+// Returns { approval } or { status, error } describing why the user cannot act.
+const findActionableReportApproval = async (reportId, user) => {
+  const pendingApproval = await db.query(`
+    SELECT ea.id, ea.approver_id, ea.is_required, ea.step_order, r.employee_id
+    FROM expense_approvals ea
+    JOIN expense_reports r ON ea.report_id = r.id
+    WHERE ea.report_id = $1
+    AND (ea.approver_id = $2 OR ${delegatedTo('$2', 'r.total_amount')})
+    AND ea.status = 'pending'
+    AND r.company_id = $3
+    AND ${REPORT_IS_OPEN}
+    ORDER BY (ea.approver_id = $2) DESC
+  `, [reportId, user.id, user.company_id]);
+
+  if (pendingApproval.rows.length === 0) {
+    return { status: 404, error: 'This expense report is not awaiting your decision' };
+  }
+
+  const approval = pendingApproval.rows[0];
+
+  if (approval.employee_id === user.id) {
+    return { status: 403, error: 'You cannot approve your own expense report' };
+  }
+
+  const rule = await approvalService.getPinnedReportRule(db, reportId);
+
+  if (rule?.distinct_step_approvers) {
+    const earlier = await db.query(`
+      SELECT 1 FROM expense_approvals
+      WHERE report_id = $1 AND step_order < $2 AND status = 'approved'
+      AND (approver_id = $3 OR acted_by = $3)
+    `, [reportId, approval.step_order, user.id]);
+
+    if (earlier.rows.length > 0) {
+      return { status: 403, error: 'You already approved an earlier step of this expense report' };
+    }
+  }
+
+  return { approval };
+};
+
+// Expense reports awaiting the user's decision; report lines are left out of /pending
+router.get('/reports/pending', authenticateToken, requireRole(['manager', 'admin']), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT r.id, r.title, r.purpose, r.start_date, r.end_date, r.submitted_at, r.total_amount,
+             u.first_name, u.last_name, u.email, co.base_currency,
+             COUNT(e.id) as awaiting_lines,
+             SUM(e.converted_amount) as awaiting_amount
+      FROM expense_reports r
+      JOIN expenses e ON e.report_id = r.id
+      JOIN users u ON r.employee_id = u.id
+      JOIN companies co ON r.company_id = co.id
+      WHERE r.company_id = $2
+      AND e.status IN ('submitted', 'in_review')
+      AND ${awaitsDecision('$1')}
+      GROUP BY r.id, u.first_name, u.last_name, u.email, co.base_currency
+      ORDER BY r.submitted_at ASC
+    `, [req.user.id, req.user.company_id]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Get pending reports error:', error);
+    res.status(500).json({ error: 'Failed to fetch pending expense reports' });
+  }
+});
+
+// An expense report as its approvers see it; the open lines can be rejected when the user decides it
+router.get('/reports/:reportId', authenticateToken, requireRole(['manager', 'admin']), async (req, res) => {
+  try {
+    const report = await db.query(`
+      SELECT r.*, u.first_name, u.last_name, u.email, co.base_currency,
+             EXISTS (
+               SELECT 1 FROM expense_approvals ea
+               WHERE ea.report_id = r.id
+               AND (ea.approver_id = $3 OR ea.acted_by = $3 OR ${delegatedTo('$3', 'r.total_amount')})
+             ) as involved,
+             ${awaitsDecision('$3')} as awaiting_decision
+      FROM expense_reports r
+      JOIN users u ON r.employee_id = u.id
+      JOIN companies co ON r.company_id = co.id
+      WHERE r.id = $1 AND r.company_id = $2 AND r.status = 'submitted'
+    `, [req.params.reportId, req.user.company_id, req.user.id]);
+
+    if (report.rows.length === 0) {
+      return res.status(404).json({ error: 'Expense report not found' });
+    }
+
+    if (!report.rows[0].involved && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const lines = await db.query(`
+      SELECT e.id, e.description, e.amount, e.currency, e.converted_amount, e.approved_amount,
+             e.expense_date, e.merchant_name, e.status,
+             c.name as category_name
+      FROM expenses e
+      JOIN expense_categories c ON e.category_id = c.id
+      WHERE e.report_id = $1
+      ORDER BY e.expense_date ASC, e.id ASC
+    `, [req.params.reportId]);
+
+    const { involved, ...details } = report.rows[0];
+    const attachments = await attachmentService.listForExpenses(db, lines.rows.map(line => line.id));
+
+    res.json({
+      ...details,
+      lines: lines.rows.map(line => ({
+        ...line,
+        awaiting_decision: details.awaiting_decision && ['submitted', 'in_review'].includes(line.status),
+        attachments: attachments[line.id] || []
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get report for approval error:', error);
+    res.status(500).json({ error: 'Failed to fetch expense report' });
+  }
+});
+
+// Decide the user's step of a report's approval chain. rejectedLines are rejected with their own
+// comments as part of an approval, while the rest of the report goes on through the chain.
+router.post('/reports/:reportId/process', authenticateToken, requireRole(['manager', 'admin']), async (req, res) => {
+  try {
+    const { error, value } = reportActionSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const reportId = parseInt(req.params.reportId);
+    const { action, comments, rejectedLines = [] } = value;
+
+    const { approval, status, error: actionError } = await findActionableReportApproval(reportId, req.user);
+
+    if (actionError) {
+      return res.status(status).json({ error: actionError });
+    }
+
+    const openLines = await db.query(
+      "SELECT id FROM expenses WHERE report_id = $1 AND status IN ('submitted', 'in_review')",
+      [reportId]
+    );
+    const openLineIds = openLines.rows.map(line => line.id);
+    const unknown = rejectedLines.find(line => !openLineIds.includes(line.expenseId));
+
+    if (unknown) {
+      return res.status(400).json({ error: `Expense ${unknown.expenseId} is not an open line of this report` });
+    }
+
+    if (rejectedLines.length > 0 && rejectedLines.length === openLineIds.length) {
+      return res.status(400).json({ error: 'Every open line is rejected; reject the report instead' });
+    }
+
+    const result = await approvalService.processReportApproval(
+      reportId, approval.approver_id, action, comments || null, req.user.id, { rejectedLines }
+    );
+
+    res.json({
+      message: rejectedLines.length > 0
+        ? `Expense report approved, ${rejectedLines.length} line(s) rejected`
+        : `Expense report ${action} successfully`,
+      reportSettled: result.update,
+      finalStatus: result.status
+    });
+
+  } catch (error) {
+    if (error instanceof expenseStateMachine.InvalidTransitionError || error instanceof approvalService.AlreadyDecidedError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Report approval error:', error);
+    res.status(500).json({ error: 'Failed to process expense report' });
+  }
+});
+
+// Process approval (approve/reject/skip/request changes)
+router.post('/:expenseId/process', authenticateToken, requireRole(['manager', 'admin']), async (req, res) => {
+  try {
+    const { expenseId } = req.params;
+    const { error, value } = approvalActionSchema.validate(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { action, comments, approvedAmount } = value;
+    const { approval, status, error: actionError } = await findActionableApproval(expenseId, req.user, action);
+
+    if (actionError) {
+      return res.status(status).json({ error: actionError });
+    }
+
+    if (approvedAmount !== undefined && approvedAmount >= Number(approval.approvable_amount)) {
+      return res.status(400).json({
+        error: `Approved amount must be lower than ${approval.currency} ${approval.approvable_amount}`
+      });
+    }
+
+    const result = await approvalService.processApproval(
+      expenseId, approval.approver_id, action, comments, req.user.id,
+      { auditAction: 'approval_decision', approvedAmount: approvedAmount ?? null }
+    );
+
+    res.json({
+      message: `Expense ${action} successfully`,
+      expenseUpdated: result.update,
+      finalStatus: result.status
+    });
+
+  } catch (error) {
+    if (error instanceof expenseStateMachine.InvalidTransitionError || error instanceof approvalService.AlreadyDecidedError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Process approval error:', error);
+    res.status(500).json({ error: 'Failed to process approval' });
+  }
+});
+
+// Get approval history for an expense
+router.get('/:expenseId/history', authenticateToken, async (req, res) => {
+  try {
+    const { expenseId } = req.params;
+
+    // Check if user has access to this expense
+    const expense = await db.query(`
+      SELECT e.employee_id, e.company_id, e.report_id
+      FROM expenses e 
+      WHERE e.id = $1
+    `, [expenseId]);
+
+    if (expense.rows.length === 0) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    const expenseData = expense.rows[0];
+
+    // Check permissions
+    if (req.user.role === 'employee' && expenseData.employee_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (expenseData.company_id !== req.user.company_id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await db.query(`
+      SELECT ea.*, u.first_name, u.last_name, u.role, u.email,
+             ab.first_name as acted_by_first_name, ab.last_name as acted_by_last_name,
+             sf.first_name as substituted_for_first_name, sf.last_name as substituted_for_last_name
+      FROM expense_approvals ea
+      JOIN users u ON ea.approver_id = u.id
+      LEFT JOIN users ab ON ea.acted_by = ab.id AND ea.acted_by <> ea.approver_id
+      LEFT JOIN users sf ON ea.substituted_for = sf.id
+      -- Report lines are approved through the chain of their report
+      WHERE ea.expense_id = $1 OR ea.report_id = $2
+      ORDER BY ea.created_at ASC, ea.step_order ASC
+    `, [expenseId, expenseData.report_id]);
+
+    const substitutionReasons = {
+      self_approval: 'who submitted the expense',
+      earlier_step: 'who is already an approver at an earlier step'
+    };
+
+    const history = result.rows.map(approval => ({
+      ...approval,
+      decision_summary: approval.acted_by_first_name
+        ? `${approval.status} by ${approval.acted_by_first_name} ${approval.acted_by_last_name} on behalf of ${approval.first_name} ${approval.last_name}`
+        : null,
+      substitution_summary: approval.substituted_for_first_name
+        ? `${approval.first_name} ${approval.last_name} replaced ${approval.substituted_for_first_name} ${approval.substituted_for_last_name}, ${substitutionReasons[approval.substitution_reason]}`
+        : approval.substitution_reason === 'no_eligible_approver'
+          ? `${approval.first_name} ${approval.last_name} was asked because nobody on the step could approve`
+          : null
+    }));
+
+    res.json(history);
+
+  } catch (error) {
+    console.error('Get approval history error:', error);
+    res.status(500).json({ error: 'Failed to fetch approval history' });
+  }
+});
+
+// Forces the expense to the override's decision, closes its open approvals and tells the employee.
+// A report line only leaves its report's chain; the report is reported settled once no line is open.
+// confirmedBy is set when a second admin confirmed an override that was held for dual control.
+const applyOverride = async (client, expenseId, { action, reasonCode, comments, requestedBy, confirmedBy = null }) => {
+  const actedBy = confirmedBy || requestedBy;
+
+  await expenseStateMachine.transition(client, expenseId, action, {
+    userId: actedBy,
+    reason: comments || null,
+    details: { override: true, reasonCode, requestedBy, confirmedBy }
+  });
+
+  // Update all open approvals, including steps that were never reached
+  await client.query(`
+    UPDATE expense_approvals 
+    SET status = $1, comments = $2, approved_at = CURRENT_TIMESTAMP
+    WHERE expense_id = $3 AND status IN ('pending', 'waiting')
+  `, [action, `Admin override (${reasonCode.replace(/_/g, ' ')}): ${comments || ''}`, expenseId]);
+
+  await client.query(`
+    INSERT INTO audit_logs (user_id, expense_id, action, new_values)
+    VALUES ($1, $2, 'admin_override', $3)
+  `, [actedBy, expenseId, JSON.stringify({ action, reasonCode, comments, requestedBy, confirmedBy })]);
+
+  const expense = await client.query(
+    'SELECT employee_id, report_id FROM expenses WHERE id = $1',
+    [expenseId]
+  );
+
+  await client.query(`
+    INSERT INTO notifications (user_id, expense_id, type, title, message)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    expense.rows[0].employee_id,
+    expenseId,
+    'admin_override',
+    `Expense ${action} by Admin`,
+    `Your expense has been ${action} by an administrator`
+  ]);
+
+  if (expense.rows[0].report_id) {
+    await approvalService.notifyReportSettled(client, expense.rows[0].report_id);
+  }
+};
+
+// Admin: Override approval (force approve/reject). Above the company's confirmation threshold the
+// override is held until a second admin confirms it.
+router.post('/:expenseId/override', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { expenseId } = req.params;
+    const { error, value } = overrideActionSchema.validate(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { action, reasonCode, comments } = value;
+
+    const client = await db.getClient();
+    
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(`
+        SELECT e.id, e.status, e.description, e.converted_amount, c.base_currency, c.override_confirmation_threshold
+        FROM expenses e
+        JOIN companies c ON e.company_id = c.id
+        WHERE e.id = $1 AND e.company_id = $2
+        FOR UPDATE OF e
+      `, [expenseId, req.user.company_id]);
+
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Expense not found' });
+      }
+
+      const expense = existing.rows[0];
+      const threshold = expense.override_confirmation_threshold;
+
+      if (threshold === null || parseFloat(expense.converted_amount) <= parseFloat(threshold)) {
+        await applyOverride(client, expenseId, { action, reasonCode, comments, requestedBy: req.user.id });
+        await client.query('COMMIT');
+
+        return res.json({ message: `Expense ${action} successfully (admin override)` });
+      }
+
+      // Refuse now rather than when the second admin confirms
+      if (!expenseStateMachine.canTransition(expense.status, action)) {
+        throw new expenseStateMachine.InvalidTransitionError(expense.status, action);
+      }
+
+      const pending = await client.query(
+        "SELECT id FROM expense_overrides WHERE expense_id = $1 AND status = 'pending'",
+        [expenseId]
+      );
+
+      if (pending.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'An override of this expense is already awaiting confirmation' });
+      }
+
+      const override = await client.query(`
+        INSERT INTO expense_overrides (expense_id, company_id, action, reason_code, comments, requested_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [expenseId, req.user.company_id, action, reasonCode, comments || null, req.user.id]);
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, expense_id, action, new_values)
+        VALUES ($1, $2, 'admin_override_requested', $3)
+      `, [
+        req.user.id,
+        expenseId,
+        JSON.stringify({ overrideId: override.rows[0].id, action, reasonCode, comments, requestedBy: req.user.id, threshold })
+      ]);
+
+      const admins = await client.query(`
+        SELECT id FROM users
+        WHERE company_id = $1 AND role = 'admin' AND is_active = true AND id <> $2
+      `, [req.user.company_id, req.user.id]);
+
+      for (const admin of admins.rows) {
+        await client.query(`
+          INSERT INTO notifications (user_id, expense_id, type, title, message, metadata)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [
+          admin.id,
+          expenseId,
+          'override_confirmation_request',
+          'Admin Override Awaiting Confirmation',
+          `${req.user.first_name} ${req.user.last_name} wants to mark "${expense.description}" (${expense.base_currency} ${expense.converted_amount}) as ${action}`,
+          JSON.stringify({ overrideId: override.rows[0].id })
+        ]);
+      }
+
+      await client.query('COMMIT');
+
+      res.status(202).json({
+        message: 'Override recorded; it takes effect once another admin confirms it',
+        override: override.rows[0]
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    if (error instanceof expenseStateMachine.InvalidTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Admin override error:', error);
+    res.status(500).json({ error: 'Failed to override approval' });
+  }
+});
+
+// Admin: Overrides awaiting a second admin
+router.get('/overrides/pending', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT o.id, o.expense_id, o.action, o.reason_code, o.comments, o.requested_by, o.created_at,
+             e.description, e.amount, e.currency, e.converted_amount, e.status as expense_status,
+             c.base_currency,
+             emp.first_name as employee_first_name, emp.last_name as employee_last_name,
+             req.first_name as requested_by_first_name, req.last_name as requested_by_last_name
+      FROM expense_overrides o
+      JOIN expenses e ON o.expense_id = e.id
+      JOIN companies c ON o.company_id = c.id
+      JOIN users emp ON e.employee_id = emp.id
+      JOIN users req ON o.requested_by = req.id
+      WHERE o.company_id = $1 AND o.status = 'pending'
+      ORDER BY o.created_at ASC
+    `, [req.user.company_id]);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Get pending overrides error:', error);
+    res.status(500).json({ error: 'Failed to fetch pending overrides' });
+  }
+});
+
+// Locks a pending override of the admin's company
+const findPendingOverride = async (client, overrideId, companyId) => {
+  const result = await client.query(`
+    SELECT * FROM expense_overrides
+    WHERE id = $1 AND company_id = $2 AND status = 'pending'
+    FOR UPDATE
+  `, [overrideId, companyId]);
+
+  return result.rows[0] || null;
+};
+
+// Admin: Confirm another admin's override, which then takes effect
+router.post('/overrides/:id/confirm', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { error, value } = overrideDecisionSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const override = await findPendingOverride(client, req.params.id, req.user.company_id);
+
+      if (!override) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Pending override not found' });
+      }
+
+      if (override.requested_by === req.user.id) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ error: 'The override must be confirmed by a different admin' });
+      }
+
+      await applyOverride(client, override.expense_id, {
+        action: override.action,
+        reasonCode: override.reason_code,
+        comments: override.comments,
+        requestedBy: override.requested_by,
+        confirmedBy: req.user.id
+      });
+
+      await client.query(`
+        UPDATE expense_overrides
+        SET status = 'confirmed', decided_by = $1, decision_comments = $2, decided_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [req.user.id, value.comments || null, override.id]);
+
+      await client.query(`
+        INSERT INTO notifications (user_id, expense_id, type, title, message, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [
+        override.requested_by,
+        override.expense_id,
+        'override_confirmed',
+        'Admin Override Confirmed',
+        `${req.user.first_name} ${req.user.last_name} confirmed your override; the expense is now ${override.action}`,
+        JSON.stringify({ overrideId: override.id })
+      ]);
+
+      await client.query('COMMIT');
+
+      res.json({ message: `Override confirmed; expense ${override.action}` });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    if (error instanceof expenseStateMachine.InvalidTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Confirm override error:', error);
+    res.status(500).json({ error: 'Failed to confirm override' });
+  }
+});
+
+// Admin: Decline a pending override, or cancel one's own
+router.post('/overrides/:id/decline', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { error, value } = overrideDecisionSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const override = await findPendingOverride(client, req.params.id, req.user.company_id);
+
+      if (!override) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Pending override not found' });
+      }
+
+      const ownOverride = override.requested_by === req.user.id;
+      const status = ownOverride ? 'cancelled' : 'declined';
+
+      await client.query(`
+        UPDATE expense_overrides
+        SET status = $1, decided_by = $2, decision_comments = $3, decided_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+      `, [status, req.user.id, value.comments || null, override.id]);
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, expense_id, action, new_values)
+        VALUES ($1, $2, $3, $4)
+      `, [
+        req.user.id,
+        override.expense_id,
+        `admin_override_${status}`,
+        JSON.stringify({
+          overrideId: override.id,
+          action: override.action,
+          reasonCode: override.reason_code,
+          requestedBy: override.requested_by,
+          decidedBy: req.user.id,
+          comments: value.comments || null
+        })
+      ]);
+
+      if (!ownOverride) {
+        await client.query(`
+          INSERT INTO notifications (user_id, expense_id, type, title, message, metadata)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [
+          override.requested_by,
+          override.expense_id,
+          'override_declined',
+          'Admin Override Declined',
+          `${req.user.first_name} ${req.user.last_name} declined your override${value.comments ? `: ${value.comments}` : ''}`,
+          JSON.stringify({ overrideId: override.id })
+        ]);
+      }
+
+      await client.query('COMMIT');
+
+      res.json({ message: `Override ${status}` });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Decline override error:', error);
+    res.status(500).json({ error: 'Failed to decline override' });
+  }
+});
+
+// Members of an approver group must belong to the admin's company
+const validateGroupMembers = async (memberIds, companyId) => {
+  if (memberIds.length === 0) {
+    return null;
+  }
+
+  const members = await db.query(
+    'SELECT COUNT(*) FROM users WHERE company_id = $1 AND id = ANY($2::int[])',
+    [companyId, memberIds]
+  );
+
+  return parseInt(members.rows[0].count) === memberIds.length ? null : 'Group members must belong to your company';
+};
+
+const replaceGroupMembers = async (client, groupId, memberIds) => {
+  await client.query('DELETE FROM approver_group_members WHERE group_id = $1', [groupId]);
 
-    const result = await db.query(`
-      SELECT e.id, e.amount, e.currency, e.converted_amount, e.description, 
-             e.expense_date, e.receipt_url, e.created_at,
-             u.first_name, u.last_name, u.email,
-             c.name as category_name,
-             ea.step_order, ea.comments as approval_comments,
-             co.base_currency
-      FROM expense_approvals ea
-      JOIN expenses e ON ea.expense_id = e.id
-      JOIN users u ON e.employee_id = u.id
-      JOIN expense_categories c ON e.category_id = c.id
-      JOIN companies co ON e.company_id = co.id
-      WHERE ea.approver_id = $1 
-      AND ea.status = 'pending'
-      AND e.status = 'pending'
-      ORDER BY e.created_at ASC
-      LIMIT $2 OFFSET $3
-    `, [req.user.id, limit, offset]);
+  for (const memberId of memberIds) {
+    await client.query(
+      'INSERT INTO approver_group_members (group_id, user_id) VALUES ($1, $2)',
+      [groupId, memberId]
+    );
+  }
+};
 
-    // Get total count
-    const countResult = await db.query(`
-      SELECT COUNT(*) 
-      FROM expense_approvals ea
-      JOIN expenses e ON ea.expense_id = e.id
-      WHERE ea.approver_id = $1 
-      AND ea.status = 'pending'
-      AND e.status = 'pending'
-    `, [req.user.id]);
+// Admin: Get approver groups with their members
+router.get('/groups', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const groups = await db.query(`
+      SELECT ag.*,
+             (SELECT COUNT(*) FROM approval_rules ar WHERE ar.approver_group_id = ag.id) +
+             (SELECT COUNT(*) FROM approval_rule_steps ars WHERE ars.approver_group_id = ag.id) as usage_count
+      FROM approver_groups ag
+      WHERE ag.company_id = $1
+      ORDER BY ag.name
+    `, [req.user.company_id]);
 
-    const totalCount = parseInt(countResult.rows[0].count);
+    const members = await db.query(`
+      SELECT agm.group_id, u.id, u.first_name, u.last_name, u.email, u.role, u.is_active
+      FROM approver_group_members agm
+      JOIN approver_groups ag ON agm.group_id = ag.id
+      JOIN users u ON agm.user_id = u.id
+      WHERE ag.company_id = $1
+      ORDER BY u.first_name, u.last_name
+    `, [req.user.company_id]);
 
-    res.json({
-      approvals: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: totalCount,
-        pages: Math.ceil(totalCount / limit)
-      }
-    });
+    for (const group of groups.rows) {
+      group.members = members.rows.filter(member => member.group_id === group.id);
+    }
+
+    res.json(groups.rows);
 
   } catch (error) {
-    console.error('Get pending approvals error:', error);
-    res.status(500).json({ error: 'Failed to fetch pending approvals' });
+    console.error('Get approver groups error:', error);
+    res.status(500).json({ error: 'Failed to fetch approver groups' });
   }
 });
 
-// Process approval (approve/reject)
-router.post('/:expenseId/process', authenticateToken, requireRole(['manager', 'admin']), async (req, res) => {
+// Admin: Create approver group
+router.post('/groups', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
-    const { expenseId } = req.params;
-    const { error, value } = approvalActionSchema.validate(req.body);
+    const { error, value } = approverGroupSchema.validate(req.body);
     
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { action, comments } = value;
+    const { name, description, memberIds } = value;
 
-    // Check if user has pending approval for this expense
-    const pendingApproval = await db.query(`
-      SELECT ea.id 
-      FROM expense_approvals ea
-      JOIN expenses e ON ea.expense_id = e.id
-      WHERE ea.expense_id = $1 
-      AND ea.approver_id = $2 
-      AND ea.status = 'pending'
-      AND e.company_id = $3
-    `, [expenseId, req.user.id, req.user.company_id]);
+    const existing = await db.query(
+      'SELECT id FROM approver_groups WHERE company_id = $1 AND name = $2',
+      [req.user.company_id, name]
+    );
 
-    if (pendingApproval.rows.length === 0) {
-      return res.status(404).json({ error: 'No pending approval found for this expense' });
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: 'Approver group already exists' });
     }
 
-    const result = await approvalService.processApproval(expenseId, req.user.id, action, comments);
-
-    res.json({
-      message: `Expense ${action} successfully`,
-      expenseUpdated: result.update,
-      finalStatus: result.status
-    });
+    const membersError = await validateGroupMembers(memberIds, req.user.company_id);
+    if (membersError) {
+      return res.status(400).json({ error: membersError });
+    }
 
-  } catch (error) {
-    console.error('Process approval error:', error);
-    res.status(500).json({ error: 'Failed to process approval' });
-  }
-});
+    const client = await db.getClient();
 
-// Get approval history for an expense
-router.get('/:expenseId/history', authenticateToken, async (req, res) => {
-  try {
-    const { expenseId } = req.params;
+    try {
+      await client.query('BEGIN');
 
-    // Check if user has access to this expense
-    const expense = await db.query(`
-      SELECT e.employee_id, e.company_id 
-      FROM expenses e 
-      WHERE e.id = $1
-    `, [expenseId]);
+      const result = await client.query(`
+        INSERT INTO approver_groups (company_id, name, description)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [req.user.company_id, name, description]);
 
-    if (expense.rows.length === 0) {
-      return res.status(404).json({ error: 'Expense not found' });
-    }
+      await replaceGroupMembers(client, result.rows[0].id, memberIds);
 
-    const expenseData = expense.rows[0];
+      await client.query('COMMIT');
 
-    // Check permissions
-    if (req.user.role === 'employee' && expenseData.employee_id !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+      res.status(201).json({
+        message: 'Approver group created successfully',
+        group: result.rows[0]
+      });
 
-    if (expenseData.company_id !== req.user.company_id) {
-      return res.status(403).json({ error: 'Access denied' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
-    const result = await db.query(`
-      SELECT ea.*, u.first_name, u.last_name, u.role, u.email
-      FROM expense_approvals ea
-      JOIN users u ON ea.approver_id = u.id
-      WHERE ea.expense_id = $1
-      ORDER BY ea.step_order ASC, ea.created_at ASC
-    `, [expenseId]);
-
-    res.json(result.rows);
-
   } catch (error) {
-    console.error('Get approval history error:', error);
-    res.status(500).json({ error: 'Failed to fetch approval history' });
+    console.error('Create approver group error:', error);
+    res.status(500).json({ error: 'Failed to create approver group' });
   }
 });
 
-// Admin: Override approval (force approve/reject)
-router.post('/:expenseId/override', authenticateToken, requireRole(['admin']), async (req, res) => {
+// Admin: Update approver group and replace its members
+router.put('/groups/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
-    const { expenseId } = req.params;
-    const { error, value } = approvalActionSchema.validate(req.body);
+    const { id } = req.params;
+    const { error, value } = approverGroupSchema.validate(req.body);
     
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { action, comments } = value;
+    const { name, description, memberIds } = value;
 
-    const client = await db.getClient();
-    
-    try {
-      await client.query('BEGIN');
+    const duplicate = await db.query(
+      'SELECT id FROM approver_groups WHERE company_id = $1 AND name = $2 AND id <> $3',
+      [req.user.company_id, name, id]
+    );
 
-      // Update expense status
-      await client.query(`
-        UPDATE expenses 
-        SET status = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2 AND company_id = $3
-      `, [action, expenseId, req.user.company_id]);
+    if (duplicate.rows.length > 0) {
+      return res.status(400).json({ error: 'Approver group already exists' });
+    }
 
-      // Update all pending approvals
-      await client.query(`
-        UPDATE expense_approvals 
-        SET status = $1, comments = $2, approved_at = CURRENT_TIMESTAMP
-        WHERE expense_id = $3 AND status = 'pending'
-      `, [action, `Admin override: ${comments || ''}`, expenseId]);
+    const membersError = await validateGroupMembers(memberIds, req.user.company_id);
+    if (membersError) {
+      return res.status(400).json({ error: membersError });
+    }
 
-      // Create audit log
-      await client.query(`
-        INSERT INTO audit_logs (user_id, expense_id, action, new_values)
-        VALUES ($1, $2, 'admin_override', $3)
-      `, [req.user.id, expenseId, JSON.stringify({ action, comments })]);
+    const client = await db.getClient();
 
-      // Create notification
-      const expense = await client.query(
-        'SELECT employee_id FROM expenses WHERE id = $1',
-        [expenseId]
-      );
+    try {
+      await client.query('BEGIN');
 
-      if (expense.rows.length > 0) {
-        await client.query(`
-          INSERT INTO notifications (user_id, expense_id, type, title, message)
-          VALUES ($1, $2, $3, $4, $5)
-        `, [
-          expense.rows[0].employee_id,
-          expenseId,
-          'admin_override',
-          `Expense ${action} by Admin`,
-          `Your expense has been ${action} by an administrator`
-        ]);
+      const result = await client.query(`
+        UPDATE approver_groups
+        SET name = $1, description = $2
+        WHERE id = $3 AND company_id = $4
+        RETURNING *
+      `, [name, description, id, req.user.company_id]);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Approver group not found' });
       }
 
+      await replaceGroupMembers(client, id, memberIds);
+
       await client.query('COMMIT');
 
-      res.json({ message: `Expense ${action} successfully (admin override)` });
+      res.json({
+        message: 'Approver group updated successfully',
+        group: result.rows[0]
+      });
 
     } catch (error) {
       await client.query('ROLLBACK');
@@ -245,8 +1331,42 @@ router.post('/:expenseId/override', authenticateToken, requireRole(['admin']), a
     }
 
   } catch (error) {
-    console.error('Admin override error:', error);
-    res.status(500).json({ error: 'Failed to override approval' });
+    console.error('Update approver group error:', error);
+    res.status(500).json({ error: 'Failed to update approver group' });
+  }
+});
+
+// Admin: Delete approver group (only when no rule or step targets it)
+router.delete('/groups/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const inUse = await db.query(`
+      SELECT
+        (SELECT COUNT(*) FROM approval_rules WHERE approver_group_id = $1) +
+        (SELECT COUNT(*) FROM approval_rule_steps WHERE approver_group_id = $1) as count
+    `, [id]);
+
+    if (parseInt(inUse.rows[0].count) > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete an approver group that is used by approval rules'
+      });
+    }
+
+    const result = await db.query(
+      'DELETE FROM approver_groups WHERE id = $1 AND company_id = $2 RETURNING id',
+      [id, req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Approver group not found' });
+    }
+
+    res.json({ message: 'Approver group deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete approver group error:', error);
+    res.status(500).json({ error: 'Failed to delete approver group' });
   }
 });
 
@@ -254,9 +1374,10 @@ router.post('/:expenseId/override', authenticateToken, requireRole(['admin']), a
 router.get('/rules', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
     const result = await db.query(`
-      SELECT ar.*, u.first_name, u.last_name
+      SELECT ar.*, u.first_name, u.last_name, ag.name as approver_group_name
       FROM approval_rules ar
       LEFT JOIN users u ON ar.specific_approver_id = u.id
+      LEFT JOIN approver_groups ag ON ar.approver_group_id = ag.id
       WHERE ar.company_id = $1
       ORDER BY ar.sequence_order ASC, ar.min_amount ASC
     `, [req.user.company_id]);
@@ -265,9 +1386,10 @@ router.get('/rules', authenticateToken, requireRole(['admin']), async (req, res)
     for (const rule of result.rows) {
       if (rule.rule_type === 'sequential') {
         const steps = await db.query(`
-          SELECT ars.*, u.first_name, u.last_name
+          SELECT ars.*, u.first_name, u.last_name, ag.name as approver_group_name
           FROM approval_rule_steps ars
           LEFT JOIN users u ON ars.approver_id = u.id
+          LEFT JOIN approver_groups ag ON ars.approver_group_id = ag.id
           WHERE ars.rule_id = $1
           ORDER BY ars.step_order ASC
         `, [rule.id]);
@@ -284,6 +1406,70 @@ router.get('/rules', authenticateToken, requireRole(['admin']), async (req, res)
   }
 });
 
+// Admin: Report overlapping ranges, uncovered amounts and inactive approvers across the rule set
+router.get('/rules/validation', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const warnings = await ruleValidationService.validateRuleSet(db, req.user.company_id);
+
+    res.json({ warnings });
+
+  } catch (error) {
+    console.error('Validate approval rules error:', error);
+    res.status(500).json({ error: 'Failed to validate approval rules' });
+  }
+});
+
+// Admin: Dry-run the rules against a hypothetical expense without creating any approvals
+router.post('/rules/simulate', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { error, value } = simulationSchema.validate(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { amount, currency, categoryId, employeeId, merchantName } = value;
+
+    const employee = await db.query(
+      'SELECT id FROM users WHERE id = $1 AND company_id = $2',
+      [employeeId, req.user.company_id]
+    );
+
+    if (employee.rows.length === 0) {
+      return res.status(400).json({ error: 'Employee not found in your company' });
+    }
+
+    const company = await db.query(
+      'SELECT base_currency FROM companies WHERE id = $1',
+      [req.user.company_id]
+    );
+    const baseCurrency = company.rows[0].base_currency;
+
+    let convertedAmount = amount;
+    if (currency !== baseCurrency) {
+      convertedAmount = await currencyService.convertCurrency(amount, currency, baseCurrency);
+    }
+
+    const simulation = await approvalService.simulateWorkflow({
+      amount: convertedAmount,
+      currency,
+      categoryId,
+      employeeId,
+      merchantName
+    }, req.user.company_id);
+
+    res.json({
+      ...simulation,
+      convertedAmount,
+      baseCurrency
+    });
+
+  } catch (error) {
+    console.error('Simulate approval rules error:', error);
+    res.status(500).json({ error: 'Failed to simulate approval rules' });
+  }
+});
+
 // Admin: Create approval rule
 router.post('/rules', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
@@ -295,9 +1481,20 @@ router.post('/rules', authenticateToken, requireRole(['admin']), async (req, res
 
     const {
       name, ruleType, minAmount, maxAmount, percentageRequired,
-      specificApproverId, sequenceOrder, steps
+      specificApproverId, approverGroupId, sequenceOrder, conditions, slaHours, distinctStepApprovers, steps,
+      enforceValidation
     } = value;
 
+    const conditionsError = await validateRuleConditions(conditions, req.user.company_id);
+    if (conditionsError) {
+      return res.status(400).json({ error: conditionsError });
+    }
+
+    const groupsError = await validateRuleGroups(approverGroupId, steps, req.user.company_id);
+    if (groupsError) {
+      return res.status(400).json({ error: groupsError });
+    }
+
     const client = await db.getClient();
     
     try {
@@ -306,29 +1503,37 @@ router.post('/rules', authenticateToken, requireRole(['admin']), async (req, res
       // Create approval rule
       const ruleResult = await client.query(`
         INSERT INTO approval_rules (company_id, name, rule_type, min_amount, max_amount,
-                                  percentage_required, specific_approver_id, sequence_order)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                                  percentage_required, specific_approver_id, approver_group_id,
+                                  sequence_order, conditions, sla_hours, distinct_step_approvers)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
         RETURNING id
-      `, [req.user.company_id, name, ruleType, minAmount, maxAmount,
-          percentageRequired, specificApproverId, sequenceOrder]);
+      `, [req.user.company_id, name, ruleType, minAmount, maxAmount, percentageRequired, specificApproverId,
+          approverGroupId, sequenceOrder, JSON.stringify(conditions), slaHours, distinctStepApprovers]);
 
       const ruleId = ruleResult.rows[0].id;
 
       // Create rule steps for sequential rules
       if (ruleType === 'sequential' && steps) {
-        for (const step of steps) {
-          await client.query(`
-            INSERT INTO approval_rule_steps (rule_id, step_order, approver_role, approver_id, is_required)
-            VALUES ($1, $2, $3, $4, $5)
-          `, [ruleId, step.stepOrder, step.approverRole, step.approverId, step.isRequired]);
-        }
+        await insertRuleSteps(client, ruleId, steps);
+      }
+
+      const version = await approvalService.recordRuleVersion(client, ruleId, req.user.id);
+
+      const warnings = await ruleValidationService.validateRuleSet(client, req.user.company_id);
+      const ruleWarnings = warnings.filter(warning => warning.ruleIds.includes(ruleId));
+
+      if (enforceValidation && ruleWarnings.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Approval rule conflicts with the existing rules', warnings: ruleWarnings });
       }
 
       await client.query('COMMIT');
 
       res.status(201).json({
         message: 'Approval rule created successfully',
-        ruleId
+        ruleId,
+        version,
+        warnings
       });
 
     } catch (error) {
@@ -356,38 +1561,60 @@ router.put('/rules/:ruleId', authenticateToken, requireRole(['admin']), async (r
 
     const {
       name, ruleType, minAmount, maxAmount, percentageRequired,
-      specificApproverId, sequenceOrder, steps
+      specificApproverId, approverGroupId, sequenceOrder, conditions, slaHours, distinctStepApprovers, steps,
+      enforceValidation
     } = value;
 
+    const conditionsError = await validateRuleConditions(conditions, req.user.company_id);
+    if (conditionsError) {
+      return res.status(400).json({ error: conditionsError });
+    }
+
+    const groupsError = await validateRuleGroups(approverGroupId, steps, req.user.company_id);
+    if (groupsError) {
+      return res.status(400).json({ error: groupsError });
+    }
+
     const client = await db.getClient();
     
     try {
       await client.query('BEGIN');
 
-      // Update approval rule
-      await client.query(`
+      // Update approval rule; expenses already in flight stay pinned to their version
+      const updated = await client.query(`
         UPDATE approval_rules 
         SET name = $1, rule_type = $2, min_amount = $3, max_amount = $4,
-            percentage_required = $5, specific_approver_id = $6, sequence_order = $7
-        WHERE id = $8 AND company_id = $9
-      `, [name, ruleType, minAmount, maxAmount, percentageRequired,
-          specificApproverId, sequenceOrder, ruleId, req.user.company_id]);
+            percentage_required = $5, specific_approver_id = $6, approver_group_id = $7,
+            sequence_order = $8, conditions = $9, sla_hours = $10, distinct_step_approvers = $11
+        WHERE id = $12 AND company_id = $13
+      `, [name, ruleType, minAmount, maxAmount, percentageRequired, specificApproverId, approverGroupId,
+          sequenceOrder, JSON.stringify(conditions), slaHours, distinctStepApprovers, ruleId, req.user.company_id]);
+
+      if (updated.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Approval rule not found' });
+      }
 
       // Delete existing steps and recreate for sequential rules
       await client.query('DELETE FROM approval_rule_steps WHERE rule_id = $1', [ruleId]);
 
       if (ruleType === 'sequential' && steps) {
-        for (const step of steps) {
-          await client.query(`
-            INSERT INTO approval_rule_steps (rule_id, step_order, approver_role, approver_id, is_required)
-            VALUES ($1, $2, $3, $4, $5)
-          `, [ruleId, step.stepOrder, step.approverRole, step.approverId, step.isRequired]);
-        }
+        await insertRuleSteps(client, ruleId, steps);
+      }
+
+      const version = await approvalService.recordRuleVersion(client, ruleId, req.user.id);
+
+      const warnings = await ruleValidationService.validateRuleSet(client, req.user.company_id);
+      const ruleWarnings = warnings.filter(warning => warning.ruleIds.includes(parseInt(ruleId)));
+
+      if (enforceValidation && ruleWarnings.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Approval rule conflicts with the existing rules', warnings: ruleWarnings });
       }
 
       await client.query('COMMIT');
 
-      res.json({ message: 'Approval rule updated successfully' });
+      res.json({ message: 'Approval rule updated successfully', version, warnings });
 
     } catch (error) {
       await client.query('ROLLBACK');
@@ -402,6 +1629,39 @@ router.put('/rules/:ruleId', authenticateToken, requireRole(['admin']), async (r
   }
 });
 
+// Admin: Version history of a rule, each version with its changes from the previous one
+router.get('/rules/:ruleId/versions', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    const result = await db.query(`
+      SELECT arv.id, arv.version, arv.snapshot, arv.created_at,
+             u.first_name as created_by_first_name, u.last_name as created_by_last_name,
+             (SELECT COUNT(*) FROM expenses e WHERE e.approval_rule_version_id = arv.id) as expense_count
+      FROM approval_rule_versions arv
+      JOIN approval_rules ar ON arv.rule_id = ar.id
+      LEFT JOIN users u ON arv.created_by = u.id
+      WHERE arv.rule_id = $1 AND ar.company_id = $2
+      ORDER BY arv.version DESC
+    `, [ruleId, req.user.company_id]);
+
+    const versions = result.rows.map((version, index) => {
+      const previous = result.rows[index + 1];
+
+      return {
+        ...version,
+        changes: previous ? approvalService.diffRuleVersions(previous.snapshot, version.snapshot) : []
+      };
+    });
+
+    res.json(versions);
+
+  } catch (error) {
+    console.error('Get approval rule versions error:', error);
+    res.status(500).json({ error: 'Failed to fetch approval rule versions' });
+  }
+});
+
 // Admin: Delete approval rule
 router.delete('/rules/:ruleId', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
@@ -432,4 +1692,121 @@ router.delete('/rules/:ruleId', authenticateToken, requireRole(['admin']), async
   }
 });
 
+// Get delegations the current user gives or receives (admins see the whole company)
+router.get('/delegations', authenticateToken, requireRole(['manager', 'admin']), async (req, res) => {
+  try {
+    let whereClause = 'WHERE ad.company_id = $1';
+    const params = [req.user.company_id];
+
+    if (req.user.role !== 'admin') {
+      whereClause += ' AND (ad.delegator_id = $2 OR ad.delegate_id = $2)';
+      params.push(req.user.id);
+    }
+
+    const result = await db.query(`
+      SELECT ad.*,
+             dr.first_name as delegator_first_name, dr.last_name as delegator_last_name,
+             de.first_name as delegate_first_name, de.last_name as delegate_last_name
+      FROM approval_delegations ad
+      JOIN users dr ON ad.delegator_id = dr.id
+      JOIN users de ON ad.delegate_id = de.id
+      ${whereClause}
+      AND ad.is_active = true
+      AND ad.end_date >= CURRENT_DATE
+      ORDER BY ad.start_date ASC
+    `, params);
+
+    res.json(result.rows);
+
+  } catch (error) {
+    console.error('Get delegations error:', error);
+    res.status(500).json({ error: 'Failed to fetch delegations' });
+  }
+});
+
+// Create delegation (managers delegate their own queue, admins may delegate anyone's)
+router.post('/delegations', authenticateToken, requireRole(['manager', 'admin']), async (req, res) => {
+  try {
+    const { error, value } = delegationSchema.validate(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { delegateId, startDate, endDate, maxAmount } = value;
+    const delegatorId = value.delegatorId || req.user.id;
+
+    if (delegatorId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Can only delegate your own approvals' });
+    }
+
+    if (delegatorId === delegateId) {
+      return res.status(400).json({ error: 'Cannot delegate approvals to the same user' });
+    }
+
+    // Delegates need approval access themselves, so they must be active managers or admins
+    const users = await db.query(`
+      SELECT id, role FROM users
+      WHERE id = ANY($1::int[]) AND company_id = $2 AND is_active = true
+    `, [[delegatorId, delegateId], req.user.company_id]);
+
+    const delegate = users.rows.find(user => user.id === delegateId);
+
+    if (users.rows.length !== 2 || !delegate) {
+      return res.status(400).json({ error: 'User not found' });
+    }
+
+    if (delegate.role !== 'manager' && delegate.role !== 'admin') {
+      return res.status(400).json({ error: 'Delegate must be a manager or admin' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO approval_delegations (company_id, delegator_id, delegate_id, start_date, end_date,
+                                        max_amount, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [req.user.company_id, delegatorId, delegateId, startDate, endDate, maxAmount, req.user.id]);
+
+    res.status(201).json({
+      message: 'Delegation created successfully',
+      delegation: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Create delegation error:', error);
+    res.status(500).json({ error: 'Failed to create delegation' });
+  }
+});
+
+// Cancel delegation
+router.delete('/delegations/:id', authenticateToken, requireRole(['manager', 'admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const delegation = await db.query(
+      'SELECT delegator_id FROM approval_delegations WHERE id = $1 AND company_id = $2',
+      [id, req.user.company_id]
+    );
+
+    if (delegation.rows.length === 0) {
+      return res.status(404).json({ error: 'Delegation not found' });
+    }
+
+    if (delegation.rows[0].delegator_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    await db.query(
+      'UPDATE approval_delegations SET is_active = false WHERE id = $1',
+      [id]
+    );
+
+    res.json({ message: 'Delegation cancelled successfully' });
+
+  } catch (error) {
+    console.error('Cancel delegation error:', error);
+    res.status(500).json({ error: 'Failed to cancel delegation' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
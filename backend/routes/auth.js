@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const approvalService = require('../services/approvalService');
 
 const router = express.Router();
 
@@ -76,14 +77,19 @@ router.post('/signup', async (req, res) => {
       `, [companyId]);
 
       // Create default approval rules
-      await client.query(`
+      const rules = await client.query(`
         INSERT INTO approval_rules (company_id, name, rule_type, min_amount, max_amount, sequence_order)
         VALUES 
         ($1, 'Small Expenses', 'sequential', 0, 100, 1),
         ($1, 'Medium Expenses', 'sequential', 100.01, 1000, 2),
         ($1, 'Large Expenses', 'percentage', 1000.01, NULL, 3)
+        RETURNING id
       `, [companyId]);
 
+      for (const rule of rules.rows) {
+        await approvalService.recordRuleVersion(client, rule.id, user.id);
+      }
+
       await client.query('COMMIT');
 
       // Generate JWT token
@@ -3,13 +3,16 @@ const Joi = require('joi');
 const db = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const currencyService = require('../services/currencyService');
+const allowanceService = require('../services/allowanceService');
 
 const router = express.Router();
 
 // Validation schemas
 const updateCompanySchema = Joi.object({
   name: Joi.string().min(2).max(255).optional(),
-  baseCurrency: Joi.string().length(3).optional()
+  baseCurrency: Joi.string().length(3).optional(),
+  overrideConfirmationThreshold: Joi.number().min(0).precision(2).allow(null).optional(), // Base currency; null disables dual control
+  mileageUnit: Joi.string().valid('km', 'mile').optional()
 });
 
 const categorySchema = Joi.object({
@@ -17,6 +20,20 @@ const categorySchema = Joi.object({
   description: Joi.string().max(500).optional()
 });
 
+// The full set of mileage rates; vehicle types left out can no longer be claimed
+const mileageRatesSchema = Joi.object({
+  rates: Joi.array().items(Joi.object({
+    vehicleType: Joi.string().valid(...allowanceService.vehicleTypes).required(),
+    rate: Joi.number().positive().precision(4).required() // Base currency per mileage unit
+  })).unique('vehicleType').required()
+});
+
+const perDiemRateSchema = Joi.object({
+  destination: Joi.string().min(2).max(100).required(),
+  dailyAllowance: Joi.number().positive().precision(2).required(), // Base currency
+  partialDayPercentage: Joi.number().min(0).max(100).precision(2).default(75) // Paid for the departure and return days
+});
+
 // Get company details
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -42,13 +59,13 @@ router.get('/profile', authenticateToken, async (req, res) => {
     const expenseStats = await db.query(`
       SELECT 
         COUNT(*) as total_expenses,
-        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_expenses,
-        COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved_expenses,
+        COUNT(CASE WHEN status IN ('submitted', 'in_review') THEN 1 END) as pending_expenses,
+        COUNT(CASE WHEN status IN ('approved', 'paid') THEN 1 END) as approved_expenses,
         COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_expenses,
-        COALESCE(SUM(CASE WHEN status = 'approved' THEN converted_amount END), 0) as total_approved_amount,
-        COALESCE(SUM(CASE WHEN status = 'pending' THEN converted_amount END), 0) as total_pending_amount
+        COALESCE(SUM(CASE WHEN status IN ('approved', 'paid') THEN converted_amount END), 0) as total_approved_amount,
+        COALESCE(SUM(CASE WHEN status IN ('submitted', 'in_review') THEN converted_amount END), 0) as total_pending_amount
       FROM expenses 
-      WHERE company_id = $1
+      WHERE company_id = $1 AND status <> 'draft'
     `, [req.user.company_id]);
 
     company.expense_stats = expenseStats.rows[0];
@@ -69,7 +86,7 @@ router.put('/profile', authenticateToken, requireRole(['admin']), async (req, re
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { name, baseCurrency } = value;
+    const { name, baseCurrency, overrideConfirmationThreshold, mileageUnit } = value;
 
     // Build update query dynamically
     const updates = [];
@@ -92,6 +109,16 @@ router.put('/profile', authenticateToken, requireRole(['admin']), async (req, re
       params.push(baseCurrency);
     }
 
+    if (overrideConfirmationThreshold !== undefined) {
+      updates.push(`override_confirmation_threshold = $${++paramCount}`);
+      params.push(overrideConfirmationThreshold);
+    }
+
+    if (mileageUnit !== undefined) {
+      updates.push(`mileage_unit = $${++paramCount}`);
+      params.push(mileageUnit);
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
@@ -257,6 +284,174 @@ router.delete('/categories/:id', authenticateToken, requireRole(['admin']), asyn
   }
 });
 
+// Get the rates mileage and per-diem expenses are computed with
+router.get('/allowance-rates', authenticateToken, async (req, res) => {
+  try {
+    const company = await db.query(
+      'SELECT base_currency, mileage_unit FROM companies WHERE id = $1',
+      [req.user.company_id]
+    );
+
+    const mileageRates = await db.query(
+      'SELECT * FROM mileage_rates WHERE company_id = $1 ORDER BY vehicle_type',
+      [req.user.company_id]
+    );
+
+    const perDiemRates = await db.query(
+      'SELECT * FROM per_diem_rates WHERE company_id = $1 ORDER BY destination',
+      [req.user.company_id]
+    );
+
+    res.json({
+      baseCurrency: company.rows[0].base_currency,
+      mileageUnit: company.rows[0].mileage_unit,
+      mileageRates: mileageRates.rows,
+      perDiemRates: perDiemRates.rows
+    });
+  } catch (error) {
+    console.error('Get allowance rates error:', error);
+    res.status(500).json({ error: 'Failed to fetch allowance rates' });
+  }
+});
+
+// Admin: Replace the mileage rates
+router.put('/mileage-rates', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { error, value } = mileageRatesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query('DELETE FROM mileage_rates WHERE company_id = $1', [req.user.company_id]);
+
+      for (const { vehicleType, rate } of value.rates) {
+        await client.query(
+          'INSERT INTO mileage_rates (company_id, vehicle_type, rate) VALUES ($1, $2, $3)',
+          [req.user.company_id, vehicleType, rate]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      res.json({ message: 'Mileage rates updated successfully' });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Update mileage rates error:', error);
+    res.status(500).json({ error: 'Failed to update mileage rates' });
+  }
+});
+
+// Admin: Create per-diem rate
+router.post('/per-diem-rates', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { error, value } = perDiemRateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { destination, dailyAllowance, partialDayPercentage } = value;
+
+    const existing = await db.query(
+      'SELECT id FROM per_diem_rates WHERE company_id = $1 AND destination = $2',
+      [req.user.company_id, destination]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: 'A per-diem rate for this destination already exists' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO per_diem_rates (company_id, destination, daily_allowance, partial_day_percentage)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [req.user.company_id, destination, dailyAllowance, partialDayPercentage]);
+
+    res.status(201).json({
+      message: 'Per-diem rate created successfully',
+      rate: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Create per-diem rate error:', error);
+    res.status(500).json({ error: 'Failed to create per-diem rate' });
+  }
+});
+
+// Admin: Update per-diem rate; expenses already claimed keep the rate they were computed with
+router.put('/per-diem-rates/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = perDiemRateSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { destination, dailyAllowance, partialDayPercentage } = value;
+
+    const existing = await db.query(
+      'SELECT id FROM per_diem_rates WHERE company_id = $1 AND destination = $2 AND id <> $3',
+      [req.user.company_id, destination, id]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: 'A per-diem rate for this destination already exists' });
+    }
+
+    const result = await db.query(`
+      UPDATE per_diem_rates
+      SET destination = $1, daily_allowance = $2, partial_day_percentage = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND company_id = $5
+      RETURNING *
+    `, [destination, dailyAllowance, partialDayPercentage, id, req.user.company_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Per-diem rate not found' });
+    }
+
+    res.json({
+      message: 'Per-diem rate updated successfully',
+      rate: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update per-diem rate error:', error);
+    res.status(500).json({ error: 'Failed to update per-diem rate' });
+  }
+});
+
+// Admin: Delete per-diem rate
+router.delete('/per-diem-rates/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM per_diem_rates WHERE id = $1 AND company_id = $2 RETURNING *',
+      [req.params.id, req.user.company_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Per-diem rate not found' });
+    }
+
+    res.json({ message: 'Per-diem rate deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete per-diem rate error:', error);
+    res.status(500).json({ error: 'Failed to delete per-diem rate' });
+  }
+});
+
 // Get company analytics/dashboard data
 router.get('/analytics', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
   try {
@@ -268,26 +463,37 @@ router.get('/analytics', authenticateToken, requireRole(['admin', 'manager']), a
         DATE(created_at) as date,
         COUNT(*) as count,
         SUM(converted_amount) as total_amount,
-        COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved_count,
+        COUNT(CASE WHEN status IN ('approved', 'paid') THEN 1 END) as approved_count,
         COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_count
       FROM expenses 
       WHERE company_id = $1 
+      AND status <> 'draft'
       AND created_at >= CURRENT_DATE - INTERVAL '${parseInt(period)} days'
       GROUP BY DATE(created_at)
       ORDER BY date DESC
     `, [req.user.company_id]);
 
-    // Category breakdown
+    // Category breakdown; a split expense counts towards each of its allocation categories with its share
     const categoryBreakdown = await db.query(`
+      WITH category_lines AS (
+        SELECT 
+          e.id as expense_id,
+          COALESCE(a.category_id, e.category_id) as category_id,
+          CASE WHEN a.id IS NULL THEN e.converted_amount
+               ELSE ROUND(e.converted_amount * a.amount / e.amount, 2) END as converted_amount
+        FROM expenses e
+        LEFT JOIN expense_allocations a ON a.expense_id = e.id
+        WHERE e.company_id = $1 
+        AND e.status <> 'draft'
+        AND e.created_at >= CURRENT_DATE - INTERVAL '${parseInt(period)} days'
+      )
       SELECT 
         c.name,
-        COUNT(e.id) as expense_count,
-        SUM(e.converted_amount) as total_amount,
-        AVG(e.converted_amount) as avg_amount
+        COUNT(DISTINCT l.expense_id) as expense_count,
+        SUM(l.converted_amount) as total_amount,
+        AVG(l.converted_amount) as avg_amount
       FROM expense_categories c
-      LEFT JOIN expenses e ON c.id = e.category_id 
-        AND e.company_id = $1 
-        AND e.created_at >= CURRENT_DATE - INTERVAL '${parseInt(period)} days'
+      LEFT JOIN category_lines l ON c.id = l.category_id
       WHERE c.company_id = $1 AND c.is_active = true
       GROUP BY c.id, c.name
       ORDER BY total_amount DESC NULLS LAST
@@ -302,7 +508,7 @@ router.get('/analytics', authenticateToken, requireRole(['admin', 'manager']), a
       FROM users u
       LEFT JOIN expenses e ON u.id = e.employee_id 
         AND e.created_at >= CURRENT_DATE - INTERVAL '${parseInt(period)} days'
-        AND e.status = 'approved'
+        AND e.status IN ('approved', 'paid')
       WHERE u.company_id = $1 AND u.is_active = true
       GROUP BY u.id, u.first_name, u.last_name, u.email
       HAVING COUNT(e.id) > 0
@@ -318,8 +524,9 @@ router.get('/analytics', authenticateToken, requireRole(['admin', 'manager']), a
         COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_count,
         COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_count
       FROM expense_approvals ea
-      JOIN expenses e ON ea.expense_id = e.id
-      WHERE e.company_id = $1 
+      LEFT JOIN expenses e ON ea.expense_id = e.id
+      LEFT JOIN expense_reports r ON ea.report_id = r.id
+      WHERE COALESCE(e.company_id, r.company_id) = $1
       AND ea.created_at >= CURRENT_DATE - INTERVAL '${parseInt(period)} days'
     `, [req.user.company_id]);
 
@@ -337,12 +544,12 @@ router.get('/analytics', authenticateToken, requireRole(['admin', 'manager']), a
   }
 });
 
-// Export expenses (CSV format)
+// Export expenses (CSV format), one row per allocation line of a split expense
 router.get('/export/expenses', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
   try {
     const { startDate, endDate, status, format = 'csv' } = req.query;
 
-    let whereClause = 'WHERE e.company_id = $1';
+    let whereClause = "WHERE e.company_id = $1 AND e.status <> 'draft'";
     let params = [req.user.company_id];
     let paramCount = 1;
 
@@ -366,29 +573,41 @@ router.get('/export/expenses', authenticateToken, requireRole(['admin', 'manager
         e.id,
         u.first_name || ' ' || u.last_name as employee_name,
         u.email as employee_email,
-        c.name as category,
+        COALESCE(ac.name, c.name) as category,
         e.amount,
+        e.approved_amount,
         e.currency,
         e.converted_amount,
         co.base_currency,
+        e.adjustment_reason,
         e.description,
         e.expense_date,
         e.merchant_name,
         e.status,
-        e.created_at
+        e.created_at,
+        -- A reduced approval shrinks every allocation line in proportion, like the converted amount
+        CASE WHEN a.id IS NULL THEN COALESCE(e.approved_amount, e.amount)
+             ELSE ROUND(a.amount * COALESCE(e.approved_amount, e.amount) / e.amount, 2) END as line_amount,
+        CASE WHEN a.id IS NULL THEN e.converted_amount
+             ELSE ROUND(e.converted_amount * a.amount / e.amount, 2) END as line_converted_amount,
+        a.cost_center,
+        a.project,
+        e.expense_type
       FROM expenses e
       JOIN users u ON e.employee_id = u.id
       JOIN expense_categories c ON e.category_id = c.id
       JOIN companies co ON e.company_id = co.id
+      LEFT JOIN expense_allocations a ON a.expense_id = e.id
+      LEFT JOIN expense_categories ac ON a.category_id = ac.id
       ${whereClause}
-      ORDER BY e.created_at DESC
+      ORDER BY e.created_at DESC, a.id ASC
     `, params);
 
     if (format === 'csv') {
       // Generate CSV
-      const csvHeader = 'ID,Employee Name,Employee Email,Category,Amount,Currency,Converted Amount,Base Currency,Description,Expense Date,Merchant,Status,Created At\n';
+      const csvHeader = 'ID,Employee Name,Employee Email,Category,Amount,Approved Amount,Currency,Converted Amount,Base Currency,Adjustment Reason,Description,Expense Date,Merchant,Status,Created At,Line Amount,Line Converted Amount,Cost Center,Project,Expense Type\n';
       const csvRows = result.rows.map(row => 
-        `${row.id},"${row.employee_name}","${row.employee_email}","${row.category}",${row.amount},"${row.currency}",${row.converted_amount},"${row.base_currency}","${row.description}","${row.expense_date}","${row.merchant_name || ''}","${row.status}","${row.created_at}"`
+        `${row.id},"${row.employee_name}","${row.employee_email}","${row.category}",${row.amount},${row.approved_amount ?? row.amount},"${row.currency}",${row.converted_amount},"${row.base_currency}","${row.adjustment_reason || ''}","${row.description}","${row.expense_date}","${row.merchant_name || ''}","${row.status}","${row.created_at}",${row.line_amount},${row.line_converted_amount},"${row.cost_center || ''}","${row.project || ''}","${row.expense_type}"`
       ).join('\n');
 
       res.setHeader('Content-Type', 'text/csv');
@@ -7,17 +7,21 @@ const { authenticateToken, requireRole, requireSameCompany } = require('../middl
 const currencyService = require('../services/currencyService');
 const ocrService = require('../services/ocrService');
 const approvalService = require('../services/approvalService');
+const attachmentService = require('../services/attachmentService');
+const allowanceService = require('../services/allowanceService');
+const allocationService = require('../services/allocationService');
+const expenseStateMachine = require('../services/expenseStateMachine');
 
 const router = express.Router();
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, 'uploads/receipts/');
+    cb(null, `${attachmentService.uploadDir}/`);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'receipt-' + uniqueSuffix + path.extname(file.originalname));
+    cb(null, file.fieldname.replace(/_/g, '-') + '-' + uniqueSuffix + path.extname(file.originalname));
   }
 });
 
@@ -39,93 +43,270 @@ const upload = multer({
   }
 });
 
+// Expense attachments are sent in one multipart field per kind (receipt, invoice, ...)
+const uploadAttachments = upload.fields(
+  attachmentService.kinds.map(kind => ({ name: kind, maxCount: attachmentService.maxPerKind }))
+);
+
+// The files of an uploadAttachments request as { kind, file } pairs
+const uploadedAttachments = (req) => Object.entries(req.files || {})
+  .flatMap(([kind, files]) => files.map(file => ({ kind, file })));
+
 // Validation schemas
+
+// One line of an expense split across categories, given as an amount or as a percentage of the total
+const allocationSchema = Joi.object({
+  categoryId: Joi.number().integer().required(),
+  amount: Joi.number().positive().precision(2),
+  percentage: Joi.number().positive().max(100).precision(2),
+  costCenter: Joi.string().max(100).empty('').optional(),
+  project: Joi.string().max(100).empty('').optional()
+}).xor('amount', 'percentage');
+
+// Inputs of a mileage claim; the amount is the distance at the company's rate for the vehicle
+const mileageSchema = Joi.object({
+  vehicleType: Joi.string().valid(...allowanceService.vehicleTypes).required(),
+  distance: Joi.number().positive().max(100000).precision(2).required(),
+  route: Joi.string().max(255).empty('').optional()
+});
+
+// Inputs of a per-diem claim; the amount is the destination's daily allowance over the trip
+const perDiemSchema = Joi.object({
+  rateId: Joi.number().integer().required(),
+  startDate: Joi.date().max('now').required(),
+  endDate: Joi.date().min(Joi.ref('startDate')).max('now').required()
+});
+
+const expenseTypes = ['standard', 'mileage', 'per_diem'];
+
+// Mileage and per-diem amounts are computed by the server, in the company base currency
+const enteredAmount = (schema) => schema.when('expenseType', { is: 'standard', then: Joi.required(), otherwise: Joi.forbidden() });
+
+// A per-diem claim is dated on the last day of the trip unless it is given a date
+const withPerDiemDate = (value) => (
+  value.expenseType === 'per_diem' && !value.expenseDate && value.perDiem?.endDate
+    ? { ...value, expenseDate: value.perDiem.endDate }
+    : value
+);
+
 const expenseSchema = Joi.object({
+  expenseType: Joi.string().valid(...expenseTypes).default('standard'),
   categoryId: Joi.number().integer().required(),
-  amount: Joi.number().positive().required(),
-  currency: Joi.string().length(3).required(),
+  amount: enteredAmount(Joi.number().positive()),
+  currency: enteredAmount(Joi.string().length(3)),
   description: Joi.string().min(5).max(500).required(),
-  expenseDate: Joi.date().max('now').required(),
-  merchantName: Joi.string().max(255).optional()
+  expenseDate: Joi.date().max('now').when('expenseType', { is: 'per_diem', otherwise: Joi.required() }),
+  merchantName: Joi.string().max(255).optional(),
+  mileage: mileageSchema.when('expenseType', { is: 'mileage', then: Joi.required(), otherwise: Joi.forbidden() }),
+  perDiem: perDiemSchema.when('expenseType', { is: 'per_diem', then: Joi.required(), otherwise: Joi.forbidden() }),
+  reportId: Joi.number().integer().optional(), // Adds the expense as a line of one of the employee's draft reports
+  allocations: Joi.array().items(allocationSchema).min(2) // Splits the amount across categories and cost centers
+    .when('expenseType', { is: 'standard', otherwise: Joi.forbidden() })
+}).custom((value, helpers) => {
+  value = withPerDiemDate(value);
+
+  if (!value.allocations) {
+    return value;
+  }
+
+  const allocations = allocationService.resolve(value.allocations, value.amount);
+  const allocatedCents = allocations.reduce((sum, line) => sum + Math.round(line.amount * 100), 0);
+
+  if (allocatedCents !== Math.round(value.amount * 100)) {
+    return helpers.message('The allocation lines must add up to the expense amount');
+  }
+
+  return { ...value, allocations };
 });
 
+// A draft may be saved with any of the fields missing; expenseSchema applies once it is submitted
+const draftSchema = Joi.object({
+  expenseType: Joi.string().valid(...expenseTypes).default('standard'),
+  categoryId: Joi.number().integer().empty('').allow(null).optional(),
+  amount: Joi.number().positive().empty('').allow(null).optional(),
+  currency: Joi.string().length(3).empty('').allow(null).optional(),
+  description: Joi.string().max(500).empty('').allow(null).optional(),
+  expenseDate: Joi.date().max('now').empty('').allow(null).optional(),
+  merchantName: Joi.string().max(255).empty('').allow(null).optional(),
+  mileage: mileageSchema.fork(['vehicleType', 'distance'], (schema) => schema.empty('').optional()).optional(),
+  perDiem: perDiemSchema.fork(['rateId', 'startDate', 'endDate'], (schema) => schema.empty('').optional()).optional(),
+  allocations: Joi.array().items(allocationSchema)
+    .when('expenseType', { is: 'standard', otherwise: Joi.forbidden() })
+}).custom((value, helpers) => {
+  value = withPerDiemDate(value);
+
+  if (!value.allocations) {
+    return value;
+  }
+
+  if (!value.amount && value.allocations.some(line => line.percentage !== undefined)) {
+    return helpers.message('Enter the amount before splitting it by percentage');
+  }
+
+  return { ...value, allocations: allocationService.resolve(value.allocations, value.amount || 0) };
+});
+
+const withdrawSchema = Joi.object({
+  reason: Joi.string().max(500).allow('').optional()
+});
+
+// Amount in the company base currency
+const convertToBaseCurrency = async (client, amount, currency, companyId) => {
+  const company = await client.query(
+    'SELECT base_currency FROM companies WHERE id = $1',
+    [companyId]
+  );
+  const baseCurrency = company.rows[0].base_currency;
+
+  let convertedAmount = amount;
+  if (currency !== baseCurrency) {
+    convertedAmount = await currencyService.convertCurrency(amount, currency, baseCurrency);
+  }
+
+  return { convertedAmount, baseCurrency };
+};
+
+// Amount of a draft. A mileage or per-diem draft is computed once all its inputs are there; until
+// then its amount stays open and the inputs given so far are kept. Returns { amount, currency, calculation }.
+const draftAmount = async (client, value, companyId) => {
+  if (value.expenseType === 'standard') {
+    return { amount: value.amount ?? null, currency: value.currency ?? null, calculation: null };
+  }
+
+  const inputs = (value.expenseType === 'mileage' ? value.mileage : value.perDiem) || {};
+  const { error, value: complete } = (value.expenseType === 'mileage' ? mileageSchema : perDiemSchema).validate(inputs);
+
+  if (!error) {
+    const computed = value.expenseType === 'mileage'
+      ? await allowanceService.mileage(client, companyId, complete)
+      : await allowanceService.perDiem(client, companyId, complete);
+
+    if (!computed.error) {
+      return computed;
+    }
+  }
+
+  return { amount: null, currency: null, calculation: inputs };
+};
+
+// The claim inputs kept in expenses.calculation, without what was computed from them
+const calculationInputs = (expenseType, calculation) => {
+  if (!calculation) {
+    return undefined;
+  }
+
+  const { vehicleType, distance, route, rateId, startDate, endDate } = calculation;
+
+  return expenseType === 'mileage'
+    ? { vehicleType, distance, route: route ?? undefined }
+    : { rateId, startDate, endDate };
+};
+
+// Picks the approval rule for a submitted expense and builds its workflow, or approves the
+// expense when no rule applies. Returns the rule, or null.
+const startApprovalWorkflow = async (client, expenseId, { convertedAmount, currency, categoryId, merchantName }, user) => {
+  const rule = await approvalService.getApplicableRule({
+    amount: convertedAmount,
+    currency,
+    categoryId,
+    employeeId: user.id,
+    merchantName
+  }, user.company_id);
+
+  if (rule) {
+    await client.query(
+      'UPDATE expenses SET approval_rule_id = $1 WHERE id = $2',
+      [rule.id, expenseId]
+    );
+
+    await approvalService.createApprovalWorkflow(expenseId, rule.id, client);
+  } else {
+    // No approval rule - auto approve small expenses
+    await expenseStateMachine.transition(client, expenseId, 'approved', {
+      userId: user.id,
+      reason: 'No approval rule applies'
+    });
+  }
+
+  return rule;
+};
+
 // Create expense
-router.post('/', authenticateToken, upload.single('receipt'), async (req, res) => {
+router.post('/', authenticateToken, uploadAttachments, async (req, res) => {
   try {
     const { error, value } = expenseSchema.validate(req.body);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { categoryId, amount, currency, description, expenseDate, merchantName } = value;
-    const receiptUrl = req.file ? `/uploads/receipts/${req.file.filename}` : null;
+    const { expenseType, categoryId, description, expenseDate, merchantName, reportId, allocations } = value;
 
     const client = await db.getClient();
     
     try {
       await client.query('BEGIN');
 
-      // Get company base currency
-      const company = await client.query(
-        'SELECT base_currency FROM companies WHERE id = $1',
-        [req.user.company_id]
-      );
-      const baseCurrency = company.rows[0].base_currency;
+      if (reportId) {
+        const report = await client.query(`
+          SELECT status, $3::date BETWEEN start_date AND end_date as in_range
+          FROM expense_reports
+          WHERE id = $1 AND employee_id = $2
+        `, [reportId, req.user.id, expenseDate]);
+
+        if (report.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'Expense report not found' });
+        }
+
+        if (report.rows[0].status !== 'draft') {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'Expenses cannot be added to a submitted report' });
+        }
+
+        if (!report.rows[0].in_range) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'The expense date must fall within the report dates' });
+        }
+      }
 
-      // Convert amount to base currency
-      let convertedAmount = amount;
-      if (currency !== baseCurrency) {
-        convertedAmount = await currencyService.convertCurrency(amount, currency, baseCurrency);
+      const computed = await allowanceService.calculate(client, req.user.company_id, value);
+
+      if (computed.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: computed.error });
       }
 
-      // Create expense
+      const { amount, currency, calculation } = computed;
+      const { convertedAmount, baseCurrency } = await convertToBaseCurrency(client, amount, currency, req.user.company_id);
+
+      // Create expense; report lines wait as drafts until the report is submitted
       const expenseResult = await client.query(`
         INSERT INTO expenses (employee_id, company_id, category_id, amount, currency, 
-                            converted_amount, description, expense_date, receipt_url, merchant_name)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                            converted_amount, description, expense_date, merchant_name,
+                            expense_type, calculation, report_id, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
         RETURNING id
       `, [req.user.id, req.user.company_id, categoryId, amount, currency, 
-          convertedAmount, description, expenseDate, receiptUrl, merchantName]);
+          convertedAmount, description, expenseDate, merchantName,
+          expenseType, calculation && JSON.stringify(calculation),
+          reportId || null, reportId ? 'draft' : 'submitted']);
 
       const expenseId = expenseResult.rows[0].id;
 
-      // Get applicable approval rule
-      const rule = await approvalService.getApplicableRule(convertedAmount, req.user.company_id);
-      
-      if (rule) {
-        // Update expense with approval rule
-        await client.query(
-          'UPDATE expenses SET approval_rule_id = $1 WHERE id = $2',
-          [rule.id, expenseId]
-        );
-
-        // Create approval workflow
-        await approvalService.createApprovalWorkflow(expenseId, rule.id);
-      } else {
-        // No approval rule - auto approve small expenses
-        await client.query(
-          'UPDATE expenses SET status = $1 WHERE id = $2',
-          ['approved', expenseId]
-        );
-      }
+      await allocationService.save(client, expenseId, allocations);
 
-      // Process OCR if receipt uploaded
-      if (req.file && ['.jpg', '.jpeg', '.png'].includes(path.extname(req.file.filename).toLowerCase())) {
-        const ocrResult = await ocrService.processReceipt(req.file.path);
-        
-        await client.query(`
-          INSERT INTO ocr_results (expense_id, extracted_amount, extracted_date, 
-                                 extracted_merchant, extracted_category, confidence_score, raw_text)
-          VALUES ($1, $2, $3, $4, $5, $6, $7)
-        `, [expenseId, ocrResult.amount, ocrResult.date, ocrResult.merchant, 
-            ocrResult.category, ocrResult.confidence, ocrResult.rawText]);
+      if (!reportId) {
+        await startApprovalWorkflow(client, expenseId, { convertedAmount, currency, categoryId, merchantName }, req.user);
       }
 
+      await attachmentService.save(client, expenseId, uploadedAttachments(req), req.user.id);
+
       await client.query('COMMIT');
 
       res.status(201).json({
-        message: 'Expense created successfully',
+        message: reportId ? 'Expense added to the report' : 'Expense created successfully',
         expenseId,
+        amount,
         convertedAmount,
         baseCurrency
       });
@@ -138,11 +319,71 @@ router.post('/', authenticateToken, upload.single('receipt'), async (req, res) =
     }
 
   } catch (error) {
+    if (error instanceof approvalService.NoApproverError) {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('Create expense error:', error);
     res.status(500).json({ error: 'Failed to create expense' });
   }
 });
 
+// Save a draft expense; no rule is picked and nobody is asked to approve until it is submitted
+router.post('/drafts', authenticateToken, uploadAttachments, async (req, res) => {
+  try {
+    const { error, value } = draftSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { expenseType, categoryId, description, expenseDate, merchantName, allocations } = value;
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const { amount, currency, calculation } = await draftAmount(client, value, req.user.company_id);
+
+      const { convertedAmount } = amount && currency
+        ? await convertToBaseCurrency(client, amount, currency, req.user.company_id)
+        : { convertedAmount: null };
+
+      const expenseResult = await client.query(`
+        INSERT INTO expenses (employee_id, company_id, category_id, amount, currency,
+                            converted_amount, description, expense_date, merchant_name,
+                            expense_type, calculation, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'draft')
+        RETURNING id
+      `, [req.user.id, req.user.company_id, categoryId ?? null, amount ?? null, currency ?? null,
+          convertedAmount, description ?? null, expenseDate ?? null, merchantName ?? null,
+          expenseType, calculation && JSON.stringify(calculation)]);
+
+      const expenseId = expenseResult.rows[0].id;
+
+      await allocationService.save(client, expenseId, allocations);
+      await attachmentService.save(client, expenseId, uploadedAttachments(req), req.user.id);
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: 'Draft saved',
+        expenseId
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Create draft expense error:', error);
+    res.status(500).json({ error: 'Failed to save draft' });
+  }
+});
+
 // Get expenses (with filtering and pagination)
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -161,6 +402,10 @@ router.get('/', authenticateToken, async (req, res) => {
     let params = [req.user.company_id];
     let paramCount = 1;
 
+    // Drafts are only visible to the employee writing them
+    whereClause += ` AND (e.status <> 'draft' OR e.employee_id = $${++paramCount})`;
+    params.push(req.user.id);
+
     // Role-based filtering
     if (req.user.role === 'employee') {
       whereClause += ` AND e.employee_id = $${++paramCount}`;
@@ -201,11 +446,14 @@ router.get('/', authenticateToken, async (req, res) => {
       SELECT e.*, 
              u.first_name, u.last_name, u.email,
              c.name as category_name,
-             co.base_currency
+             co.base_currency,
+             r.title as report_title,
+             (SELECT COUNT(*) FROM expense_allocations a WHERE a.expense_id = e.id) as allocation_count
       FROM expenses e
       JOIN users u ON e.employee_id = u.id
-      JOIN expense_categories c ON e.category_id = c.id
+      LEFT JOIN expense_categories c ON e.category_id = c.id
       JOIN companies co ON e.company_id = co.id
+      LEFT JOIN expense_reports r ON e.report_id = r.id
       ${whereClause}
       ORDER BY e.created_at DESC
       LIMIT $${++paramCount} OFFSET $${++paramCount}
@@ -251,32 +499,44 @@ router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
       SELECT e.*, 
              u.first_name, u.last_name, u.email,
              c.name as category_name,
-             co.base_currency,
-             ocr.extracted_amount, ocr.extracted_date, ocr.extracted_merchant, 
-             ocr.extracted_category, ocr.confidence_score
+             co.base_currency
       FROM expenses e
       JOIN users u ON e.employee_id = u.id
-      JOIN expense_categories c ON e.category_id = c.id
+      LEFT JOIN expense_categories c ON e.category_id = c.id
       JOIN companies co ON e.company_id = co.id
-      LEFT JOIN ocr_results ocr ON e.id = ocr.expense_id
       WHERE e.id = $1
     `, [id]);
 
-    if (result.rows.length === 0) {
+    if (result.rows.length === 0 || (result.rows[0].status === 'draft' && result.rows[0].employee_id !== req.user.id)) {
       return res.status(404).json({ error: 'Expense not found' });
     }
 
     // Get approval history
     const approvals = await db.query(`
-      SELECT ea.*, u.first_name, u.last_name, u.role
+      SELECT ea.*, u.first_name, u.last_name, u.role,
+             ab.first_name as acted_by_first_name, ab.last_name as acted_by_last_name
       FROM expense_approvals ea
       JOIN users u ON ea.approver_id = u.id
-      WHERE ea.expense_id = $1
-      ORDER BY ea.step_order ASC, ea.created_at ASC
+      LEFT JOIN users ab ON ea.acted_by = ab.id AND ea.acted_by <> ea.approver_id
+      -- Report lines are approved through the chain of their report
+      WHERE ea.expense_id = $1 OR ea.report_id = $2
+      ORDER BY ea.created_at ASC, ea.step_order ASC
+    `, [id, result.rows[0].report_id]);
+
+    const allocations = await db.query(`
+      SELECT a.*, c.name as category_name
+      FROM expense_allocations a
+      JOIN expense_categories c ON a.category_id = c.id
+      WHERE a.expense_id = $1
+      ORDER BY a.id
     `, [id]);
 
+    const attachments = await attachmentService.listForExpenses(db, [id]);
+
     const expense = result.rows[0];
     expense.approvals = approvals.rows;
+    expense.allocations = allocations.rows;
+    expense.attachments = attachments[expense.id] || [];
 
     res.json(expense);
 
@@ -286,19 +546,449 @@ router.get('/:id', authenticateToken, requireSameCompany, async (req, res) => {
   }
 });
 
-// Update expense (only by employee who created it, and only if pending)
-router.put('/:id', authenticateToken, requireSameCompany, async (req, res) => {
+// Update expense (only by employee who created it, and only while it is a draft, under review or returned for changes)
+router.put('/:id', authenticateToken, requireSameCompany, uploadAttachments, async (req, res) => {
   try {
     const { id } = req.params;
+
+    // Check if expense exists and is editable
+    const expense = await db.query(
+      `SELECT employee_id, status, approval_rule_id, category_id, report_id, amount, currency,
+              COALESCE(original_converted_amount, converted_amount) as converted_amount
+       FROM expenses WHERE id = $1`,
+      [id]
+    );
+
+    if (expense.rows.length === 0) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    if (expense.rows[0].employee_id !== req.user.id) {
+      return res.status(403).json({ error: 'Can only edit your own expenses' });
+    }
+
+    // Drafts are saved as they are and validated when submitted
+    if (expense.rows[0].status === 'draft' && !expense.rows[0].report_id) {
+      const { error, value } = draftSchema.validate(req.body);
+
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { expenseType, categoryId, description, expenseDate, merchantName, allocations } = value;
+
+      const { amount, currency, calculation } = await draftAmount(db, value, req.user.company_id);
+
+      const { convertedAmount } = amount && currency
+        ? await convertToBaseCurrency(db, amount, currency, req.user.company_id)
+        : { convertedAmount: null };
+
+      const client = await db.getClient();
+
+      try {
+        await client.query('BEGIN');
+
+        await client.query(`
+          UPDATE expenses
+          SET category_id = $1, amount = $2, currency = $3, converted_amount = $4, description = $5,
+              expense_date = $6, merchant_name = $7, expense_type = $8, calculation = $9,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $10
+        `, [categoryId ?? null, amount ?? null, currency ?? null, convertedAmount, description ?? null,
+            expenseDate ?? null, merchantName ?? null, expenseType, calculation && JSON.stringify(calculation), id]);
+
+        await allocationService.save(client, id, allocations);
+
+        // Files sent with a draft are added to the ones already attached
+        await attachmentService.save(client, id, uploadedAttachments(req), req.user.id);
+
+        await client.query('COMMIT');
+
+        return res.json({ message: 'Draft saved' });
+
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
     const { error, value } = expenseSchema.validate(req.body);
     
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    // Check if expense exists and is editable
+    // Lines of a report that is still a draft wait with the report; they get no workflow of their own
+    const isDraftReportLine = expense.rows[0].status === 'draft' && Boolean(expense.rows[0].report_id);
+
+    if (!isDraftReportLine && !expenseStateMachine.openStatuses.includes(expense.rows[0].status)) {
+      return res.status(400).json({ error: 'Can only edit expenses under review or returned for changes' });
+    }
+
+    // The workflow of a report line was picked for the report total
+    if (expense.rows[0].report_id && !isDraftReportLine) {
+      return res.status(400).json({ error: 'Expenses in a submitted report cannot be edited' });
+    }
+
+    const { expenseType, categoryId, description, expenseDate, merchantName, allocations = [] } = value;
+
+    const computed = await allowanceService.calculate(db, req.user.company_id, value);
+
+    if (computed.error) {
+      return res.status(400).json({ error: computed.error });
+    }
+
+    const { amount, currency, calculation } = computed;
+    const { convertedAmount } = await convertToBaseCurrency(db, amount, currency, req.user.company_id);
+
+    if (isDraftReportLine) {
+      const report = await db.query(
+        'SELECT $2::date BETWEEN start_date AND end_date as in_range FROM expense_reports WHERE id = $1',
+        [expense.rows[0].report_id, expenseDate]
+      );
+
+      if (!report.rows[0].in_range) {
+        return res.status(400).json({ error: 'The expense date must fall within the report dates' });
+      }
+    }
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        UPDATE expenses 
+        SET category_id = $1, amount = $2, currency = $3, converted_amount = $4, original_converted_amount = NULL,
+            description = $5, expense_date = $6, merchant_name = $7, expense_type = $8, calculation = $9,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $10
+      `, [categoryId, amount, currency, convertedAmount, description, expenseDate, merchantName,
+          expenseType, calculation && JSON.stringify(calculation), id]);
+
+      const previousAllocations = await client.query(
+        'SELECT category_id, amount FROM expense_allocations WHERE expense_id = $1 ORDER BY id',
+        [id]
+      );
+      await allocationService.save(client, id, allocations);
+
+      if (isDraftReportLine) {
+        await attachmentService.save(client, id, uploadedAttachments(req), req.user.id);
+        await client.query('COMMIT');
+
+        return res.json({ message: 'Expense updated successfully' });
+      }
+
+      const previous = expense.rows[0];
+      const rule = await approvalService.getApplicableRule({
+        amount: convertedAmount,
+        currency,
+        categoryId,
+        employeeId: req.user.id,
+        merchantName
+      }, req.user.company_id);
+
+      // Approvals given so far were for the old amount and category
+      const given = await client.query(
+        "SELECT COUNT(*) as count FROM expense_approvals WHERE expense_id = $1 AND status = 'approved'",
+        [id]
+      );
+      const ruleChanged = (rule ? rule.id : null) !== previous.approval_rule_id;
+      const allocationKey = (lines) => lines.map(line => `${line.categoryId}:${Number(line.amount).toFixed(2)}`).join(',');
+      // Amounts are compared as claimed: the base amount is converted again at today's rate and
+      // would count a rate change as an edit
+      const materialChange = Number(amount) !== Number(previous.amount) || currency !== previous.currency ||
+        categoryId !== previous.category_id ||
+        allocationKey(allocations) !== allocationKey(previousAllocations.rows.map(line => ({ categoryId: line.category_id, amount: line.amount })));
+
+      let message = 'Expense updated successfully';
+
+      if (ruleChanged || (materialChange && parseInt(given.rows[0].count) > 0)) {
+        const restart = await approvalService.restartWorkflow(client, id, rule, req.user.id, previous);
+        message = restart.ruleId
+          ? 'Expense updated and sent through approval again'
+          : 'Expense updated and approved automatically';
+      } else {
+        // Approvals still stand, and so does any amount reduction they made
+        await approvalService.applyApprovedAmount(client, id);
+
+        if (previous.status === 'changes_requested') {
+          // Saving an expense returned for changes resubmits it into the same workflow
+          await approvalService.resubmitWorkflow(client, id, req.user.id);
+          message = 'Expense updated and resubmitted successfully';
+        }
+      }
+
+      await client.query('COMMIT');
+
+      res.json({ message });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    if (error instanceof expenseStateMachine.InvalidTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    if (error instanceof approvalService.NoApproverError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Update expense error:', error);
+    res.status(500).json({ error: 'Failed to update expense' });
+  }
+});
+
+// Submit a draft: it is validated like a new expense and enters its approval workflow
+router.post('/:id/submit', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const expense = await client.query(
+        'SELECT * FROM expenses WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [id, req.user.company_id]
+      );
+
+      if (expense.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Expense not found' });
+      }
+
+      const draft = expense.rows[0];
+
+      if (draft.employee_id !== req.user.id) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ error: 'Can only submit your own expenses' });
+      }
+
+      if (draft.report_id) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Submit the expense report instead' });
+      }
+
+      if (draft.status !== 'draft') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Only drafts can be submitted' });
+      }
+
+      const allocations = await client.query(
+        'SELECT category_id, amount FROM expense_allocations WHERE expense_id = $1 ORDER BY id',
+        [id]
+      );
+
+      const inputs = calculationInputs(draft.expense_type, draft.calculation);
+      const isStandard = draft.expense_type === 'standard';
+
+      const { error, value } = expenseSchema.validate({
+        expenseType: draft.expense_type,
+        categoryId: draft.category_id ?? undefined,
+        amount: isStandard ? draft.amount ?? undefined : undefined,
+        currency: isStandard ? draft.currency ?? undefined : undefined,
+        description: draft.description ?? undefined,
+        expenseDate: draft.expense_date ?? undefined,
+        merchantName: draft.merchant_name ?? undefined,
+        mileage: draft.expense_type === 'mileage' ? inputs || {} : undefined,
+        perDiem: draft.expense_type === 'per_diem' ? inputs || {} : undefined,
+        allocations: allocations.rows.length > 0
+          ? allocations.rows.map(line => ({ categoryId: line.category_id, amount: line.amount }))
+          : undefined
+      });
+
+      if (error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { categoryId, merchantName } = value;
+
+      // Mileage and per-diem claims are computed with the rates in effect now
+      const computed = await allowanceService.calculate(client, req.user.company_id, value);
+
+      if (computed.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: computed.error });
+      }
+
+      const { amount, currency, calculation } = computed;
+
+      // Converted at today's rate rather than the one in effect when the draft was last saved
+      const { convertedAmount, baseCurrency } = await convertToBaseCurrency(client, amount, currency, req.user.company_id);
+
+      await client.query(`
+        UPDATE expenses
+        SET amount = $1, currency = $2, converted_amount = $3, calculation = $4, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+      `, [amount, currency, convertedAmount, calculation && JSON.stringify(calculation), id]);
+
+      await expenseStateMachine.transition(client, id, 'submitted', {
+        userId: req.user.id,
+        reason: 'Draft submitted'
+      });
+
+      const rule = await startApprovalWorkflow(client, id, { convertedAmount, currency, categoryId, merchantName }, req.user);
+
+      await client.query('COMMIT');
+
+      res.json({
+        message: rule ? 'Expense submitted for approval' : 'Expense approved automatically',
+        convertedAmount,
+        baseCurrency
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    if (error instanceof expenseStateMachine.InvalidTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    if (error instanceof approvalService.NoApproverError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Submit expense error:', error);
+    res.status(500).json({ error: 'Failed to submit expense' });
+  }
+});
+
+// The employee's own expense, if its attachments may still change (a draft, or under review).
+// Returns { expense } or { status, error }.
+const findAttachableExpense = async (client, expenseId, user) => {
+  const result = await client.query(
+    'SELECT id, employee_id, status FROM expenses WHERE id = $1 AND company_id = $2 FOR UPDATE',
+    [expenseId, user.company_id]
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Expense not found' };
+  }
+
+  if (result.rows[0].employee_id !== user.id) {
+    return { status: 403, error: 'Can only change the attachments of your own expenses' };
+  }
+
+  if (result.rows[0].status !== 'draft' && !expenseStateMachine.openStatuses.includes(result.rows[0].status)) {
+    return { status: 400, error: 'Attachments can only change while the expense is a draft or under review' };
+  }
+
+  return { expense: result.rows[0] };
+};
+
+// Attach more files to an expense
+router.post('/:id/attachments', authenticateToken, uploadAttachments, async (req, res) => {
+  try {
+    const uploads = uploadedAttachments(req);
+
+    if (uploads.length === 0) {
+      return res.status(400).json({ error: 'Attach at least one file' });
+    }
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const { expense, status, error: expenseError } = await findAttachableExpense(client, req.params.id, req.user);
+
+      if (expenseError) {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ error: expenseError });
+      }
+
+      await attachmentService.save(client, expense.id, uploads, req.user.id);
+
+      await client.query('COMMIT');
+
+      const attachments = await attachmentService.listForExpenses(db, [expense.id]);
+
+      res.status(201).json({
+        message: uploads.length === 1 ? 'Attachment added' : `${uploads.length} attachments added`,
+        attachments: attachments[expense.id] || []
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Add attachments error:', error);
+    res.status(500).json({ error: 'Failed to add attachments' });
+  }
+});
+
+// Remove an attachment and its OCR results
+router.delete('/:id/attachments/:attachmentId', authenticateToken, async (req, res) => {
+  try {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const { expense, status, error: expenseError } = await findAttachableExpense(client, req.params.id, req.user);
+
+      if (expenseError) {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ error: expenseError });
+      }
+
+      const removed = await attachmentService.remove(client, expense.id, req.params.attachmentId);
+
+      if (!removed) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+
+      await client.query('COMMIT');
+
+      attachmentService.deleteFile(removed.file_url);
+
+      res.json({ message: 'Attachment removed' });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Remove attachment error:', error);
+    res.status(500).json({ error: 'Failed to remove attachment' });
+  }
+});
+
+// Withdraw expense from approval (only by employee who created it, while still under review).
+// Unlike deleting, the expense and its approval trail are kept.
+router.post('/:id/withdraw', authenticateToken, requireSameCompany, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = withdrawSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
     const expense = await db.query(
-      'SELECT employee_id, status FROM expenses WHERE id = $1',
+      'SELECT employee_id, status, report_id FROM expenses WHERE id = $1',
       [id]
     );
 
@@ -307,49 +997,109 @@ router.put('/:id', authenticateToken, requireSameCompany, async (req, res) => {
     }
 
     if (expense.rows[0].employee_id !== req.user.id) {
-      return res.status(403).json({ error: 'Can only edit your own expenses' });
+      return res.status(403).json({ error: 'Can only withdraw your own expenses' });
     }
 
-    if (expense.rows[0].status !== 'pending') {
-      return res.status(400).json({ error: 'Can only edit pending expenses' });
+    if (expense.rows[0].report_id) {
+      return res.status(400).json({ error: 'Expenses in a report cannot be withdrawn individually' });
     }
 
-    const { categoryId, amount, currency, description, expenseDate, merchantName } = value;
+    if (!expenseStateMachine.openStatuses.includes(expense.rows[0].status)) {
+      return res.status(400).json({ error: 'Can only withdraw expenses under review or returned for changes' });
+    }
 
-    // Convert amount to base currency
-    const company = await db.query(
-      'SELECT base_currency FROM companies WHERE id = $1',
-      [req.user.company_id]
-    );
-    const baseCurrency = company.rows[0].base_currency;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
 
-    let convertedAmount = amount;
-    if (currency !== baseCurrency) {
-      convertedAmount = await currencyService.convertCurrency(amount, currency, baseCurrency);
+      const result = await approvalService.withdrawWorkflow(client, id, req.user.id, value.reason);
+
+      await client.query('COMMIT');
+
+      res.json({
+        message: 'Expense withdrawn successfully',
+        cancelledApprovals: result.cancelled,
+        notifiedApprovers: result.notified
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    if (error instanceof expenseStateMachine.InvalidTransitionError) {
+      return res.status(409).json({ error: error.message });
     }
 
-    await db.query(`
-      UPDATE expenses 
-      SET category_id = $1, amount = $2, currency = $3, converted_amount = $4,
-          description = $5, expense_date = $6, merchant_name = $7, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $8
-    `, [categoryId, amount, currency, convertedAmount, description, expenseDate, merchantName, id]);
+    console.error('Withdraw expense error:', error);
+    res.status(500).json({ error: 'Failed to withdraw expense' });
+  }
+});
+
+// Admin: Mark an approved expense as paid out
+router.post('/:id/paid', authenticateToken, requireRole(['admin']), requireSameCompany, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const expense = await client.query(
+        'SELECT employee_id FROM expenses WHERE id = $1 AND company_id = $2',
+        [id, req.user.company_id]
+      );
+
+      if (expense.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Expense not found' });
+      }
+
+      await expenseStateMachine.transition(client, id, 'paid', { userId: req.user.id });
+
+      await client.query(`
+        INSERT INTO notifications (user_id, expense_id, type, title, message)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        expense.rows[0].employee_id,
+        id,
+        'expense_paid',
+        'Expense paid',
+        'Your approved expense has been paid out'
+      ]);
 
-    res.json({ message: 'Expense updated successfully' });
+      await client.query('COMMIT');
+
+      res.json({ message: 'Expense marked as paid' });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
   } catch (error) {
-    console.error('Update expense error:', error);
-    res.status(500).json({ error: 'Failed to update expense' });
+    if (error instanceof expenseStateMachine.InvalidTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Mark expense paid error:', error);
+    res.status(500).json({ error: 'Failed to mark expense as paid' });
   }
 });
 
-// Delete expense (only by employee who created it, and only if pending)
+// Delete expense (only by employee who created it, and only while it is a draft or under review)
 router.delete('/:id', authenticateToken, requireSameCompany, async (req, res) => {
   try {
     const { id } = req.params;
 
     const expense = await db.query(
-      'SELECT employee_id, status FROM expenses WHERE id = $1',
+      'SELECT employee_id, status, report_id FROM expenses WHERE id = $1',
       [id]
     );
 
@@ -361,8 +1111,14 @@ router.delete('/:id', authenticateToken, requireSameCompany, async (req, res) =>
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    if (expense.rows[0].status !== 'pending' && req.user.role !== 'admin') {
-      return res.status(400).json({ error: 'Can only delete pending expenses' });
+    if (expense.rows[0].report_id && req.user.role !== 'admin') {
+      return res.status(400).json({ error: 'Remove the expense from its report instead' });
+    }
+
+    const deletable = expense.rows[0].status === 'draft' || expenseStateMachine.openStatuses.includes(expense.rows[0].status);
+
+    if (!deletable && req.user.role !== 'admin') {
+      return res.status(400).json({ error: 'Can only delete drafts or expenses under review' });
     }
 
     await db.query('DELETE FROM expenses WHERE id = $1', [id]);
@@ -0,0 +1,369 @@
+const express = require('express');
+const Joi = require('joi');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const approvalService = require('../services/approvalService');
+const expenseStateMachine = require('../services/expenseStateMachine');
+
+const router = express.Router();
+
+// Validation schemas
+const reportSchema = Joi.object({
+  title: Joi.string().min(2).max(255).required(),
+  purpose: Joi.string().max(1000).allow('').optional(),
+  startDate: Joi.date().required(),
+  endDate: Joi.date().min(Joi.ref('startDate')).required()
+});
+
+// Line counts by outcome; a submitted report is settled once it has no open lines
+const REPORT_SUMMARY_COLUMNS = `
+  COUNT(e.id) as line_count,
+  COALESCE(SUM(e.converted_amount), 0) as current_total,
+  COUNT(CASE WHEN e.status IN ('submitted', 'in_review', 'changes_requested') THEN 1 END) as open_lines,
+  COUNT(CASE WHEN e.status IN ('approved', 'paid') THEN 1 END) as approved_lines,
+  COUNT(CASE WHEN e.status = 'rejected' THEN 1 END) as rejected_lines
+`;
+
+// Overall state of a report, derived from its lines once it has been submitted
+const reportProgress = (report) => {
+  if (report.status === 'draft') {
+    return 'draft';
+  }
+
+  if (parseInt(report.open_lines) > 0) {
+    return 'in_review';
+  }
+
+  if (parseInt(report.rejected_lines) === 0) {
+    return 'approved';
+  }
+
+  return parseInt(report.approved_lines) > 0 ? 'partially_approved' : 'rejected';
+};
+
+// The employee's own draft report, locked for the rest of the transaction.
+// Returns { report } or { status, error }.
+const findDraftReport = async (client, reportId, user) => {
+  const result = await client.query(
+    'SELECT * FROM expense_reports WHERE id = $1 AND company_id = $2 FOR UPDATE',
+    [reportId, user.company_id]
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Expense report not found' };
+  }
+
+  if (result.rows[0].employee_id !== user.id) {
+    return { status: 403, error: 'Can only change your own expense reports' };
+  }
+
+  if (result.rows[0].status !== 'draft') {
+    return { status: 400, error: 'The expense report has already been submitted' };
+  }
+
+  return { report: result.rows[0] };
+};
+
+// Get the user's expense reports
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT r.*, co.base_currency, ${REPORT_SUMMARY_COLUMNS}
+      FROM expense_reports r
+      JOIN companies co ON r.company_id = co.id
+      LEFT JOIN expenses e ON e.report_id = r.id
+      WHERE r.employee_id = $1
+      GROUP BY r.id, co.base_currency
+      ORDER BY r.created_at DESC
+    `, [req.user.id]);
+
+    res.json(result.rows.map(report => ({ ...report, progress: reportProgress(report) })));
+
+  } catch (error) {
+    console.error('Get expense reports error:', error);
+    res.status(500).json({ error: 'Failed to fetch expense reports' });
+  }
+});
+
+// Create an expense report; expenses are added to it with POST /api/expenses and a reportId
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = reportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { title, purpose, startDate, endDate } = value;
+
+    const result = await db.query(`
+      INSERT INTO expense_reports (employee_id, company_id, title, purpose, start_date, end_date)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [req.user.id, req.user.company_id, title, purpose || null, startDate, endDate]);
+
+    res.status(201).json({
+      message: 'Expense report created successfully',
+      report: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Create expense report error:', error);
+    res.status(500).json({ error: 'Failed to create expense report' });
+  }
+});
+
+// Get a report with its lines (its owner, or an admin of the company)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT r.*, co.base_currency, u.first_name, u.last_name, ${REPORT_SUMMARY_COLUMNS}
+      FROM expense_reports r
+      JOIN companies co ON r.company_id = co.id
+      JOIN users u ON r.employee_id = u.id
+      LEFT JOIN expenses e ON e.report_id = r.id
+      WHERE r.id = $1 AND r.company_id = $2
+      GROUP BY r.id, co.base_currency, u.first_name, u.last_name
+    `, [req.params.id, req.user.company_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Expense report not found' });
+    }
+
+    const report = { ...result.rows[0], progress: reportProgress(result.rows[0]) };
+
+    if (report.employee_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const lines = await db.query(`
+      SELECT e.*, c.name as category_name,
+             -- A line is rejected on its own inside an approval of the report, or with the whole report
+             CASE WHEN e.status = 'rejected' THEN COALESCE(
+               (SELECT line->>'comments'
+                FROM expense_approvals ea, jsonb_array_elements(ea.rejected_lines) line
+                WHERE ea.report_id = e.report_id AND (line->>'expenseId')::int = e.id
+                ORDER BY ea.approved_at DESC
+                LIMIT 1),
+               (SELECT ea.comments FROM expense_approvals ea
+                WHERE ea.report_id = e.report_id AND ea.status = 'rejected'
+                ORDER BY ea.approved_at DESC
+                LIMIT 1)
+             ) END as rejection_comments
+      FROM expenses e
+      JOIN expense_categories c ON e.category_id = c.id
+      WHERE e.report_id = $1
+      ORDER BY e.expense_date ASC, e.id ASC
+    `, [report.id]);
+
+    report.lines = lines.rows;
+
+    res.json(report);
+
+  } catch (error) {
+    console.error('Get expense report error:', error);
+    res.status(500).json({ error: 'Failed to fetch expense report' });
+  }
+});
+
+// Update a report that has not been submitted yet
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = reportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { title, purpose, startDate, endDate } = value;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const { report, status, error: reportError } = await findDraftReport(client, req.params.id, req.user);
+
+      if (reportError) {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ error: reportError });
+      }
+
+      const outside = await client.query(`
+        SELECT COUNT(*) FROM expenses
+        WHERE report_id = $1 AND expense_date NOT BETWEEN $2::date AND $3::date
+      `, [report.id, startDate, endDate]);
+
+      if (parseInt(outside.rows[0].count) > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Some expenses in the report fall outside the new dates' });
+      }
+
+      const result = await client.query(`
+        UPDATE expense_reports
+        SET title = $1, purpose = $2, start_date = $3, end_date = $4, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+        RETURNING *
+      `, [title, purpose || null, startDate, endDate, report.id]);
+
+      await client.query('COMMIT');
+
+      res.json({
+        message: 'Expense report updated successfully',
+        report: result.rows[0]
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Update expense report error:', error);
+    res.status(500).json({ error: 'Failed to update expense report' });
+  }
+});
+
+// Delete a report that has not been submitted yet, together with its lines
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const { report, status, error: reportError } = await findDraftReport(client, req.params.id, req.user);
+
+      if (reportError) {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ error: reportError });
+      }
+
+      await client.query('DELETE FROM expense_reports WHERE id = $1', [report.id]);
+
+      await client.query('COMMIT');
+
+      res.json({ message: 'Expense report deleted successfully' });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Delete expense report error:', error);
+    res.status(500).json({ error: 'Failed to delete expense report' });
+  }
+});
+
+// Remove a line from a report that has not been submitted yet
+router.delete('/:id/lines/:expenseId', authenticateToken, async (req, res) => {
+  try {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const { report, status, error: reportError } = await findDraftReport(client, req.params.id, req.user);
+
+      if (reportError) {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ error: reportError });
+      }
+
+      const deleted = await client.query(
+        'DELETE FROM expenses WHERE id = $1 AND report_id = $2 RETURNING id',
+        [req.params.expenseId, report.id]
+      );
+
+      if (deleted.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Expense not found in this report' });
+      }
+
+      await client.query('COMMIT');
+
+      res.json({ message: 'Expense removed from the report' });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Remove report line error:', error);
+    res.status(500).json({ error: 'Failed to remove expense from the report' });
+  }
+});
+
+// Submit the report: the approval rule is picked on the report total and one approval chain decides the report
+router.post('/:id/submit', authenticateToken, async (req, res) => {
+  try {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const { report, status, error: reportError } = await findDraftReport(client, req.params.id, req.user);
+
+      if (reportError) {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ error: reportError });
+      }
+
+      const lines = await client.query(
+        'SELECT id, converted_amount, currency, category_id, merchant_name FROM expenses WHERE report_id = $1',
+        [report.id]
+      );
+
+      if (lines.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Add at least one expense before submitting the report' });
+      }
+
+      const total = lines.rows.reduce((sum, line) => sum + parseFloat(line.converted_amount), 0);
+      const rule = await approvalService.getApplicableReportRule(lines.rows, req.user.id, req.user.company_id);
+
+      // The total is in place before approvers are asked, as delegation limits are checked against it
+      await client.query(`
+        UPDATE expense_reports
+        SET status = 'submitted', approval_rule_id = $1, total_amount = $2,
+            submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [rule ? rule.id : null, total.toFixed(2), report.id]);
+
+      await approvalService.createReportWorkflow(client, report.id, rule, req.user.id);
+
+      await client.query('COMMIT');
+
+      res.json({
+        message: rule ? 'Expense report submitted for approval' : 'Expense report approved automatically',
+        ruleId: rule ? rule.id : null,
+        total: total.toFixed(2)
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    if (error instanceof expenseStateMachine.InvalidTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    if (error instanceof approvalService.NoApproverError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Submit expense report error:', error);
+    res.status(500).json({ error: 'Failed to submit expense report' });
+  }
+});
+
+module.exports = router;
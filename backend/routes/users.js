@@ -311,8 +311,8 @@ router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res
   }
 });
 
-// Get managers list (for assignment)
-router.get('/managers/list', authenticateToken, requireRole(['admin']), async (req, res) => {
+// Get managers list (for assignment and approval delegation)
+router.get('/managers/list', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
   try {
     const result = await db.query(`
       SELECT id, first_name, last_name, email
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const AUDIENCE = 'approval-action';
+
+// Another request used one of the approval row's links first
+class TokenUsedError extends Error {
+  constructor() {
+    super('This approval link has already been used');
+    this.name = 'TokenUsedError';
+  }
+}
+
+class ActionTokenService {
+  constructor() {
+    this.TokenUsedError = TokenUsedError;
+    this.secret = process.env.ACTION_TOKEN_SECRET || process.env.JWT_SECRET;
+    this.expiresHours = parseInt(process.env.ACTION_TOKEN_EXPIRES_HOURS) || 72;
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3001';
+  }
+
+  // Issues an approve and a reject token for a pending approval row and returns the links
+  // to embed in the approver's notification. Only the signed token id is stored.
+  async issueLinks(client, approvalId, approverId) {
+    const links = {};
+
+    for (const action of ['approved', 'rejected']) {
+      const tokenId = crypto.randomBytes(24).toString('hex');
+      const expiresAt = new Date(Date.now() + this.expiresHours * 60 * 60 * 1000);
+
+      await client.query(`
+        INSERT INTO approval_action_tokens (token_id, expense_approval_id, approver_id, action, expires_at)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [tokenId, approvalId, approverId, action, expiresAt]);
+
+      const token = jwt.sign(
+        { approvalId, approverId, action },
+        this.secret,
+        { audience: AUDIENCE, jwtid: tokenId, expiresIn: `${this.expiresHours}h` }
+      );
+
+      links[action === 'approved' ? 'approveUrl' : 'rejectUrl'] = `${this.frontendUrl}/approval-action/${token}`;
+    }
+
+    return links;
+  }
+
+  // Checks the signature and looks the token up. Returns { token } or { status, error }.
+  async verify(client, token) {
+    let payload;
+
+    try {
+      payload = jwt.verify(token, this.secret, { audience: AUDIENCE });
+    } catch (error) {
+      return error.name === 'TokenExpiredError'
+        ? { status: 410, error: 'This approval link has expired' }
+        : { status: 404, error: 'This approval link is invalid' };
+    }
+
+    const result = await client.query(`
+      SELECT id, token_id, expense_approval_id, approver_id, action, expires_at, used_at
+      FROM approval_action_tokens
+      WHERE token_id = $1 AND expense_approval_id = $2 AND approver_id = $3 AND action = $4
+    `, [payload.jti, payload.approvalId, payload.approverId, payload.action]);
+
+    if (result.rows.length === 0) {
+      return { status: 404, error: 'This approval link is invalid' };
+    }
+
+    const stored = result.rows[0];
+
+    if (stored.used_at) {
+      return { status: 410, error: 'This approval link has already been used' };
+    }
+
+    if (new Date(stored.expires_at) < new Date()) {
+      return { status: 410, error: 'This approval link has expired' };
+    }
+
+    return { token: stored };
+  }
+
+  // Burns every link issued for the approval row, so the approve and reject links die together.
+  // Returns false when another request used one of them first. Call it in the transaction that records
+  // the decision, so the links survive a decision that fails.
+  async consume(client, stored) {
+    const result = await client.query(`
+      UPDATE approval_action_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE expense_approval_id = $1 AND used_at IS NULL
+      RETURNING token_id
+    `, [stored.expense_approval_id]);
+
+    return result.rows.some(row => row.token_id === stored.token_id);
+  }
+}
+
+module.exports = new ActionTokenService();
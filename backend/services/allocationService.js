@@ -0,0 +1,36 @@
+class AllocationService {
+  // Allocation lines with their percentages turned into amounts of the total. Rounding differences of the
+  // percentage lines go to the last of them, so lines meant to cover the total add up to it exactly.
+  resolve(allocations, total) {
+    const totalCents = Math.round(total * 100);
+    const lines = allocations.map(line => ({
+      ...line,
+      cents: line.percentage !== undefined
+        ? Math.round(totalCents * line.percentage / 100)
+        : Math.round(line.amount * 100)
+    }));
+
+    const percentageLines = lines.filter(line => line.percentage !== undefined);
+    const remainder = totalCents - lines.reduce((sum, line) => sum + line.cents, 0);
+
+    if (percentageLines.length > 0 && Math.abs(remainder) <= percentageLines.length) {
+      percentageLines[percentageLines.length - 1].cents += remainder;
+    }
+
+    return lines.map(({ cents, ...line }) => ({ ...line, amount: cents / 100 }));
+  }
+
+  // Replaces the allocation lines of an expense with the given (resolved) ones
+  async save(client, expenseId, allocations = []) {
+    await client.query('DELETE FROM expense_allocations WHERE expense_id = $1', [expenseId]);
+
+    for (const line of allocations) {
+      await client.query(`
+        INSERT INTO expense_allocations (expense_id, category_id, amount, percentage, cost_center, project)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [expenseId, line.categoryId, line.amount, line.percentage ?? null, line.costCenter || null, line.project || null]);
+    }
+  }
+}
+
+module.exports = new AllocationService();
@@ -0,0 +1,92 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+const toCents = (amount) => Math.round(amount * 100);
+
+class AllowanceService {
+  constructor() {
+    this.vehicleTypes = ['car', 'motorcycle', 'bicycle', 'van'];
+  }
+
+  // Amount of an expense in its currency. Standard expenses keep what was entered; mileage and per-diem
+  // claims are computed from the company's rates, in its base currency.
+  // Returns { amount, currency, calculation } or { error }.
+  async calculate(client, companyId, { expenseType, amount, currency, mileage, perDiem }) {
+    if (expenseType === 'mileage') {
+      return this.mileage(client, companyId, mileage);
+    }
+
+    if (expenseType === 'per_diem') {
+      return this.perDiem(client, companyId, perDiem);
+    }
+
+    return { amount, currency, calculation: null };
+  }
+
+  // Distance times the company's rate for the vehicle
+  async mileage(client, companyId, { vehicleType, distance, route }) {
+    const result = await client.query(`
+      SELECT r.rate, co.mileage_unit, co.base_currency
+      FROM mileage_rates r
+      JOIN companies co ON r.company_id = co.id
+      WHERE r.company_id = $1 AND r.vehicle_type = $2
+    `, [companyId, vehicleType]);
+
+    if (result.rows.length === 0) {
+      return { error: `No mileage rate is set for ${vehicleType} journeys` };
+    }
+
+    const { rate, mileage_unit: unit, base_currency: currency } = result.rows[0];
+
+    return {
+      amount: toCents(distance * rate) / 100,
+      currency,
+      calculation: { vehicleType, distance, route: route || null, unit, rate: Number(rate) }
+    };
+  }
+
+  // Daily allowance for each day of the trip. The departure and return days are paid at the destination's
+  // partial-day percentage and the days between them in full; a same-day trip is one partial day.
+  async perDiem(client, companyId, { rateId, startDate, endDate }) {
+    const result = await client.query(`
+      SELECT r.destination, r.daily_allowance, r.partial_day_percentage, co.base_currency
+      FROM per_diem_rates r
+      JOIN companies co ON r.company_id = co.id
+      WHERE r.id = $1 AND r.company_id = $2
+    `, [rateId, companyId]);
+
+    if (result.rows.length === 0) {
+      return { error: 'Per-diem destination not found' };
+    }
+
+    const { destination, base_currency: currency } = result.rows[0];
+    const dailyAllowance = Number(result.rows[0].daily_allowance);
+    const partialDayPercentage = Number(result.rows[0].partial_day_percentage);
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    const days = Math.round((end - start) / DAY) + 1;
+    const partialDays = Math.min(days, 2);
+    const fullDays = days - partialDays;
+
+    const amountCents = fullDays * toCents(dailyAllowance) +
+      partialDays * Math.round(toCents(dailyAllowance) * partialDayPercentage / 100);
+
+    return {
+      amount: amountCents / 100,
+      currency,
+      calculation: {
+        rateId,
+        destination,
+        startDate: start.toISOString().split('T')[0],
+        endDate: end.toISOString().split('T')[0],
+        days,
+        fullDays,
+        partialDays,
+        dailyAllowance,
+        partialDayPercentage
+      }
+    };
+  }
+}
+
+module.exports = new AllowanceService();
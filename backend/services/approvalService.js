@@ -1,30 +1,283 @@
 const db = require('../config/database');
+const actionTokenService = require('./actionTokenService');
+const expenseStateMachine = require('./expenseStateMachine');
+
+// Rows kept only as history: a request for changes is reopened with a fresh row on resubmission,
+// and an edit that restarts the workflow invalidates everything decided so far
+const SUPERSEDED_STATUSES = "('changes_requested', 'invalidated')";
+
+// Sequential steps asking several people at once; they must keep at least one approver
+const POOL_STEP_ROLES = ['specific_users', 'group'];
+
+// A rule leaves a step, or the whole workflow, with nobody who may approve
+class NoApproverError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NoApproverError';
+  }
+}
+
+// The approval was decided by someone else (or by an earlier copy of the same request) after the
+// caller found it pending
+class AlreadyDecidedError extends Error {
+  constructor() {
+    super('This approval has already been decided');
+    this.name = 'AlreadyDecidedError';
+  }
+}
 
 class ApprovalService {
-  async getApplicableRule(expenseAmount, companyId) {
+  constructor() {
+    this.NoApproverError = NoApproverError;
+    this.AlreadyDecidedError = AlreadyDecidedError;
+  }
+
+  // expense: { amount (in base currency), currency, categoryId, employeeId, merchantName }
+  async getApplicableRule(expense, companyId) {
     try {
       const result = await db.query(`
-        SELECT * FROM approval_rules 
-        WHERE company_id = $1 
-        AND is_active = true 
+        SELECT * FROM approval_rules
+        WHERE company_id = $1
+        AND is_active = true
         AND (min_amount IS NULL OR $2 >= min_amount)
         AND (max_amount IS NULL OR $2 <= max_amount)
         ORDER BY min_amount DESC, sequence_order ASC
-        LIMIT 1
-      `, [companyId, expenseAmount]);
+      `, [companyId, expense.amount]);
+
+      const submitter = await db.query(
+        'SELECT role FROM users WHERE id = $1',
+        [expense.employeeId]
+      );
 
-      return result.rows[0] || null;
+      const context = { ...expense, submitterRole: submitter.rows[0]?.role };
+      const matching = result.rows.filter(rule => this.matchesConditions(rule.conditions, context));
+
+      // Rules with more conditions are more specific and win over generic amount-only rules
+      matching.sort((a, b) => this.countConditions(b.conditions) - this.countConditions(a.conditions));
+
+      return matching[0] || null;
     } catch (error) {
       console.error('Error getting applicable rule:', error);
       throw error;
     }
   }
 
-  async createApprovalWorkflow(expenseId, ruleId) {
-    const client = await db.getClient();
+  // A report is routed as one submission: the rule is picked on its total, and on category,
+  // currency and merchant only where every line agrees
+  async getApplicableReportRule(lines, employeeId, companyId) {
+    const shared = field => (new Set(lines.map(line => line[field])).size === 1 ? lines[0][field] : null);
+    const total = lines.reduce((sum, line) => sum + parseFloat(line.converted_amount), 0);
+
+    return this.getApplicableRule({
+      amount: Math.round(total * 100) / 100,
+      currency: shared('currency'),
+      categoryId: shared('category_id'),
+      employeeId,
+      merchantName: shared('merchant_name')
+    }, companyId);
+  }
+
+  matchesConditions(conditions, context) {
+    const {
+      categoryIds = [], submitterRoles = [], employeeIds = [], merchantPattern, currencies = []
+    } = conditions || {};
+
+    if (categoryIds.length > 0 && !categoryIds.includes(Number(context.categoryId))) {
+      return false;
+    }
+
+    if (submitterRoles.length > 0 && !submitterRoles.includes(context.submitterRole)) {
+      return false;
+    }
+
+    if (employeeIds.length > 0 && !employeeIds.includes(Number(context.employeeId))) {
+      return false;
+    }
+
+    if (merchantPattern && !this.merchantPatternToRegex(merchantPattern).test(context.merchantName || '')) {
+      return false;
+    }
+
+    if (currencies.length > 0 && !currencies.includes(context.currency)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  countConditions(conditions) {
+    const { categoryIds = [], submitterRoles = [], employeeIds = [], merchantPattern, currencies = [] } = conditions || {};
+
+    return [categoryIds.length, submitterRoles.length, employeeIds.length, merchantPattern, currencies.length]
+      .filter(Boolean).length;
+  }
+
+  // Merchant patterns are case-insensitive globs where * matches any run of characters
+  merchantPatternToRegex(pattern) {
+    const escaped = pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`, 'i');
+  }
+
+  // Snapshots the rule and its steps as the next version; call after every change to a rule
+  async recordRuleVersion(client, ruleId, userId) {
+    const rule = await client.query(`
+      SELECT name, rule_type, min_amount, max_amount, percentage_required, specific_approver_id,
+             approver_group_id, sequence_order, conditions, sla_hours, distinct_step_approvers, is_active
+      FROM approval_rules WHERE id = $1
+    `, [ruleId]);
+
+    const steps = await client.query(`
+      SELECT step_order, approver_role, approver_id, approver_ids, approver_group_id, manager_level,
+             quorum_type, quorum_count, is_required, timeout_hours
+      FROM approval_rule_steps WHERE rule_id = $1
+      ORDER BY step_order ASC
+    `, [ruleId]);
+
+    const version = await client.query(`
+      INSERT INTO approval_rule_versions (rule_id, version, snapshot, created_by)
+      SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3
+      FROM approval_rule_versions WHERE rule_id = $1
+      RETURNING version
+    `, [ruleId, JSON.stringify({ ...rule.rows[0], steps: steps.rows }), userId]);
+
+    await client.query(
+      'UPDATE approval_rules SET current_version = $1 WHERE id = $2',
+      [version.rows[0].version, ruleId]
+    );
+
+    return version.rows[0].version;
+  }
+
+  // The rule as it was when the expense's workflow was built; expenses from before
+  // versioning fall back to the live rule
+  async getPinnedRule(client, expenseId) {
+    const result = await client.query(`
+      SELECT arv.snapshot, ar.*
+      FROM expenses e
+      JOIN approval_rules ar ON e.approval_rule_id = ar.id
+      LEFT JOIN approval_rule_versions arv ON e.approval_rule_version_id = arv.id
+      WHERE e.id = $1
+    `, [expenseId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const { snapshot, ...rule } = result.rows[0];
+    return snapshot ? { ...rule, ...snapshot } : rule;
+  }
+
+  // The rule version an expense report's approval chain was built from
+  async getPinnedReportRule(client, reportId) {
+    const result = await client.query(`
+      SELECT arv.snapshot, ar.*
+      FROM expense_reports r
+      JOIN approval_rules ar ON r.approval_rule_id = ar.id
+      LEFT JOIN approval_rule_versions arv ON r.approval_rule_version_id = arv.id
+      WHERE r.id = $1
+    `, [reportId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const { snapshot, ...rule } = result.rows[0];
+    return snapshot ? { ...rule, ...snapshot } : rule;
+  }
+
+  diffRuleVersions(previous, current) {
+    const fields = [
+      'name', 'rule_type', 'min_amount', 'max_amount', 'percentage_required', 'specific_approver_id',
+      'approver_group_id', 'sequence_order', 'conditions', 'sla_hours', 'distinct_step_approvers',
+      'is_active', 'steps'
+    ];
+
+    return fields
+      .filter(field => JSON.stringify(previous[field] ?? null) !== JSON.stringify(current[field] ?? null))
+      .map(field => ({ field, from: previous[field] ?? null, to: current[field] ?? null }));
+  }
+
+  // Dry run of getApplicableRule + createApprovalWorkflow for a hypothetical expense:
+  // resolves who would be asked at each step without writing to expense_approvals
+  async simulateWorkflow(expense, companyId) {
+    const rule = await this.getApplicableRule(expense, companyId);
+
+    if (!rule) {
+      return {
+        rule: null,
+        steps: [],
+        completion: {
+          type: 'auto_approved',
+          description: 'No rule matches, so the expense is approved automatically'
+        }
+      };
+    }
+
+    const plan = await this.planApprovals(db, rule, expense.employeeId, companyId);
+
+    const approverIds = [...new Set(plan.flatMap(step => step.approvers.map(approver => approver.approverId)))];
+    const substitutedIds = plan.flatMap(step => step.approvers.map(approver => approver.substitutedFor));
+    const users = await db.query(
+      'SELECT id, first_name, last_name, email, role, is_active FROM users WHERE id = ANY($1::int[])',
+      [[...approverIds, ...substitutedIds.filter(Boolean)]]
+    );
+    const findUser = id => users.rows.find(user => user.id === id) || null;
+
+    const approverCount = approverIds.length;
+    const resolvedSteps = plan.map(({ approvers, ...step }) => ({
+      ...step,
+      // Sequential steps without a resolvable approver are left out of the real workflow
+      unresolved: approvers.length === 0,
+      approvers: approvers.map(approver => ({
+        ...findUser(approver.approverId),
+        substituted_for: findUser(approver.substitutedFor),
+        substitution_reason: approver.reason
+      }))
+    }));
+
+    return {
+      rule,
+      steps: resolvedSteps,
+      completion: this.describeCompletion(rule, approverCount)
+    };
+  }
+
+  describeCompletion(rule, approverCount) {
+    switch (rule.rule_type) {
+      case 'sequential':
+        return {
+          type: 'all_required_steps',
+          description: 'Every required step must approve in order; a rejection by a required approver rejects the expense'
+        };
+      case 'percentage':
+        return {
+          type: 'percentage',
+          percentageRequired: rule.percentage_required,
+          description: `${rule.percentage_required}% of the ${approverCount} approvers must approve`
+        };
+      case 'specific_approver':
+        return {
+          type: 'specific_approver',
+          description: 'The specific approver decides alone'
+        };
+      default:
+        return {
+          type: 'hybrid',
+          percentageRequired: rule.percentage_required,
+          description: `Approved once ${rule.percentage_required}% of approvers or the specific approver approve`
+        };
+    }
+  }
+
+  // Pass the caller's client to build the workflow inside its open transaction
+  // (e.g. right after inserting the expense); otherwise a new transaction is used.
+  async createApprovalWorkflow(expenseId, ruleId, existingClient = null) {
+    const client = existingClient || await db.getClient();
     
     try {
-      await client.query('BEGIN');
+      if (!existingClient) {
+        await client.query('BEGIN');
+      }
 
       const rule = await client.query(
         'SELECT * FROM approval_rules WHERE id = $1',
@@ -37,17 +290,202 @@ class ApprovalService {
 
       const approvalRule = rule.rows[0];
 
+      // Pin the expense to the version in force now, so later rule edits don't change its outcome
+      await client.query(`
+        UPDATE expenses
+        SET approval_rule_version_id = (
+          SELECT id FROM approval_rule_versions WHERE rule_id = $1 AND version = $2
+        )
+        WHERE id = $3
+      `, [ruleId, approvalRule.current_version, expenseId]);
+
+      const expense = await client.query(
+        'SELECT employee_id, company_id FROM expenses WHERE id = $1',
+        [expenseId]
+      );
+
+      const plan = await this.planApprovals(
+        client, approvalRule, expense.rows[0].employee_id, expense.rows[0].company_id
+      );
+
+      this.assertStaffed(plan);
+
+      // Sequential steps start out waiting and are opened one at a time; other rules ask everyone at once
+      const initialStatus = approvalRule.rule_type === 'sequential' ? 'waiting' : 'pending';
+
+      for (const step of plan) {
+        for (const approver of step.approvers) {
+          await client.query(`
+            INSERT INTO expense_approvals (expense_id, approver_id, step_order, status, is_required, timeout_hours,
+                                           quorum, substituted_for, substitution_reason)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          `, [expenseId, approver.approverId, step.stepOrder, initialStatus, step.isRequired, step.timeoutHours,
+              step.quorum, approver.substitutedFor, approver.reason]);
+        }
+      }
+
       if (approvalRule.rule_type === 'sequential') {
-        await this.createSequentialApprovals(client, expenseId, ruleId);
-      } else if (approvalRule.rule_type === 'percentage') {
-        await this.createPercentageApprovals(client, expenseId, ruleId);
-      } else if (approvalRule.rule_type === 'specific_approver') {
-        await this.createSpecificApproverApproval(client, expenseId, approvalRule.specific_approver_id);
-      } else if (approvalRule.rule_type === 'hybrid') {
-        await this.createHybridApprovals(client, expenseId, ruleId);
+        await this.activateNextStep(client, expenseId);
+      }
+
+      // Sequential steps notify approvers and delegates as each step is activated
+      if (approvalRule.rule_type !== 'sequential') {
+        const pending = await client.query(
+          "SELECT id, approver_id FROM expense_approvals WHERE expense_id = $1 AND status = 'pending'",
+          [expenseId]
+        );
+
+        for (const approval of pending.rows) {
+          await this.requestDecision(
+            client, expenseId, approval, 'approval_request', 'Expense awaiting your approval',
+            'An expense is waiting for your decision'
+          );
+        }
+
+        await this.notifyDelegates(client, expenseId, pending.rows.map(approval => approval.approver_id));
+      }
+
+      if (!existingClient) {
+        await client.query('COMMIT');
+      }
+    } catch (error) {
+      if (!existingClient) {
+        await client.query('ROLLBACK');
       }
+      throw error;
+    } finally {
+      if (!existingClient) {
+        client.release();
+      }
+    }
+  }
+
+  // Submits every draft line of a report and builds one approval chain for the whole report from the
+  // rule picked on its total. Approvers decide the report once per step and may reject single lines
+  // as part of that decision; without a rule every line is approved.
+  async createReportWorkflow(client, reportId, rule, userId) {
+    const report = await client.query(
+      'SELECT id, title, employee_id, company_id FROM expense_reports WHERE id = $1',
+      [reportId]
+    );
+
+    const lines = await client.query(
+      "SELECT id FROM expenses WHERE report_id = $1 AND status = 'draft' ORDER BY expense_date, id",
+      [reportId]
+    );
+
+    for (const line of lines.rows) {
+      await client.query(
+        'UPDATE expenses SET approval_rule_id = $1 WHERE id = $2',
+        [rule ? rule.id : null, line.id]
+      );
+
+      await expenseStateMachine.transition(client, line.id, 'submitted', {
+        userId,
+        reason: 'Submitted with its expense report',
+        details: { reportId }
+      });
+
+      if (!rule) {
+        await expenseStateMachine.transition(client, line.id, 'approved', {
+          userId,
+          reason: 'No approval rule applies to the report'
+        });
+      }
+    }
+
+    if (!rule) {
+      return lines.rows.length;
+    }
+
+    // Pin the report to the version in force now, so later rule edits don't change its outcome
+    await client.query(`
+      UPDATE expense_reports
+      SET approval_rule_id = $1, approval_rule_version_id = (
+        SELECT id FROM approval_rule_versions WHERE rule_id = $1 AND version = $2
+      )
+      WHERE id = $3
+    `, [rule.id, rule.current_version, reportId]);
+
+    const { employee_id: employeeId, company_id: companyId } = report.rows[0];
+    const plan = await this.planApprovals(client, rule, employeeId, companyId);
+
+    this.assertStaffed(plan);
+
+    const initialStatus = rule.rule_type === 'sequential' ? 'waiting' : 'pending';
+
+    for (const step of plan) {
+      for (const approver of step.approvers) {
+        await client.query(`
+          INSERT INTO expense_approvals (report_id, approver_id, step_order, status, is_required, timeout_hours,
+                                         quorum, substituted_for, substitution_reason)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [reportId, approver.approverId, step.stepOrder, initialStatus, step.isRequired, step.timeoutHours,
+            step.quorum, approver.substitutedFor, approver.reason]);
+      }
+    }
+
+    const asked = rule.rule_type === 'sequential'
+      ? await this.openNextStep(client, 'report_id', reportId)
+      : (await client.query(
+        "SELECT id, approver_id, step_order FROM expense_approvals WHERE report_id = $1 AND status = 'pending'",
+        [reportId]
+      )).rows;
+
+    await this.requestReportDecisions(client, report.rows[0], asked);
+
+    return lines.rows.length;
+  }
+
+  // Records approverId's decision on the report. rejectedLines ([{ expenseId, comments }]) are rejected
+  // straight away when the report is approved by a required approver; the other open lines follow the
+  // report once its chain completes. Options: auditDetails adds to the audit entry's new_values.
+  async processReportApproval(reportId, approverId, action, comments, actedBy = approverId, options = {}) {
+    const { rejectedLines = [], auditDetails = {} } = options;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query('SELECT id FROM expense_reports WHERE id = $1 FOR UPDATE', [reportId]);
+
+      const updated = await client.query(`
+        UPDATE expense_approvals
+        SET status = $1, comments = $2, approved_at = CURRENT_TIMESTAMP, acted_by = $5, rejected_lines = $6
+        WHERE report_id = $3 AND approver_id = $4 AND status = 'pending'
+        RETURNING is_required
+      `, [action, comments, reportId, approverId, actedBy, rejectedLines.length > 0 ? JSON.stringify(rejectedLines) : null]);
+
+      if (updated.rows.length === 0) {
+        throw new AlreadyDecidedError();
+      }
+
+      const isRequired = updated.rows.some(approval => approval.is_required);
+
+      // Rejections of optional (advisory) approvers are recorded on their row only
+      if (isRequired) {
+        for (const line of rejectedLines) {
+          await expenseStateMachine.transition(client, line.expenseId, 'rejected', {
+            userId: actedBy,
+            reason: line.comments,
+            details: { reportId }
+          });
+        }
+      }
+
+      const outcome = await this.advanceReportWorkflow(client, reportId, action, isRequired, actedBy, comments);
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, new_values)
+        VALUES ($1, $2, $3)
+      `, [
+        actedBy,
+        'report_approval_decision',
+        JSON.stringify({ reportId, decision: action, comments, approverId, rejectedLines, ...auditDetails, outcome })
+      ]);
 
       await client.query('COMMIT');
+      return outcome;
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
@@ -56,127 +494,540 @@ class ApprovalService {
     }
   }
 
-  async createSequentialApprovals(client, expenseId, ruleId) {
+  // Settles the open lines of a report if the latest decision completes its chain, otherwise puts them
+  // in review and opens the next step. userId is who decided, or null for the system.
+  async advanceReportWorkflow(client, reportId, action, isRequired = true, userId = null, comments = null) {
+    await this.closeSettledSteps(client, reportId, 'report_id');
+
+    const openLines = await client.query(`
+      SELECT id FROM expenses
+      WHERE report_id = $1 AND status IN ('submitted', 'in_review')
+      ORDER BY expense_date, id
+    `, [reportId]);
+
+    // Every line may have been rejected on its own already
+    if (openLines.rows.length === 0) {
+      await this.notifyReportSettled(client, reportId);
+      return { update: true, status: 'rejected' };
+    }
+
+    const approvalRule = await this.getPinnedReportRule(client, reportId);
+    const rows = await this.getWorkflowRows(client, 'report_id', reportId);
+    const outcome = this.evaluateWorkflow(approvalRule, rows, action, isRequired);
+
+    for (const line of openLines.rows) {
+      await expenseStateMachine.transition(client, line.id, outcome.update ? outcome.status : 'in_review', {
+        userId,
+        reason: outcome.update
+          ? (outcome.status === 'rejected' && comments) || 'Expense report approval workflow completed'
+          : `Expense report approval ${action}`,
+        details: { reportId }
+      });
+    }
+
+    if (outcome.update) {
+      await this.notifyReportSettled(client, reportId);
+    } else {
+      const report = await client.query('SELECT id, title FROM expense_reports WHERE id = $1', [reportId]);
+      const activated = await this.openNextStep(client, 'report_id', reportId);
+
+      await this.requestReportDecisions(client, report.rows[0], activated);
+    }
+
+    return outcome;
+  }
+
+  // Works out who is asked at each step of `rule` for an expense submitted by employeeId.
+  // Shared by createApprovalWorkflow and simulateWorkflow so the dry run matches reality.
+  async planApprovals(client, rule, employeeId, companyId) {
+    const managerChain = await this.getManagerChain(client, employeeId);
+    const context = { employeeId, companyId, managerChain, earlierApproverIds: new Set() };
+
+    if (rule.rule_type !== 'sequential') {
+      const pool = rule.rule_type === 'specific_approver'
+        ? []
+        : await this.getPercentageApproverIds(client, companyId, rule.approver_group_id);
+      const approvers = await this.excludeConflictedApprovers(client, pool, context, true);
+
+      if (['specific_approver', 'hybrid'].includes(rule.rule_type) && rule.specific_approver_id) {
+        approvers.push(...await this.excludeConflictedApprovers(
+          client, [rule.specific_approver_id], context, false, approvers.map(approver => approver.approverId)
+        ));
+      }
+
+      return [{
+        stepOrder: 1, approverRole: rule.rule_type, isRequired: true, timeoutHours: null, quorum: null,
+        approvers: await this.fillEmptyStep(client, approvers, context)
+      }];
+    }
+
     const steps = await client.query(`
       SELECT * FROM approval_rule_steps 
       WHERE rule_id = $1 
       ORDER BY step_order ASC
-    `, [ruleId]);
+    `, [rule.id]);
+
+    const plan = [];
 
     for (const step of steps.rows) {
-      let approverId = step.approver_id;
+      const candidates = await this.resolveStepApprovers(client, step, managerChain);
+      const isPool = POOL_STEP_ROLES.includes(step.approver_role);
+      const eligible = await this.excludeConflictedApprovers(client, candidates, context, isPool);
+      const approvers = isPool ? await this.fillEmptyStep(client, eligible, context) : eligible;
 
-      if (step.approver_role === 'manager') {
-        // Get employee's manager
-        const expense = await client.query(
-          'SELECT employee_id FROM expenses WHERE id = $1',
-          [expenseId]
-        );
-        
-        const manager = await client.query(
-          'SELECT manager_id FROM users WHERE id = $1',
-          [expense.rows[0].employee_id]
-        );
-        
-        approverId = manager.rows[0]?.manager_id;
+      plan.push({
+        stepOrder: step.step_order,
+        approverRole: step.approver_role,
+        isRequired: step.is_required !== false,
+        timeoutHours: step.timeout_hours,
+        quorum: this.getStepQuorum(step, approvers.length),
+        approvers
+      });
+
+      if (rule.distinct_step_approvers) {
+        approvers.forEach(approver => context.earlierApproverIds.add(approver.approverId));
       }
+    }
 
-      if (approverId) {
-        await client.query(`
-          INSERT INTO expense_approvals (expense_id, approver_id, step_order, status)
-          VALUES ($1, $2, $3, 'pending')
-        `, [expenseId, approverId, step.step_order]);
+    return plan;
+  }
+
+  // Keeps the submitter, and approvers of earlier steps when the rule asks for distinct approvers,
+  // out of a step. Pools simply lose the conflicted member; a lone approver is substituted.
+  async excludeConflictedApprovers(client, approverIds, context, isPool, taken = []) {
+    const approvers = [];
+
+    for (const approverId of approverIds) {
+      const reason = this.getConflictReason(approverId, context);
+
+      if (!reason) {
+        approvers.push({ approverId, substitutedFor: null, reason: null });
+      } else if (!isPool) {
+        const substituteId = await this.findSubstituteApprover(
+          client, approverId, context, [...taken, ...approverIds, ...approvers.map(approver => approver.approverId)]
+        );
+
+        if (substituteId) {
+          approvers.push({ approverId: substituteId, substitutedFor: approverId, reason });
+        }
       }
     }
+
+    return approvers;
   }
 
-  async createPercentageApprovals(client, expenseId, ruleId) {
-    const rule = await client.query(
-      'SELECT percentage_required FROM approval_rules WHERE id = $1',
-      [ruleId]
-    );
+  getConflictReason(approverId, { employeeId, earlierApproverIds }) {
+    if (approverId === employeeId) {
+      return 'self_approval';
+    }
 
-    // Get all managers and admins in the company
-    const expense = await client.query(
-      'SELECT company_id FROM expenses WHERE id = $1',
-      [expenseId]
-    );
+    if (earlierApproverIds.has(approverId)) {
+      return 'earlier_step';
+    }
 
-    const approvers = await client.query(`
-      SELECT id FROM users 
-      WHERE company_id = $1 
-      AND role IN ('manager', 'admin') 
-      AND is_active = true
-    `, [expense.rows[0].company_id]);
+    return null;
+  }
+
+  // A step whose approvers were all excluded (or that had none) goes to the submitter's nearest
+  // eligible manager, else an admin; it stays empty only when nobody at all qualifies
+  async fillEmptyStep(client, approvers, context) {
+    if (approvers.length > 0) {
+      return approvers;
+    }
+
+    const substituteId = await this.findSubstituteApprover(client, null, context, []);
+
+    return substituteId ? [{ approverId: substituteId, substitutedFor: null, reason: 'no_eligible_approver' }] : [];
+  }
+
+  // Sequential steps that cannot be resolved from the hierarchy are left out of the workflow, but a pool
+  // step without approvers, or a workflow without any, would leave the expense waiting on nobody
+  assertStaffed(plan) {
+    const emptyPool = plan.find(step => POOL_STEP_ROLES.includes(step.approverRole) && step.approvers.length === 0);
 
-    // Create approval entries for all potential approvers
-    for (let i = 0; i < approvers.rows.length; i++) {
+    if (emptyPool) {
+      throw new NoApproverError(
+        `Nobody is left who may approve step ${emptyPool.stepOrder} of the approval rule; ask an administrator to update it`
+      );
+    }
+
+    if (plan.every(step => step.approvers.length === 0)) {
+      throw new NoApproverError('Nobody is left who may approve this expense under its approval rule; ask an administrator to update it');
+    }
+  }
+
+  // The next active manager above the conflicted approver in the submitter's chain (from the submitter's
+  // own manager when approverId is null), else any active admin of the company, who has no conflict and
+  // is not already on the step
+  async findSubstituteApprover(client, approverId, context, taken) {
+    const isEligible = id => !taken.includes(id) && !this.getConflictReason(id, context);
+
+    const chainIndex = context.managerChain.findIndex(manager => manager.id === approverId);
+    const manager = context.managerChain
+      .slice(chainIndex + 1)
+      .find(candidate => candidate.is_active && isEligible(candidate.id));
+
+    if (manager) {
+      return manager.id;
+    }
+
+    const admins = await client.query(`
+      SELECT id FROM users
+      WHERE company_id = $1 AND role = 'admin' AND is_active = true
+      ORDER BY id
+    `, [context.companyId]);
+
+    return admins.rows.map(admin => admin.id).find(isEligible) || null;
+  }
+
+  // Opens the lowest waiting step of an expense (ownerColumn 'expense_id') or expense report ('report_id')
+  // once no approval of the current step is still pending. Returns the approvals opened.
+  async openNextStep(client, ownerColumn, ownerId) {
+    const pending = await client.query(`
+      SELECT COUNT(*) FROM expense_approvals
+      WHERE ${ownerColumn} = $1 AND status = 'pending'
+    `, [ownerId]);
+
+    if (parseInt(pending.rows[0].count) > 0) {
+      return [];
+    }
+
+    const activated = await client.query(`
+      UPDATE expense_approvals
+      SET status = 'pending', activated_at = CURRENT_TIMESTAMP
+      WHERE ${ownerColumn} = $1
+      AND status = 'waiting'
+      AND step_order = (
+        SELECT MIN(step_order) FROM expense_approvals
+        WHERE ${ownerColumn} = $1 AND status = 'waiting'
+      )
+      RETURNING id, approver_id, step_order
+    `, [ownerId]);
+
+    return activated.rows;
+  }
+
+  async activateNextStep(client, expenseId) {
+    const activated = await this.openNextStep(client, 'expense_id', expenseId);
+
+    for (const approval of activated) {
+      await this.requestDecision(
+        client, expenseId, approval, 'approval_request', 'Expense awaiting your approval',
+        `An expense has reached approval step ${approval.step_order} and is waiting for your decision`
+      );
+    }
+
+    await this.notifyDelegates(client, expenseId, activated.map(approval => approval.approver_id));
+
+    return activated;
+  }
+
+  // Notifies an approver whose decision is needed, attaching one-time approve/reject links for the email
+  async requestDecision(client, expenseId, approval, type, title, message) {
+    const links = await actionTokenService.issueLinks(client, approval.id, approval.approver_id);
+
+    await client.query(`
+      INSERT INTO notifications (user_id, expense_id, type, title, message, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [approval.approver_id, expenseId, type, title, message, JSON.stringify(links)]);
+  }
+
+  // Reports are decided from the report page, with per-line rejections, so their approvers get no
+  // one-click email links
+  async requestReportDecision(client, report, approval) {
+    await client.query(`
+      INSERT INTO notifications (user_id, type, title, message, metadata)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      approval.approver_id,
+      'report_approval_request',
+      'Expense report awaiting your approval',
+      approval.step_order > 1
+        ? `The expense report "${report.title}" has reached approval step ${approval.step_order} and is waiting for your decision`
+        : `The expense report "${report.title}" is waiting for your decision`,
+      JSON.stringify({ reportId: report.id })
+    ]);
+  }
+
+  // Asks the approvers just opened on a report, and their out-of-office delegates, for a decision
+  async requestReportDecisions(client, report, approvals) {
+    for (const approval of approvals) {
+      await this.requestReportDecision(client, report, approval);
+    }
+
+    if (approvals.length === 0) {
+      return;
+    }
+
+    const delegations = await client.query(`
+      SELECT ad.delegate_id, u.first_name, u.last_name
+      FROM approval_delegations ad
+      JOIN users u ON ad.delegator_id = u.id
+      JOIN expense_reports r ON r.id = $1
+      WHERE ad.delegator_id = ANY($2::int[])
+      AND ad.is_active = true
+      AND CURRENT_DATE BETWEEN ad.start_date AND ad.end_date
+      AND (ad.max_amount IS NULL OR r.total_amount <= ad.max_amount)
+    `, [report.id, approvals.map(approval => approval.approver_id)]);
+
+    for (const delegation of delegations.rows) {
       await client.query(`
-        INSERT INTO expense_approvals (expense_id, approver_id, step_order, status)
-        VALUES ($1, $2, $3, 'pending')
-      `, [expenseId, approvers.rows[i].id, 1]);
+        INSERT INTO notifications (user_id, type, title, message, metadata)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        delegation.delegate_id,
+        'delegated_approval_request',
+        'Expense report awaiting your approval as delegate',
+        `The expense report "${report.title}" is waiting for ${delegation.first_name} ${delegation.last_name}, who has delegated approvals to you`,
+        JSON.stringify({ reportId: report.id })
+      ]);
     }
   }
 
-  async createSpecificApproverApproval(client, expenseId, approverId) {
+  // Tells the employee how their report was decided once none of its lines is still open
+  async notifyReportSettled(client, reportId) {
+    const report = await client.query(`
+      SELECT r.employee_id, r.title,
+             COUNT(CASE WHEN e.status IN ('submitted', 'in_review', 'changes_requested') THEN 1 END) as open_lines,
+             COUNT(CASE WHEN e.status IN ('approved', 'paid') THEN 1 END) as approved_lines,
+             COUNT(CASE WHEN e.status = 'rejected' THEN 1 END) as rejected_lines
+      FROM expense_reports r
+      JOIN expenses e ON e.report_id = r.id
+      WHERE r.id = $1
+      GROUP BY r.id
+    `, [reportId]);
+
+    const { employee_id: employeeId, title, open_lines: open, approved_lines: approved, rejected_lines: rejected } = report.rows[0];
+
+    if (parseInt(open) > 0) {
+      return;
+    }
+
     await client.query(`
-      INSERT INTO expense_approvals (expense_id, approver_id, step_order, status)
-      VALUES ($1, $2, 1, 'pending')
-    `, [expenseId, approverId]);
+      INSERT INTO notifications (user_id, type, title, message, metadata)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      employeeId,
+      'report_status_update',
+      'Expense report decided',
+      `"${title}": ${approved} line(s) approved, ${rejected} rejected`,
+      JSON.stringify({ reportId })
+    ]);
   }
 
-  async createHybridApprovals(client, expenseId, ruleId) {
-    // Implement both percentage and specific approver logic
-    await this.createPercentageApprovals(client, expenseId, ruleId);
-    
-    const rule = await client.query(
-      'SELECT specific_approver_id FROM approval_rules WHERE id = $1',
-      [ruleId]
-    );
+  // Approvers still pending on a step whose quorum is already reached (or can no longer be
+  // reached) are not needed any more; their rows are skipped so the next step can open
+  async closeSettledSteps(client, ownerId, ownerColumn = 'expense_id') {
+    await client.query(`
+      UPDATE expense_approvals ea
+      SET status = 'skipped', comments = 'Not needed: step already decided by its quorum'
+      FROM (
+        SELECT step_order, MAX(quorum) as quorum,
+               COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved,
+               COUNT(CASE WHEN status IN ('waiting', 'pending') THEN 1 END) as open
+        FROM expense_approvals
+        WHERE ${ownerColumn} = $1 AND status NOT IN ${SUPERSEDED_STATUSES}
+        GROUP BY step_order
+      ) step
+      WHERE ea.${ownerColumn} = $1
+      AND ea.step_order = step.step_order
+      AND ea.status = 'pending'
+      AND step.quorum IS NOT NULL
+      AND (step.approved >= step.quorum OR step.approved + step.open < step.quorum)
+    `, [ownerId]);
+  }
 
-    if (rule.rows[0].specific_approver_id) {
-      await this.createSpecificApproverApproval(client, expenseId, rule.rows[0].specific_approver_id);
+  // Lets out-of-office delegates know an approval has landed in their delegator's queue
+  async notifyDelegates(client, expenseId, approverIds) {
+    if (approverIds.length === 0) {
+      return;
     }
+
+    const delegations = await client.query(`
+      SELECT ad.delegate_id, u.first_name, u.last_name
+      FROM approval_delegations ad
+      JOIN users u ON ad.delegator_id = u.id
+      JOIN expenses e ON e.id = $1
+      WHERE ad.delegator_id = ANY($2::int[])
+      AND ad.is_active = true
+      AND CURRENT_DATE BETWEEN ad.start_date AND ad.end_date
+      AND (ad.max_amount IS NULL OR e.converted_amount <= ad.max_amount)
+    `, [expenseId, approverIds]);
+
+    for (const delegation of delegations.rows) {
+      await client.query(`
+        INSERT INTO notifications (user_id, expense_id, type, title, message)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        delegation.delegate_id,
+        expenseId,
+        'delegated_approval_request',
+        'Expense awaiting your approval as delegate',
+        `An expense is waiting for ${delegation.first_name} ${delegation.last_name}, who has delegated approvals to you`
+      ]);
+    }
+  }
+
+  // Walks users.manager_id upwards from the employee. chain[0] is the direct manager.
+  async getManagerChain(client, employeeId) {
+    const chain = [];
+    const visited = new Set([employeeId]);
+    let currentId = employeeId;
+
+    while (currentId) {
+      const result = await client.query(`
+        SELECT m.id, m.role, m.is_active
+        FROM users u
+        JOIN users m ON u.manager_id = m.id
+        WHERE u.id = $1
+      `, [currentId]);
+
+      const manager = result.rows[0];
+
+      if (!manager) {
+        break;
+      }
+
+      if (visited.has(manager.id)) {
+        console.warn(`Manager cycle detected above user ${employeeId} at user ${manager.id}`);
+        break;
+      }
+
+      visited.add(manager.id);
+      chain.push(manager);
+      currentId = manager.id;
+    }
+
+    return chain;
+  }
+
+  resolveStepApprover(step, managerChain) {
+    switch (step.approver_role) {
+      case 'manager':
+        return managerChain[0]?.id;
+      case 'manager_of_manager':
+        return managerChain[1]?.id;
+      case 'manager_level':
+        return managerChain[step.manager_level - 1]?.id;
+      case 'chain_admin':
+        return managerChain.find(manager => manager.role === 'admin' && manager.is_active)?.id;
+      default:
+        return step.approver_id;
+    }
+  }
+
+  // All approvers asked in parallel at a step; empty when the step cannot be resolved
+  async resolveStepApprovers(client, step, managerChain) {
+    if (step.approver_role === 'specific_users') {
+      return [...new Set(step.approver_ids || [])];
+    }
+
+    if (step.approver_role === 'group') {
+      return await this.getGroupMemberIds(client, step.approver_group_id);
+    }
+
+    const approverId = this.resolveStepApprover(step, managerChain);
+    return approverId ? [approverId] : [];
   }
 
-  async processApproval(expenseId, approverId, action, comments) {
+  // Approvals needed from a step with approverCount approvers; count quorums larger than the step are capped
+  getStepQuorum(step, approverCount) {
+    switch (step.quorum_type) {
+      case 'any':
+        return Math.min(1, approverCount);
+      case 'count':
+        return Math.min(step.quorum_count, approverCount);
+      default:
+        return approverCount;
+    }
+  }
+
+  async getGroupMemberIds(client, groupId) {
+    const members = await client.query(`
+      SELECT u.id FROM approver_group_members agm
+      JOIN users u ON agm.user_id = u.id
+      WHERE agm.group_id = $1 AND u.is_active = true
+      ORDER BY u.id
+    `, [groupId]);
+
+    return members.rows.map(member => member.id);
+  }
+
+  // Percentage rules vote among their approver group, or all active managers and admins without one
+  async getPercentageApproverIds(client, companyId, groupId = null) {
+    if (groupId) {
+      return await this.getGroupMemberIds(client, groupId);
+    }
+
+    const approvers = await client.query(`
+      SELECT id FROM users 
+      WHERE company_id = $1 
+      AND role IN ('manager', 'admin') 
+      AND is_active = true
+    `, [companyId]);
+
+    return approvers.rows.map(approver => approver.id);
+  }
+
+  // actedBy is the delegate deciding on behalf of approverId, or approverId itself.
+  // Options: auditAction records the decision in audit_logs within the same transaction (auditDetails
+  // adds to its new_values),
+  // approvedAmount approves less than the claimed amount (comments hold the justification),
+  // actionToken is the stored email link the decision was made with; it is burned together with the
+  // decision, and a link already used raises actionTokenService.TokenUsedError.
+  async processApproval(expenseId, approverId, action, comments, actedBy = approverId, options = {}) {
+    const { auditAction = null, auditDetails = {}, approvedAmount = null, actionToken = null } = options;
     const client = await db.getClient();
     
     try {
       await client.query('BEGIN');
 
+      if (actionToken && !(await actionTokenService.consume(client, actionToken))) {
+        throw new actionTokenService.TokenUsedError();
+      }
+
+      const before = await client.query('SELECT status FROM expenses WHERE id = $1', [expenseId]);
+
       // Update the approval
-      await client.query(`
+      const updated = await client.query(`
         UPDATE expense_approvals 
-        SET status = $1, comments = $2, approved_at = CURRENT_TIMESTAMP
+        SET status = $1, comments = $2, approved_at = CURRENT_TIMESTAMP, acted_by = $5, approved_amount = $6
         WHERE expense_id = $3 AND approver_id = $4 AND status = 'pending'
-      `, [action, comments, expenseId, approverId]);
+        RETURNING is_required
+      `, [action, comments, expenseId, approverId, actedBy, approvedAmount]);
 
-      // Check if expense should be approved/rejected
-      const shouldUpdateExpense = await this.shouldUpdateExpenseStatus(client, expenseId, action);
-      
-      if (shouldUpdateExpense.update) {
-        await client.query(`
-          UPDATE expenses 
-          SET status = $1, updated_at = CURRENT_TIMESTAMP
-          WHERE id = $2
-        `, [shouldUpdateExpense.status, expenseId]);
-
-        // Create notification
-        const expense = await client.query(
-          'SELECT employee_id FROM expenses WHERE id = $1',
-          [expenseId]
-        );
+      if (updated.rows.length === 0) {
+        throw new AlreadyDecidedError();
+      }
+
+      if (approvedAmount !== null) {
+        await this.reduceApprovedAmount(client, expenseId, approvedAmount, comments, actedBy);
+      }
+
+      const isRequired = updated.rows.some(approval => approval.is_required);
+      const shouldUpdateExpense = action === 'changes_requested'
+        ? await this.requestChanges(client, expenseId, comments, actedBy)
+        : await this.advanceWorkflow(client, expenseId, action, isRequired, actedBy);
+
+      if (auditAction) {
+        const after = await client.query('SELECT status FROM expenses WHERE id = $1', [expenseId]);
 
         await client.query(`
-          INSERT INTO notifications (user_id, expense_id, type, title, message)
+          INSERT INTO audit_logs (user_id, expense_id, action, old_values, new_values)
           VALUES ($1, $2, $3, $4, $5)
         `, [
-          expense.rows[0].employee_id,
+          actedBy,
           expenseId,
-          'expense_status_update',
-          `Expense ${shouldUpdateExpense.status}`,
-          `Your expense has been ${shouldUpdateExpense.status}`
+          auditAction,
+          JSON.stringify({ status: before.rows[0].status }),
+          JSON.stringify({
+            decision: action,
+            comments,
+            approverId,
+            approvedAmount,
+            ...auditDetails,
+            status: after.rows[0].status
+          })
         ]);
       }
 
@@ -190,70 +1041,406 @@ class ApprovalService {
     }
   }
 
-  async shouldUpdateExpenseStatus(client, expenseId, action) {
-    const expense = await client.query(
-      'SELECT approval_rule_id FROM expenses WHERE id = $1',
-      [expenseId]
-    );
+  // Records a reduced approved amount and tells the employee why. Later approvers can only reduce it further.
+  async reduceApprovedAmount(client, expenseId, approvedAmount, reason, actedBy) {
+    const expense = await client.query(`
+      UPDATE expenses
+      SET approved_amount = $1, adjustment_reason = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING employee_id, amount, currency
+    `, [approvedAmount, reason, expenseId]);
 
-    const rule = await client.query(
-      'SELECT rule_type, percentage_required FROM approval_rules WHERE id = $1',
-      [expense.rows[0].approval_rule_id]
-    );
+    await this.applyApprovedAmount(client, expenseId);
 
-    if (rule.rows.length === 0) {
-      return { update: false };
+    const approver = await client.query('SELECT first_name, last_name FROM users WHERE id = $1', [actedBy]);
+    const { employee_id: employeeId, amount, currency } = expense.rows[0];
+
+    await client.query(`
+      INSERT INTO notifications (user_id, expense_id, type, title, message)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      employeeId,
+      expenseId,
+      'amount_adjusted',
+      'Approved amount reduced',
+      `${approver.rows[0].first_name} ${approver.rows[0].last_name} approved ${currency} ${Number(approvedAmount).toFixed(2)} `
+        + `of the ${currency} ${amount} claimed: ${reason}`
+    ]);
+  }
+
+  // Derives converted_amount from approved_amount at the rate the expense was converted with,
+  // keeping the unreduced value in original_converted_amount
+  async applyApprovedAmount(client, expenseId) {
+    await client.query(`
+      UPDATE expenses
+      SET original_converted_amount = COALESCE(original_converted_amount, converted_amount),
+          converted_amount = ROUND(approved_amount * COALESCE(original_converted_amount, converted_amount) / amount, 2)
+      WHERE id = $1 AND approved_amount IS NOT NULL
+    `, [expenseId]);
+  }
+
+  // Settles the expense if the latest decision completes the workflow, otherwise opens the next step.
+  // userId is who made the decision, or null when the system did (e.g. a timed-out optional step).
+  async advanceWorkflow(client, expenseId, action, isRequired = true, userId = null) {
+    await this.closeSettledSteps(client, expenseId);
+
+    const shouldUpdateExpense = await this.shouldUpdateExpenseStatus(client, expenseId, action, isRequired);
+
+    if (shouldUpdateExpense.update) {
+      await expenseStateMachine.transition(client, expenseId, shouldUpdateExpense.status, {
+        userId,
+        reason: 'Approval workflow completed'
+      });
+
+      // Create notification
+      const expense = await client.query(
+        'SELECT employee_id FROM expenses WHERE id = $1',
+        [expenseId]
+      );
+
+      await client.query(`
+        INSERT INTO notifications (user_id, expense_id, type, title, message)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        expense.rows[0].employee_id,
+        expenseId,
+        'expense_status_update',
+        `Expense ${shouldUpdateExpense.status}`,
+        `Your expense has been ${shouldUpdateExpense.status}`
+      ]);
+    } else {
+      // The first decision puts the expense in review
+      await expenseStateMachine.transition(client, expenseId, 'in_review', {
+        userId,
+        reason: `Approval ${action}`
+      });
+
+      // Sequential rules: hand the expense to the next step once this one is done
+      await this.activateNextStep(client, expenseId);
+    }
+
+    return shouldUpdateExpense;
+  }
+
+  // Returns the expense to the employee; the workflow stays in place until resubmitWorkflow
+  async requestChanges(client, expenseId, comments, userId = null) {
+    await expenseStateMachine.transition(client, expenseId, 'changes_requested', { userId, reason: comments });
+
+    const expense = await client.query('SELECT employee_id FROM expenses WHERE id = $1', [expenseId]);
+
+    await client.query(`
+      INSERT INTO notifications (user_id, expense_id, type, title, message)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      expense.rows[0].employee_id,
+      expenseId,
+      'expense_changes_requested',
+      'Changes requested on your expense',
+      `Please update your expense and resubmit it: ${comments}`
+    ]);
+
+    return { update: true, status: 'changes_requested' };
+  }
+
+  // Reopens the step(s) that requested changes with fresh rows, so their earlier comments stay in history
+  async resubmitWorkflow(client, expenseId, userId = null) {
+    const reopened = await client.query(`
+      INSERT INTO expense_approvals (expense_id, approver_id, step_order, status, is_required, timeout_hours, quorum,
+                                     substituted_for, substitution_reason)
+      SELECT ea.expense_id, ea.approver_id, ea.step_order, 'pending', ea.is_required, ea.timeout_hours, ea.quorum,
+             ea.substituted_for, ea.substitution_reason
+      FROM expense_approvals ea
+      WHERE ea.expense_id = $1
+      AND ea.status = 'changes_requested'
+      AND NOT EXISTS (
+        SELECT 1 FROM expense_approvals later
+        WHERE later.expense_id = ea.expense_id
+        AND later.approver_id = ea.approver_id
+        AND later.step_order = ea.step_order
+        AND later.id > ea.id
+      )
+      RETURNING id, approver_id
+    `, [expenseId]);
+
+    // Restart the SLA clock for everyone still waiting on this expense
+    await client.query(`
+      UPDATE expense_approvals
+      SET activated_at = CURRENT_TIMESTAMP, reminder_sent_at = NULL
+      WHERE expense_id = $1 AND status = 'pending'
+    `, [expenseId]);
+
+    // Approvals given before the request for changes still stand
+    await expenseStateMachine.transition(client, expenseId, 'in_review', {
+      userId,
+      reason: 'Resubmitted after changes'
+    });
+
+    for (const approval of reopened.rows) {
+      await this.requestDecision(
+        client, expenseId, approval, 'expense_resubmitted', 'Expense resubmitted',
+        'An expense you requested changes on has been updated and is waiting for your decision again'
+      );
     }
 
-    const approvalRule = rule.rows[0];
+    await this.notifyDelegates(client, expenseId, reopened.rows.map(approval => approval.approver_id));
+  }
+
+  // Takes the expense out of its workflow at the submitter's request. Open approvals are cancelled,
+  // decisions already made are kept as history and their approvers are told they no longer count.
+  async withdrawWorkflow(client, expenseId, userId, reason) {
+    const cancelled = await client.query(`
+      UPDATE expense_approvals
+      SET status = 'cancelled', comments = 'Expense withdrawn by the submitter'
+      WHERE expense_id = $1 AND status IN ('waiting', 'pending')
+      RETURNING id, approver_id, step_order
+    `, [expenseId]);
+
+    await expenseStateMachine.transition(client, expenseId, 'withdrawn', {
+      userId,
+      reason: reason || null,
+      details: { cancelledApprovals: cancelled.rows }
+    });
+
+    const expense = await client.query('SELECT description FROM expenses WHERE id = $1', [expenseId]);
+
+    const acted = await client.query(`
+      SELECT DISTINCT COALESCE(acted_by, approver_id) as user_id
+      FROM expense_approvals
+      WHERE expense_id = $1 AND status IN ('approved', 'rejected', 'changes_requested')
+    `, [expenseId]);
+
+    for (const approver of acted.rows) {
+      await client.query(`
+        INSERT INTO notifications (user_id, expense_id, type, title, message)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        approver.user_id,
+        expenseId,
+        'expense_withdrawn',
+        'Expense withdrawn',
+        `"${expense.rows[0].description}", which you already reviewed, was withdrawn by the submitter`
+          + (reason ? `: ${reason}` : '')
+      ]);
+    }
 
-    if (action === 'rejected') {
+    return { cancelled: cancelled.rows.length, notified: acted.rows.length };
+  }
+
+  // Invalidates every open or already given approval and routes the expense through `rule`
+  // from scratch; without a rule the expense is auto-approved like a new submission would be.
+  async restartWorkflow(client, expenseId, rule, userId, previous) {
+    // RETURNING only sees the new status, so the rows are read first to keep what each approval was
+    const invalidated = await client.query(`
+      WITH prev AS (
+        SELECT id, approver_id, status
+        FROM expense_approvals
+        WHERE expense_id = $1 AND status IN ('waiting', 'pending', 'approved', 'skipped')
+        FOR UPDATE
+      )
+      UPDATE expense_approvals ea
+      SET status = 'invalidated'
+      FROM prev
+      WHERE ea.id = prev.id
+      RETURNING prev.approver_id, prev.status
+    `, [expenseId]);
+
+    // Reductions were made by the invalidated approvals, so the full amount goes back through the workflow
+    const expense = await client.query(`
+      UPDATE expenses
+      SET approval_rule_id = $1, updated_at = CURRENT_TIMESTAMP,
+          converted_amount = COALESCE(original_converted_amount, converted_amount),
+          original_converted_amount = NULL, approved_amount = NULL, adjustment_reason = NULL
+      WHERE id = $2
+      RETURNING converted_amount
+    `, [rule ? rule.id : null, expenseId]);
+
+    await expenseStateMachine.transition(client, expenseId, rule ? 'submitted' : 'approved', {
+      userId,
+      reason: rule ? 'Expense edited, approval workflow restarted' : 'Expense edited, no approval rule applies'
+    });
+
+    // Approvers who already decided or were looking at the expense learn their decision no longer counts
+    for (const approval of invalidated.rows.filter(row => row.status !== 'waiting')) {
+      await client.query(`
+        INSERT INTO notifications (user_id, expense_id, type, title, message)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        approval.approver_id,
+        expenseId,
+        'approval_invalidated',
+        'Expense edited',
+        'An expense you were reviewing was edited and its approval workflow restarted'
+      ]);
+    }
+
+    await client.query(`
+      INSERT INTO audit_logs (user_id, expense_id, action, old_values, new_values)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      userId,
+      expenseId,
+      'approval_workflow_restarted',
+      JSON.stringify({
+        approvalRuleId: previous.approval_rule_id,
+        convertedAmount: previous.converted_amount,
+        categoryId: previous.category_id,
+        invalidatedApprovals: invalidated.rows
+      }),
+      JSON.stringify({
+        approvalRuleId: rule ? rule.id : null,
+        convertedAmount: expense.rows[0].converted_amount,
+        status: rule ? 'submitted' : 'approved'
+      })
+    ]);
+
+    if (rule) {
+      await this.createApprovalWorkflow(expenseId, rule.id, client);
+    }
+
+    return { ruleId: rule ? rule.id : null, invalidated: invalidated.rows.length };
+  }
+
+  // Optional steps with a timeout are skipped once they have been pending for too long
+  async skipTimedOutOptionalApprovals() {
+    const expired = await db.query(`
+      SELECT ea.id, ea.expense_id, ea.report_id, ea.timeout_hours
+      FROM expense_approvals ea
+      LEFT JOIN expenses e ON ea.expense_id = e.id
+      WHERE ea.status = 'pending'
+      AND ea.is_required = false
+      AND ea.timeout_hours IS NOT NULL
+      AND (e.status IN ('submitted', 'in_review') OR EXISTS (
+        SELECT 1 FROM expenses line
+        WHERE line.report_id = ea.report_id AND line.status IN ('submitted', 'in_review')
+      ))
+      AND ea.activated_at + ea.timeout_hours * INTERVAL '1 hour' < CURRENT_TIMESTAMP
+    `);
+
+    let skippedCount = 0;
+
+    for (const approval of expired.rows) {
+      const client = await db.getClient();
+
+      try {
+        await client.query('BEGIN');
+
+        const skipped = await client.query(`
+          UPDATE expense_approvals
+          SET status = 'skipped', comments = $1, approved_at = CURRENT_TIMESTAMP
+          WHERE id = $2 AND status = 'pending'
+        `, [`Skipped automatically after ${approval.timeout_hours} hours without a decision`, approval.id]);
+
+        if (skipped.rowCount > 0) {
+          if (approval.report_id) {
+            await this.advanceReportWorkflow(client, approval.report_id, 'skipped', false);
+          } else {
+            await this.advanceWorkflow(client, approval.expense_id, 'skipped', false);
+          }
+          skippedCount++;
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Error skipping timed out approval ${approval.id}:`, error);
+      } finally {
+        client.release();
+      }
+    }
+
+    return skippedCount;
+  }
+
+  async shouldUpdateExpenseStatus(client, expenseId, action, isRequired = true) {
+    const approvalRule = await this.getPinnedRule(client, expenseId);
+    const rows = await this.getWorkflowRows(client, 'expense_id', expenseId);
+
+    return this.evaluateWorkflow(approvalRule, rows, action, isRequired);
+  }
+
+  // The approvals of an expense (ownerColumn 'expense_id') or of an expense report ('report_id')
+  // that still count towards the outcome
+  async getWorkflowRows(client, ownerColumn, ownerId) {
+    const result = await client.query(`
+      SELECT approver_id, substituted_for, step_order, status, is_required, quorum
+      FROM expense_approvals
+      WHERE ${ownerColumn} = $1
+      AND status NOT IN ${SUPERSEDED_STATUSES}
+      ORDER BY step_order ASC, id ASC
+    `, [ownerId]);
+
+    return result.rows;
+  }
+
+  // Whether the latest decision settles a workflow, given its rule and approval rows, and how
+  evaluateWorkflow(approvalRule, rows, action, isRequired = true) {
+    if (!approvalRule) {
+      return { update: false };
+    }
+
+    // Rejections by optional (advisory) approvers are recorded but do not block the expense.
+    // Sequential steps may tolerate rejections within their quorum, so they are checked per step.
+    if (action === 'rejected' && isRequired && approvalRule.rule_type !== 'sequential') {
       return { update: true, status: 'rejected' };
     }
 
     if (approvalRule.rule_type === 'sequential') {
-      return await this.checkSequentialApproval(client, expenseId);
+      return this.checkSequentialApproval(rows);
     } else if (approvalRule.rule_type === 'percentage') {
-      return await this.checkPercentageApproval(client, expenseId, approvalRule.percentage_required);
+      return this.checkPercentageApproval(rows, approvalRule.percentage_required);
     } else if (approvalRule.rule_type === 'specific_approver') {
       return { update: true, status: 'approved' };
     } else if (approvalRule.rule_type === 'hybrid') {
-      return await this.checkHybridApproval(client, expenseId, approvalRule.percentage_required);
+      return this.checkHybridApproval(rows, approvalRule.percentage_required, approvalRule.specific_approver_id);
     }
 
     return { update: false };
   }
 
-  async checkSequentialApproval(client, expenseId) {
-    const approvals = await client.query(`
-      SELECT status FROM expense_approvals 
-      WHERE expense_id = $1 
-      ORDER BY step_order ASC
-    `, [expenseId]);
+  checkSequentialApproval(rows) {
+    const steps = new Map();
+    for (const approval of rows) {
+      steps.set(approval.step_order, [...(steps.get(approval.step_order) || []), approval]);
+    }
+
+    const stepStates = [...steps.values()].map(stepRows => ({
+      isRequired: stepRows.some(approval => approval.is_required),
+      state: this.getStepState(stepRows)
+    }));
 
-    const allApproved = approvals.rows.every(approval => approval.status === 'approved');
-    const hasRejection = approvals.rows.some(approval => approval.status === 'rejected');
+    const hasFailedStep = stepStates.some(step => step.isRequired && step.state === 'failed');
+    const allStepsDone = stepStates.every(step =>
+      step.state === 'satisfied' || (!step.isRequired && step.state === 'failed')
+    );
 
-    if (hasRejection) {
+    if (hasFailedStep) {
       return { update: true, status: 'rejected' };
-    } else if (allApproved) {
+    } else if (allStepsDone) {
       return { update: true, status: 'approved' };
     }
 
     return { update: false };
   }
 
-  async checkPercentageApproval(client, expenseId, requiredPercentage) {
-    const approvals = await client.query(`
-      SELECT 
-        COUNT(*) as total,
-        COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved
-      FROM expense_approvals 
-      WHERE expense_id = $1
-    `, [expenseId]);
+  // A step is satisfied once its quorum has approved and failed once too few approvers remain
+  // to reach it; rows without a quorum need every approver of the step
+  getStepState(rows) {
+    const quorum = rows[0].quorum ?? rows.length;
+    const approved = rows.filter(approval => approval.status === 'approved').length;
+    const open = rows.filter(approval => ['waiting', 'pending'].includes(approval.status)).length;
 
-    const { total, approved } = approvals.rows[0];
-    const approvalPercentage = (approved / total) * 100;
+    if (approved >= quorum) {
+      return 'satisfied';
+    } else if (approved + open < quorum) {
+      return 'failed';
+    }
+
+    return 'open';
+  }
+
+  checkPercentageApproval(rows, requiredPercentage) {
+    const approved = rows.filter(approval => approval.status === 'approved').length;
+    const approvalPercentage = (approved / rows.length) * 100;
 
     if (approvalPercentage >= requiredPercentage) {
       return { update: true, status: 'approved' };
@@ -262,21 +1449,19 @@ class ApprovalService {
     return { update: false };
   }
 
-  async checkHybridApproval(client, expenseId, requiredPercentage) {
+  checkHybridApproval(rows, requiredPercentage, specificApproverId) {
     // Check if specific approver approved
-    const specificApproval = await client.query(`
-      SELECT ea.status FROM expense_approvals ea
-      JOIN approval_rules ar ON ar.specific_approver_id = ea.approver_id
-      JOIN expenses e ON e.approval_rule_id = ar.id
-      WHERE e.id = $1 AND ea.status = 'approved'
-    `, [expenseId]);
+    const specificApproval = rows.some(approval =>
+      (approval.approver_id === specificApproverId || approval.substituted_for === specificApproverId)
+      && approval.status === 'approved'
+    );
 
-    if (specificApproval.rows.length > 0) {
+    if (specificApproval) {
       return { update: true, status: 'approved' };
     }
 
     // Otherwise check percentage
-    return await this.checkPercentageApproval(client, expenseId, requiredPercentage);
+    return this.checkPercentageApproval(rows, requiredPercentage);
   }
 }
 
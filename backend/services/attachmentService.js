@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const ocrService = require('./ocrService');
+
+class AttachmentService {
+  constructor() {
+    // Uploads arrive in a multipart field named after their kind
+    this.kinds = ['receipt', 'invoice', 'boarding_pass', 'other'];
+    this.maxPerKind = parseInt(process.env.MAX_ATTACHMENTS_PER_KIND) || 5;
+    this.uploadDir = 'uploads/receipts';
+  }
+
+  // Stores uploaded files ({ kind, file } pairs from multer) on the expense and keeps what OCR
+  // reads from each image. Returns the new attachment ids.
+  async save(client, expenseId, uploads, userId) {
+    const ids = [];
+
+    for (const { kind, file } of uploads) {
+      const attachment = await client.query(`
+        INSERT INTO expense_attachments (expense_id, kind, file_url, original_name, mime_type, file_size, uploaded_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `, [expenseId, kind, `/${this.uploadDir}/${file.filename}`, file.originalname, file.mimetype, file.size, userId]);
+
+      const attachmentId = attachment.rows[0].id;
+      ids.push(attachmentId);
+
+      if (['.jpg', '.jpeg', '.png'].includes(path.extname(file.filename).toLowerCase())) {
+        const ocrResult = await ocrService.processReceipt(file.path);
+
+        await client.query(`
+          INSERT INTO ocr_results (attachment_id, extracted_amount, extracted_date,
+                                 extracted_merchant, extracted_category, confidence_score, raw_text)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [attachmentId, ocrResult.amount, ocrResult.date, ocrResult.merchant,
+            ocrResult.category, ocrResult.confidence, ocrResult.rawText]);
+      }
+    }
+
+    return ids;
+  }
+
+  // Attachments of the given expenses with their OCR results, keyed by expense id
+  async listForExpenses(client, expenseIds) {
+    const result = await client.query(`
+      SELECT a.*, u.first_name as uploaded_by_first_name, u.last_name as uploaded_by_last_name,
+             ocr.extracted_amount, ocr.extracted_date, ocr.extracted_merchant,
+             ocr.extracted_category, ocr.confidence_score
+      FROM expense_attachments a
+      LEFT JOIN users u ON a.uploaded_by = u.id
+      LEFT JOIN ocr_results ocr ON ocr.attachment_id = a.id
+      WHERE a.expense_id = ANY($1::int[])
+      ORDER BY a.created_at ASC, a.id ASC
+    `, [expenseIds]);
+
+    return result.rows.reduce((byExpense, attachment) => {
+      (byExpense[attachment.expense_id] = byExpense[attachment.expense_id] || []).push(attachment);
+      return byExpense;
+    }, {});
+  }
+
+  // Deletes an attachment row (its OCR results go with it). Returns the removed row, or null.
+  async remove(client, expenseId, attachmentId) {
+    const result = await client.query(
+      'DELETE FROM expense_attachments WHERE id = $1 AND expense_id = $2 RETURNING *',
+      [attachmentId, expenseId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Removes the stored file once the row is gone; a file that is already missing is not an error
+  deleteFile(fileUrl) {
+    fs.unlink(path.join(this.uploadDir, path.basename(fileUrl)), (error) => {
+      if (error && error.code !== 'ENOENT') {
+        console.error('Delete attachment file error:', error);
+      }
+    });
+  }
+}
+
+module.exports = new AttachmentService();
@@ -0,0 +1,74 @@
+// Statuses an expense may move to from each status. An expense is submitted until the first
+// decision is recorded and in review after that; withdrawn, rejected and paid are final.
+const TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['in_review', 'changes_requested', 'approved', 'rejected', 'withdrawn'],
+  in_review: ['submitted', 'changes_requested', 'approved', 'rejected', 'withdrawn'],
+  changes_requested: ['submitted', 'in_review', 'approved', 'rejected', 'withdrawn'],
+  approved: ['paid'],
+  rejected: [],
+  withdrawn: [],
+  paid: []
+};
+
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot move an expense from ${from.replace(/_/g, ' ')} to ${to.replace(/_/g, ' ')}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+class ExpenseStateMachine {
+  constructor() {
+    this.InvalidTransitionError = InvalidTransitionError;
+    // Statuses in which the submitter may still edit or withdraw the expense
+    this.openStatuses = ['submitted', 'in_review', 'changes_requested'];
+  }
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  // The only place expenses.status is changed. Locks the expense row, refuses illegal moves with an
+  // InvalidTransitionError and writes every change to audit_logs. Moving to the current status is a no-op.
+  async transition(client, expenseId, to, { userId = null, reason = null, details = {} } = {}) {
+    const expense = await client.query('SELECT status FROM expenses WHERE id = $1 FOR UPDATE', [expenseId]);
+
+    if (expense.rows.length === 0) {
+      throw new Error('Expense not found');
+    }
+
+    const from = expense.rows[0].status;
+
+    if (from === to) {
+      return { from, to, changed: false };
+    }
+
+    if (!TRANSITIONS[to] || !this.canTransition(from, to)) {
+      throw new InvalidTransitionError(from, to);
+    }
+
+    await client.query(`
+      UPDATE expenses
+      SET status = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [to, expenseId]);
+
+    await client.query(`
+      INSERT INTO audit_logs (user_id, expense_id, action, old_values, new_values)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      userId,
+      expenseId,
+      'status_transition',
+      JSON.stringify({ status: from }),
+      JSON.stringify({ status: to, reason, ...details })
+    ]);
+
+    return { from, to, changed: true };
+  }
+}
+
+module.exports = new ExpenseStateMachine();
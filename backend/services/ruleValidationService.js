@@ -0,0 +1,170 @@
+const approvalService = require('./approvalService');
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const formatCents = (cents) => (cents / 100).toFixed(2);
+
+class RuleValidationService {
+  // Checks the company's active rules for overlapping amount ranges, amounts no rule covers
+  // and approvers who are no longer active. Every warning lists the rule ids it involves.
+  async validateRuleSet(client, companyId) {
+    const rules = await client.query(`
+      SELECT id, name, min_amount, max_amount, conditions
+      FROM approval_rules
+      WHERE company_id = $1 AND is_active = true
+      ORDER BY min_amount ASC NULLS FIRST, id ASC
+    `, [companyId]);
+
+    const ranges = rules.rows.map(rule => ({
+      ...rule,
+      min: toCents(rule.min_amount || 0),
+      max: rule.max_amount === null ? Infinity : toCents(rule.max_amount)
+    }));
+
+    const inactiveApprovers = await this.findInactiveApprovers(client, companyId);
+    const emptyGroups = await this.findEmptyGroups(client, companyId);
+
+    return [...this.findOverlaps(ranges), ...this.findGaps(ranges), ...inactiveApprovers, ...emptyGroups];
+  }
+
+  // Rules with different conditions are meant to overlap (the more specific one wins),
+  // so only rules with identical conditions are reported
+  findOverlaps(ranges) {
+    const warnings = [];
+
+    for (let i = 0; i < ranges.length; i++) {
+      for (let j = i + 1; j < ranges.length; j++) {
+        const a = ranges[i];
+        const b = ranges[j];
+
+        if (this.conditionsKey(a.conditions) !== this.conditionsKey(b.conditions)) {
+          continue;
+        }
+
+        if (a.min <= b.max && b.min <= a.max) {
+          warnings.push({
+            type: 'overlap',
+            ruleIds: [a.id, b.id],
+            message: `"${a.name}" and "${b.name}" both cover ${this.describeRange(Math.max(a.min, b.min), Math.min(a.max, b.max))}`
+          });
+        }
+      }
+    }
+
+    return warnings;
+  }
+
+  // Only rules without conditions are guaranteed to match, so coverage is computed from them alone.
+  // Amounts are stored with two decimals, so ranges ending at 100.00 and starting at 100.01 are contiguous.
+  // Coverage starts one cent below zero so that an amount of exactly 0.00 has to be covered too.
+  findGaps(ranges) {
+    const generic = ranges
+      .filter(range => approvalService.countConditions(range.conditions) === 0)
+      .sort((a, b) => a.min - b.min);
+
+    if (generic.length === 0) {
+      return [{
+        type: 'gap',
+        ruleIds: [],
+        message: 'No rule applies to every expense; expenses that match no conditional rule are approved automatically'
+      }];
+    }
+
+    const warnings = [];
+    let coveredUpTo = -1;
+    let previous = null;
+
+    for (const range of generic) {
+      if (range.min > coveredUpTo + 1) {
+        warnings.push({
+          type: 'gap',
+          ruleIds: previous ? [previous.id, range.id] : [range.id],
+          message: `Amounts ${this.describeRange(coveredUpTo + 1, range.min - 1)} match no rule and are approved automatically`
+        });
+      }
+
+      if (range.max > coveredUpTo) {
+        coveredUpTo = range.max;
+        previous = range;
+      }
+
+      if (coveredUpTo === Infinity) {
+        break;
+      }
+    }
+
+    if (coveredUpTo !== Infinity) {
+      warnings.push({
+        type: 'gap',
+        ruleIds: [previous.id],
+        message: `Amounts above ${formatCents(coveredUpTo)} match no rule and are approved automatically`
+      });
+    }
+
+    return warnings;
+  }
+
+  async findInactiveApprovers(client, companyId) {
+    const result = await client.query(`
+      SELECT ar.id, ar.name, u.first_name, u.last_name
+      FROM approval_rules ar
+      JOIN users u ON ar.specific_approver_id = u.id
+      WHERE ar.company_id = $1 AND ar.is_active = true AND u.is_active = false
+      UNION
+      SELECT ar.id, ar.name, u.first_name, u.last_name
+      FROM approval_rules ar
+      JOIN approval_rule_steps ars ON ars.rule_id = ar.id
+      JOIN users u ON ars.approver_id = u.id OR u.id = ANY(ars.approver_ids)
+      WHERE ar.company_id = $1 AND ar.is_active = true AND u.is_active = false
+    `, [companyId]);
+
+    return result.rows.map(row => ({
+      type: 'inactive_approver',
+      ruleIds: [row.id],
+      message: `"${row.name}" routes approvals to ${row.first_name} ${row.last_name}, who is inactive`
+    }));
+  }
+
+  // Approver groups without an active member leave their rule or step with nobody to ask
+  async findEmptyGroups(client, companyId) {
+    const result = await client.query(`
+      SELECT DISTINCT ar.id, ar.name, ag.name as group_name
+      FROM approval_rules ar
+      LEFT JOIN approval_rule_steps ars ON ars.rule_id = ar.id
+      JOIN approver_groups ag ON ag.id = ar.approver_group_id OR ag.id = ars.approver_group_id
+      WHERE ar.company_id = $1 AND ar.is_active = true
+      AND NOT EXISTS (
+        SELECT 1 FROM approver_group_members agm
+        JOIN users u ON agm.user_id = u.id
+        WHERE agm.group_id = ag.id AND u.is_active = true
+      )
+    `, [companyId]);
+
+    return result.rows.map(row => ({
+      type: 'inactive_approver',
+      ruleIds: [row.id],
+      message: `"${row.name}" routes approvals to the ${row.group_name} group, which has no active members`
+    }));
+  }
+
+  conditionsKey(conditions) {
+    const normalized = {};
+
+    for (const key of Object.keys(conditions || {}).sort()) {
+      const value = conditions[key];
+
+      if (Array.isArray(value) ? value.length > 0 : Boolean(value)) {
+        normalized[key] = Array.isArray(value) ? [...value].sort() : value;
+      }
+    }
+
+    return JSON.stringify(normalized);
+  }
+
+  describeRange(min, max) {
+    return max === Infinity
+      ? `from ${formatCents(min)} upwards`
+      : `${formatCents(min)} to ${formatCents(max)}`;
+  }
+}
+
+module.exports = new RuleValidationService();
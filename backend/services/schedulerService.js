@@ -0,0 +1,54 @@
+const approvalService = require('./approvalService');
+const slaService = require('./slaService');
+
+class SchedulerService {
+  constructor() {
+    this.intervalMs = (parseInt(process.env.SCHEDULER_INTERVAL_MINUTES) || 15) * 60 * 1000;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runJobs(), this.intervalMs);
+    this.runJobs();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runJobs() {
+    try {
+      const skipped = await approvalService.skipTimedOutOptionalApprovals();
+
+      if (skipped > 0) {
+        console.log(`Skipped ${skipped} timed out optional approval(s)`);
+      }
+
+      const reminded = await slaService.sendReminders();
+
+      if (reminded > 0) {
+        console.log(`Sent ${reminded} SLA reminder(s)`);
+      }
+
+      const escalated = await slaService.escalateOverdueApprovals();
+
+      if (escalated > 0) {
+        console.log(`Escalated ${escalated} overdue approval(s)`);
+      }
+    } catch (error) {
+      console.error('Scheduled approval jobs error:', error);
+    }
+  }
+}
+
+module.exports = new SchedulerService();
+
+// Can also run as a standalone worker: node services/schedulerService.js
+if (require.main === module) {
+  module.exports.start();
+}
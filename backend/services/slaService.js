@@ -0,0 +1,219 @@
+const db = require('../config/database');
+const actionTokenService = require('./actionTokenService');
+const approvalService = require('./approvalService');
+
+class SlaService {
+  constructor() {
+    this.reminderLeadHours = parseFloat(process.env.SLA_REMINDER_LEAD_HOURS) || 4;
+  }
+
+  // Pending approvals of expenses and expense reports on rules with an SLA, with their deadline
+  async getOpenApprovals(extraCondition, params = []) {
+    const result = await db.query(`
+      SELECT ea.id, ea.expense_id, ea.report_id, ea.approver_id, ea.step_order, ea.escalation_blocked_at,
+             w.company_id, w.employee_id, ar.sla_hours,
+             ea.activated_at + ar.sla_hours * INTERVAL '1 hour' as due_at
+      FROM expense_approvals ea
+      LEFT JOIN expenses e ON ea.expense_id = e.id
+      LEFT JOIN expense_reports rep ON ea.report_id = rep.id
+      -- The expense or report the approval belongs to
+      CROSS JOIN LATERAL (
+        SELECT COALESCE(e.company_id, rep.company_id) as company_id,
+               COALESCE(e.employee_id, rep.employee_id) as employee_id,
+               COALESCE(e.approval_rule_id, rep.approval_rule_id) as rule_id,
+               COALESCE(e.approval_rule_version_id, rep.approval_rule_version_id) as rule_version_id
+      ) w
+      JOIN approval_rules r ON w.rule_id = r.id
+      LEFT JOIN approval_rule_versions arv ON w.rule_version_id = arv.id
+      -- The SLA of the rule version the expense or report is pinned to
+      CROSS JOIN LATERAL (
+        SELECT CASE WHEN arv.id IS NULL THEN r.sla_hours ELSE (arv.snapshot->>'sla_hours')::int END as sla_hours
+      ) ar
+      WHERE ea.status = 'pending'
+      AND (e.status IN ('submitted', 'in_review') OR EXISTS (
+        SELECT 1 FROM expenses line
+        WHERE line.report_id = rep.id AND line.status IN ('submitted', 'in_review')
+      ))
+      AND ar.sla_hours IS NOT NULL
+      AND ${extraCondition}
+    `, params);
+
+    return result.rows;
+  }
+
+  async sendReminders() {
+    const approvals = await this.getOpenApprovals(`
+      ea.reminder_sent_at IS NULL
+      AND CURRENT_TIMESTAMP >= ea.activated_at + ar.sla_hours * INTERVAL '1 hour' - $1 * INTERVAL '1 hour'
+      AND CURRENT_TIMESTAMP < ea.activated_at + ar.sla_hours * INTERVAL '1 hour'
+    `, [this.reminderLeadHours]);
+
+    for (const approval of approvals) {
+      await db.query(`
+        INSERT INTO notifications (user_id, expense_id, type, title, message, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [
+        approval.approver_id,
+        approval.expense_id,
+        'approval_reminder',
+        'Approval due soon',
+        `${this.describe(approval)} waiting for your approval is due by ${new Date(approval.due_at).toLocaleString()} and will be escalated after that`,
+        this.reportMetadata(approval)
+      ]);
+
+      await db.query(
+        'UPDATE expense_approvals SET reminder_sent_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [approval.id]
+      );
+    }
+
+    return approvals.length;
+  }
+
+  async escalateOverdueApprovals() {
+    const approvals = await this.getOpenApprovals(
+      "CURRENT_TIMESTAMP >= ea.activated_at + ar.sla_hours * INTERVAL '1 hour'"
+    );
+
+    let escalatedCount = 0;
+
+    for (const approval of approvals) {
+      const client = await db.getClient();
+
+      try {
+        await client.query('BEGIN');
+
+        const targetId = await this.findEscalationTarget(client, approval);
+
+        if (!targetId) {
+          await this.flagBlockedEscalation(client, approval);
+          await client.query('COMMIT');
+          continue;
+        }
+
+        // Hand the approval to the new approver and restart the SLA clock
+        const updated = await client.query(`
+          UPDATE expense_approvals
+          SET approver_id = $1, escalated_from = approver_id,
+              activated_at = CURRENT_TIMESTAMP, reminder_sent_at = NULL, escalation_blocked_at = NULL
+          WHERE id = $2 AND status = 'pending' AND approver_id = $3
+        `, [targetId, approval.id, approval.approver_id]);
+
+        if (updated.rowCount === 0) {
+          await client.query('ROLLBACK');
+          continue;
+        }
+
+        await client.query(`
+          INSERT INTO audit_logs (user_id, expense_id, action, old_values, new_values)
+          VALUES (NULL, $1, 'approval_escalated', $2, $3)
+        `, [
+          approval.expense_id,
+          JSON.stringify({ approvalId: approval.id, reportId: approval.report_id, approverId: approval.approver_id, dueAt: approval.due_at }),
+          JSON.stringify({ approvalId: approval.id, approverId: targetId, reason: `SLA of ${approval.sla_hours} hours exceeded` })
+        ]);
+
+        // Links sent to the previous approver stop working because the row now belongs to the target.
+        // Reports are decided from the report page, so they get no email links.
+        const metadata = approval.report_id
+          ? this.reportMetadata(approval)
+          : JSON.stringify(await actionTokenService.issueLinks(client, approval.id, targetId));
+
+        await client.query(`
+          INSERT INTO notifications (user_id, expense_id, type, title, message, metadata)
+          VALUES ($1, $2, $3, $4, $5, $10), ($6, $2, $7, $8, $9, $11)
+        `, [
+          targetId,
+          approval.expense_id,
+          'approval_escalated',
+          `Escalated ${approval.report_id ? 'expense report' : 'expense'} awaiting your approval`,
+          `${this.describe(approval)} missed its ${approval.sla_hours} hour approval deadline and has been escalated to you`,
+          approval.approver_id,
+          'approval_escalated_away',
+          'Approval escalated',
+          `${this.describe(approval)} waiting for your approval passed its deadline and was escalated`,
+          metadata,
+          this.reportMetadata(approval)
+        ]);
+
+        await client.query('COMMIT');
+        escalatedCount++;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Error escalating approval ${approval.id}:`, error);
+      } finally {
+        client.release();
+      }
+    }
+
+    return escalatedCount;
+  }
+
+  // The nearest active manager above the approver, otherwise the first active admin of the company.
+  // The submitter and anyone already holding or acting on an approval of the expense (or report) are passed over,
+  // so escalation never lets one person decide two steps. Returns null when nobody qualifies.
+  async findEscalationTarget(client, approval) {
+    const ownerColumn = approval.report_id ? 'report_id' : 'expense_id';
+    const involved = await client.query(`
+      SELECT approver_id as user_id FROM expense_approvals
+      WHERE ${ownerColumn} = $1 AND status <> 'invalidated'
+      UNION
+      SELECT acted_by FROM expense_approvals
+      WHERE ${ownerColumn} = $1 AND status <> 'invalidated' AND acted_by IS NOT NULL
+    `, [approval.report_id || approval.expense_id]);
+
+    const excluded = new Set([approval.employee_id, approval.approver_id, ...involved.rows.map(row => row.user_id)]);
+
+    const managerChain = await approvalService.getManagerChain(client, approval.approver_id);
+    const manager = managerChain.find(candidate => candidate.is_active && !excluded.has(candidate.id));
+
+    if (manager) {
+      return manager.id;
+    }
+
+    const admins = await client.query(`
+      SELECT id FROM users
+      WHERE company_id = $1
+      AND role = 'admin'
+      AND is_active = true
+      ORDER BY id ASC
+    `, [approval.company_id]);
+
+    return admins.rows.map(admin => admin.id).find(id => !excluded.has(id)) || null;
+  }
+
+  // An overdue approval nobody can take over stays with its approver; it is flagged once so admins
+  // can find it, and escalation is tried again on later runs
+  async flagBlockedEscalation(client, approval) {
+    if (approval.escalation_blocked_at) {
+      return;
+    }
+
+    await client.query(
+      'UPDATE expense_approvals SET escalation_blocked_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [approval.id]
+    );
+
+    await client.query(`
+      INSERT INTO audit_logs (user_id, expense_id, action, old_values, new_values)
+      VALUES (NULL, $1, 'approval_escalation_blocked', $2, $3)
+    `, [
+      approval.expense_id,
+      JSON.stringify({ approvalId: approval.id, reportId: approval.report_id, approverId: approval.approver_id, dueAt: approval.due_at }),
+      JSON.stringify({ reason: 'No manager or admin outside the workflow can take over the approval' })
+    ]);
+
+    console.warn(`No escalation target for overdue approval ${approval.id}`);
+  }
+
+  describe(approval) {
+    return approval.report_id ? 'An expense report' : 'An expense';
+  }
+
+  // Report approvals have no expense_id, so notifications point at the report instead
+  reportMetadata(approval) {
+    return approval.report_id ? JSON.stringify({ reportId: approval.report_id }) : null;
+  }
+}
+
+module.exports = new SlaService();
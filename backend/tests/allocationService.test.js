@@ -0,0 +1,86 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+const allocationService = require('../services/allocationService');
+
+const amounts = lines => lines.map(line => line.amount);
+
+describe('allocationService.resolve', () => {
+  it('keeps lines given as amounts', () => {
+    expect(amounts(allocationService.resolve([{ categoryId: 1, amount: 30.5 }, { categoryId: 2, amount: 69.5 }], 100)))
+      .toEqual([30.5, 69.5]);
+  });
+
+  it('turns percentages into amounts of the total', () => {
+    const lines = allocationService.resolve([{ categoryId: 1, percentage: 25 }, { categoryId: 2, percentage: 75 }], 80);
+
+    expect(lines).toEqual([
+      { categoryId: 1, percentage: 25, amount: 20 },
+      { categoryId: 2, percentage: 75, amount: 60 }
+    ]);
+  });
+
+  it('gives the rounding difference to the last percentage line', () => {
+    const lines = allocationService.resolve([
+      { categoryId: 1, percentage: 33.33 },
+      { categoryId: 2, percentage: 33.33 },
+      { categoryId: 3, percentage: 33.34 }
+    ], 100.01);
+
+    expect(amounts(lines)).toEqual([33.33, 33.33, 33.35]);
+  });
+
+  it('makes equal thirds add up to the total', () => {
+    const lines = allocationService.resolve([
+      { categoryId: 1, percentage: 33.3333 },
+      { categoryId: 2, percentage: 33.3333 },
+      { categoryId: 3, percentage: 33.3334 }
+    ], 10);
+
+    expect(amounts(lines)).toEqual([3.33, 3.33, 3.34]);
+  });
+
+  it('fills the rest of the total when amounts and percentages are mixed', () => {
+    const lines = allocationService.resolve([{ categoryId: 1, amount: 10 }, { categoryId: 2, percentage: 90 }], 99.99);
+
+    expect(amounts(lines)).toEqual([10, 89.99]);
+  });
+
+  it('leaves lines that do not cover the total alone, so validation can refuse them', () => {
+    const lines = allocationService.resolve([{ categoryId: 1, percentage: 50 }, { categoryId: 2, percentage: 40 }], 100);
+
+    expect(amounts(lines)).toEqual([50, 40]);
+  });
+});
+
+describe('allocationService.save', () => {
+  const { db, insert, insertExpense } = useTestDatabase();
+
+  beforeEach(async () => {
+    await insert('expense_categories', { id: 2, company_id: 1, name: 'Meals' });
+    await insertExpense(5, { amount: 80, converted_amount: 80 });
+  });
+
+  const savedLines = async () => (await db.query(`
+    SELECT category_id, amount, percentage, cost_center, project
+    FROM expense_allocations WHERE expense_id = $1 ORDER BY id
+  `, [5])).rows;
+
+  it('replaces the expense\'s lines', async () => {
+    await allocationService.save(db, 5, [{ categoryId: 1, amount: 80 }]);
+    await allocationService.save(db, 5, [
+      { categoryId: 1, amount: 20, percentage: 25, costCenter: 'CC-1' },
+      { categoryId: 2, amount: 60, project: 'Atlas' }
+    ]);
+
+    expect(await savedLines()).toEqual([
+      { category_id: 1, amount: '20.00', percentage: '25.00', cost_center: 'CC-1', project: null },
+      { category_id: 2, amount: '60.00', percentage: null, cost_center: null, project: 'Atlas' }
+    ]);
+  });
+
+  it('clears the lines when the expense is no longer split', async () => {
+    await allocationService.save(db, 5, [{ categoryId: 1, amount: 40 }, { categoryId: 2, amount: 40 }]);
+    await allocationService.save(db, 5);
+
+    expect(await savedLines()).toEqual([]);
+  });
+});
@@ -0,0 +1,93 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+const allowanceService = require('../services/allowanceService');
+
+const { db, insert } = useTestDatabase();
+
+describe('allowanceService mileage', () => {
+  beforeEach(() => insert('mileage_rates', { company_id: 1, vehicle_type: 'car', rate: 0.3 }));
+
+  it('pays the distance at the company\'s rate for the vehicle', async () => {
+    await expect(allowanceService.calculate(db, 1, {
+      expenseType: 'mileage',
+      mileage: { vehicleType: 'car', distance: 123.4, route: 'Berlin - Potsdam' }
+    })).resolves.toEqual({
+      amount: 37.02,
+      currency: 'EUR',
+      calculation: { vehicleType: 'car', distance: 123.4, route: 'Berlin - Potsdam', unit: 'km', rate: 0.3 }
+    });
+  });
+
+  it('rounds to the cent', async () => {
+    await db.query("UPDATE mileage_rates SET rate = 0.415 WHERE vehicle_type = 'car'");
+
+    const { amount } = await allowanceService.mileage(db, 1, { vehicleType: 'car', distance: 10.5 });
+
+    expect(amount).toBe(4.36);
+  });
+
+  it('refuses a vehicle without a rate', async () => {
+    await expect(allowanceService.mileage(db, 1, { vehicleType: 'van', distance: 10 }))
+      .resolves.toEqual({ error: 'No mileage rate is set for van journeys' });
+  });
+
+  it('refuses the rate of another company', async () => {
+    await insert('companies', { id: 2, name: 'Globex', base_currency: 'USD' });
+
+    await expect(allowanceService.mileage(db, 2, { vehicleType: 'car', distance: 10 }))
+      .resolves.toEqual({ error: 'No mileage rate is set for car journeys' });
+  });
+});
+
+describe('allowanceService per diem', () => {
+  let rateId;
+
+  beforeEach(async () => {
+    ({ id: rateId } = await insert('per_diem_rates', {
+      company_id: 1, destination: 'Paris', daily_allowance: 60, partial_day_percentage: 75
+    }));
+  });
+
+  const claim = (startDate, endDate) => allowanceService.calculate(db, 1, {
+    expenseType: 'per_diem',
+    perDiem: { rateId, startDate, endDate }
+  });
+
+  it('pays the departure and return days partially and the days between in full', async () => {
+    const { amount, currency, calculation } = await claim('2026-03-02', '2026-03-05');
+
+    expect(amount).toBe(210);
+    expect(currency).toBe('EUR');
+    expect(calculation).toMatchObject({
+      destination: 'Paris', days: 4, fullDays: 2, partialDays: 2, dailyAllowance: 60, partialDayPercentage: 75
+    });
+  });
+
+  it('pays a same-day trip as one partial day', async () => {
+    const { amount, calculation } = await claim('2026-03-02', '2026-03-02');
+
+    expect(amount).toBe(45);
+    expect(calculation).toMatchObject({ days: 1, fullDays: 0, partialDays: 1 });
+  });
+
+  it('pays an overnight trip as two partial days', async () => {
+    await expect(claim('2026-03-02', '2026-03-03')).resolves.toMatchObject({ amount: 90 });
+  });
+
+  it('counts calendar days across a daylight saving change', async () => {
+    const { calculation } = await claim('2026-03-28', '2026-03-30');
+
+    expect(calculation).toMatchObject({ startDate: '2026-03-28', endDate: '2026-03-30', days: 3 });
+  });
+
+  it('refuses a destination of another company', async () => {
+    await expect(allowanceService.perDiem(db, 2, { rateId, startDate: '2026-03-02', endDate: '2026-03-03' }))
+      .resolves.toEqual({ error: 'Per-diem destination not found' });
+  });
+});
+
+describe('allowanceService standard expenses', () => {
+  it('keeps the amount entered', async () => {
+    await expect(allowanceService.calculate(db, 1, { expenseType: 'standard', amount: 12.5, currency: 'USD' }))
+      .resolves.toEqual({ amount: 12.5, currency: 'USD', calculation: null });
+  });
+});
@@ -0,0 +1,56 @@
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 9, role: 'admin', company_id: 1 };
+    next();
+  },
+  requireRole: () => (req, res, next) => next(),
+  requireSameCompany: (req, res, next) => next()
+}));
+
+const express = require('express');
+const { useTestDatabase } = require('./helpers/testDatabase');
+const companyRoutes = require('../routes/companies');
+
+// Admin 9 exports the expenses of company 1
+const { insert, insertExpense } = useTestDatabase();
+
+describe('GET /export/expenses', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/companies', companyRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/companies`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  // 100 USD split 70/30 and approved at 80 USD, which converts to 72 EUR
+  beforeEach(async () => {
+    await insertExpense(5, {
+      status: 'approved', amount: 100, approved_amount: 80, currency: 'USD', converted_amount: 72
+    });
+    await insert('expense_allocations', { expense_id: 5, category_id: 1, amount: 70, cost_center: 'Sales' });
+    await insert('expense_allocations', { expense_id: 5, category_id: 1, amount: 30, cost_center: 'Support' });
+  });
+
+  const lines = async () => {
+    const response = await fetch(`${baseUrl}/export/expenses?format=json`);
+
+    return (await response.json()).map(row => [row.cost_center, row.line_amount, row.line_converted_amount]);
+  };
+
+  it('scales each allocation line down to the approved amount', async () => {
+    expect(await lines()).toEqual([['Sales', '56.00', '50.40'], ['Support', '24.00', '21.60']]);
+  });
+
+  it('exports the approved amount for an expense without allocations', async () => {
+    await insertExpense(6, { status: 'approved', amount: 50, approved_amount: 40, converted_amount: 40 });
+
+    expect(await lines()).toContainEqual([null, '40.00', '40.00']);
+  });
+});
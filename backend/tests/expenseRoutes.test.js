@@ -0,0 +1,128 @@
+jest.mock('sharp', () => jest.fn());
+jest.mock('tesseract.js', () => ({}));
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, role: 'employee', company_id: 1 };
+    next();
+  },
+  requireRole: () => (req, res, next) => next(),
+  requireSameCompany: (req, res, next) => next()
+}));
+
+const express = require('express');
+const { useTestDatabase } = require('./helpers/testDatabase');
+const currencyService = require('../services/currencyService');
+const expenseRoutes = require('../routes/expenses');
+
+// Employee 1 edits their expenses; rule 1 asks manager 2, then manager 3
+const { db, insert, insertExpense } = useTestDatabase();
+
+describe('expense routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/expenses', expenseRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/expenses`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(async () => {
+    await insert('approval_rules', { id: 1, company_id: 1, name: 'Manager', rule_type: 'sequential' });
+    await insert('approval_rule_steps', { rule_id: 1, step_order: 1, approver_role: 'manager' });
+    await insert('approval_rule_steps', { rule_id: 1, step_order: 2, approver_role: 'manager' });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const put = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json() };
+  };
+
+  const approvalStatuses = async () => (await db.query('SELECT status FROM expense_approvals WHERE expense_id = 5 ORDER BY id'))
+    .rows.map(row => row.status);
+
+  describe('PUT /:id on an expense in review', () => {
+    const edit = { categoryId: 1, amount: 100, currency: 'USD', description: 'Taxi to the airport', expenseDate: '2026-03-02' };
+
+    beforeEach(async () => {
+      await insertExpense(5, {
+        status: 'in_review', approval_rule_id: 1, amount: 100, currency: 'USD', converted_amount: 90,
+        description: 'Taxi to the airport'
+      });
+      await insert('expense_approvals', { expense_id: 5, approver_id: 2, step_order: 1, status: 'approved' });
+      await insert('expense_approvals', { expense_id: 5, approver_id: 3, step_order: 2, status: 'pending' });
+    });
+
+    it('keeps the approvals when only the exchange rate moved', async () => {
+      jest.spyOn(currencyService, 'convertCurrency').mockResolvedValue(95);
+
+      const { status, body } = await put('/5', edit);
+
+      expect(status).toBe(200);
+      expect(body.message).toBe('Expense updated successfully');
+      expect(await approvalStatuses()).toEqual(['approved', 'pending']);
+    });
+
+    it('sends the expense through approval again when the claimed amount changes', async () => {
+      jest.spyOn(currencyService, 'convertCurrency').mockResolvedValue(81);
+
+      const { body } = await put('/5', { ...edit, amount: 90 });
+
+      expect(body.message).toBe('Expense updated and sent through approval again');
+      expect(await approvalStatuses()).toEqual(['invalidated', 'invalidated', 'pending', 'waiting']);
+    });
+  });
+
+  describe('PUT /:id on a report line', () => {
+    const edit = { categoryId: 1, amount: 120, currency: 'EUR', description: 'Hotel in Berlin', expenseDate: '2026-03-02' };
+
+    beforeEach(async () => {
+      await insert('expense_reports', {
+        id: 8, employee_id: 1, company_id: 1, title: 'Berlin trip', start_date: '2026-03-01', end_date: '2026-03-03'
+      });
+      await insertExpense(11, { report_id: 8, status: 'draft' });
+    });
+
+    const line = async () => (await db.query('SELECT amount, status FROM expenses WHERE id = 11')).rows[0];
+
+    it('edits a line while the report is a draft, without starting a workflow', async () => {
+      const { status } = await put('/11', edit);
+
+      expect(status).toBe(200);
+      expect(await line()).toEqual({ amount: '120.00', status: 'draft' });
+
+      const approvals = await db.query('SELECT COUNT(*)::int AS count FROM expense_approvals');
+      expect(approvals.rows[0].count).toBe(0);
+    });
+
+    it('keeps the line within the report dates', async () => {
+      const { status } = await put('/11', { ...edit, expenseDate: '2026-03-05' });
+
+      expect(status).toBe(400);
+      expect(await line()).toEqual({ amount: '100.00', status: 'draft' });
+    });
+
+    it('refuses to edit a line once the report is submitted', async () => {
+      await db.query("UPDATE expense_reports SET status = 'submitted' WHERE id = 8");
+      await db.query("UPDATE expenses SET status = 'submitted' WHERE id = 11");
+
+      const { status, body } = await put('/11', edit);
+
+      expect(status).toBe(400);
+      expect(body.error).toBe('Expenses in a submitted report cannot be edited');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+const expenseStateMachine = require('../services/expenseStateMachine');
+
+describe('expenseStateMachine.canTransition', () => {
+  it.each([
+    ['draft', 'submitted'],
+    ['submitted', 'in_review'],
+    ['submitted', 'withdrawn'],
+    ['in_review', 'submitted'],
+    ['changes_requested', 'submitted'],
+    ['in_review', 'approved'],
+    ['approved', 'paid']
+  ])('allows %s to %s', (from, to) => {
+    expect(expenseStateMachine.canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    ['draft', 'approved'],
+    ['approved', 'rejected'],
+    ['approved', 'withdrawn'],
+    ['rejected', 'submitted'],
+    ['withdrawn', 'submitted'],
+    ['paid', 'approved'],
+    ['unknown', 'submitted']
+  ])('refuses %s to %s', (from, to) => {
+    expect(expenseStateMachine.canTransition(from, to)).toBe(false);
+  });
+});
+
+describe('expenseStateMachine.transition', () => {
+  const { db, insertExpense } = useTestDatabase();
+
+  const statusOf = async id => (await db.query('SELECT status FROM expenses WHERE id = $1', [id])).rows[0].status;
+
+  const auditTrail = async () => (await db.query(`
+    SELECT user_id, expense_id, action, old_values, new_values FROM audit_logs ORDER BY id
+  `)).rows;
+
+  it('moves the expense and audits the change', async () => {
+    await insertExpense(5, { status: 'in_review' });
+
+    await expect(expenseStateMachine.transition(db, 5, 'approved', { userId: 2, reason: 'Looks fine' }))
+      .resolves.toEqual({ from: 'in_review', to: 'approved', changed: true });
+
+    expect(await statusOf(5)).toBe('approved');
+    expect(await auditTrail()).toEqual([{
+      user_id: 2,
+      expense_id: 5,
+      action: 'status_transition',
+      old_values: { status: 'in_review' },
+      new_values: { status: 'approved', reason: 'Looks fine' }
+    }]);
+  });
+
+  it('does nothing when the expense already has the status', async () => {
+    await insertExpense(5, { status: 'submitted' });
+
+    await expect(expenseStateMachine.transition(db, 5, 'submitted'))
+      .resolves.toEqual({ from: 'submitted', to: 'submitted', changed: false });
+    expect(await auditTrail()).toEqual([]);
+  });
+
+  it('refuses an illegal move without touching the expense', async () => {
+    await insertExpense(5, { status: 'paid' });
+
+    const attempt = expenseStateMachine.transition(db, 5, 'rejected');
+
+    await expect(attempt).rejects.toBeInstanceOf(expenseStateMachine.InvalidTransitionError);
+    await expect(attempt).rejects.toThrow('Cannot move an expense from paid to rejected');
+    expect(await statusOf(5)).toBe('paid');
+    expect(await auditTrail()).toEqual([]);
+  });
+
+  it('refuses an unknown status', async () => {
+    await insertExpense(5, { status: 'submitted' });
+
+    await expect(expenseStateMachine.transition(db, 5, 'archived'))
+      .rejects.toBeInstanceOf(expenseStateMachine.InvalidTransitionError);
+  });
+
+  it('fails for a missing expense', async () => {
+    await expect(expenseStateMachine.transition(db, 5, 'approved')).rejects.toThrow('Expense not found');
+  });
+});
@@ -0,0 +1,99 @@
+const db = require('../../config/database');
+
+let tables = null;
+const columnTypes = new Map();
+
+const reset = async () => {
+  if (!tables) {
+    const result = await db.query("SELECT tablename FROM pg_tables WHERE schemaname = 'public'");
+    tables = result.rows.map(row => row.tablename);
+  }
+
+  await db.query(`TRUNCATE ${tables.join(', ')} RESTART IDENTITY CASCADE`);
+};
+
+const jsonColumnsOf = async (table) => {
+  if (!columnTypes.has(table)) {
+    const result = await db.query(`
+      SELECT column_name FROM information_schema.columns
+      WHERE table_name = $1 AND data_type IN ('json', 'jsonb')
+    `, [table]);
+    columnTypes.set(table, new Set(result.rows.map(row => row.column_name)));
+  }
+
+  return columnTypes.get(table);
+};
+
+// Inserts one row and returns it as stored. Rows may set their id; the table's sequence then moves past it
+// so that rows the code under test inserts do not collide.
+const insert = async (table, row) => {
+  const jsonColumns = await jsonColumnsOf(table);
+  const columns = Object.keys(row);
+  const values = columns.map(column => (jsonColumns.has(column) ? JSON.stringify(row[column]) : row[column]));
+
+  const result = await db.query(`
+    INSERT INTO ${table} (${columns.join(', ')})
+    VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+    RETURNING *
+  `, values);
+
+  if (row.id !== undefined) {
+    await db.query(`SELECT setval(pg_get_serial_sequence($1, 'id'), (SELECT MAX(id) FROM ${table}))`, [table]);
+  }
+
+  return result.rows[0];
+};
+
+const insertUser = (id, role, fields = {}) => insert('users', {
+  id,
+  company_id: 1,
+  email: `user${id}@example.com`,
+  password_hash: 'x',
+  first_name: 'User',
+  last_name: String(id),
+  role,
+  ...fields
+});
+
+// Company 1 with employee 1 reporting to manager 2, who reports to manager 3, admin 9 and category 1
+const seedCompany = async () => {
+  await insert('companies', { id: 1, name: 'Acme', base_currency: 'EUR' });
+  await insertUser(9, 'admin');
+  await insertUser(3, 'manager');
+  await insertUser(2, 'manager', { manager_id: 3 });
+  await insertUser(1, 'employee', { manager_id: 2 });
+  await insert('expense_categories', { id: 1, company_id: 1, name: 'Travel' });
+};
+
+// A submitted expense of employee 1 in company 1; fields override the defaults
+const insertExpense = (id, fields = {}) => insert('expenses', {
+  id,
+  employee_id: 1,
+  company_id: 1,
+  category_id: 1,
+  amount: 100,
+  currency: 'EUR',
+  converted_amount: 100,
+  description: `Expense ${id}`,
+  expense_date: '2026-03-02',
+  status: 'submitted',
+  ...fields
+});
+
+// Empties the test database before each test of the file, optionally seeding company 1, and closes the
+// connection pool after the last test. Returns the fixture helpers.
+const useTestDatabase = ({ seed = true } = {}) => {
+  beforeEach(async () => {
+    await reset();
+
+    if (seed) {
+      await seedCompany();
+    }
+  });
+
+  afterAll(() => db.pool.end());
+
+  return { db, insert, insertUser, insertExpense };
+};
+
+module.exports = { useTestDatabase };
@@ -0,0 +1,109 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+const approvalService = require('../services/approvalService');
+
+// Employee 1 reports to manager 2, who reports to manager 3; user 9 is the only admin
+const { db, insert, insertUser } = useTestDatabase();
+
+const sequentialRule = { id: 1, rule_type: 'sequential', distinct_step_approvers: true };
+
+const insertSteps = async (steps) => {
+  await insert('approval_rules', { id: 1, company_id: 1, name: 'Steps', rule_type: 'sequential', distinct_step_approvers: true });
+
+  for (const [index, step] of steps.entries()) {
+    await insert('approval_rule_steps', { rule_id: 1, step_order: index + 1, ...step });
+  }
+};
+
+const insertGroup = async (id, memberIds) => {
+  await insert('approver_groups', { id, company_id: 1, name: `Group ${id}` });
+
+  for (const userId of memberIds) {
+    await insert('approver_group_members', { group_id: id, user_id: userId });
+  }
+};
+
+const approverIds = step => step.approvers.map(approver => approver.approverId);
+
+describe('approvalService.planApprovals', () => {
+  it('keeps the eligible members of a group step', async () => {
+    await insertUser(4, 'manager');
+    await insertUser(5, 'manager');
+    await insertGroup(7, [1, 4, 5]);
+    await insertSteps([{ approver_role: 'group', approver_group_id: 7, quorum_type: 'all' }]);
+
+    const [step] = await approvalService.planApprovals(db, sequentialRule, 1, 1);
+
+    expect(approverIds(step)).toEqual([4, 5]);
+    expect(step.quorum).toBe(2);
+  });
+
+  it('hands a group step left empty by conflicts to the submitter\'s nearest eligible manager', async () => {
+    await insertGroup(7, [1, 2]);
+    await insertSteps([
+      { approver_role: 'manager' },
+      { approver_role: 'group', approver_group_id: 7, quorum_type: 'all' }
+    ]);
+
+    const plan = await approvalService.planApprovals(db, sequentialRule, 1, 1);
+
+    expect(plan[1].approvers).toEqual([{ approverId: 3, substitutedFor: null, reason: 'no_eligible_approver' }]);
+    expect(plan[1].quorum).toBe(1);
+  });
+
+  it('falls back to an admin when no manager qualifies', async () => {
+    await insertGroup(7, []);
+    await insertSteps([
+      { approver_role: 'manager' },
+      { approver_role: 'manager_of_manager' },
+      { approver_role: 'group', approver_group_id: 7, quorum_type: 'any' }
+    ]);
+
+    const plan = await approvalService.planApprovals(db, sequentialRule, 1, 1);
+
+    expect(approverIds(plan[2])).toEqual([9]);
+  });
+
+  it('leaves the step empty when nobody qualifies', async () => {
+    await db.query('UPDATE users SET is_active = false WHERE id = 9');
+    await insertGroup(7, []);
+    await insertSteps([
+      { approver_role: 'manager' },
+      { approver_role: 'manager_of_manager' },
+      { approver_role: 'group', approver_group_id: 7, quorum_type: 'any' }
+    ]);
+
+    const plan = await approvalService.planApprovals(db, sequentialRule, 1, 1);
+
+    expect(plan[2].approvers).toEqual([]);
+    expect(() => approvalService.assertStaffed(plan)).toThrow(approvalService.NoApproverError);
+  });
+
+  it('hands a percentage vote with no eligible voters to the submitter\'s manager', async () => {
+    await insertGroup(7, [1]);
+
+    const [step] = await approvalService.planApprovals(db, { id: 2, rule_type: 'percentage', approver_group_id: 7 }, 1, 1);
+
+    expect(step.approvers).toEqual([{ approverId: 2, substitutedFor: null, reason: 'no_eligible_approver' }]);
+  });
+});
+
+describe('approvalService.assertStaffed', () => {
+  const step = (stepOrder, approverRole, ids) => ({
+    stepOrder,
+    approverRole,
+    approvers: ids.map(approverId => ({ approverId, substitutedFor: null, reason: null }))
+  });
+
+  it('accepts a hierarchy step that could not be resolved while others have approvers', () => {
+    expect(() => approvalService.assertStaffed([step(1, 'manager_of_manager', []), step(2, 'group', [4])])).not.toThrow();
+  });
+
+  it('refuses an empty pool step', () => {
+    expect(() => approvalService.assertStaffed([step(1, 'manager', [2]), step(2, 'specific_users', [])]))
+      .toThrow('step 2');
+  });
+
+  it('refuses a workflow without any approver', () => {
+    expect(() => approvalService.assertStaffed([step(1, 'percentage', [])])).toThrow(approvalService.NoApproverError);
+  });
+});
@@ -0,0 +1,92 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+const approvalService = require('../services/approvalService');
+const actionTokenService = require('../services/actionTokenService');
+
+const { db, insert, insertExpense } = useTestDatabase();
+
+beforeEach(async () => {
+  await insert('approval_rules', { id: 1, company_id: 1, name: 'Manager', rule_type: 'sequential' });
+  await insertExpense(5, { approval_rule_id: 1 });
+  await insert('expense_approvals', { id: 10, expense_id: 5, approver_id: 2, step_order: 1, status: 'pending', quorum: 1 });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const approvalStatus = async () => (await db.query('SELECT status FROM expense_approvals WHERE id = 10')).rows[0].status;
+const expenseStatus = async () => (await db.query('SELECT status FROM expenses WHERE id = 5')).rows[0].status;
+
+describe('approvalService.processApproval with an email link', () => {
+  let actionToken;
+
+  beforeEach(async () => {
+    await actionTokenService.issueLinks(db, 10, 2);
+    actionToken = (await db.query("SELECT * FROM approval_action_tokens WHERE action = 'approved'")).rows[0];
+  });
+
+  const unusedLinks = async () => (await db.query('SELECT COUNT(*)::int AS count FROM approval_action_tokens WHERE used_at IS NULL'))
+    .rows[0].count;
+
+  it('burns the links together with the decision', async () => {
+    await approvalService.processApproval(5, 2, 'approved', null, 2, { actionToken });
+
+    expect(await approvalStatus()).toBe('approved');
+    expect(await expenseStatus()).toBe('approved');
+    expect(await unusedLinks()).toBe(0);
+  });
+
+  it('records nothing when the link was already used', async () => {
+    await actionTokenService.consume(db, actionToken);
+
+    await expect(approvalService.processApproval(5, 2, 'approved', null, 2, { actionToken }))
+      .rejects.toBeInstanceOf(actionTokenService.TokenUsedError);
+
+    expect(await approvalStatus()).toBe('pending');
+    expect(await expenseStatus()).toBe('submitted');
+  });
+
+  it('keeps the links usable when the decision fails', async () => {
+    jest.spyOn(approvalService, 'advanceWorkflow').mockRejectedValue(new Error('boom'));
+
+    await expect(approvalService.processApproval(5, 2, 'approved', null, 2, { actionToken })).rejects.toThrow('boom');
+
+    expect(await approvalStatus()).toBe('pending');
+    expect(await unusedLinks()).toBe(2);
+  });
+});
+
+describe('approvalService.processApproval with a reduced amount', () => {
+  it('approves the lower amount and converts it at the rate of the claim', async () => {
+    await db.query('UPDATE expenses SET converted_amount = 110 WHERE id = 5');
+
+    await approvalService.processApproval(5, 2, 'approved', 'Taxi only', 2, { approvedAmount: 60 });
+
+    const expense = await db.query('SELECT status, approved_amount, converted_amount FROM expenses WHERE id = 5');
+    expect(expense.rows[0]).toEqual({ status: 'approved', approved_amount: '60.00', converted_amount: '66.00' });
+  });
+});
+
+describe('approvalService.processApproval on an approval that was decided meanwhile', () => {
+  beforeEach(() => db.query("UPDATE expense_approvals SET status = 'approved', acted_by = 3 WHERE id = 10"));
+
+  it('refuses the decision and records nothing', async () => {
+    await expect(approvalService.processApproval(5, 2, 'rejected', 'Too late', 2, { auditAction: 'approval_decision' }))
+      .rejects.toBeInstanceOf(approvalService.AlreadyDecidedError);
+
+    expect(await approvalStatus()).toBe('approved');
+    expect(await expenseStatus()).toBe('submitted');
+
+    const audit = await db.query('SELECT COUNT(*)::int AS count FROM audit_logs');
+    expect(audit.rows[0].count).toBe(0);
+  });
+
+  it('leaves the amount alone when the late decision approved less', async () => {
+    await expect(approvalService.processApproval(5, 2, 'approved', 'Taxi only', 2, { approvedAmount: 60 }))
+      .rejects.toBeInstanceOf(approvalService.AlreadyDecidedError);
+
+    const expense = await db.query('SELECT approved_amount, converted_amount FROM expenses WHERE id = 5');
+    expect(expense.rows[0]).toEqual({ approved_amount: null, converted_amount: '100.00' });
+
+    const notifications = await db.query("SELECT COUNT(*)::int AS count FROM notifications WHERE type = 'amount_adjusted'");
+    expect(notifications.rows[0].count).toBe(0);
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('sharp', () => jest.fn());
+jest.mock('tesseract.js', () => ({}));
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 2, role: 'manager', company_id: 1 };
+    next();
+  },
+  requireRole: () => (req, res, next) => next(),
+  requireSameCompany: (req, res, next) => next()
+}));
+
+const express = require('express');
+const { useTestDatabase } = require('./helpers/testDatabase');
+const approvalService = require('../services/approvalService');
+const approvalRoutes = require('../routes/approvals');
+
+// Manager 2 approves the report of employee 1 on the single step of rule 1
+const { db, insert, insertExpense } = useTestDatabase();
+
+describe('approval routes for expense reports', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/approvals', approvalRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/approvals`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(async () => {
+    await insert('approval_rules', { id: 1, company_id: 1, name: 'Manager', rule_type: 'sequential' });
+    await insert('approval_rule_steps', { rule_id: 1, step_order: 1, approver_role: 'manager' });
+    await insert('expense_reports', {
+      id: 8, employee_id: 1, company_id: 1, title: 'Berlin trip', start_date: '2026-03-01', end_date: '2026-03-03',
+      status: 'submitted', approval_rule_id: 1
+    });
+
+    for (const id of [11, 12, 13]) {
+      await insertExpense(id, { report_id: 8, status: 'draft' });
+    }
+
+    const rule = await db.query('SELECT * FROM approval_rules WHERE id = 1');
+    await approvalService.createReportWorkflow(db, 8, rule.rows[0], 1);
+    await db.query("UPDATE expenses SET status = 'rejected' WHERE id = 13");
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const post = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json() };
+  };
+
+  const lineStatuses = async () => (await db.query('SELECT id, status FROM expenses WHERE report_id = 8 ORDER BY id'))
+    .rows.map(line => [line.id, line.status]);
+
+  it('decides the report through its chain, rejecting the chosen lines', async () => {
+    const rejectedLines = [{ expenseId: 12, comments: 'Personal expense' }];
+
+    const { status, body } = await post('/reports/8/process', { action: 'approved', rejectedLines });
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      message: 'Expense report approved, 1 line(s) rejected', reportSettled: true, finalStatus: 'approved'
+    });
+    expect(await lineStatuses()).toEqual([[11, 'approved'], [12, 'rejected'], [13, 'rejected']]);
+  });
+
+  it('refuses to reject a line that is not open on the report', async () => {
+    const { status } = await post('/reports/8/process', {
+      action: 'approved',
+      rejectedLines: [{ expenseId: 13, comments: 'Duplicate' }]
+    });
+
+    expect(status).toBe(400);
+    expect(await lineStatuses()).toEqual([[11, 'submitted'], [12, 'submitted'], [13, 'rejected']]);
+  });
+
+  it('asks for a report rejection when every open line is rejected', async () => {
+    const { status } = await post('/reports/8/process', {
+      action: 'approved',
+      rejectedLines: [{ expenseId: 11, comments: 'Duplicate' }, { expenseId: 12, comments: 'Duplicate' }]
+    });
+
+    expect(status).toBe(400);
+    expect(await lineStatuses()).toEqual([[11, 'submitted'], [12, 'submitted'], [13, 'rejected']]);
+  });
+
+  it('refuses a decision on the user\'s own report', async () => {
+    await db.query('UPDATE expense_reports SET employee_id = 2 WHERE id = 8');
+
+    const { status } = await post('/reports/8/process', { action: 'approved' });
+
+    expect(status).toBe(403);
+    expect(await lineStatuses()).toEqual([[11, 'submitted'], [12, 'submitted'], [13, 'rejected']]);
+  });
+
+  it('answers 409 when the step was decided while the request was on its way', async () => {
+    jest.spyOn(approvalService, 'processReportApproval').mockRejectedValue(new approvalService.AlreadyDecidedError());
+
+    const { status, body } = await post('/reports/8/process', { action: 'approved' });
+
+    expect(status).toBe(409);
+    expect(body.error).toBe('This approval has already been decided');
+  });
+
+  it('leaves report lines out of the per-expense decision', async () => {
+    await insert('expense_approvals', { expense_id: 12, approver_id: 2, step_order: 1, status: 'pending' });
+    const processApproval = jest.spyOn(approvalService, 'processApproval');
+
+    const { status } = await post('/12/process', { action: 'changes_requested', comments: 'Receipt missing' });
+
+    expect(status).toBe(404);
+    expect(processApproval).not.toHaveBeenCalled();
+  });
+});
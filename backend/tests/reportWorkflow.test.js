@@ -0,0 +1,142 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+const approvalService = require('../services/approvalService');
+
+// Employee 1 reports to manager 2, who reports to manager 3; managers 3 and 4 form group 7
+const { db, insert, insertUser, insertExpense } = useTestDatabase();
+
+beforeEach(async () => {
+  await insertUser(4, 'manager');
+  await insert('approver_groups', { id: 7, company_id: 1, name: 'Finance' });
+  await insert('approver_group_members', { group_id: 7, user_id: 3 });
+  await insert('approver_group_members', { group_id: 7, user_id: 4 });
+
+  await insert('approval_rules', { id: 1, company_id: 1, name: 'Trips', rule_type: 'sequential' });
+  await insert('approval_rule_steps', { rule_id: 1, step_order: 1, approver_role: 'manager' });
+  await insert('approval_rule_steps', { rule_id: 1, step_order: 2, approver_role: 'group', approver_group_id: 7, quorum_type: 'any' });
+
+  await insert('expense_reports', {
+    id: 8, employee_id: 1, company_id: 1, title: 'Berlin trip', start_date: '2026-03-01', end_date: '2026-03-03'
+  });
+
+  for (const id of [11, 12, 13]) {
+    await insertExpense(id, { report_id: 8, status: 'draft' });
+  }
+});
+
+const rule = async () => (await db.query('SELECT * FROM approval_rules WHERE id = 1')).rows[0];
+const submitReport = async () => approvalService.createReportWorkflow(db, 8, await rule(), 1);
+
+const lineStatuses = async () => (await db.query('SELECT id, status FROM expenses WHERE report_id = 8 ORDER BY id'))
+  .rows.map(line => [line.id, line.status]);
+
+const chain = async () => (await db.query(`
+  SELECT approver_id, step_order, status FROM expense_approvals WHERE report_id = 8 ORDER BY step_order, approver_id
+`)).rows.map(row => [row.approver_id, row.step_order, row.status]);
+
+describe('approvalService.createReportWorkflow', () => {
+  it('builds one approval chain for the report, not one per line', async () => {
+    await expect(submitReport()).resolves.toBe(3);
+
+    expect(await chain()).toEqual([[2, 1, 'pending'], [3, 2, 'waiting'], [4, 2, 'waiting']]);
+
+    const lineApprovals = await db.query('SELECT COUNT(*)::int AS count FROM expense_approvals WHERE expense_id IS NOT NULL');
+    expect(lineApprovals.rows[0].count).toBe(0);
+  });
+
+  it('submits every line', async () => {
+    await submitReport();
+
+    expect(await lineStatuses()).toEqual([[11, 'submitted'], [12, 'submitted'], [13, 'submitted']]);
+  });
+
+  it('approves every line when no rule applies', async () => {
+    await approvalService.createReportWorkflow(db, 8, null, 1);
+
+    expect(await lineStatuses()).toEqual([[11, 'approved'], [12, 'approved'], [13, 'approved']]);
+    expect(await chain()).toEqual([]);
+  });
+
+  it('refuses a report nobody may approve', async () => {
+    await db.query('UPDATE users SET manager_id = NULL WHERE id = 1');
+    await db.query('UPDATE users SET is_active = false WHERE id = 9');
+    await db.query("DELETE FROM approval_rule_steps WHERE approver_role = 'manager'");
+    await db.query('DELETE FROM approver_group_members');
+
+    await expect(submitReport()).rejects.toBeInstanceOf(approvalService.NoApproverError);
+    expect(await chain()).toEqual([]);
+  });
+});
+
+describe('approvalService.processReportApproval', () => {
+  const rejectedLines = [{ expenseId: 12, comments: 'Personal expense' }];
+
+  beforeEach(() => submitReport());
+
+  it('rejects single lines as part of a required approval and moves the rest on', async () => {
+    await expect(approvalService.processReportApproval(8, 2, 'approved', null, 2, { rejectedLines }))
+      .resolves.toEqual({ update: false });
+
+    expect(await lineStatuses()).toEqual([[11, 'in_review'], [12, 'rejected'], [13, 'in_review']]);
+    expect(await chain()).toEqual([[2, 1, 'approved'], [3, 2, 'pending'], [4, 2, 'pending']]);
+
+    const decision = await db.query('SELECT rejected_lines FROM expense_approvals WHERE report_id = 8 AND approver_id = 2');
+    expect(decision.rows[0].rejected_lines).toEqual(rejectedLines);
+  });
+
+  it('only records the line rejections of an optional approver', async () => {
+    await db.query('UPDATE expense_approvals SET is_required = false WHERE report_id = 8 AND step_order = 1');
+
+    await approvalService.processReportApproval(8, 2, 'approved', null, 2, { rejectedLines });
+
+    expect(await lineStatuses()).toEqual([[11, 'in_review'], [12, 'in_review'], [13, 'in_review']]);
+  });
+
+  it('approves the open lines once the chain completes', async () => {
+    await approvalService.processReportApproval(8, 2, 'approved', null, 2, { rejectedLines });
+
+    await expect(approvalService.processReportApproval(8, 3, 'approved', null, 3))
+      .resolves.toEqual({ update: true, status: 'approved' });
+
+    expect(await lineStatuses()).toEqual([[11, 'approved'], [12, 'rejected'], [13, 'approved']]);
+    expect(await chain()).toEqual([[2, 1, 'approved'], [3, 2, 'approved'], [4, 2, 'skipped']]);
+
+    const notification = await db.query("SELECT message FROM notifications WHERE user_id = 1 AND type = 'report_status_update'");
+    expect(notification.rows[0].message).toBe('"Berlin trip": 2 line(s) approved, 1 rejected');
+  });
+
+  it('rejects the open lines with the approver\'s comments when a required step fails', async () => {
+    await expect(approvalService.processReportApproval(8, 2, 'rejected', 'Over budget', 2))
+      .resolves.toEqual({ update: true, status: 'rejected' });
+
+    expect(await lineStatuses()).toEqual([[11, 'rejected'], [12, 'rejected'], [13, 'rejected']]);
+
+    const reasons = await db.query(`
+      SELECT DISTINCT new_values->>'reason' AS reason FROM audit_logs
+      WHERE action = 'status_transition' AND new_values->>'status' = 'rejected'
+    `);
+    expect(reasons.rows).toEqual([{ reason: 'Over budget' }]);
+  });
+
+  it('refuses a second decision on the same step and leaves the lines alone', async () => {
+    await approvalService.processReportApproval(8, 2, 'approved', null, 2);
+
+    await expect(approvalService.processReportApproval(8, 2, 'approved', null, 2, { rejectedLines }))
+      .rejects.toBeInstanceOf(approvalService.AlreadyDecidedError);
+
+    expect(await lineStatuses()).toEqual([[11, 'in_review'], [12, 'in_review'], [13, 'in_review']]);
+    expect(await chain()).toEqual([[2, 1, 'approved'], [3, 2, 'pending'], [4, 2, 'pending']]);
+  });
+
+  it('settles the report when every line was already rejected on its own', async () => {
+    await approvalService.processReportApproval(8, 2, 'approved', null, 2, {
+      rejectedLines: [{ expenseId: 11, comments: 'Duplicate' }, { expenseId: 12, comments: 'Duplicate' }]
+    });
+    await db.query("UPDATE expenses SET status = 'rejected' WHERE id = 13");
+
+    await expect(approvalService.processReportApproval(8, 3, 'approved', null, 3))
+      .resolves.toEqual({ update: true, status: 'rejected' });
+
+    const notification = await db.query("SELECT message FROM notifications WHERE user_id = 1 AND type = 'report_status_update'");
+    expect(notification.rows[0].message).toBe('"Berlin trip": 0 line(s) approved, 3 rejected');
+  });
+});
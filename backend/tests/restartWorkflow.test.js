@@ -0,0 +1,56 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+const approvalService = require('../services/approvalService');
+
+const { db, insert, insertUser, insertExpense } = useTestDatabase();
+
+describe('approvalService.restartWorkflow', () => {
+  const previous = { approval_rule_id: 1, converted_amount: '120.00', category_id: 1 };
+
+  beforeEach(async () => {
+    await insertUser(4, 'manager');
+    await insert('approval_rules', { id: 1, company_id: 1, name: 'Manager', rule_type: 'sequential' });
+    await insert('approval_rule_steps', { rule_id: 1, step_order: 1, approver_role: 'manager' });
+    await insertExpense(5, { status: 'in_review', approval_rule_id: 1, amount: 150, converted_amount: 150 });
+
+    await insert('expense_approvals', { expense_id: 5, approver_id: 2, step_order: 1, status: 'approved' });
+    await insert('expense_approvals', { expense_id: 5, approver_id: 3, step_order: 2, status: 'pending' });
+    await insert('expense_approvals', { expense_id: 5, approver_id: 4, step_order: 3, status: 'waiting' });
+  });
+
+  const restart = () => approvalService.restartWorkflow(db, 5, { id: 1 }, 1, previous);
+
+  it('notifies only approvers who had already seen the expense', async () => {
+    await restart();
+
+    const notified = await db.query(`
+      SELECT user_id FROM notifications WHERE type = 'approval_invalidated' ORDER BY user_id
+    `);
+    expect(notified.rows.map(row => row.user_id)).toEqual([2, 3]);
+  });
+
+  it('records the statuses the approvals had before the restart', async () => {
+    await expect(restart()).resolves.toEqual({ ruleId: 1, invalidated: 3 });
+
+    const audit = await db.query("SELECT old_values FROM audit_logs WHERE action = 'approval_workflow_restarted'");
+    expect(audit.rows[0].old_values.invalidatedApprovals).toEqual(expect.arrayContaining([
+      { approver_id: 2, status: 'approved' },
+      { approver_id: 3, status: 'pending' },
+      { approver_id: 4, status: 'waiting' }
+    ]));
+  });
+
+  it('builds a fresh workflow next to the invalidated one', async () => {
+    await restart();
+
+    const approvals = await db.query('SELECT approver_id, status FROM expense_approvals WHERE expense_id = 5 ORDER BY id');
+    expect(approvals.rows).toEqual([
+      { approver_id: 2, status: 'invalidated' },
+      { approver_id: 3, status: 'invalidated' },
+      { approver_id: 4, status: 'invalidated' },
+      { approver_id: 2, status: 'pending' }
+    ]);
+
+    const expense = await db.query('SELECT status FROM expenses WHERE id = 5');
+    expect(expense.rows[0].status).toBe('submitted');
+  });
+});
@@ -0,0 +1,93 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+const approvalService = require('../services/approvalService');
+
+const context = {
+  amount: 120,
+  currency: 'EUR',
+  categoryId: '3',
+  employeeId: 1,
+  merchantName: 'Lufthansa Berlin',
+  submitterRole: 'employee'
+};
+
+describe('approvalService.matchesConditions', () => {
+  it('matches any expense when the rule has no conditions', () => {
+    expect(approvalService.matchesConditions(null, context)).toBe(true);
+    expect(approvalService.matchesConditions({}, context)).toBe(true);
+  });
+
+  it('matches on category, comparing ids as numbers', () => {
+    expect(approvalService.matchesConditions({ categoryIds: [3, 4] }, context)).toBe(true);
+    expect(approvalService.matchesConditions({ categoryIds: [4] }, context)).toBe(false);
+  });
+
+  it('matches on submitter role and employee', () => {
+    expect(approvalService.matchesConditions({ submitterRoles: ['employee'], employeeIds: [1] }, context)).toBe(true);
+    expect(approvalService.matchesConditions({ submitterRoles: ['manager'] }, context)).toBe(false);
+    expect(approvalService.matchesConditions({ employeeIds: [2] }, context)).toBe(false);
+  });
+
+  it('matches merchants against a case-insensitive glob', () => {
+    expect(approvalService.matchesConditions({ merchantPattern: 'lufthansa*' }, context)).toBe(true);
+    expect(approvalService.matchesConditions({ merchantPattern: '*berlin' }, context)).toBe(true);
+    expect(approvalService.matchesConditions({ merchantPattern: 'Lufthansa' }, context)).toBe(false);
+    expect(approvalService.matchesConditions({ merchantPattern: 'Lufthansa*' }, { ...context, merchantName: null })).toBe(false);
+  });
+
+  it('treats glob text other than * literally', () => {
+    expect(approvalService.matchesConditions({ merchantPattern: 'A.B (GmbH)' }, { ...context, merchantName: 'a.b (gmbh)' })).toBe(true);
+    expect(approvalService.matchesConditions({ merchantPattern: 'A.B' }, { ...context, merchantName: 'AxB' })).toBe(false);
+  });
+
+  it('matches on currency', () => {
+    expect(approvalService.matchesConditions({ currencies: ['EUR', 'USD'] }, context)).toBe(true);
+    expect(approvalService.matchesConditions({ currencies: ['USD'] }, context)).toBe(false);
+  });
+
+  it('needs every condition to hold', () => {
+    expect(approvalService.matchesConditions({ categoryIds: [3], currencies: ['USD'] }, context)).toBe(false);
+  });
+});
+
+describe('approvalService.getApplicableRule', () => {
+  const { insert } = useTestDatabase();
+
+  const insertRule = (id, conditions, fields = {}) => insert('approval_rules', {
+    id, company_id: 1, name: `Rule ${id}`, rule_type: 'sequential', conditions, ...fields
+  });
+
+  it('prefers the matching rule with the most conditions', async () => {
+    await insertRule(1, {});
+    await insertRule(2, { categoryIds: [3], currencies: ['EUR'] });
+    await insertRule(3, { categoryIds: [3] });
+
+    await expect(approvalService.getApplicableRule(context, 1)).resolves.toMatchObject({ id: 2 });
+  });
+
+  it('falls back to a generic rule when no conditions match', async () => {
+    await insertRule(1, {});
+    await insertRule(2, { submitterRoles: ['manager'] });
+
+    await expect(approvalService.getApplicableRule(context, 1)).resolves.toMatchObject({ id: 1 });
+  });
+
+  it('matches the submitter\'s role as stored', async () => {
+    await insertRule(1, { submitterRoles: ['manager'] });
+
+    await expect(approvalService.getApplicableRule({ ...context, employeeId: 2 }, 1)).resolves.toMatchObject({ id: 1 });
+  });
+
+  it('leaves out inactive rules and rules of another amount range', async () => {
+    await insertRule(1, {}, { is_active: false });
+    await insertRule(2, {}, { min_amount: 500 });
+    await insertRule(3, {}, { max_amount: 100 });
+
+    await expect(approvalService.getApplicableRule(context, 1)).resolves.toBeNull();
+  });
+
+  it('returns null when no rule matches', async () => {
+    await insertRule(2, { merchantPattern: 'Uber*' });
+
+    await expect(approvalService.getApplicableRule(context, 1)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+
+const ruleValidationService = require('../services/ruleValidationService');
+
+// Ranges as validateRuleSet builds them, in cents
+const range = (id, min, max, conditions = {}) => ({
+  id,
+  name: `Rule ${id}`,
+  conditions,
+  min,
+  max: max === null ? Infinity : max
+});
+
+describe('ruleValidationService.findGaps', () => {
+  it('reports nothing when the rules cover every amount', () => {
+    expect(ruleValidationService.findGaps([
+      range(1, 0, 10000),
+      range(2, 10001, null)
+    ])).toEqual([]);
+  });
+
+  it('reports an amount of exactly zero as uncovered', () => {
+    const warnings = ruleValidationService.findGaps([range(1, 1, null)]);
+
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({ type: 'gap', ruleIds: [1] });
+    expect(warnings[0].message).toContain('0.00 to 0.00');
+  });
+
+  it('reports a gap between two ranges', () => {
+    const warnings = ruleValidationService.findGaps([
+      range(1, 0, 10000),
+      range(2, 20000, null)
+    ]);
+
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({ type: 'gap', ruleIds: [1, 2] });
+    expect(warnings[0].message).toContain('100.01 to 199.99');
+  });
+
+  it('reports amounts above the highest range', () => {
+    const warnings = ruleValidationService.findGaps([range(1, 0, 50000)]);
+
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].message).toContain('above 500.00');
+  });
+
+  it('does not depend on the order the ranges come in', () => {
+    expect(ruleValidationService.findGaps([
+      range(2, 10001, null),
+      range(1, 0, 10000)
+    ])).toEqual([]);
+  });
+
+  it('ignores conditional rules when computing coverage', () => {
+    const warnings = ruleValidationService.findGaps([range(1, 0, null, { categoryIds: [3] })]);
+
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].ruleIds).toEqual([]);
+  });
+});
+
+describe('ruleValidationService.findOverlaps', () => {
+  it('reports overlapping ranges with identical conditions', () => {
+    const warnings = ruleValidationService.findOverlaps([
+      range(1, 0, 20000),
+      range(2, 10000, null)
+    ]);
+
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({ type: 'overlap', ruleIds: [1, 2] });
+    expect(warnings[0].message).toContain('100.00 to 200.00');
+  });
+
+  it('treats ranges sharing a boundary amount as overlapping', () => {
+    expect(ruleValidationService.findOverlaps([
+      range(1, 0, 10000),
+      range(2, 10000, null)
+    ])).toHaveLength(1);
+  });
+
+  it('ignores contiguous ranges', () => {
+    expect(ruleValidationService.findOverlaps([
+      range(1, 0, 10000),
+      range(2, 10001, null)
+    ])).toEqual([]);
+  });
+
+  it('ignores overlapping rules whose conditions differ', () => {
+    expect(ruleValidationService.findOverlaps([
+      range(1, 0, null),
+      range(2, 0, null, { categoryIds: [3] })
+    ])).toEqual([]);
+  });
+
+  it('compares conditions regardless of key and value order', () => {
+    expect(ruleValidationService.findOverlaps([
+      range(1, 0, null, { categoryIds: [3, 4], currencies: ['EUR'] }),
+      range(2, 0, null, { currencies: ['EUR'], categoryIds: [4, 3], employeeIds: [] })
+    ])).toHaveLength(1);
+  });
+});
+
+describe('ruleValidationService.validateRuleSet', () => {
+  const { db, insert } = useTestDatabase();
+
+  const insertRule = (id, fields) => insert('approval_rules', {
+    id, company_id: 1, name: `Rule ${id}`, rule_type: 'sequential', ...fields
+  });
+
+  it('treats a rule without a minimum as starting at zero', async () => {
+    await insertRule(1, { min_amount: 100.01, max_amount: null });
+    await insertRule(2, { min_amount: null, max_amount: 100 });
+
+    await expect(ruleValidationService.validateRuleSet(db, 1)).resolves.toEqual([]);
+  });
+
+  it('reports a rule routed to an inactive approver', async () => {
+    await db.query('UPDATE users SET is_active = false WHERE id = 3');
+    await insertRule(1, { min_amount: 0, max_amount: null });
+    await insert('approval_rule_steps', { rule_id: 1, step_order: 1, approver_role: 'specific_user', approver_id: 3 });
+
+    const warnings = await ruleValidationService.validateRuleSet(db, 1);
+
+    expect(warnings).toEqual([expect.objectContaining({ type: 'inactive_approver', ruleIds: [1] })]);
+  });
+});
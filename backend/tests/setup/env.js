@@ -0,0 +1,3 @@
+// Each jest worker runs its test files against its own copy of the schema (see globalSetup.mjs)
+process.env.DB_NAME = `expense_test_${process.env.JEST_WORKER_ID}`;
+process.env.JWT_SECRET = 'test-secret';
@@ -0,0 +1,64 @@
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import pg from 'pg';
+import EmbeddedPostgres from 'embedded-postgres';
+
+const SCHEMA_PATH = new URL('../../../database/schema.sql', import.meta.url);
+const TEMPLATE = 'expense_test_template';
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+const withClient = async (settings, database, work) => {
+  const client = new pg.Client({ ...settings, database });
+  await client.connect();
+
+  try {
+    return await work(client);
+  } finally {
+    await client.end();
+  }
+};
+
+// Starts a throwaway Postgres for the test run and gives every jest worker its own database built from
+// database/schema.sql (see env.js). The seed categories are left out: they belong to a company
+// the tests create themselves.
+export default async function globalSetup(globalConfig) {
+  const settings = { host: 'localhost', port: await freePort(), user: 'postgres', password: 'postgres' };
+
+  const postgres = new EmbeddedPostgres({
+    databaseDir: path.join(os.tmpdir(), `expense-tests-${process.pid}`),
+    port: settings.port,
+    user: settings.user,
+    password: settings.password,
+    persistent: false,
+    onLog: () => {}
+  });
+
+  await postgres.initialise();
+  await postgres.start();
+  globalThis.postgres = postgres;
+
+  const schema = fs.readFileSync(SCHEMA_PATH, 'utf8').replace(/INSERT INTO expense_categories[^;]*;/, '');
+
+  await withClient(settings, 'postgres', client => client.query(`CREATE DATABASE ${TEMPLATE}`));
+  await withClient(settings, TEMPLATE, client => client.query(schema));
+  await withClient(settings, 'postgres', async (client) => {
+    for (let worker = 1; worker <= globalConfig.maxWorkers; worker++) {
+      await client.query(`CREATE DATABASE expense_test_${worker} TEMPLATE ${TEMPLATE}`);
+    }
+  });
+
+  process.env.DB_HOST = settings.host;
+  process.env.DB_PORT = String(settings.port);
+  process.env.DB_USER = settings.user;
+  process.env.DB_PASSWORD = settings.password;
+}
@@ -0,0 +1,144 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+const slaService = require('../services/slaService');
+
+// Employee 1 reports to manager 2, who reports to manager 3; user 9 is the only admin
+const { db, insert, insertUser, insertExpense } = useTestDatabase();
+
+const TWO_DAYS_AGO = new Date(Date.now() - 48 * 60 * 60 * 1000);
+
+beforeEach(async () => {
+  await insert('approval_rules', { id: 1, company_id: 1, name: 'Manager', rule_type: 'sequential', sla_hours: 24 });
+  await insertExpense(5, { approval_rule_id: 1 });
+  await insert('expense_approvals', {
+    id: 10, expense_id: 5, approver_id: 2, step_order: 1, status: 'pending', activated_at: TWO_DAYS_AGO
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const overdueApproval = async (id = 10) => (await slaService.getOpenApprovals('ea.id = $1', [id]))[0];
+
+describe('slaService.findEscalationTarget', () => {
+  const targetOf = async id => slaService.findEscalationTarget(db, await overdueApproval(id));
+
+  it('escalates to the approver\'s manager', async () => {
+    await expect(targetOf(10)).resolves.toBe(3);
+  });
+
+  it('passes over a manager who already approves another step', async () => {
+    await insertUser(4, 'manager');
+    await db.query('UPDATE users SET manager_id = 4 WHERE id = 3');
+    await insert('expense_approvals', { expense_id: 5, approver_id: 3, step_order: 2, status: 'waiting' });
+
+    await expect(targetOf(10)).resolves.toBe(4);
+  });
+
+  it('passes over inactive managers', async () => {
+    await insertUser(4, 'manager');
+    await db.query('UPDATE users SET manager_id = 4, is_active = false WHERE id = 3');
+
+    await expect(targetOf(10)).resolves.toBe(4);
+  });
+
+  it('passes over the submitter, even above the approver', async () => {
+    await insertUser(4, 'manager');
+    await db.query('UPDATE users SET manager_id = 4 WHERE id = 3');
+    await db.query('UPDATE expenses SET employee_id = 4 WHERE id = 5');
+    await insert('expense_approvals', { expense_id: 5, approver_id: 3, step_order: 2, status: 'waiting' });
+
+    await expect(targetOf(10)).resolves.toBe(9);
+  });
+
+  it('falls back to an admin outside the workflow', async () => {
+    await insertUser(11, 'admin');
+    await insert('expense_approvals', { expense_id: 5, approver_id: 3, step_order: 2, status: 'waiting' });
+    await insert('expense_approvals', { expense_id: 5, approver_id: 2, step_order: 3, status: 'waiting', acted_by: 9 });
+
+    await expect(targetOf(10)).resolves.toBe(11);
+  });
+
+  it('ignores approvals invalidated by a restart', async () => {
+    await insert('expense_approvals', { expense_id: 5, approver_id: 3, step_order: 2, status: 'invalidated' });
+
+    await expect(targetOf(10)).resolves.toBe(3);
+  });
+
+  it('returns null when nobody qualifies', async () => {
+    await db.query('UPDATE users SET is_active = false WHERE id = 9');
+    await insert('expense_approvals', { expense_id: 5, approver_id: 3, step_order: 2, status: 'waiting' });
+
+    await expect(targetOf(10)).resolves.toBeNull();
+  });
+
+  it('passes over everyone on the report\'s chain', async () => {
+    await insertUser(4, 'manager');
+    await db.query('UPDATE users SET manager_id = 4 WHERE id = 3');
+    await insert('expense_reports', {
+      id: 8, employee_id: 1, company_id: 1, title: 'Berlin trip', start_date: '2026-03-01', end_date: '2026-03-03',
+      status: 'submitted', approval_rule_id: 1
+    });
+    await insertExpense(11, { report_id: 8 });
+    await insert('expense_approvals', {
+      id: 20, report_id: 8, approver_id: 2, step_order: 1, status: 'pending', activated_at: TWO_DAYS_AGO
+    });
+    await insert('expense_approvals', { report_id: 8, approver_id: 3, step_order: 2, status: 'waiting' });
+
+    await expect(targetOf(20)).resolves.toBe(4);
+  });
+});
+
+describe('slaService.escalateOverdueApprovals', () => {
+  const approval = async id => (await db.query('SELECT * FROM expense_approvals WHERE id = $1', [id])).rows[0];
+  const unusedLinksOf = async approverId => (await db.query(`
+    SELECT COUNT(*)::int AS count FROM approval_action_tokens WHERE approver_id = $1 AND used_at IS NULL
+  `, [approverId])).rows[0].count;
+
+  it('flags an approval nobody can take over and leaves it with its approver', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await db.query('UPDATE users SET is_active = false WHERE id IN (3, 9)');
+
+    await expect(slaService.escalateOverdueApprovals()).resolves.toBe(0);
+
+    const flagged = await approval(10);
+    expect(flagged.approver_id).toBe(2);
+    expect(flagged.escalation_blocked_at).not.toBeNull();
+  });
+
+  it('does not flag an approval twice', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await db.query('UPDATE users SET is_active = false WHERE id IN (3, 9)');
+
+    await slaService.escalateOverdueApprovals();
+    await slaService.escalateOverdueApprovals();
+
+    const audit = await db.query("SELECT COUNT(*)::int AS count FROM audit_logs WHERE action = 'approval_escalation_blocked'");
+    expect(audit.rows[0].count).toBe(1);
+  });
+
+  it('hands the approval over and issues email links to the new approver of a standalone expense', async () => {
+    await expect(slaService.escalateOverdueApprovals()).resolves.toBe(1);
+
+    expect(await approval(10)).toMatchObject({ approver_id: 3, escalated_from: 2, escalation_blocked_at: null });
+    expect(await unusedLinksOf(3)).toBe(2);
+  });
+
+  it('issues no email links for expense reports', async () => {
+    await db.query("UPDATE expenses SET status = 'approved' WHERE id = 5");
+    await insert('expense_reports', {
+      id: 8, employee_id: 1, company_id: 1, title: 'Berlin trip', start_date: '2026-03-01', end_date: '2026-03-03',
+      status: 'submitted', approval_rule_id: 1
+    });
+    await insertExpense(11, { report_id: 8 });
+    await insert('expense_approvals', {
+      id: 20, report_id: 8, approver_id: 2, step_order: 1, status: 'pending', activated_at: TWO_DAYS_AGO
+    });
+
+    await expect(slaService.escalateOverdueApprovals()).resolves.toBe(1);
+
+    expect(await approval(20)).toMatchObject({ approver_id: 3, escalated_from: 2 });
+    expect(await unusedLinksOf(3)).toBe(0);
+
+    const notification = await db.query("SELECT metadata FROM notifications WHERE user_id = 3 AND type = 'approval_escalated'");
+    expect(notification.rows[0].metadata).toEqual({ reportId: 8 });
+  });
+});
@@ -0,0 +1,137 @@
+const { useTestDatabase } = require('./helpers/testDatabase');
+const approvalService = require('../services/approvalService');
+
+const row = (stepOrder, status, { quorum = 1, isRequired = true, approverId = null, substitutedFor = null } = {}) => ({
+  step_order: stepOrder, status, quorum, is_required: isRequired, approver_id: approverId, substituted_for: substitutedFor
+});
+
+describe('approvalService.getStepState', () => {
+  it('is satisfied once the quorum has approved', () => {
+    expect(approvalService.getStepState([
+      row(1, 'approved', { quorum: 2 }), row(1, 'approved', { quorum: 2 }), row(1, 'pending', { quorum: 2 })
+    ])).toBe('satisfied');
+  });
+
+  it('stays open while the quorum can still be reached', () => {
+    expect(approvalService.getStepState([
+      row(1, 'approved', { quorum: 2 }), row(1, 'rejected', { quorum: 2 }), row(1, 'pending', { quorum: 2 })
+    ])).toBe('open');
+  });
+
+  it('fails once too few approvers remain to reach the quorum', () => {
+    expect(approvalService.getStepState([
+      row(1, 'rejected', { quorum: 2 }), row(1, 'rejected', { quorum: 2 }), row(1, 'pending', { quorum: 2 })
+    ])).toBe('failed');
+  });
+
+  it('lets any single approval satisfy an any-of step', () => {
+    expect(approvalService.getStepState([row(1, 'rejected'), row(1, 'approved'), row(1, 'pending')])).toBe('satisfied');
+  });
+
+  it('needs every approver when the rows carry no quorum', () => {
+    const rows = [row(1, 'approved', { quorum: null }), row(1, 'pending', { quorum: null })];
+
+    expect(approvalService.getStepState(rows)).toBe('open');
+    expect(approvalService.getStepState([rows[0], { ...rows[1], status: 'skipped' }])).toBe('failed');
+  });
+});
+
+describe('approvalService.shouldUpdateExpenseStatus', () => {
+  const { db, insert, insertExpense } = useTestDatabase();
+
+  // Expense 5 on rule 1 with one approval row per entry, spread over approvers 2, 3 and 9
+  const outcomeOf = async (rule, rows, action, isRequired = true) => {
+    await insert('approval_rules', { id: 1, company_id: 1, name: 'Rule', ...rule });
+    await insertExpense(5, { approval_rule_id: 1 });
+
+    const approverIds = [2, 3, 9];
+    for (const [index, approval] of rows.entries()) {
+      await insert('expense_approvals', {
+        expense_id: 5,
+        approver_id: approval.approver_id ?? approverIds[index],
+        step_order: approval.step_order,
+        status: approval.status,
+        quorum: approval.quorum,
+        is_required: approval.is_required,
+        substituted_for: approval.substituted_for
+      });
+    }
+
+    return approvalService.shouldUpdateExpenseStatus(db, 5, action, isRequired);
+  };
+
+  const sequential = { rule_type: 'sequential' };
+
+  it('settles nothing without a rule', async () => {
+    await insertExpense(5);
+
+    await expect(approvalService.shouldUpdateExpenseStatus(db, 5, 'approved')).resolves.toEqual({ update: false });
+  });
+
+  it('approves a sequential workflow once every step is satisfied', async () => {
+    await expect(outcomeOf(sequential, [
+      row(1, 'approved'), row(2, 'approved', { quorum: 1 }), row(2, 'pending', { quorum: 1 })
+    ], 'approved')).resolves.toEqual({ update: true, status: 'approved' });
+  });
+
+  it('keeps a sequential workflow open while a later step waits', async () => {
+    await expect(outcomeOf(sequential, [row(1, 'approved'), row(2, 'waiting')], 'approved'))
+      .resolves.toEqual({ update: false });
+  });
+
+  it('tolerates a rejection a step\'s quorum can absorb', async () => {
+    await expect(outcomeOf(sequential, [
+      row(1, 'rejected', { quorum: 1 }), row(1, 'pending', { quorum: 1 })
+    ], 'rejected')).resolves.toEqual({ update: false });
+  });
+
+  it('rejects a sequential workflow when a required step fails', async () => {
+    await expect(outcomeOf(sequential, [row(1, 'approved'), row(2, 'rejected')], 'rejected'))
+      .resolves.toEqual({ update: true, status: 'rejected' });
+  });
+
+  it('lets an optional step fail without blocking the workflow', async () => {
+    await expect(outcomeOf(sequential, [
+      row(1, 'approved'), row(2, 'rejected', { isRequired: false })
+    ], 'rejected', false)).resolves.toEqual({ update: true, status: 'approved' });
+  });
+
+  it('rejects a percentage workflow on any required rejection', async () => {
+    await expect(outcomeOf({ rule_type: 'percentage', percentage_required: 50 },
+      [row(1, 'rejected'), row(1, 'pending')], 'rejected')).resolves.toEqual({ update: true, status: 'rejected' });
+  });
+
+  it('approves a percentage workflow once enough approvers agree', async () => {
+    await expect(outcomeOf({ rule_type: 'percentage', percentage_required: 60 },
+      [row(1, 'approved'), row(1, 'approved'), row(1, 'pending')], 'approved'))
+      .resolves.toEqual({ update: true, status: 'approved' });
+  });
+
+  it('keeps a percentage workflow open below the required share', async () => {
+    await expect(outcomeOf({ rule_type: 'percentage', percentage_required: 60 },
+      [row(1, 'approved'), row(1, 'pending'), row(1, 'pending')], 'approved'))
+      .resolves.toEqual({ update: false });
+  });
+
+  it('approves a hybrid workflow when the specific approver approves', async () => {
+    const rule = { rule_type: 'hybrid', percentage_required: 100, specific_approver_id: 3 };
+
+    await expect(outcomeOf(rule, [row(1, 'approved', { approverId: 3 }), row(1, 'pending', { approverId: 2 })], 'approved'))
+      .resolves.toEqual({ update: true, status: 'approved' });
+  });
+
+  it('approves a hybrid workflow when the substitute of the specific approver approves', async () => {
+    const rule = { rule_type: 'hybrid', percentage_required: 100, specific_approver_id: 3 };
+
+    await expect(outcomeOf(rule, [
+      row(1, 'approved', { approverId: 2, substitutedFor: 3 }), row(1, 'pending', { approverId: 9 })
+    ], 'approved')).resolves.toEqual({ update: true, status: 'approved' });
+  });
+
+  it('keeps a hybrid workflow open when someone else approves', async () => {
+    const rule = { rule_type: 'hybrid', percentage_required: 100, specific_approver_id: 3 };
+
+    await expect(outcomeOf(rule, [row(1, 'approved', { approverId: 2 }), row(1, 'pending', { approverId: 3 })], 'approved'))
+      .resolves.toEqual({ update: false });
+  });
+});
@@ -0,0 +1,66 @@
+-- Moves databases created before expense attachments onto the current schema.sql:
+-- the single expenses.receipt_url becomes an expense_attachments row and OCR results
+-- point at the attachment they were read from.
+--
+-- Run once, e.g. psql -d expense_management -f database/migrations/001_expense_attachments.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS expense_attachments (
+    id SERIAL PRIMARY KEY,
+    expense_id INTEGER REFERENCES expenses(id) ON DELETE CASCADE,
+    kind VARCHAR(20) CHECK (kind IN ('receipt', 'invoice', 'boarding_pass', 'other')) NOT NULL DEFAULT 'receipt',
+    file_url VARCHAR(500) NOT NULL,
+    original_name VARCHAR(255),
+    mime_type VARCHAR(100),
+    file_size INTEGER,
+    uploaded_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_attachments_expense_id ON expense_attachments(expense_id);
+
+-- Every stored receipt becomes a receipt attachment uploaded by the employee. The original
+-- file name and size were never kept, so the stored name stands in and the size stays unknown.
+INSERT INTO expense_attachments (expense_id, kind, file_url, original_name, mime_type, uploaded_by, created_at)
+SELECT e.id, 'receipt', e.receipt_url,
+       regexp_replace(e.receipt_url, '^.*/', ''),
+       CASE lower(substring(e.receipt_url FROM '\.([^./]+)$'))
+         WHEN 'jpg' THEN 'image/jpeg'
+         WHEN 'jpeg' THEN 'image/jpeg'
+         WHEN 'png' THEN 'image/png'
+         WHEN 'pdf' THEN 'application/pdf'
+       END,
+       e.employee_id, e.created_at
+FROM expenses e
+WHERE e.receipt_url IS NOT NULL
+AND NOT EXISTS (
+  SELECT 1 FROM expense_attachments a WHERE a.expense_id = e.id AND a.file_url = e.receipt_url
+);
+
+ALTER TABLE ocr_results
+  ADD COLUMN IF NOT EXISTS attachment_id INTEGER UNIQUE REFERENCES expense_attachments(id) ON DELETE CASCADE;
+
+-- Re-uploading a receipt replaced its OCR result, but keep only the latest row per expense in
+-- case older ones survived
+DELETE FROM ocr_results o
+WHERE o.id NOT IN (
+  SELECT DISTINCT ON (expense_id) id
+  FROM ocr_results
+  WHERE expense_id IS NOT NULL
+  ORDER BY expense_id, created_at DESC, id DESC
+);
+
+UPDATE ocr_results o
+SET attachment_id = a.id
+FROM expenses e
+JOIN expense_attachments a ON a.expense_id = e.id AND a.file_url = e.receipt_url
+WHERE o.expense_id = e.id;
+
+-- OCR read from a receipt that is no longer on the expense has nothing left to describe
+DELETE FROM ocr_results WHERE attachment_id IS NULL;
+
+ALTER TABLE ocr_results DROP COLUMN expense_id;
+ALTER TABLE expenses DROP COLUMN receipt_url;
+
+COMMIT;
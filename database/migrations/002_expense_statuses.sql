@@ -0,0 +1,26 @@
+-- Moves databases created before the expense state machine onto the statuses of the current
+-- schema.sql: pending becomes submitted, or in_review once an approver has approved it, and the
+-- never-used processing is treated as in review.
+--
+-- Run once, e.g. psql -d expense_management -f database/migrations/002_expense_statuses.sql
+
+BEGIN;
+
+ALTER TABLE expenses DROP CONSTRAINT IF EXISTS expenses_status_check;
+
+UPDATE expenses e
+SET status = CASE
+  WHEN e.status = 'processing' OR EXISTS (
+    SELECT 1 FROM expense_approvals ea WHERE ea.expense_id = e.id AND ea.status = 'approved'
+  ) THEN 'in_review'
+  ELSE 'submitted'
+END
+WHERE e.status IN ('pending', 'processing');
+
+ALTER TABLE expenses
+  ADD CONSTRAINT expenses_status_check
+  CHECK (status IN ('draft', 'submitted', 'in_review', 'changes_requested', 'approved', 'rejected', 'withdrawn', 'paid'));
+
+ALTER TABLE expenses ALTER COLUMN status SET DEFAULT 'submitted';
+
+COMMIT;
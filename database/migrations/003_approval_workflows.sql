@@ -0,0 +1,170 @@
+-- Brings databases created before the approval workflow changes up to the current schema.sql:
+-- rule conditions and versions, approver groups, multi-approver steps with quorums, optional
+-- steps, SLAs and escalation, delegations, one-time action links, reduced approvals and
+-- confirmed overrides. Safe to run again.
+--
+-- Run once, e.g. psql -d expense_management -f database/migrations/003_approval_workflows.sql
+
+BEGIN;
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS override_confirmation_threshold DECIMAL(15,2);
+
+CREATE TABLE IF NOT EXISTS approver_groups (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (company_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS approver_group_members (
+    group_id INTEGER REFERENCES approver_groups(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    PRIMARY KEY (group_id, user_id)
+);
+
+ALTER TABLE approval_rules
+  ADD COLUMN IF NOT EXISTS approver_group_id INTEGER REFERENCES approver_groups(id),
+  ADD COLUMN IF NOT EXISTS conditions JSONB DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS sla_hours INTEGER CHECK (sla_hours >= 1),
+  ADD COLUMN IF NOT EXISTS distinct_step_approvers BOOLEAN DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS current_version INTEGER DEFAULT 1;
+
+ALTER TABLE approval_rule_steps
+  ADD COLUMN IF NOT EXISTS approver_ids INTEGER[],
+  ADD COLUMN IF NOT EXISTS approver_group_id INTEGER REFERENCES approver_groups(id),
+  ADD COLUMN IF NOT EXISTS quorum_type VARCHAR(10) CHECK (quorum_type IN ('any', 'all', 'count')) DEFAULT 'all',
+  ADD COLUMN IF NOT EXISTS quorum_count INTEGER CHECK (quorum_count >= 1),
+  ADD COLUMN IF NOT EXISTS manager_level INTEGER CHECK (manager_level >= 1),
+  ADD COLUMN IF NOT EXISTS timeout_hours INTEGER CHECK (timeout_hours >= 1);
+
+ALTER TABLE approval_rule_steps DROP CONSTRAINT IF EXISTS approval_rule_steps_approver_role_check;
+ALTER TABLE approval_rule_steps
+  ADD CONSTRAINT approval_rule_steps_approver_role_check
+  CHECK (approver_role IN ('manager', 'manager_of_manager', 'manager_level', 'chain_admin', 'admin', 'specific_user', 'specific_users', 'group'));
+
+CREATE TABLE IF NOT EXISTS approval_rule_versions (
+    id SERIAL PRIMARY KEY,
+    rule_id INTEGER REFERENCES approval_rules(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    snapshot JSONB NOT NULL,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (rule_id, version)
+);
+
+-- Existing rules start at version 1 with the snapshot ApprovalService.recordRuleVersion would
+-- have taken. Expenses already in a workflow stay unpinned and keep following the live rule.
+INSERT INTO approval_rule_versions (rule_id, version, snapshot, created_at)
+SELECT r.id, r.current_version,
+       jsonb_build_object(
+         'name', r.name, 'rule_type', r.rule_type, 'min_amount', r.min_amount::text, 'max_amount', r.max_amount::text,
+         'percentage_required', r.percentage_required, 'specific_approver_id', r.specific_approver_id,
+         'approver_group_id', r.approver_group_id, 'sequence_order', r.sequence_order, 'conditions', r.conditions,
+         'sla_hours', r.sla_hours, 'distinct_step_approvers', r.distinct_step_approvers, 'is_active', r.is_active,
+         'steps', COALESCE((
+           SELECT jsonb_agg(jsonb_build_object(
+                    'step_order', s.step_order, 'approver_role', s.approver_role, 'approver_id', s.approver_id,
+                    'approver_ids', s.approver_ids, 'approver_group_id', s.approver_group_id,
+                    'manager_level', s.manager_level, 'quorum_type', s.quorum_type, 'quorum_count', s.quorum_count,
+                    'is_required', s.is_required, 'timeout_hours', s.timeout_hours
+                  ) ORDER BY s.step_order)
+           FROM approval_rule_steps s WHERE s.rule_id = r.id
+         ), '[]'::jsonb)
+       ),
+       r.created_at
+FROM approval_rules r
+WHERE NOT EXISTS (SELECT 1 FROM approval_rule_versions v WHERE v.rule_id = r.id);
+
+ALTER TABLE expenses
+  ADD COLUMN IF NOT EXISTS approved_amount DECIMAL(15,2),
+  ADD COLUMN IF NOT EXISTS original_converted_amount DECIMAL(15,2),
+  ADD COLUMN IF NOT EXISTS adjustment_reason TEXT,
+  ADD COLUMN IF NOT EXISTS approval_rule_version_id INTEGER REFERENCES approval_rule_versions(id);
+
+ALTER TABLE expense_approvals
+  ADD COLUMN IF NOT EXISTS is_required BOOLEAN DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS timeout_hours INTEGER,
+  ADD COLUMN IF NOT EXISTS quorum INTEGER,
+  ADD COLUMN IF NOT EXISTS substituted_for INTEGER REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS substitution_reason VARCHAR(20) CHECK (substitution_reason IN ('self_approval', 'earlier_step', 'no_eligible_approver')),
+  ADD COLUMN IF NOT EXISTS approved_amount DECIMAL(15,2),
+  ADD COLUMN IF NOT EXISTS acted_by INTEGER REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS activated_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS escalated_from INTEGER REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS escalation_blocked_at TIMESTAMP;
+
+-- The SLA clock of an existing approval started when it was created
+UPDATE expense_approvals SET activated_at = created_at WHERE activated_at IS NULL;
+ALTER TABLE expense_approvals ALTER COLUMN activated_at SET DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE expense_approvals DROP CONSTRAINT IF EXISTS expense_approvals_status_check;
+ALTER TABLE expense_approvals
+  ADD CONSTRAINT expense_approvals_status_check
+  CHECK (status IN ('waiting', 'pending', 'approved', 'rejected', 'skipped', 'changes_requested', 'invalidated', 'cancelled'));
+
+-- Sequential workflows used to open every step at once; only the earliest undecided step of an
+-- open expense stays pending, later ones wait for it
+UPDATE expense_approvals ea
+SET status = 'waiting'
+FROM expenses e
+JOIN approval_rules r ON e.approval_rule_id = r.id
+WHERE ea.expense_id = e.id
+AND r.rule_type = 'sequential'
+AND e.status IN ('submitted', 'in_review')
+AND ea.status = 'pending'
+AND ea.step_order > (
+  SELECT MIN(current.step_order) FROM expense_approvals current
+  WHERE current.expense_id = e.id AND current.status = 'pending'
+);
+
+CREATE TABLE IF NOT EXISTS approval_action_tokens (
+    id SERIAL PRIMARY KEY,
+    token_id VARCHAR(64) UNIQUE NOT NULL,
+    expense_approval_id INTEGER REFERENCES expense_approvals(id) ON DELETE CASCADE,
+    approver_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    action VARCHAR(20) CHECK (action IN ('approved', 'rejected')) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS expense_overrides (
+    id SERIAL PRIMARY KEY,
+    expense_id INTEGER REFERENCES expenses(id) ON DELETE CASCADE,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    action VARCHAR(20) CHECK (action IN ('approved', 'rejected')) NOT NULL,
+    reason_code VARCHAR(30) CHECK (reason_code IN ('policy_exception', 'approver_unavailable', 'duplicate_claim', 'fraud_suspected', 'data_correction', 'other')) NOT NULL,
+    comments TEXT,
+    requested_by INTEGER REFERENCES users(id),
+    status VARCHAR(20) CHECK (status IN ('pending', 'confirmed', 'declined', 'cancelled')) DEFAULT 'pending',
+    decided_by INTEGER REFERENCES users(id),
+    decision_comments TEXT,
+    decided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS approval_delegations (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    delegator_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    delegate_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    max_amount DECIMAL(15,2),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date),
+    CHECK (delegator_id <> delegate_id)
+);
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_approval_delegations_delegate_id ON approval_delegations(delegate_id);
+CREATE INDEX IF NOT EXISTS idx_approval_action_tokens_approval_id ON approval_action_tokens(expense_approval_id);
+CREATE INDEX IF NOT EXISTS idx_expense_overrides_company_status ON expense_overrides(company_id, status);
+
+COMMIT;
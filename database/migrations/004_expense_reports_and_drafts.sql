@@ -0,0 +1,67 @@
+-- Brings databases created before expense reports up to the current schema.sql: reports and
+-- their single approval chain, draft expenses with missing fields and expenses split across
+-- allocation lines. Existing expenses keep no report and no split. Safe to run again.
+--
+-- Run once, e.g. psql -d expense_management -f database/migrations/004_expense_reports_and_drafts.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS expense_reports (
+    id SERIAL PRIMARY KEY,
+    employee_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    purpose TEXT,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('draft', 'submitted')) DEFAULT 'draft',
+    approval_rule_id INTEGER REFERENCES approval_rules(id),
+    approval_rule_version_id INTEGER REFERENCES approval_rule_versions(id),
+    total_amount DECIMAL(15,2),
+    submitted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date)
+);
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS report_id INTEGER REFERENCES expense_reports(id) ON DELETE CASCADE;
+
+-- Drafts may leave these out; every other status still needs them
+ALTER TABLE expenses
+  ALTER COLUMN amount DROP NOT NULL,
+  ALTER COLUMN currency DROP NOT NULL,
+  ALTER COLUMN description DROP NOT NULL,
+  ALTER COLUMN expense_date DROP NOT NULL;
+
+ALTER TABLE expenses DROP CONSTRAINT IF EXISTS expenses_check;
+ALTER TABLE expenses
+  ADD CONSTRAINT expenses_check
+  CHECK (status = 'draft' OR (amount IS NOT NULL AND currency IS NOT NULL AND description IS NOT NULL
+                              AND expense_date IS NOT NULL AND category_id IS NOT NULL));
+
+CREATE TABLE IF NOT EXISTS expense_allocations (
+    id SERIAL PRIMARY KEY,
+    expense_id INTEGER REFERENCES expenses(id) ON DELETE CASCADE,
+    category_id INTEGER REFERENCES expense_categories(id) NOT NULL,
+    amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+    percentage DECIMAL(5,2) CHECK (percentage > 0 AND percentage <= 100),
+    cost_center VARCHAR(100),
+    project VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE expense_approvals
+  ADD COLUMN IF NOT EXISTS report_id INTEGER REFERENCES expense_reports(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS rejected_lines JSONB;
+
+ALTER TABLE expense_approvals DROP CONSTRAINT IF EXISTS expense_approvals_check;
+ALTER TABLE expense_approvals
+  ADD CONSTRAINT expense_approvals_check
+  CHECK ((expense_id IS NULL) <> (report_id IS NULL));
+
+CREATE INDEX IF NOT EXISTS idx_expenses_report_id ON expenses(report_id);
+CREATE INDEX IF NOT EXISTS idx_expense_allocations_expense_id ON expense_allocations(expense_id);
+CREATE INDEX IF NOT EXISTS idx_expense_reports_employee_id ON expense_reports(employee_id);
+CREATE INDEX IF NOT EXISTS idx_expense_approvals_report_id ON expense_approvals(report_id);
+
+COMMIT;
@@ -0,0 +1,37 @@
+-- Brings databases created before mileage and per-diem claims up to the current schema.sql.
+-- Existing expenses become standard expenses and companies claim mileage in km until an admin
+-- changes it. Safe to run again.
+--
+-- Run once, e.g. psql -d expense_management -f database/migrations/005_mileage_and_per_diem.sql
+
+BEGIN;
+
+ALTER TABLE companies
+  ADD COLUMN IF NOT EXISTS mileage_unit VARCHAR(4) CHECK (mileage_unit IN ('km', 'mile')) NOT NULL DEFAULT 'km';
+
+CREATE TABLE IF NOT EXISTS mileage_rates (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    vehicle_type VARCHAR(20) CHECK (vehicle_type IN ('car', 'motorcycle', 'bicycle', 'van')) NOT NULL,
+    rate DECIMAL(10,4) NOT NULL CHECK (rate > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (company_id, vehicle_type)
+);
+
+CREATE TABLE IF NOT EXISTS per_diem_rates (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    destination VARCHAR(100) NOT NULL,
+    daily_allowance DECIMAL(10,2) NOT NULL CHECK (daily_allowance > 0),
+    partial_day_percentage DECIMAL(5,2) NOT NULL DEFAULT 75 CHECK (partial_day_percentage >= 0 AND partial_day_percentage <= 100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (company_id, destination)
+);
+
+ALTER TABLE expenses
+  ADD COLUMN IF NOT EXISTS expense_type VARCHAR(20) CHECK (expense_type IN ('standard', 'mileage', 'per_diem')) NOT NULL DEFAULT 'standard',
+  ADD COLUMN IF NOT EXISTS calculation JSONB;
+
+COMMIT;
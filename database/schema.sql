@@ -1,10 +1,13 @@
 -- Expense Management System Database Schema
+-- Creates a fresh database; bring an existing one up to date with database/migrations/ in order
 
 -- Companies table
 CREATE TABLE companies (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
     base_currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    override_confirmation_threshold DECIMAL(15,2), -- In base currency; overrides above it need a second admin. NULL = never
+    mileage_unit VARCHAR(4) CHECK (mileage_unit IN ('km', 'mile')) NOT NULL DEFAULT 'km', -- Unit mileage is claimed and paid in
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -34,6 +37,45 @@ CREATE TABLE expense_categories (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Mileage allowance per vehicle type, in base currency per companies.mileage_unit
+CREATE TABLE mileage_rates (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    vehicle_type VARCHAR(20) CHECK (vehicle_type IN ('car', 'motorcycle', 'bicycle', 'van')) NOT NULL,
+    rate DECIMAL(10,4) NOT NULL CHECK (rate > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (company_id, vehicle_type)
+);
+
+-- Daily allowance per travel destination, in base currency
+CREATE TABLE per_diem_rates (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    destination VARCHAR(100) NOT NULL,
+    daily_allowance DECIMAL(10,2) NOT NULL CHECK (daily_allowance > 0),
+    partial_day_percentage DECIMAL(5,2) NOT NULL DEFAULT 75 CHECK (partial_day_percentage >= 0 AND partial_day_percentage <= 100), -- Share of the allowance paid for the departure and return days
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (company_id, destination)
+);
+
+-- Approver groups (named pools such as Finance or Travel desk that rules and steps can target)
+CREATE TABLE approver_groups (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (company_id, name)
+);
+
+CREATE TABLE approver_group_members (
+    group_id INTEGER REFERENCES approver_groups(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    PRIMARY KEY (group_id, user_id)
+);
+
 -- Approval rules
 CREATE TABLE approval_rules (
     id SERIAL PRIMARY KEY,
@@ -44,7 +86,12 @@ CREATE TABLE approval_rules (
     max_amount DECIMAL(15,2),
     percentage_required INTEGER, -- For percentage rules
     specific_approver_id INTEGER REFERENCES users(id), -- For specific approver rules
+    approver_group_id INTEGER REFERENCES approver_groups(id), -- Percentage and hybrid rules: vote among this group instead of all managers and admins
     sequence_order INTEGER, -- For sequential rules
+    conditions JSONB DEFAULT '{}'::jsonb, -- Category, submitter role, employee, merchant and currency filters
+    sla_hours INTEGER CHECK (sla_hours >= 1), -- Pending approvals older than this are escalated
+    distinct_step_approvers BOOLEAN DEFAULT FALSE, -- Sequential rules: nobody approves more than one step
+    current_version INTEGER DEFAULT 1, -- Latest row in approval_rule_versions
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -54,47 +101,174 @@ CREATE TABLE approval_rule_steps (
     id SERIAL PRIMARY KEY,
     rule_id INTEGER REFERENCES approval_rules(id) ON DELETE CASCADE,
     step_order INTEGER NOT NULL,
-    approver_role VARCHAR(20) CHECK (approver_role IN ('manager', 'admin', 'specific_user')),
+    approver_role VARCHAR(20) CHECK (approver_role IN ('manager', 'manager_of_manager', 'manager_level', 'chain_admin', 'admin', 'specific_user', 'specific_users', 'group')),
     approver_id INTEGER REFERENCES users(id), -- For specific user approvals
-    is_required BOOLEAN DEFAULT TRUE,
+    approver_ids INTEGER[], -- For specific_users steps: approvers asked in parallel
+    approver_group_id INTEGER REFERENCES approver_groups(id), -- For group steps: active members are asked in parallel
+    quorum_type VARCHAR(10) CHECK (quorum_type IN ('any', 'all', 'count')) DEFAULT 'all', -- How many of the step's approvers must approve
+    quorum_count INTEGER CHECK (quorum_count >= 1), -- For count quorums: N of the step's approvers
+    manager_level INTEGER CHECK (manager_level >= 1), -- For manager_level steps: 1 = direct manager, 2 = manager's manager, ...
+    is_required BOOLEAN DEFAULT TRUE, -- Optional (advisory) steps never block the expense
+    timeout_hours INTEGER CHECK (timeout_hours >= 1), -- Optional steps are skipped after this long without a decision
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Approval rule versions (snapshot of a rule and its steps each time it is saved)
+CREATE TABLE approval_rule_versions (
+    id SERIAL PRIMARY KEY,
+    rule_id INTEGER REFERENCES approval_rules(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    snapshot JSONB NOT NULL, -- approval_rules columns plus a steps array
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (rule_id, version)
+);
+
+-- Expense reports: several expenses (e.g. one trip) submitted and approved as one
+CREATE TABLE expense_reports (
+    id SERIAL PRIMARY KEY,
+    employee_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    purpose TEXT,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('draft', 'submitted')) DEFAULT 'draft', -- Lines carry their own status once submitted
+    approval_rule_id INTEGER REFERENCES approval_rules(id), -- Rule picked on the report total
+    approval_rule_version_id INTEGER REFERENCES approval_rule_versions(id), -- Rule version the report's approval chain was built from
+    total_amount DECIMAL(15,2), -- Sum of the lines in company base currency at submission
+    submitted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date)
+);
+
 -- Expenses table
 CREATE TABLE expenses (
     id SERIAL PRIMARY KEY,
     employee_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
     category_id INTEGER REFERENCES expense_categories(id),
-    amount DECIMAL(15,2) NOT NULL,
-    currency VARCHAR(3) NOT NULL,
-    converted_amount DECIMAL(15,2), -- Amount in company base currency
-    description TEXT NOT NULL,
-    expense_date DATE NOT NULL,
-    receipt_url VARCHAR(500),
+    amount DECIMAL(15,2), -- amount, currency, description, expense_date and category_id may be missing while a draft
+    currency VARCHAR(3),
+    converted_amount DECIMAL(15,2), -- Amount in company base currency (the approved amount once reduced)
+    approved_amount DECIMAL(15,2), -- Reduced amount an approver accepted, in the expense currency
+    original_converted_amount DECIMAL(15,2), -- converted_amount before the reduction
+    adjustment_reason TEXT, -- Approver's justification for the reduction
+    description TEXT,
+    expense_date DATE,
     merchant_name VARCHAR(255),
-    status VARCHAR(20) CHECK (status IN ('pending', 'approved', 'rejected', 'processing')) DEFAULT 'pending',
+    expense_type VARCHAR(20) CHECK (expense_type IN ('standard', 'mileage', 'per_diem')) NOT NULL DEFAULT 'standard', -- Mileage and per-diem amounts are computed from the company's rates
+    calculation JSONB, -- Inputs of a mileage or per-diem claim and the rate it was computed with
+    status VARCHAR(20) CHECK (status IN ('draft', 'submitted', 'in_review', 'changes_requested', 'approved', 'rejected', 'withdrawn', 'paid')) DEFAULT 'submitted', -- Changed only through services/expenseStateMachine.js
     approval_rule_id INTEGER REFERENCES approval_rules(id),
+    approval_rule_version_id INTEGER REFERENCES approval_rule_versions(id), -- Rule version the workflow was built from
+    report_id INTEGER REFERENCES expense_reports(id) ON DELETE CASCADE, -- Set for line items of an expense report
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (status = 'draft' OR (amount IS NOT NULL AND currency IS NOT NULL AND description IS NOT NULL
+                                AND expense_date IS NOT NULL AND category_id IS NOT NULL))
+);
+
+-- Split of an expense across categories, cost centers and projects; the lines add up to expenses.amount
+CREATE TABLE expense_allocations (
+    id SERIAL PRIMARY KEY,
+    expense_id INTEGER REFERENCES expenses(id) ON DELETE CASCADE,
+    category_id INTEGER REFERENCES expense_categories(id) NOT NULL,
+    amount DECIMAL(15,2) NOT NULL CHECK (amount > 0), -- In the expense currency
+    percentage DECIMAL(5,2) CHECK (percentage > 0 AND percentage <= 100), -- Set when the line was entered as a share of the total
+    cost_center VARCHAR(100),
+    project VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Expense approvals (tracks each approval step)
 CREATE TABLE expense_approvals (
     id SERIAL PRIMARY KEY,
     expense_id INTEGER REFERENCES expenses(id) ON DELETE CASCADE,
+    report_id INTEGER REFERENCES expense_reports(id) ON DELETE CASCADE, -- Set instead of expense_id for the one approval chain of an expense report
     approver_id INTEGER REFERENCES users(id),
     step_order INTEGER NOT NULL,
-    status VARCHAR(20) CHECK (status IN ('pending', 'approved', 'rejected')) DEFAULT 'pending',
+    status VARCHAR(20) CHECK (status IN ('waiting', 'pending', 'approved', 'rejected', 'skipped', 'changes_requested', 'invalidated', 'cancelled')) DEFAULT 'pending', -- waiting: earlier sequential step not yet approved; invalidated: superseded by a workflow restart; cancelled: the submitter withdrew the expense
+    is_required BOOLEAN DEFAULT TRUE,
+    timeout_hours INTEGER, -- Copied from the optional rule step
+    quorum INTEGER, -- Approvals needed from all rows sharing this step_order (sequential rules)
+    substituted_for INTEGER REFERENCES users(id), -- Approver replaced because of a conflict of interest
+    substitution_reason VARCHAR(20) CHECK (substitution_reason IN ('self_approval', 'earlier_step', 'no_eligible_approver')),
     comments TEXT,
+    approved_amount DECIMAL(15,2), -- Set when the approver accepted less than the claimed amount
+    rejected_lines JSONB, -- Report lines rejected while approving the rest: [{ expenseId, comments }]
+    acted_by INTEGER REFERENCES users(id), -- Delegate who decided on behalf of approver_id
+    activated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- When the approval became pending
+    reminder_sent_at TIMESTAMP, -- SLA reminder sent to the current approver
+    escalated_from INTEGER REFERENCES users(id), -- Previous approver when escalated for missing the SLA
+    escalation_blocked_at TIMESTAMP, -- SLA passed but nobody outside the workflow could take the approval over
     approved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((expense_id IS NULL) <> (report_id IS NULL))
+);
+
+-- One-time approve/reject links sent to approvers (the signed token carries token_id)
+CREATE TABLE approval_action_tokens (
+    id SERIAL PRIMARY KEY,
+    token_id VARCHAR(64) UNIQUE NOT NULL,
+    expense_approval_id INTEGER REFERENCES expense_approvals(id) ON DELETE CASCADE,
+    approver_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    action VARCHAR(20) CHECK (action IN ('approved', 'rejected')) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP, -- Set for every link of the approval once one of them is used
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin overrides above the company threshold, held until a second admin confirms them
+CREATE TABLE expense_overrides (
+    id SERIAL PRIMARY KEY,
+    expense_id INTEGER REFERENCES expenses(id) ON DELETE CASCADE,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    action VARCHAR(20) CHECK (action IN ('approved', 'rejected')) NOT NULL,
+    reason_code VARCHAR(30) CHECK (reason_code IN ('policy_exception', 'approver_unavailable', 'duplicate_claim', 'fraud_suspected', 'data_correction', 'other')) NOT NULL,
+    comments TEXT,
+    requested_by INTEGER REFERENCES users(id),
+    status VARCHAR(20) CHECK (status IN ('pending', 'confirmed', 'declined', 'cancelled')) DEFAULT 'pending',
+    decided_by INTEGER REFERENCES users(id), -- Confirming or declining admin, or the requester when cancelled
+    decision_comments TEXT,
+    decided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Approval delegations (out-of-office substitutes)
+CREATE TABLE approval_delegations (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    delegator_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    delegate_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    max_amount DECIMAL(15,2), -- Optional cap in company base currency
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date),
+    CHECK (delegator_id <> delegate_id)
+);
+
+-- Files attached to an expense; several per expense, each of a kind
+CREATE TABLE expense_attachments (
+    id SERIAL PRIMARY KEY,
+    expense_id INTEGER REFERENCES expenses(id) ON DELETE CASCADE,
+    kind VARCHAR(20) CHECK (kind IN ('receipt', 'invoice', 'boarding_pass', 'other')) NOT NULL DEFAULT 'receipt',
+    file_url VARCHAR(500) NOT NULL,
+    original_name VARCHAR(255),
+    mime_type VARCHAR(100),
+    file_size INTEGER,
+    uploaded_by INTEGER REFERENCES users(id),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- OCR processing results
 CREATE TABLE ocr_results (
     id SERIAL PRIMARY KEY,
-    expense_id INTEGER REFERENCES expenses(id) ON DELETE CASCADE,
+    attachment_id INTEGER UNIQUE REFERENCES expense_attachments(id) ON DELETE CASCADE, -- Read from this image attachment
     extracted_amount DECIMAL(15,2),
     extracted_date DATE,
     extracted_merchant VARCHAR(255),
@@ -112,6 +286,7 @@ CREATE TABLE notifications (
     type VARCHAR(50) NOT NULL,
     title VARCHAR(255) NOT NULL,
     message TEXT NOT NULL,
+    metadata JSONB, -- Extra data for email delivery, e.g. one-time approve/reject links
     is_read BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -143,9 +318,17 @@ CREATE INDEX idx_users_manager_id ON users(manager_id);
 CREATE INDEX idx_expenses_employee_id ON expenses(employee_id);
 CREATE INDEX idx_expenses_company_id ON expenses(company_id);
 CREATE INDEX idx_expenses_status ON expenses(status);
+CREATE INDEX idx_expenses_report_id ON expenses(report_id);
+CREATE INDEX idx_expense_allocations_expense_id ON expense_allocations(expense_id);
+CREATE INDEX idx_expense_reports_employee_id ON expense_reports(employee_id);
+CREATE INDEX idx_expense_attachments_expense_id ON expense_attachments(expense_id);
 CREATE INDEX idx_expense_approvals_expense_id ON expense_approvals(expense_id);
+CREATE INDEX idx_expense_approvals_report_id ON expense_approvals(report_id);
 CREATE INDEX idx_expense_approvals_approver_id ON expense_approvals(approver_id);
 CREATE INDEX idx_notifications_user_id ON notifications(user_id);
+CREATE INDEX idx_approval_delegations_delegate_id ON approval_delegations(delegate_id);
+CREATE INDEX idx_approval_action_tokens_approval_id ON approval_action_tokens(expense_approval_id);
+CREATE INDEX idx_expense_overrides_company_status ON expense_overrides(company_id, status);
 
 -- Create triggers for updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
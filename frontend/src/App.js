@@ -7,9 +7,13 @@ import Signup from './pages/Signup';
 import Dashboard from './pages/Dashboard';
 import Expenses from './pages/Expenses';
 import CreateExpense from './pages/CreateExpense';
+import ExpenseDetail from './pages/ExpenseDetail';
 import Approvals from './pages/Approvals';
 import Users from './pages/Users';
 import Settings from './pages/Settings';
+import ApprovalAction from './pages/ApprovalAction';
+import Reports from './pages/Reports';
+import ReportDetail from './pages/ReportDetail';
 import LoadingSpinner from './components/LoadingSpinner';
 
 function App() {
@@ -22,6 +26,8 @@ function App() {
   return (
     <div className="min-h-screen bg-gray-50">
       <Routes>
+        {/* Email approval links work whether or not the approver is signed in */}
+        <Route path="/approval-action/:token" element={<ApprovalAction />} />
         {!user ? (
           <>
             <Route path="/login" element={<Login />} />
@@ -32,7 +38,10 @@ function App() {
             <Route index element={<Dashboard />} />
             <Route path="expenses" element={<Expenses />} />
             <Route path="expenses/new" element={<CreateExpense />} />
+            <Route path="expenses/:id" element={<ExpenseDetail />} />
             <Route path="expenses/:id/edit" element={<CreateExpense />} />
+            <Route path="reports" element={<Reports />} />
+            <Route path="reports/:id" element={<ReportDetail />} />
             {(user.role === 'manager' || user.role === 'admin') && (
               <Route path="approvals" element={<Approvals />} />
             )}
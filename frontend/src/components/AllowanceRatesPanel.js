@@ -0,0 +1,312 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { useForm } from 'react-hook-form';
+import { companyService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const vehicleTypes = ['car', 'motorcycle', 'bicycle', 'van'];
+
+// Rates that mileage and per-diem expenses are computed with. Changes apply to claims made from now on;
+// submitted claims keep the rate they were computed with.
+const AllowanceRatesPanel = () => {
+  const queryClient = useQueryClient();
+  const [showModal, setShowModal] = useState(false);
+  const [editingRate, setEditingRate] = useState(null);
+
+  const { register: registerMileage, handleSubmit: handleMileageSubmit, reset: resetMileage } = useForm();
+  const { register, handleSubmit, formState: { errors }, reset } = useForm();
+
+  const { data: allowanceRates, isLoading } = useQuery('allowance-rates', companyService.getAllowanceRates, {
+    onSuccess: (data) => {
+      resetMileage({
+        mileageUnit: data.mileageUnit,
+        rates: Object.fromEntries(vehicleTypes.map((vehicleType) => [
+          vehicleType,
+          data.mileageRates.find((rate) => rate.vehicle_type === vehicleType)?.rate ?? ''
+        ]))
+      });
+    }
+  });
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingRate(null);
+    reset();
+  };
+
+  // Vehicle types without a rate can no longer be claimed
+  const mileageMutation = useMutation(
+    async ({ mileageUnit, rates }) => {
+      await companyService.updateProfile({ mileageUnit });
+      return companyService.updateMileageRates(
+        Object.entries(rates)
+          .filter(([, rate]) => rate !== '')
+          .map(([vehicleType, rate]) => ({ vehicleType, rate: parseFloat(rate) }))
+      );
+    },
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        queryClient.invalidateQueries('allowance-rates');
+        queryClient.invalidateQueries('company-profile');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to update mileage rates');
+      }
+    }
+  );
+
+  const createMutation = useMutation(companyService.createPerDiemRate, {
+    onSuccess: () => {
+      toast.success('Per-diem rate created successfully!');
+      queryClient.invalidateQueries('allowance-rates');
+      closeModal();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to create per-diem rate');
+    }
+  });
+
+  const updateMutation = useMutation(
+    ({ id, data }) => companyService.updatePerDiemRate(id, data),
+    {
+      onSuccess: () => {
+        toast.success('Per-diem rate updated successfully!');
+        queryClient.invalidateQueries('allowance-rates');
+        closeModal();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to update per-diem rate');
+      }
+    }
+  );
+
+  const deleteMutation = useMutation(companyService.deletePerDiemRate, {
+    onSuccess: () => {
+      toast.success('Per-diem rate deleted successfully!');
+      queryClient.invalidateQueries('allowance-rates');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to delete per-diem rate');
+    }
+  });
+
+  const handleCreate = () => {
+    setEditingRate(null);
+    reset({ destination: '', dailyAllowance: '', partialDayPercentage: 75 });
+    setShowModal(true);
+  };
+
+  const handleEdit = (rate) => {
+    setEditingRate(rate);
+    reset({
+      destination: rate.destination,
+      dailyAllowance: rate.daily_allowance,
+      partialDayPercentage: rate.partial_day_percentage
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = (rate) => {
+    if (window.confirm(`Are you sure you want to delete the per-diem rate for "${rate.destination}"?`)) {
+      deleteMutation.mutate(rate.id);
+    }
+  };
+
+  const onSubmit = (data) => {
+    const formData = {
+      destination: data.destination,
+      dailyAllowance: parseFloat(data.dailyAllowance),
+      partialDayPercentage: parseFloat(data.partialDayPercentage)
+    };
+
+    if (editingRate) {
+      updateMutation.mutate({ id: editingRate.id, data: formData });
+    } else {
+      createMutation.mutate(formData);
+    }
+  };
+
+  const isSaving = createMutation.isLoading || updateMutation.isLoading;
+
+  if (isLoading) {
+    return <LoadingSpinner className="h-32" />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Mileage */}
+      <div className="card">
+        <h2 className="text-lg font-medium text-gray-900">Mileage Rates</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Paid per distance unit in {allowanceRates.baseCurrency}; leave a vehicle empty to stop it being claimed
+        </p>
+        <form onSubmit={handleMileageSubmit((data) => mileageMutation.mutate(data))} className="space-y-4">
+          <div className="max-w-xs">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Distance Unit
+            </label>
+            <select {...registerMileage('mileageUnit')} className="input-field">
+              <option value="km">Kilometres</option>
+              <option value="mile">Miles</option>
+            </select>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {vehicleTypes.map((vehicleType) => (
+              <div key={vehicleType}>
+                <label className="block text-sm font-medium text-gray-700 mb-1 capitalize">
+                  {vehicleType}
+                </label>
+                <input
+                  {...registerMileage(`rates.${vehicleType}`)}
+                  type="number"
+                  step="0.0001"
+                  min="0"
+                  className="input-field"
+                  placeholder="Not claimable"
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end">
+            <button type="submit" disabled={mileageMutation.isLoading} className="btn-primary">
+              {mileageMutation.isLoading ? <LoadingSpinner size="small" /> : 'Save Mileage Rates'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Per diem */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Per-Diem Rates</h2>
+          <p className="text-sm text-gray-600">
+            Daily allowance per destination; the departure and return days are paid at the partial-day share
+          </p>
+        </div>
+        <button onClick={handleCreate} className="btn-primary flex items-center">
+          <PlusIcon className="w-5 h-5 mr-2" />
+          Add Destination
+        </button>
+      </div>
+
+      <div className="card">
+        {allowanceRates.perDiemRates.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {allowanceRates.perDiemRates.map((rate) => (
+              <div key={rate.id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex justify-between items-start mb-2">
+                  <h3 className="font-medium text-gray-900">{rate.destination}</h3>
+                  <div className="flex space-x-1">
+                    <button
+                      onClick={() => handleEdit(rate)}
+                      className="text-blue-600 hover:text-blue-700"
+                    >
+                      <PencilIcon className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(rate)}
+                      className="text-red-600 hover:text-red-700"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+                <p className="text-sm text-gray-700">
+                  {allowanceRates.baseCurrency} {rate.daily_allowance} per day
+                </p>
+                <p className="text-xs text-gray-500">
+                  {parseFloat(rate.partial_day_percentage)}% on departure and return days
+                </p>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No per-diem destinations yet</p>
+        )}
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">
+                {editingRate ? 'Edit Per-Diem Rate' : 'Create Per-Diem Rate'}
+              </h3>
+
+              <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Destination *
+                  </label>
+                  <input
+                    {...register('destination', { required: 'Destination is required' })}
+                    type="text"
+                    className="input-field"
+                    placeholder="e.g. Berlin"
+                  />
+                  {errors.destination && (
+                    <p className="mt-1 text-sm text-red-600">{errors.destination.message}</p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Daily Allowance ({allowanceRates.baseCurrency}) *
+                  </label>
+                  <input
+                    {...register('dailyAllowance', {
+                      required: 'Daily allowance is required',
+                      min: { value: 0.01, message: 'Daily allowance must be greater than 0' }
+                    })}
+                    type="number"
+                    step="0.01"
+                    className="input-field"
+                  />
+                  {errors.dailyAllowance && (
+                    <p className="mt-1 text-sm text-red-600">{errors.dailyAllowance.message}</p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Partial Day (%)
+                  </label>
+                  <input
+                    {...register('partialDayPercentage', {
+                      required: 'Partial-day percentage is required',
+                      min: { value: 0, message: 'Must be between 0 and 100' },
+                      max: { value: 100, message: 'Must be between 0 and 100' }
+                    })}
+                    type="number"
+                    step="0.01"
+                    className="input-field"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">Share of the allowance paid for the departure and return days</p>
+                  {errors.partialDayPercentage && (
+                    <p className="mt-1 text-sm text-red-600">{errors.partialDayPercentage.message}</p>
+                  )}
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button type="button" onClick={closeModal} className="btn-secondary">
+                    Cancel
+                  </button>
+                  <button type="submit" disabled={isSaving} className="btn-primary">
+                    {isSaving ? <LoadingSpinner size="small" /> : editingRate ? 'Update' : 'Create'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AllowanceRatesPanel;
@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { useForm } from 'react-hook-form';
+import { approvalService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const ApproverGroupsPanel = ({ teamMembers }) => {
+  const queryClient = useQueryClient();
+  const [showModal, setShowModal] = useState(false);
+  const [editingGroup, setEditingGroup] = useState(null);
+
+  const { register, handleSubmit, formState: { errors }, reset } = useForm();
+
+  const { data: groups, isLoading } = useQuery('approver-groups', approvalService.getApproverGroups);
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingGroup(null);
+    reset();
+  };
+
+  const createMutation = useMutation(approvalService.createApproverGroup, {
+    onSuccess: () => {
+      toast.success('Approver group created successfully!');
+      queryClient.invalidateQueries('approver-groups');
+      closeModal();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to create approver group');
+    }
+  });
+
+  const updateMutation = useMutation(
+    ({ id, data }) => approvalService.updateApproverGroup(id, data),
+    {
+      onSuccess: () => {
+        toast.success('Approver group updated successfully!');
+        queryClient.invalidateQueries('approver-groups');
+        queryClient.invalidateQueries('approval-rule-warnings');
+        closeModal();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to update approver group');
+      }
+    }
+  );
+
+  const deleteMutation = useMutation(approvalService.deleteApproverGroup, {
+    onSuccess: () => {
+      toast.success('Approver group deleted successfully!');
+      queryClient.invalidateQueries('approver-groups');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to delete approver group');
+    }
+  });
+
+  const handleCreate = () => {
+    setEditingGroup(null);
+    reset({ name: '', description: '', memberIds: [] });
+    setShowModal(true);
+  };
+
+  const handleEdit = (group) => {
+    setEditingGroup(group);
+    reset({
+      name: group.name,
+      description: group.description || '',
+      memberIds: group.members.map((member) => String(member.id))
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = (group) => {
+    if (window.confirm(`Are you sure you want to delete the approver group "${group.name}"?`)) {
+      deleteMutation.mutate(group.id);
+    }
+  };
+
+  const onSubmit = (data) => {
+    const memberIds = Array.isArray(data.memberIds) ? data.memberIds : [data.memberIds].filter(Boolean);
+    const formData = {
+      name: data.name,
+      description: data.description,
+      memberIds: memberIds.map((id) => parseInt(id))
+    };
+
+    if (editingGroup) {
+      updateMutation.mutate({ id: editingGroup.id, data: formData });
+    } else {
+      createMutation.mutate(formData);
+    }
+  };
+
+  const isSaving = createMutation.isLoading || updateMutation.isLoading;
+
+  if (isLoading) {
+    return <LoadingSpinner className="h-32" />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Approver Groups</h2>
+          <p className="text-sm text-gray-600">Named pools that percentage rules and rule steps can ask instead of every manager</p>
+        </div>
+        <button onClick={handleCreate} className="btn-primary flex items-center">
+          <PlusIcon className="w-5 h-5 mr-2" />
+          Add Group
+        </button>
+      </div>
+
+      <div className="card">
+        {groups?.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {groups.map((group) => (
+              <div key={group.id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex justify-between items-start mb-2">
+                  <h3 className="font-medium text-gray-900">{group.name}</h3>
+                  <div className="flex space-x-1">
+                    <button
+                      onClick={() => handleEdit(group)}
+                      className="text-blue-600 hover:text-blue-700"
+                    >
+                      <PencilIcon className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(group)}
+                      className="text-red-600 hover:text-red-700"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+                {group.description && (
+                  <p className="text-sm text-gray-600 mb-2">{group.description}</p>
+                )}
+                <p className="text-sm text-gray-700">
+                  {group.members.length > 0
+                    ? group.members.map((member) => (
+                      `${member.first_name} ${member.last_name}${member.is_active ? '' : ' (inactive)'}`
+                    )).join(', ')
+                    : 'No members'}
+                </p>
+                <p className="mt-2 text-xs text-gray-500">Used by {group.usage_count} rule(s) or step(s)</p>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No approver groups yet</p>
+        )}
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">
+                {editingGroup ? 'Edit Approver Group' : 'Create Approver Group'}
+              </h3>
+
+              <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Group Name *
+                  </label>
+                  <input
+                    {...register('name', { required: 'Group name is required' })}
+                    type="text"
+                    className="input-field"
+                    placeholder="e.g. Finance"
+                  />
+                  {errors.name && (
+                    <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Description
+                  </label>
+                  <textarea
+                    {...register('description')}
+                    rows={2}
+                    className="input-field"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Members
+                  </label>
+                  <select
+                    {...register('memberIds')}
+                    multiple
+                    className="input-field h-40"
+                  >
+                    {teamMembers?.map((member) => (
+                      <option key={member.id} value={member.id}>
+                        {member.first_name} {member.last_name} ({member.role})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button type="button" onClick={closeModal} className="btn-secondary">
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={isSaving}
+                    className="btn-primary"
+                  >
+                    {isSaving ? (
+                      <LoadingSpinner size="small" />
+                    ) : (
+                      editingGroup ? 'Update Group' : 'Create Group'
+                    )}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApproverGroupsPanel;
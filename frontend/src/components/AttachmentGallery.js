@@ -0,0 +1,66 @@
+import React from 'react';
+import { DocumentTextIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const fileUrl = (url) => `${process.env.REACT_APP_API_URL || 'http://localhost:3000'}${url}`;
+
+// Thumbnails of an expense's attachments, with what OCR read from each image.
+// Pass onRemove to offer removing them.
+const AttachmentGallery = ({ attachments, onRemove, removing = false }) => (
+  <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+    {attachments.map((attachment) => {
+      const ocrFindings = [
+        attachment.extracted_merchant,
+        attachment.extracted_amount,
+        attachment.extracted_date && new Date(attachment.extracted_date).toLocaleDateString()
+      ].filter(Boolean);
+
+      return (
+        <div key={attachment.id} className="border border-gray-200 rounded-lg overflow-hidden">
+          <a
+            href={fileUrl(attachment.file_url)}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="block h-32 bg-gray-50"
+          >
+            {attachment.mime_type?.startsWith('image/') ? (
+              <img
+                src={fileUrl(attachment.file_url)}
+                alt={attachment.original_name || attachment.kind}
+                className="w-full h-full object-cover"
+              />
+            ) : (
+              <div className="flex items-center justify-center h-full">
+                <DocumentTextIcon className="w-10 h-10 text-gray-400" />
+              </div>
+            )}
+          </a>
+          <div className="p-2 text-xs space-y-1">
+            <div className="flex items-center justify-between">
+              <span className="font-medium text-gray-900 capitalize">{attachment.kind.replace(/_/g, ' ')}</span>
+              {onRemove && (
+                <button
+                  onClick={() => onRemove(attachment)}
+                  disabled={removing}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <TrashIcon className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+            {attachment.original_name && (
+              <p className="text-gray-500 truncate">{attachment.original_name}</p>
+            )}
+            {attachment.confidence_score !== null && (
+              <p className="text-gray-600">
+                Read: {ocrFindings.length > 0 ? ocrFindings.join(' · ') : 'nothing recognised'}
+                {' '}({Math.round(attachment.confidence_score * 100)}%)
+              </p>
+            )}
+          </div>
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default AttachmentGallery;
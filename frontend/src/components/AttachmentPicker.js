@@ -0,0 +1,59 @@
+import React from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+
+const attachmentKinds = [
+  { value: 'receipt', label: 'Receipt' },
+  { value: 'invoice', label: 'Invoice' },
+  { value: 'boarding_pass', label: 'Boarding pass' },
+  { value: 'other', label: 'Other' }
+];
+
+// Files chosen for upload, each tagged with its kind. The parent holds the { kind, file } list.
+const AttachmentPicker = ({ attachments, onChange }) => {
+  const addFiles = (e) => {
+    const files = Array.from(e.target.files);
+    onChange([...attachments, ...files.map((file) => ({ kind: 'receipt', file }))]);
+    e.target.value = '';
+  };
+
+  const setKind = (index, kind) => {
+    onChange(attachments.map((attachment, i) => (i === index ? { ...attachment, kind } : attachment)));
+  };
+
+  const removeFile = (index) => {
+    onChange(attachments.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-2">
+      <input
+        type="file"
+        multiple
+        accept=".jpg,.jpeg,.png,.pdf"
+        onChange={addFiles}
+        className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-xl file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+      />
+      {attachments.map(({ kind, file }, index) => (
+        <div key={`${file.name}-${index}`} className="flex items-center justify-between border border-gray-200 rounded-lg px-3 py-2 text-sm">
+          <span className="truncate text-gray-700 mr-2">{file.name}</span>
+          <div className="flex items-center space-x-2">
+            <select
+              value={kind}
+              onChange={(e) => setKind(index, e.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            >
+              {attachmentKinds.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button type="button" onClick={() => removeFile(index)} className="text-gray-400 hover:text-red-600">
+              <XMarkIcon className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AttachmentPicker;
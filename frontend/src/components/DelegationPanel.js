@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { useForm } from 'react-hook-form';
+import { approvalService, userService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from './LoadingSpinner';
+import { PlusIcon, TrashIcon, UserGroupIcon } from '@heroicons/react/24/outline';
+
+const DelegationPanel = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [showModal, setShowModal] = useState(false);
+
+  const { register, handleSubmit, formState: { errors }, reset } = useForm({
+    defaultValues: {
+      startDate: new Date().toISOString().split('T')[0]
+    }
+  });
+
+  const { data: delegations } = useQuery('delegations', approvalService.getDelegations);
+  const { data: managers } = useQuery('managers', userService.getManagers);
+
+  const createMutation = useMutation(approvalService.createDelegation, {
+    onSuccess: () => {
+      toast.success('Delegation created successfully!');
+      queryClient.invalidateQueries('delegations');
+      setShowModal(false);
+      reset();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to create delegation');
+    }
+  });
+
+  const cancelMutation = useMutation(approvalService.cancelDelegation, {
+    onSuccess: () => {
+      toast.success('Delegation cancelled');
+      queryClient.invalidateQueries('delegations');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to cancel delegation');
+    }
+  });
+
+  const onSubmit = (data) => {
+    createMutation.mutate({
+      delegateId: parseInt(data.delegateId),
+      startDate: data.startDate,
+      endDate: data.endDate,
+      ...(data.maxAmount ? { maxAmount: parseFloat(data.maxAmount) } : {})
+    });
+  };
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Out of Office Delegation</h2>
+          <p className="text-sm text-gray-600">Let another approver act on your queue while you are away</p>
+        </div>
+        <button onClick={() => setShowModal(true)} className="btn-secondary flex items-center">
+          <PlusIcon className="w-5 h-5 mr-2" />
+          Delegate
+        </button>
+      </div>
+
+      {delegations?.length > 0 ? (
+        <div className="space-y-2">
+          {delegations.map((delegation) => (
+            <div key={delegation.id} className="flex items-center justify-between border border-gray-200 rounded-lg p-3">
+              <div className="flex items-center text-sm text-gray-700">
+                <UserGroupIcon className="w-5 h-5 mr-2 text-gray-400" />
+                <span>
+                  {delegation.delegator_first_name} {delegation.delegator_last_name} →{' '}
+                  {delegation.delegate_first_name} {delegation.delegate_last_name},{' '}
+                  {new Date(delegation.start_date).toLocaleDateString()} –{' '}
+                  {new Date(delegation.end_date).toLocaleDateString()}
+                  {delegation.max_amount && ` (up to ${delegation.max_amount})`}
+                </span>
+              </div>
+              {(delegation.delegator_id === user?.id || user?.role === 'admin') && (
+                <button
+                  onClick={() => cancelMutation.mutate(delegation.id)}
+                  className="text-red-600 hover:text-red-700"
+                >
+                  <TrashIcon className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No active delegations</p>
+      )}
+
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Delegate Approvals</h3>
+
+              <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Delegate *
+                  </label>
+                  <select
+                    {...register('delegateId', { required: 'Delegate is required' })}
+                    className="input-field"
+                  >
+                    <option value="">Select a manager</option>
+                    {managers?.filter((manager) => manager.id !== user?.id).map((manager) => (
+                      <option key={manager.id} value={manager.id}>
+                        {manager.first_name} {manager.last_name}
+                      </option>
+                    ))}
+                  </select>
+                  {errors.delegateId && (
+                    <p className="mt-1 text-sm text-red-600">{errors.delegateId.message}</p>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      From *
+                    </label>
+                    <input
+                      {...register('startDate', { required: 'Start date is required' })}
+                      type="date"
+                      className="input-field"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Until *
+                    </label>
+                    <input
+                      {...register('endDate', { required: 'End date is required' })}
+                      type="date"
+                      className="input-field"
+                    />
+                  </div>
+                </div>
+                {(errors.startDate || errors.endDate) && (
+                  <p className="text-sm text-red-600">{(errors.startDate || errors.endDate).message}</p>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Amount Limit
+                  </label>
+                  <input
+                    {...register('maxAmount')}
+                    type="number"
+                    step="0.01"
+                    className="input-field"
+                    placeholder="No limit"
+                  />
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setShowModal(false);
+                      reset();
+                    }}
+                    className="btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={createMutation.isLoading}
+                    className="btn-primary"
+                  >
+                    {createMutation.isLoading ? <LoadingSpinner size="small" /> : 'Save Delegation'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DelegationPanel;
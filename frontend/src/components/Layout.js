@@ -4,6 +4,7 @@ import { useAuth } from '../context/AuthContext';
 import {
   HomeIcon,
   CreditCardIcon,
+  DocumentDuplicateIcon,
   CheckCircleIcon,
   UsersIcon,
   CogIcon,
@@ -20,6 +21,7 @@ const Layout = () => {
   const navigation = [
     { name: 'Dashboard', href: '/', icon: HomeIcon },
     { name: 'All Expenses', href: '/expenses', icon: CreditCardIcon },
+    { name: 'Expense Reports', href: '/reports', icon: DocumentDuplicateIcon },
     ...(user?.role === 'manager' || user?.role === 'admin' 
       ? [{ name: 'Approvals', href: '/approvals', icon: CheckCircleIcon }] 
       : []
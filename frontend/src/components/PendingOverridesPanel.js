@@ -0,0 +1,118 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { approvalService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { ShieldExclamationIcon } from '@heroicons/react/24/outline';
+
+// Admin overrides above the company threshold wait here until a second admin confirms them
+const PendingOverridesPanel = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data: overrides } = useQuery('pending-overrides', approvalService.getPendingOverrides);
+
+  const onSettled = () => {
+    queryClient.invalidateQueries('pending-overrides');
+    queryClient.invalidateQueries('pending-approvals');
+    queryClient.invalidateQueries('expenses');
+  };
+
+  const confirmMutation = useMutation(
+    (id) => approvalService.confirmOverride(id, {}),
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        onSettled();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to confirm override');
+      }
+    }
+  );
+
+  const declineMutation = useMutation(
+    ({ id, comments }) => approvalService.declineOverride(id, { comments }),
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        onSettled();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to decline override');
+      }
+    }
+  );
+
+  const handleDecline = (override) => {
+    const ownOverride = override.requested_by === user?.id;
+    const comments = window.prompt(ownOverride
+      ? 'Cancel your override? You can add a note (optional).'
+      : `Decline the override requested by ${override.requested_by_first_name} ${override.requested_by_last_name}? You can add a reason (optional).`);
+
+    if (comments !== null) {
+      declineMutation.mutate({ id: override.id, comments: comments.trim() });
+    }
+  };
+
+  if (!overrides?.length) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <div className="mb-4">
+        <h2 className="text-lg font-medium text-gray-900">Overrides Awaiting Confirmation</h2>
+        <p className="text-sm text-gray-600">An override above the company threshold takes effect once a second admin confirms it</p>
+      </div>
+
+      <div className="space-y-2">
+        {overrides.map((override) => {
+          const ownOverride = override.requested_by === user?.id;
+
+          return (
+            <div key={override.id} className="flex items-center justify-between border border-gray-200 rounded-lg p-3">
+              <div className="flex items-start text-sm text-gray-700">
+                <ShieldExclamationIcon className="w-5 h-5 mr-2 text-orange-500 flex-shrink-0" />
+                <div>
+                  <p>
+                    <strong>{override.action === 'approved' ? 'Approve' : 'Reject'}</strong> "{override.description}" by{' '}
+                    {override.employee_first_name} {override.employee_last_name},{' '}
+                    {override.currency} {override.amount}
+                    {override.currency !== override.base_currency && ` (${override.base_currency} ${override.converted_amount})`}
+                  </p>
+                  <p className="text-gray-500">
+                    {override.reason_code.replace(/_/g, ' ')}
+                    {override.comments && `: ${override.comments}`} — requested by{' '}
+                    {ownOverride ? 'you' : `${override.requested_by_first_name} ${override.requested_by_last_name}`},{' '}
+                    {new Date(override.created_at).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+              <div className="flex space-x-2 ml-4">
+                {!ownOverride && (
+                  <button
+                    onClick={() => confirmMutation.mutate(override.id)}
+                    disabled={confirmMutation.isLoading}
+                    className="btn-primary"
+                  >
+                    Confirm
+                  </button>
+                )}
+                <button
+                  onClick={() => handleDecline(override)}
+                  disabled={declineMutation.isLoading}
+                  className="btn-secondary"
+                >
+                  {ownOverride ? 'Cancel' : 'Decline'}
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PendingOverridesPanel;
@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { approvalService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import { DocumentDuplicateIcon } from '@heroicons/react/24/outline';
+
+// Expense reports are decided as a whole, one approval step at a time; single lines can be rejected
+// with their own reason while the rest of the report is approved
+const PendingReportsPanel = () => {
+  const queryClient = useQueryClient();
+  const [reviewId, setReviewId] = useState(null);
+  const [comments, setComments] = useState('');
+  const [lineRejections, setLineRejections] = useState({});
+
+  const { data: reports } = useQuery('pending-reports', approvalService.getPendingReports);
+
+  const { data: report, isLoading: reportLoading } = useQuery(
+    ['report-approval', reviewId],
+    () => approvalService.getReportForApproval(reviewId),
+    { enabled: Boolean(reviewId) }
+  );
+
+  const closeModal = () => {
+    setReviewId(null);
+    setComments('');
+    setLineRejections({});
+  };
+
+  const processMutation = useMutation(
+    ({ reportId, data }) => approvalService.processReport(reportId, data),
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        queryClient.invalidateQueries('pending-reports');
+        queryClient.invalidateQueries('expenses');
+        closeModal();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to process expense report');
+      }
+    }
+  );
+
+  const toggleLineRejection = (expenseId) => {
+    setLineRejections((rejections) => {
+      const { [expenseId]: current, ...rest } = rejections;
+      return current === undefined ? { ...rejections, [expenseId]: '' } : rest;
+    });
+  };
+
+  const rejectedLines = Object.entries(lineRejections).map(([expenseId, lineComments]) => ({
+    expenseId: parseInt(expenseId),
+    comments: lineComments.trim()
+  }));
+
+  const handleDecision = (action) => {
+    processMutation.mutate({
+      reportId: reviewId,
+      data: {
+        action,
+        ...(comments.trim() ? { comments: comments.trim() } : {}),
+        ...(action === 'approved' && rejectedLines.length > 0 ? { rejectedLines } : {})
+      }
+    });
+  };
+
+  if (!reports?.length) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <div className="mb-4">
+        <h2 className="text-lg font-medium text-gray-900">Expense Reports</h2>
+        <p className="text-sm text-gray-600">Reports are approved as a whole; individual lines can still be rejected</p>
+      </div>
+
+      <div className="space-y-2">
+        {reports.map((pendingReport) => (
+          <div key={pendingReport.id} className="flex items-center justify-between border border-gray-200 rounded-lg p-3">
+            <div className="flex items-start text-sm text-gray-700">
+              <DocumentDuplicateIcon className="w-5 h-5 mr-2 text-gray-400 flex-shrink-0" />
+              <div>
+                <p className="font-medium text-gray-900">{pendingReport.title}</p>
+                <p className="text-gray-500">
+                  {pendingReport.first_name} {pendingReport.last_name} ·{' '}
+                  {new Date(pendingReport.start_date).toLocaleDateString()} – {new Date(pendingReport.end_date).toLocaleDateString()} ·{' '}
+                  {pendingReport.awaiting_lines} open line(s), {pendingReport.base_currency} {pendingReport.awaiting_amount}
+                  {' '}of {pendingReport.base_currency} {pendingReport.total_amount}
+                </p>
+              </div>
+            </div>
+            <button onClick={() => setReviewId(pendingReport.id)} className="btn-secondary ml-4">
+              Review
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {reviewId && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+            {reportLoading || !report ? (
+              <LoadingSpinner className="h-32" />
+            ) : (
+              <div className="mt-3">
+                <h3 className="text-lg font-medium text-gray-900">{report.title}</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  {report.first_name} {report.last_name} · {report.base_currency} {report.total_amount}
+                  {report.purpose && ` · ${report.purpose}`}
+                </p>
+
+                <div className="space-y-2 max-h-80 overflow-y-auto mb-4">
+                  {report.lines.map((line) => {
+                    const isRejected = lineRejections[line.id] !== undefined;
+
+                    return (
+                      <div key={line.id} className="border border-gray-200 rounded-lg p-3 text-sm">
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <p className="text-gray-900">
+                              {new Date(line.expense_date).toLocaleDateString()} · {line.description}
+                            </p>
+                            <p className="text-gray-500">
+                              {line.category_name}{line.merchant_name && ` · ${line.merchant_name}`} ·{' '}
+                              {line.currency} {line.approved_amount || line.amount}
+                              {line.currency !== report.base_currency && ` (${report.base_currency} ${line.converted_amount})`}
+                            </p>
+                          </div>
+                          {line.awaiting_decision ? (
+                            <label className="inline-flex items-center text-red-600 ml-4 whitespace-nowrap">
+                              <input
+                                type="checkbox"
+                                checked={isRejected}
+                                onChange={() => toggleLineRejection(line.id)}
+                                className="h-4 w-4 text-red-600 border-gray-300 rounded mr-2"
+                              />
+                              Reject line
+                            </label>
+                          ) : (
+                            <span className={`status-${line.status} ml-4`}>{line.status.replace(/_/g, ' ')}</span>
+                          )}
+                        </div>
+                        {isRejected && (
+                          <input
+                            type="text"
+                            value={lineRejections[line.id]}
+                            onChange={(e) => setLineRejections((rejections) => ({ ...rejections, [line.id]: e.target.value }))}
+                            maxLength={500}
+                            className="input-field mt-2"
+                            placeholder="Why is this line rejected? (required)"
+                          />
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Comments (Optional)
+                  </label>
+                  <textarea
+                    value={comments}
+                    onChange={(e) => setComments(e.target.value)}
+                    rows={2}
+                    maxLength={500}
+                    className="input-field"
+                    placeholder="Comments for the whole report..."
+                  />
+                </div>
+
+                <div className="flex justify-end space-x-3">
+                  <button onClick={closeModal} className="btn-secondary">
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => handleDecision('rejected')}
+                    disabled={processMutation.isLoading || rejectedLines.length > 0}
+                    className="btn-primary bg-red-600 hover:bg-red-700"
+                  >
+                    Reject Report
+                  </button>
+                  <button
+                    onClick={() => handleDecision('approved')}
+                    disabled={processMutation.isLoading || rejectedLines.some((line) => !line.comments)}
+                    className="btn-primary"
+                  >
+                    {processMutation.isLoading ? (
+                      <LoadingSpinner size="small" />
+                    ) : rejectedLines.length > 0 ? (
+                      `Approve Rest (${rejectedLines.length} rejected)`
+                    ) : (
+                      'Approve Report'
+                    )}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PendingReportsPanel;
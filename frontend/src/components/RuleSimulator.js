@@ -0,0 +1,184 @@
+import React from 'react';
+import { useMutation } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { useForm } from 'react-hook-form';
+import { approvalService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import { BeakerIcon } from '@heroicons/react/24/outline';
+
+const RuleSimulator = ({ categories, currencies, teamMembers, baseCurrency }) => {
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: {
+      currency: baseCurrency
+    }
+  });
+
+  const simulateMutation = useMutation(approvalService.simulateApprovalRules, {
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to simulate approval rules');
+    }
+  });
+
+  const onSubmit = (data) => {
+    simulateMutation.mutate({
+      amount: parseFloat(data.amount),
+      currency: data.currency,
+      categoryId: parseInt(data.categoryId),
+      employeeId: parseInt(data.employeeId),
+      ...(data.merchantName ? { merchantName: data.merchantName } : {})
+    });
+  };
+
+  const result = simulateMutation.data;
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-4">
+        <BeakerIcon className="w-5 h-5 mr-2 text-gray-400" />
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Test Approval Rules</h2>
+          <p className="text-sm text-gray-600">See which rule a hypothetical expense hits and who would be asked</p>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Employee *</label>
+          <select
+            {...register('employeeId', { required: 'Employee is required' })}
+            className="input-field"
+          >
+            <option value="">Select an employee</option>
+            {teamMembers?.map((member) => (
+              <option key={member.id} value={member.id}>
+                {member.first_name} {member.last_name}
+              </option>
+            ))}
+          </select>
+          {errors.employeeId && (
+            <p className="mt-1 text-sm text-red-600">{errors.employeeId.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Category *</label>
+          <select
+            {...register('categoryId', { required: 'Category is required' })}
+            className="input-field"
+          >
+            <option value="">Select a category</option>
+            {categories?.map((category) => (
+              <option key={category.id} value={category.id}>
+                {category.name}
+              </option>
+            ))}
+          </select>
+          {errors.categoryId && (
+            <p className="mt-1 text-sm text-red-600">{errors.categoryId.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Merchant</label>
+          <input
+            {...register('merchantName')}
+            type="text"
+            className="input-field"
+            placeholder="Optional"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Amount *</label>
+          <input
+            {...register('amount', {
+              required: 'Amount is required',
+              min: { value: 0.01, message: 'Amount must be greater than 0' }
+            })}
+            type="number"
+            step="0.01"
+            className="input-field"
+          />
+          {errors.amount && (
+            <p className="mt-1 text-sm text-red-600">{errors.amount.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Currency *</label>
+          <select
+            {...register('currency', { required: 'Currency is required' })}
+            className="input-field"
+          >
+            {currencies?.map((currency) => (
+              <option key={currency} value={currency}>
+                {currency}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex items-end">
+          <button
+            type="submit"
+            disabled={simulateMutation.isLoading}
+            className="btn-primary w-full"
+          >
+            {simulateMutation.isLoading ? <LoadingSpinner size="small" /> : 'Run Test'}
+          </button>
+        </div>
+      </form>
+
+      {result && (
+        <div className="mt-6 border-t border-gray-200 pt-4 space-y-3 text-sm">
+          <div className="flex justify-between">
+            <span className="text-gray-600">Matched rule</span>
+            <span className="font-medium text-gray-900">
+              {result.rule ? `${result.rule.name} (${result.rule.rule_type.replace('_', ' ')})` : 'None'}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Amount in {result.baseCurrency}</span>
+            <span className="font-medium text-gray-900">{Number(result.convertedAmount).toFixed(2)}</span>
+          </div>
+
+          {result.steps.map((step) => (
+            <div key={step.stepOrder} className="border border-gray-200 rounded-lg p-3">
+              <div className="flex justify-between mb-1">
+                <span className="font-medium text-gray-900">
+                  Step {step.stepOrder}
+                  <span className="ml-2 text-gray-500 capitalize">{step.approverRole.replace(/_/g, ' ')}</span>
+                </span>
+                {!step.isRequired && (
+                  <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-800">
+                    Optional{step.timeoutHours && `, skipped after ${step.timeoutHours}h`}
+                  </span>
+                )}
+              </div>
+              {step.unresolved ? (
+                <p className="text-yellow-700">No approver can be resolved; this step would be left out</p>
+              ) : (
+                <p className="text-gray-700">
+                  {step.approvers.length > 1 && step.quorum && `${step.quorum} of: `}
+                  {step.approvers.map((approver) => (
+                    `${approver.first_name} ${approver.last_name}${approver.is_active ? '' : ' (inactive)'}`
+                    + (approver.substituted_for
+                      ? ` (replacing ${approver.substituted_for.first_name} ${approver.substituted_for.last_name})`
+                      : '')
+                  )).join(', ')}
+                </p>
+              )}
+            </div>
+          ))}
+
+          <p className="text-gray-700">
+            <span className="font-medium">Completes when: </span>
+            {result.completion.description}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RuleSimulator;
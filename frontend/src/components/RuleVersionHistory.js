@@ -0,0 +1,141 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import { approvalService } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const fieldLabels = {
+  name: 'Name',
+  rule_type: 'Rule type',
+  min_amount: 'Min amount',
+  max_amount: 'Max amount',
+  percentage_required: 'Required approval %',
+  specific_approver_id: 'Specific approver',
+  approver_group_id: 'Approver group',
+  sequence_order: 'Sequence order',
+  conditions: 'Conditions',
+  sla_hours: 'SLA hours',
+  distinct_step_approvers: 'Distinct step approvers',
+  is_active: 'Active',
+  steps: 'Steps'
+};
+
+const formatStep = (step) => {
+  const notes = [];
+
+  if (step.quorum_type === 'any') {
+    notes.push('any one');
+  } else if (step.quorum_type === 'count') {
+    notes.push(`${step.quorum_count} of the group`);
+  }
+
+  if (step.is_required === false) {
+    notes.push('optional');
+  }
+
+  const role = step.approver_role.replace(/_/g, ' ');
+  return `${step.step_order}. ${role}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+
+  if (field === 'steps') {
+    return value.length > 0
+      ? value.map(formatStep).join(', ')
+      : 'none';
+  }
+
+  if (field === 'conditions') {
+    const parts = Object.entries(value)
+      .filter(([, condition]) => (Array.isArray(condition) ? condition.length > 0 : Boolean(condition)))
+      .map(([key, condition]) => `${key}: ${Array.isArray(condition) ? condition.join(', ') : condition}`);
+
+    return parts.length > 0 ? parts.join('; ') : 'none';
+  }
+
+  return String(value);
+};
+
+const RuleVersionHistory = ({ rule, onClose }) => {
+  const { data: versions, isLoading } = useQuery(
+    ['approval-rule-versions', rule.id],
+    () => approvalService.getRuleVersions(rule.id)
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+        <div className="mt-3">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Version History: {rule.name}</h3>
+
+          {isLoading ? (
+            <LoadingSpinner className="h-32" />
+          ) : (
+            <div className="space-y-4 max-h-96 overflow-y-auto">
+              {versions?.map((version, index) => (
+                <div key={version.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex justify-between items-center mb-2">
+                    <span className="font-medium text-gray-900">
+                      Version {version.version}
+                      {version.version === rule.current_version && (
+                        <span className="ml-2 px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800">
+                          Current
+                        </span>
+                      )}
+                    </span>
+                    <span className="text-sm text-gray-500">
+                      {new Date(version.created_at).toLocaleString()}
+                      {version.created_by_first_name && ` by ${version.created_by_first_name} ${version.created_by_last_name}`}
+                    </span>
+                  </div>
+
+                  <p className="text-xs text-gray-500 mb-2">
+                    {version.expense_count} expense(s) pinned to this version
+                  </p>
+
+                  {index === versions.length - 1 ? (
+                    <p className="text-sm text-gray-600">Initial version</p>
+                  ) : version.changes.length === 0 ? (
+                    <p className="text-sm text-gray-600">Saved without changes</p>
+                  ) : (
+                    <table className="w-full text-sm">
+                      <tbody>
+                        {version.changes.map((change) => (
+                          <tr key={change.field} className="align-top">
+                            <td className="py-1 pr-4 font-medium text-gray-700 whitespace-nowrap">
+                              {fieldLabels[change.field] || change.field}
+                            </td>
+                            <td className="py-1 pr-4 text-red-700 line-through">
+                              {formatValue(change.field, change.from)}
+                            </td>
+                            <td className="py-1 text-green-700">
+                              {formatValue(change.field, change.to)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              ))}
+
+              {versions?.length === 0 && (
+                <p className="text-sm text-gray-500">This rule has no recorded versions yet</p>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end pt-4">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RuleVersionHistory;
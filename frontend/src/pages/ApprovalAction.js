@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useQuery, useMutation } from 'react-query';
+import { approvalService } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { CheckCircleIcon, XCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+// Landing page of the one-time approve/reject links sent to approvers by email.
+// Opening the link only shows the decision; it is carried out once the approver confirms.
+const ApprovalAction = () => {
+  const { token } = useParams();
+  const [comments, setComments] = useState('');
+
+  const { data, isLoading, error } = useQuery(
+    ['approval-action', token],
+    () => approvalService.getActionToken(token),
+    { retry: false }
+  );
+
+  const redeemMutation = useMutation(() => approvalService.redeemActionToken(token, { comments: comments.trim() }));
+
+  const isApproval = data?.action === 'approved';
+  const expense = data?.expense;
+
+  const renderContent = () => {
+    if (isLoading) {
+      return <LoadingSpinner className="h-32" />;
+    }
+
+    if (error || redeemMutation.isError) {
+      return (
+        <div className="text-center">
+          <ExclamationTriangleIcon className="mx-auto h-12 w-12 text-yellow-500" />
+          <h2 className="mt-2 text-lg font-medium text-gray-900">This link cannot be used</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            {(error || redeemMutation.error).response?.data?.error || 'Something went wrong'}
+          </p>
+          <p className="mt-4 text-sm text-gray-500">You can still review the expense from the Approvals page after signing in.</p>
+        </div>
+      );
+    }
+
+    if (redeemMutation.isSuccess) {
+      return (
+        <div className="text-center">
+          {isApproval ? (
+            <CheckCircleIcon className="mx-auto h-12 w-12 text-green-500" />
+          ) : (
+            <XCircleIcon className="mx-auto h-12 w-12 text-red-500" />
+          )}
+          <h2 className="mt-2 text-lg font-medium text-gray-900">{redeemMutation.data.message}</h2>
+          <p className="mt-1 text-sm text-gray-600">Your decision has been recorded. You can close this page.</p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <h2 className="text-lg font-medium text-gray-900 mb-1">
+          {isApproval ? 'Approve Expense' : 'Reject Expense'}
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Deciding as {data.approver.first_name} {data.approver.last_name}
+        </p>
+
+        <div className="space-y-2 text-sm mb-4">
+          <p className="text-gray-600">
+            <strong>Expense:</strong> {expense.description}
+          </p>
+          <p className="text-gray-600">
+            <strong>Employee:</strong> {expense.first_name} {expense.last_name}
+          </p>
+          <p className="text-gray-600">
+            <strong>Amount:</strong> {expense.currency} {expense.approved_amount || expense.amount}
+            {expense.currency !== expense.base_currency && ` (${expense.base_currency} ${expense.converted_amount})`}
+          </p>
+          <p className="text-gray-600">
+            <strong>Category:</strong> {expense.category_name}, {new Date(expense.expense_date).toLocaleDateString()}
+          </p>
+          {expense.merchant_name && (
+            <p className="text-gray-600">
+              <strong>Merchant:</strong> {expense.merchant_name}
+            </p>
+          )}
+        </div>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Comments (Optional)
+          </label>
+          <textarea
+            value={comments}
+            onChange={(e) => setComments(e.target.value)}
+            rows={3}
+            maxLength={500}
+            className="input-field"
+          />
+        </div>
+
+        <button
+          onClick={() => redeemMutation.mutate()}
+          disabled={redeemMutation.isLoading}
+          className={`btn-primary w-full ${isApproval ? '' : 'bg-red-600 hover:bg-red-700'}`}
+        >
+          {redeemMutation.isLoading ? (
+            <LoadingSpinner size="small" />
+          ) : (
+            `Confirm ${isApproval ? 'Approval' : 'Rejection'}`
+          )}
+        </button>
+        <p className="mt-3 text-xs text-gray-500 text-center">
+          This link works once and expires {new Date(data.expiresAt).toLocaleString()}
+        </p>
+      </>
+    );
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <div className="card w-full max-w-md">
+        {renderContent()}
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalAction;
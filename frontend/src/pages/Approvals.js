@@ -4,13 +4,26 @@ import { toast } from 'react-hot-toast';
 import { approvalService } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import LoadingSpinner from '../components/LoadingSpinner';
+import DelegationPanel from '../components/DelegationPanel';
+import PendingOverridesPanel from '../components/PendingOverridesPanel';
+import PendingReportsPanel from '../components/PendingReportsPanel';
+import AttachmentGallery from '../components/AttachmentGallery';
 import {
   CheckIcon,
   XMarkIcon as XIcon,
-  EyeIcon,
-  ClockIcon
+  ClockIcon,
+  ArrowUturnLeftIcon
 } from '@heroicons/react/24/outline';
 
+const overrideReasons = [
+  { value: 'policy_exception', label: 'Policy exception' },
+  { value: 'approver_unavailable', label: 'Approver unavailable' },
+  { value: 'duplicate_claim', label: 'Duplicate claim' },
+  { value: 'fraud_suspected', label: 'Fraud suspected' },
+  { value: 'data_correction', label: 'Data correction' },
+  { value: 'other', label: 'Other (explain in comments)' }
+];
+
 const Approvals = () => {
   const { user } = useAuth();
   const queryClient = useQueryClient();
@@ -18,6 +31,16 @@ const Approvals = () => {
   const [showModal, setShowModal] = useState(false);
   const [actionType, setActionType] = useState('');
   const [comments, setComments] = useState('');
+  const [approvedAmount, setApprovedAmount] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isBulk, setIsBulk] = useState(false);
+  const [overrideAction, setOverrideAction] = useState('approved');
+  const [reasonCode, setReasonCode] = useState('');
+
+  const isOverride = actionType === 'override';
+  const isPartial = actionType === 'approved' && !isBulk && approvedAmount !== '';
+  const commentsRequired = actionType === 'rejected' || actionType === 'changes_requested' || isPartial ||
+    (isOverride && reasonCode === 'other');
 
   const { data: approvals, isLoading, refetch } = useQuery(
     'pending-approvals',
@@ -25,16 +48,18 @@ const Approvals = () => {
   );
 
   const processMutation = useMutation(
-    ({ expenseId, action, comments }) => 
-      approvalService.processApproval(expenseId, { action, comments }),
+    ({ expenseId, action, comments, approvedAmount }) => 
+      approvalService.processApproval(expenseId, { action, comments, ...(approvedAmount ? { approvedAmount } : {}) }),
     {
-      onSuccess: (data) => {
+      onSuccess: (data, variables) => {
         toast.success(`Expense ${data.finalStatus || actionType} successfully!`);
+        setSelectedIds((ids) => ids.filter((id) => id !== variables.expenseId));
         queryClient.invalidateQueries('pending-approvals');
         queryClient.invalidateQueries('expenses');
         setShowModal(false);
         setSelectedExpense(null);
         setComments('');
+        setApprovedAmount('');
       },
       onError: (error) => {
         toast.error(error.response?.data?.error || 'Failed to process approval');
@@ -42,17 +67,38 @@ const Approvals = () => {
     }
   );
 
+  const bulkMutation = useMutation(approvalService.bulkProcessApprovals, {
+    onSuccess: (data) => {
+      if (data.succeeded > 0) {
+        toast.success(data.message);
+      }
+
+      data.results.filter((result) => !result.success).forEach((result) => {
+        const expense = approvals?.approvals?.find((item) => item.id === result.expenseId);
+        toast.error(`${expense?.description || `Expense #${result.expenseId}`}: ${result.error}`);
+      });
+
+      queryClient.invalidateQueries('pending-approvals');
+      queryClient.invalidateQueries('expenses');
+      setShowModal(false);
+      setIsBulk(false);
+      setSelectedIds([]);
+      setComments('');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to process approvals');
+    }
+  });
+
   const overrideMutation = useMutation(
-    ({ expenseId, action, comments }) => 
-      approvalService.overrideApproval(expenseId, { action, comments }),
+    ({ expenseId, ...data }) => approvalService.overrideApproval(expenseId, data),
     {
-      onSuccess: () => {
-        toast.success(`Expense ${actionType} successfully (admin override)!`);
+      onSuccess: (data) => {
+        toast.success(data.message);
         queryClient.invalidateQueries('pending-approvals');
+        queryClient.invalidateQueries('pending-overrides');
         queryClient.invalidateQueries('expenses');
-        setShowModal(false);
-        setSelectedExpense(null);
-        setComments('');
+        closeModal();
       },
       onError: (error) => {
         toast.error(error.response?.data?.error || 'Failed to override approval');
@@ -62,21 +108,66 @@ const Approvals = () => {
 
   const handleAction = (expense, action) => {
     setSelectedExpense(expense);
+    setIsBulk(false);
     setActionType(action);
     setShowModal(true);
   };
 
+  const handleBulkAction = (action) => {
+    setSelectedExpense(null);
+    setIsBulk(true);
+    setActionType(action);
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setSelectedExpense(null);
+    setIsBulk(false);
+    setComments('');
+    setApprovedAmount('');
+    setOverrideAction('approved');
+    setReasonCode('');
+  };
+
+  const toggleSelected = (expenseId) => {
+    setSelectedIds((ids) => (
+      ids.includes(expenseId) ? ids.filter((id) => id !== expenseId) : [...ids, expenseId]
+    ));
+  };
+
+  const allSelected = approvals?.approvals?.length > 0 && selectedIds.length === approvals.approvals.length;
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? [] : approvals.approvals.map((expense) => expense.id));
+  };
+
   const handleSubmit = () => {
+    if (isBulk) {
+      bulkMutation.mutate({
+        expenseIds: selectedIds,
+        action: actionType,
+        ...(comments.trim() ? { comments: comments.trim() } : {})
+      });
+      return;
+    }
+
     if (!selectedExpense || !actionType) return;
 
     const data = {
       expenseId: selectedExpense.id,
       action: actionType,
-      comments: comments.trim()
+      comments: comments.trim(),
+      ...(isPartial ? { approvedAmount: parseFloat(approvedAmount) } : {})
     };
 
-    if (user?.role === 'admin' && actionType === 'override') {
-      overrideMutation.mutate(data);
+    if (user?.role === 'admin' && isOverride) {
+      overrideMutation.mutate({
+        expenseId: selectedExpense.id,
+        action: overrideAction,
+        reasonCode,
+        ...(comments.trim() ? { comments: comments.trim() } : {})
+      });
     } else {
       processMutation.mutate(data);
     }
@@ -107,16 +198,61 @@ const Approvals = () => {
         <p className="text-gray-600">Review and approve expense submissions</p>
       </div>
 
+      <DelegationPanel />
+
+      {user?.role === 'admin' && <PendingOverridesPanel />}
+
+      <PendingReportsPanel />
+
       {/* Approvals List */}
       <div className="card">
         {approvals?.approvals?.length > 0 ? (
           <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <label className="inline-flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={toggleAll}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+                />
+                {selectedIds.length > 0 ? `${selectedIds.length} selected` : 'Select all'}
+              </label>
+
+              {selectedIds.length > 0 && (
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleBulkAction('approved')}
+                    className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                  >
+                    <CheckIcon className="w-4 h-4 mr-1" />
+                    Approve Selected
+                  </button>
+                  <button
+                    onClick={() => handleBulkAction('rejected')}
+                    className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+                  >
+                    <XIcon className="w-4 h-4 mr-1" />
+                    Reject Selected
+                  </button>
+                </div>
+              )}
+            </div>
+
             {approvals.approvals.map((expense) => (
               <div
                 key={expense.id}
-                className="border border-gray-200 rounded-lg p-6 hover:shadow-md transition-shadow"
+                className={`border rounded-lg p-6 hover:shadow-md transition-shadow ${
+                  selectedIds.includes(expense.id) ? 'border-blue-300 bg-blue-50' : 'border-gray-200'
+                }`}
               >
                 <div className="flex items-start justify-between">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(expense.id)}
+                    onChange={() => toggleSelected(expense.id)}
+                    className="h-4 w-4 mt-1.5 mr-4 text-blue-600 border-gray-300 rounded"
+                  />
                   <div className="flex-1">
                     <div className="flex items-center space-x-4 mb-3">
                       <h3 className="text-lg font-medium text-gray-900">
@@ -126,6 +262,34 @@ const Approvals = () => {
                         <ClockIcon className="w-3 h-3 mr-1" />
                         Pending
                       </span>
+                      {expense.on_behalf_of_first_name && (
+                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                          On behalf of {expense.on_behalf_of_first_name} {expense.on_behalf_of_last_name}
+                        </span>
+                      )}
+                      {expense.substituted_for_first_name && (
+                        <span
+                          className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800"
+                          title={expense.substitution_reason === 'self_approval'
+                            ? 'The original approver submitted this expense'
+                            : 'The original approver already approves an earlier step'}
+                        >
+                          Replacing {expense.substituted_for_first_name} {expense.substituted_for_last_name}
+                        </span>
+                      )}
+                      {expense.substitution_reason === 'no_eligible_approver' && (
+                        <span
+                          className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800"
+                          title="Nobody on this approval step could approve the expense"
+                        >
+                          Standing in
+                        </span>
+                      )}
+                      {expense.is_required === false && (
+                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                          Optional
+                        </span>
+                      )}
                     </div>
 
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
@@ -147,6 +311,11 @@ const Approvals = () => {
                             {expense.base_currency} {expense.converted_amount}
                           </p>
                         )}
+                        {expense.approved_amount && (
+                          <p className="text-sm text-orange-700" title={expense.adjustment_reason}>
+                            Reduced to {expense.currency} {expense.approved_amount} by an earlier approver
+                          </p>
+                        )}
                       </div>
 
                       <div>
@@ -158,18 +327,10 @@ const Approvals = () => {
                       </div>
                     </div>
 
-                    {expense.receipt_url && (
+                    {expense.attachments?.length > 0 && (
                       <div className="mb-4">
-                        <p className="text-sm text-gray-500 mb-2">Receipt</p>
-                        <a
-                          href={`${process.env.REACT_APP_API_URL || 'http://localhost:3000'}${expense.receipt_url}`}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="inline-flex items-center text-blue-600 hover:text-blue-700"
-                        >
-                          <EyeIcon className="w-4 h-4 mr-1" />
-                          View Receipt
-                        </a>
+                        <p className="text-sm text-gray-500 mb-2">Attachments</p>
+                        <AttachmentGallery attachments={expense.attachments} />
                       </div>
                     )}
 
@@ -200,6 +361,23 @@ const Approvals = () => {
                       Reject
                     </button>
 
+                    <button
+                      onClick={() => handleAction(expense, 'changes_requested')}
+                      className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-yellow-600 hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-yellow-500"
+                    >
+                      <ArrowUturnLeftIcon className="w-4 h-4 mr-1" />
+                      Request Changes
+                    </button>
+
+                    {expense.is_required === false && (
+                      <button
+                        onClick={() => handleAction(expense, 'skipped')}
+                        className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                      >
+                        Skip
+                      </button>
+                    )}
+
                     {user?.role === 'admin' && (
                       <button
                         onClick={() => handleAction(expense, 'override')}
@@ -230,10 +408,27 @@ const Approvals = () => {
           <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
             <div className="mt-3">
               <h3 className="text-lg font-medium text-gray-900 mb-4">
-                {actionType === 'approved' ? 'Approve Expense' : 
-                 actionType === 'rejected' ? 'Reject Expense' : 'Override Approval'}
+                {isBulk ? `${actionType === 'approved' ? 'Approve' : 'Reject'} ${selectedIds.length} Expense(s)` :
+                 actionType === 'approved' ? 'Approve Expense' : 
+                 actionType === 'rejected' ? 'Reject Expense' :
+                 actionType === 'changes_requested' ? 'Request Changes' :
+                 actionType === 'skipped' ? 'Skip Optional Approval' : 'Override Approval'}
               </h3>
 
+              {isBulk ? (
+                <div className="mb-4">
+                  <p className="text-sm text-gray-600 mb-2">
+                    The comment below is shared by every selected expense. Each decision is recorded separately.
+                  </p>
+                  <ul className="text-sm text-gray-700 max-h-32 overflow-y-auto list-disc pl-5">
+                    {approvals?.approvals?.filter((expense) => selectedIds.includes(expense.id)).map((expense) => (
+                      <li key={expense.id}>
+                        {expense.description} ({expense.currency} {expense.amount})
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : (
               <div className="mb-4">
                 <p className="text-sm text-gray-600 mb-2">
                   <strong>Expense:</strong> {selectedExpense?.description}
@@ -245,27 +440,89 @@ const Approvals = () => {
                   <strong>Employee:</strong> {selectedExpense?.first_name} {selectedExpense?.last_name}
                 </p>
               </div>
+              )}
+
+              {actionType === 'approved' && !isBulk && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Approved Amount ({selectedExpense?.currency}, leave empty to approve in full)
+                  </label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0.01"
+                    max={selectedExpense?.approved_amount || selectedExpense?.amount}
+                    value={approvedAmount}
+                    onChange={(e) => setApprovedAmount(e.target.value)}
+                    className="input-field"
+                    placeholder={selectedExpense?.approved_amount || selectedExpense?.amount}
+                  />
+                </div>
+              )}
+
+              {isOverride && (
+                <>
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Decision
+                    </label>
+                    <select
+                      value={overrideAction}
+                      onChange={(e) => setOverrideAction(e.target.value)}
+                      className="input-field"
+                    >
+                      <option value="approved">Approve</option>
+                      <option value="rejected">Reject</option>
+                    </select>
+                  </div>
+
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Reason (Required)
+                    </label>
+                    <select
+                      value={reasonCode}
+                      onChange={(e) => setReasonCode(e.target.value)}
+                      className="input-field"
+                    >
+                      <option value="">Select a reason</option>
+                      {overrideReasons.map((reason) => (
+                        <option key={reason.value} value={reason.value}>
+                          {reason.label}
+                        </option>
+                      ))}
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Above the company threshold a second admin must confirm the override before it takes effect.
+                    </p>
+                  </div>
+                </>
+              )}
 
               <div className="mb-4">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Comments {actionType === 'rejected' ? '(Required)' : '(Optional)'}
+                  Comments {commentsRequired ? '(Required)' : '(Optional)'}
                 </label>
                 <textarea
                   value={comments}
                   onChange={(e) => setComments(e.target.value)}
                   rows={3}
                   className="input-field"
-                  placeholder={`Add comments for ${actionType === 'approved' ? 'approval' : 'rejection'}...`}
+                  placeholder={
+                    actionType === 'changes_requested'
+                      ? 'Describe what the employee needs to change...'
+                      : isPartial
+                      ? 'Explain which part is not reimbursable...'
+                      : isOverride
+                      ? 'Explain why the approval workflow is being overridden...'
+                      : `Add comments for ${actionType === 'approved' ? 'approval' : 'rejection'}...`
+                  }
                 />
               </div>
 
               <div className="flex justify-end space-x-3">
                 <button
-                  onClick={() => {
-                    setShowModal(false);
-                    setSelectedExpense(null);
-                    setComments('');
-                  }}
+                  onClick={closeModal}
                   className="btn-secondary"
                 >
                   Cancel
@@ -273,19 +530,23 @@ const Approvals = () => {
                 <button
                   onClick={handleSubmit}
                   disabled={
-                    (actionType === 'rejected' && !comments.trim()) ||
+                    (commentsRequired && !comments.trim()) ||
+                    (isOverride && !reasonCode) ||
                     processMutation.isLoading ||
-                    overrideMutation.isLoading
+                    overrideMutation.isLoading ||
+                    bulkMutation.isLoading
                   }
                   className={`btn-primary ${
-                    actionType === 'rejected' ? 'bg-red-600 hover:bg-red-700' : ''
+                    actionType === 'rejected' || (isOverride && overrideAction === 'rejected') ? 'bg-red-600 hover:bg-red-700' : ''
                   }`}
                 >
-                  {processMutation.isLoading || overrideMutation.isLoading ? (
+                  {processMutation.isLoading || overrideMutation.isLoading || bulkMutation.isLoading ? (
                     <LoadingSpinner size="small" />
                   ) : (
                     `Confirm ${actionType === 'approved' ? 'Approval' : 
-                              actionType === 'rejected' ? 'Rejection' : 'Override'}`
+                              actionType === 'rejected' ? 'Rejection' :
+                              actionType === 'changes_requested' ? 'Request' :
+                              actionType === 'skipped' ? 'Skip' : 'Override'}`
                   )}
                 </button>
               </div>
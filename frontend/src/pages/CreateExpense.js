@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { useForm } from 'react-hook-form';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useForm, useFieldArray } from 'react-hook-form';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { toast } from 'react-hot-toast';
 import { expenseService, companyService } from '../services/api';
@@ -11,58 +11,315 @@ import {
   TagIcon, 
   DocumentTextIcon,
   BuildingStorefrontIcon,
-  ArrowLeftIcon
+  PaperClipIcon,
+  ArrowLeftIcon,
+  XMarkIcon,
+  TruckIcon,
+  MapPinIcon
 } from '@heroicons/react/24/outline';
+import AttachmentPicker from '../components/AttachmentPicker';
+
+const emptyAllocation = { categoryId: '', mode: 'amount', value: '', costCenter: '', project: '' };
+
+// Allocation lines as the API takes them; lines without a category or value are left out
+const toAllocations = (lines = []) => lines
+  .filter((line) => line.categoryId && line.value !== '')
+  .map((line) => ({
+    categoryId: parseInt(line.categoryId),
+    [line.mode]: parseFloat(line.value),
+    costCenter: line.costCenter,
+    project: line.project
+  }));
+
+const expenseTypes = [
+  { value: 'standard', label: 'Standard', hint: 'Enter the amount paid' },
+  { value: 'mileage', label: 'Mileage', hint: 'Distance at the company rate' },
+  { value: 'per_diem', label: 'Per diem', hint: 'Daily allowance for a trip' }
+];
+
+// Form fields as the API takes them for the expense type. Mileage and per-diem amounts are computed
+// by the server from their inputs, and a per diem is dated by its trip.
+const byExpenseType = ({ expenseType, mileage, perDiem, amount, currency, expenseDate, allocations, ...fields }) => {
+  if (expenseType === 'mileage') {
+    return { ...fields, expenseType, expenseDate, mileage };
+  }
+
+  if (expenseType === 'per_diem') {
+    return { ...fields, expenseType, perDiem };
+  }
+
+  return { ...fields, expenseType, amount, currency, expenseDate, allocations };
+};
+
+// What a per-diem claim comes to; the server applies the same rule: the departure and return days are
+// paid at the destination's partial-day percentage and the days between in full
+const perDiemEstimate = (rate, startDate, endDate) => {
+  const days = Math.round((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+
+  if (!rate || !(days > 0)) {
+    return null;
+  }
+
+  const partialDays = Math.min(days, 2);
+  const allowance = parseFloat(rate.daily_allowance);
+  const amount = (days - partialDays) * allowance + partialDays * allowance * parseFloat(rate.partial_day_percentage) / 100;
+
+  return { days, partialDays, amount };
+};
 
 const CreateExpense = () => {
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const isEditing = Boolean(id);
+  // New expenses can be added as a line of a draft expense report
+  const reportId = isEditing ? null : searchParams.get('reportId');
+  const returnPath = reportId ? `/reports/${reportId}` : '/expenses';
+  const [attachments, setAttachments] = useState([]);
 
-  const { register, handleSubmit, formState: { errors } } = useForm({
+  const { register, handleSubmit, formState: { errors }, reset, getValues, control, watch } = useForm({
     defaultValues: {
-      expenseDate: new Date().toISOString().split('T')[0]
+      expenseType: 'standard',
+      expenseDate: new Date().toISOString().split('T')[0],
+      mileage: { vehicleType: '', distance: '', route: '' },
+      perDiem: { rateId: '', startDate: '', endDate: '' },
+      allocations: []
     }
   });
 
+  const { fields: allocationFields, append: appendAllocation, remove: removeAllocation } = useFieldArray({
+    control,
+    name: 'allocations'
+  });
+
   const { data: categories } = useQuery('expense-categories', expenseService.getCategories);
   const { data: currencies } = useQuery('currencies', companyService.getCurrencies);
+  const { data: allowanceRates } = useQuery('allowance-rates', companyService.getAllowanceRates);
+
+  const { data: expense, isLoading: expenseLoading } = useQuery(
+    ['expense', id],
+    () => expenseService.getExpense(id),
+    {
+      enabled: isEditing,
+      onSuccess: (data) => {
+        const calculation = data.calculation || {};
+
+        reset({
+          expenseType: data.expense_type,
+          categoryId: data.category_id ? String(data.category_id) : '',
+          amount: data.amount ?? '',
+          currency: data.currency || '',
+          expenseDate: data.expense_date?.split('T')[0] || '',
+          merchantName: data.merchant_name || '',
+          description: data.description || '',
+          mileage: {
+            vehicleType: calculation.vehicleType || '',
+            distance: calculation.distance ?? '',
+            route: calculation.route || ''
+          },
+          perDiem: {
+            rateId: calculation.rateId ? String(calculation.rateId) : '',
+            startDate: calculation.startDate?.split('T')[0] || '',
+            endDate: calculation.endDate?.split('T')[0] || ''
+          },
+          allocations: data.allocations.map((line) => ({
+            categoryId: String(line.category_id),
+            mode: line.percentage ? 'percentage' : 'amount',
+            value: line.percentage ?? line.amount,
+            costCenter: line.cost_center || '',
+            project: line.project || ''
+          }))
+        });
+      }
+    }
+  );
+
+  const isDraft = expense?.status === 'draft';
+  // Drafts can be saved for stand-alone expenses only
+  const canSaveDraft = !reportId && (!isEditing || isDraft);
+  // Files go with a new expense or a draft; after that they are managed on the expense page
+  const canAttach = !isEditing || isDraft;
+
+  const changeRequest = expense?.approvals
+    ?.filter((approval) => approval.status === 'changes_requested')
+    .sort((a, b) => new Date(b.approved_at) - new Date(a.approved_at))[0];
 
   const createMutation = useMutation(expenseService.createExpense, {
+    onSuccess: (data) => {
+      toast.success(reportId ? data.message : 'Expense created successfully! 🎉');
+      queryClient.invalidateQueries('expenses');
+      if (reportId) {
+        queryClient.invalidateQueries(['expense-report', reportId]);
+      }
+      navigate(returnPath);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to create expense');
+    }
+  });
+
+  const updateMutation = useMutation(
+    (data) => expenseService.updateExpense(id, data),
+    {
+      onSuccess: (data) => {
+        toast.success(data.message || 'Expense updated successfully!');
+        queryClient.invalidateQueries('expenses');
+        queryClient.invalidateQueries(['expense', id]);
+        navigate('/expenses');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to update expense');
+      }
+    }
+  );
+
+  const draftMutation = useMutation(expenseService.createDraft, {
     onSuccess: () => {
-      toast.success('Expense created successfully! 🎉');
+      toast.success('Draft saved');
       queryClient.invalidateQueries('expenses');
       navigate('/expenses');
     },
     onError: (error) => {
-      toast.error(error.response?.data?.error || 'Failed to create expense');
+      toast.error(error.response?.data?.error || 'Failed to save draft');
     }
   });
 
-  const onSubmit = async (data) => {
+  // The draft is saved with the latest changes first, then submitted
+  const submitDraftMutation = useMutation(
+    async (data) => {
+      await expenseService.updateExpense(id, data);
+      return expenseService.submitExpense(id);
+    },
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        queryClient.invalidateQueries('expenses');
+        queryClient.invalidateQueries(['expense', id]);
+        navigate('/expenses');
+      },
+      onError: (error) => {
+        queryClient.invalidateQueries(['expense', id]);
+        toast.error(error.response?.data?.error || 'Failed to submit expense');
+      }
+    }
+  );
+
+  const isSaving = createMutation.isLoading || updateMutation.isLoading ||
+    draftMutation.isLoading || submitDraftMutation.isLoading;
+
+  // Drafts skip the form validation; whatever has been filled in is kept
+  const saveDraft = () => {
+    const { allocations, ...fields } = byExpenseType(getValues());
+    const data = { ...fields, attachments };
+    const lines = toAllocations(allocations);
+
+    if (lines.length > 0) {
+      data.allocations = lines;
+    }
+
+    if (isEditing) {
+      updateMutation.mutate(data);
+    } else {
+      draftMutation.mutate(data);
+    }
+  };
+
+  const onSubmit = async (values) => {
+    const { allocations, ...data } = byExpenseType(values);
     const formData = {
       ...data,
-      categoryId: parseInt(data.categoryId),
-      amount: parseFloat(data.amount)
+      categoryId: parseInt(data.categoryId)
     };
-    createMutation.mutate(formData);
+
+    if (data.amount !== undefined) {
+      formData.amount = parseFloat(data.amount);
+    }
+
+    const lines = toAllocations(allocations);
+    if (lines.length > 0) {
+      formData.allocations = lines;
+    }
+
+    if (!formData.merchantName) {
+      delete formData.merchantName;
+    }
+
+    if (reportId) {
+      formData.reportId = parseInt(reportId);
+    }
+
+    if (canAttach) {
+      formData.attachments = attachments;
+    }
+
+    if (isDraft) {
+      submitDraftMutation.mutate(formData);
+    } else if (isEditing) {
+      updateMutation.mutate(formData);
+    } else {
+      createMutation.mutate(formData);
+    }
   };
 
+  const expenseType = watch('expenseType');
+  const isStandard = expenseType === 'standard';
+  const mileageUnit = allowanceRates?.mileageUnit || 'km';
+
+  // Previews of the computed amounts
+  const mileageRate = allowanceRates?.mileageRates.find((rate) => rate.vehicle_type === watch('mileage.vehicleType'));
+  const mileageEstimate = mileageRate && parseFloat(watch('mileage.distance')) * parseFloat(mileageRate.rate);
+  const perDiem = perDiemEstimate(
+    allowanceRates?.perDiemRates.find((rate) => String(rate.id) === watch('perDiem.rateId')),
+    watch('perDiem.startDate'),
+    watch('perDiem.endDate')
+  );
+
+  // How much of the amount the split lines cover so far
+  const totalAmount = parseFloat(watch('amount')) || 0;
+  const allocatedAmount = (watch('allocations') || []).reduce((sum, line) => {
+    const value = parseFloat(line.value) || 0;
+    return sum + (line.mode === 'percentage' ? totalAmount * value / 100 : value);
+  }, 0);
+
+  if (isEditing && expenseLoading) {
+    return <LoadingSpinner className="h-64" />;
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 p-6">
       <div className="max-w-2xl mx-auto">
         {/* Header */}
         <div className="mb-8 animate-fade-in">
           <button
-            onClick={() => navigate('/expenses')}
+            onClick={() => navigate(returnPath)}
             className="flex items-center text-gray-600 hover:text-gray-900 mb-4 transition-colors duration-200"
           >
             <ArrowLeftIcon className="w-5 h-5 mr-2" />
-            Back to Expenses
+            {reportId ? 'Back to Report' : 'Back to Expenses'}
           </button>
-          <h1 className="text-3xl font-bold text-gray-900 mb-2">Create New Expense</h1>
-          <p className="text-gray-600">Submit a new expense for approval</p>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            {isDraft ? 'Edit Draft' : isEditing ? 'Edit Expense' : reportId ? 'Add Expense to Report' : 'Create New Expense'}
+          </h1>
+          <p className="text-gray-600">
+            {expense?.status === 'changes_requested'
+              ? 'Update the expense and resubmit it for approval'
+              : isDraft ? 'Finish the expense and submit it for approval, or keep it as a draft'
+              : isEditing ? 'Update your pending expense'
+              : reportId ? 'The expense is sent for approval when you submit the report'
+              : 'Submit a new expense for approval, or save it as a draft to finish later'}
+          </p>
         </div>
 
+        {changeRequest && expense?.status === 'changes_requested' && (
+          <div className="mb-6 bg-orange-50 border border-orange-200 rounded-xl p-4">
+            <p className="text-sm font-medium text-orange-800">
+              Changes requested by {changeRequest.first_name} {changeRequest.last_name}
+            </p>
+            <p className="text-sm text-orange-700 mt-1">{changeRequest.comments}</p>
+          </div>
+        )}
+
         {/* Form Card */}
         <div className="bg-white rounded-2xl shadow-xl border border-gray-100 overflow-hidden animate-slide-up">
           <div className="bg-gradient-to-r from-blue-600 to-blue-700 px-8 py-6">
@@ -71,6 +328,22 @@ const CreateExpense = () => {
           </div>
 
           <form onSubmit={handleSubmit(onSubmit)} className="p-8 space-y-6">
+            {/* Expense type */}
+            <div className="grid grid-cols-3 gap-3">
+              {expenseTypes.map((type) => (
+                <label
+                  key={type.value}
+                  className={`cursor-pointer border rounded-xl px-4 py-3 transition-all duration-200 ${
+                    expenseType === type.value ? 'border-blue-600 bg-blue-50' : 'border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  <input {...register('expenseType')} type="radio" value={type.value} className="sr-only" />
+                  <span className="block text-sm font-medium text-gray-900">{type.label}</span>
+                  <span className="block text-xs text-gray-500">{type.hint}</span>
+                </label>
+              ))}
+            </div>
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               {/* Category */}
               <div className="space-y-2">
@@ -93,63 +366,175 @@ const CreateExpense = () => {
               </div>
 
               {/* Amount */}
-              <div className="space-y-2">
-                <label className="flex items-center text-sm font-medium text-gray-700">
-                  <CurrencyDollarIcon className="w-4 h-4 mr-2 text-gray-500" />
-                  Amount
-                </label>
-                <input
-                  {...register('amount', {
-                    required: 'Amount is required',
-                    min: { value: 0.01, message: 'Amount must be greater than 0' }
-                  })}
-                  type="number" 
-                  step="0.01" 
-                  className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 focus:bg-white" 
-                  placeholder="0.00"
-                />
-                {errors.amount && (
-                  <p className="text-sm text-red-600 animate-fade-in">{errors.amount.message}</p>
-                )}
-              </div>
+              {isStandard && (
+                <div className="space-y-2">
+                  <label className="flex items-center text-sm font-medium text-gray-700">
+                    <CurrencyDollarIcon className="w-4 h-4 mr-2 text-gray-500" />
+                    Amount
+                  </label>
+                  <input
+                    {...register('amount', {
+                      required: 'Amount is required',
+                      min: { value: 0.01, message: 'Amount must be greater than 0' }
+                    })}
+                    type="number" 
+                    step="0.01" 
+                    className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 focus:bg-white" 
+                    placeholder="0.00"
+                  />
+                  {errors.amount && (
+                    <p className="text-sm text-red-600 animate-fade-in">{errors.amount.message}</p>
+                  )}
+                </div>
+              )}
 
               {/* Currency */}
+              {isStandard && (
+                <div className="space-y-2">
+                  <label className="flex items-center text-sm font-medium text-gray-700">
+                    <CurrencyDollarIcon className="w-4 h-4 mr-2 text-gray-500" />
+                    Currency
+                  </label>
+                  <select 
+                    {...register('currency', { required: 'Currency is required' })} 
+                    className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 focus:bg-white"
+                  >
+                    <option value="">Select currency</option>
+                    {currencies?.map((currency) => (
+                      <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                  </select>
+                  {errors.currency && (
+                    <p className="text-sm text-red-600 animate-fade-in">{errors.currency.message}</p>
+                  )}
+                </div>
+              )}
+
+              {/* Date; a per diem is dated by its trip */}
+              {expenseType !== 'per_diem' && (
+                <div className="space-y-2">
+                  <label className="flex items-center text-sm font-medium text-gray-700">
+                    <CalendarDaysIcon className="w-4 h-4 mr-2 text-gray-500" />
+                    Date
+                  </label>
+                  <input
+                    {...register('expenseDate', { required: 'Date is required' })}
+                    type="date" 
+                    className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 focus:bg-white" 
+                    max={new Date().toISOString().split('T')[0]}
+                  />
+                  {errors.expenseDate && (
+                    <p className="text-sm text-red-600 animate-fade-in">{errors.expenseDate.message}</p>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Mileage */}
+            {expenseType === 'mileage' && (
               <div className="space-y-2">
                 <label className="flex items-center text-sm font-medium text-gray-700">
-                  <CurrencyDollarIcon className="w-4 h-4 mr-2 text-gray-500" />
-                  Currency
+                  <TruckIcon className="w-4 h-4 mr-2 text-gray-500" />
+                  Journey
                 </label>
-                <select 
-                  {...register('currency', { required: 'Currency is required' })} 
-                  className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 focus:bg-white"
-                >
-                  <option value="">Select currency</option>
-                  {currencies?.map((currency) => (
-                    <option key={currency} value={currency}>{currency}</option>
-                  ))}
-                </select>
-                {errors.currency && (
-                  <p className="text-sm text-red-600 animate-fade-in">{errors.currency.message}</p>
+                {allowanceRates?.mileageRates.length === 0 ? (
+                  <p className="text-sm text-orange-600">No mileage rates are set up yet; ask an admin to add them</p>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    <select
+                      {...register('mileage.vehicleType', { required: 'Vehicle is required' })}
+                      className="input-field"
+                    >
+                      <option value="">Vehicle</option>
+                      {allowanceRates?.mileageRates.map((rate) => (
+                        <option key={rate.vehicle_type} value={rate.vehicle_type}>
+                          {rate.vehicle_type} ({allowanceRates.baseCurrency} {parseFloat(rate.rate)}/{mileageUnit})
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      {...register('mileage.distance', {
+                        required: 'Distance is required',
+                        min: { value: 0.01, message: 'Distance must be greater than 0' }
+                      })}
+                      type="number"
+                      step="0.01"
+                      className="input-field"
+                      placeholder={`Distance (${mileageUnit})`}
+                    />
+                    <input
+                      {...register('mileage.route')}
+                      type="text"
+                      className="input-field"
+                      placeholder="Route, e.g. Office – Client site"
+                    />
+                  </div>
+                )}
+                {(errors.mileage?.vehicleType || errors.mileage?.distance) && (
+                  <p className="text-sm text-red-600 animate-fade-in">
+                    {(errors.mileage.vehicleType || errors.mileage.distance).message}
+                  </p>
+                )}
+                {mileageEstimate > 0 && (
+                  <p className="text-sm text-gray-600">
+                    Claim: {allowanceRates.baseCurrency} {mileageEstimate.toFixed(2)}
+                  </p>
                 )}
               </div>
+            )}
 
-              {/* Date */}
+            {/* Per diem */}
+            {expenseType === 'per_diem' && (
               <div className="space-y-2">
                 <label className="flex items-center text-sm font-medium text-gray-700">
-                  <CalendarDaysIcon className="w-4 h-4 mr-2 text-gray-500" />
-                  Date
+                  <MapPinIcon className="w-4 h-4 mr-2 text-gray-500" />
+                  Trip
                 </label>
-                <input
-                  {...register('expenseDate', { required: 'Date is required' })}
-                  type="date" 
-                  className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 focus:bg-white" 
-                  max={new Date().toISOString().split('T')[0]}
-                />
-                {errors.expenseDate && (
-                  <p className="text-sm text-red-600 animate-fade-in">{errors.expenseDate.message}</p>
+                {allowanceRates?.perDiemRates.length === 0 ? (
+                  <p className="text-sm text-orange-600">No per-diem destinations are set up yet; ask an admin to add them</p>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    <select
+                      {...register('perDiem.rateId', { required: 'Destination is required' })}
+                      className="input-field"
+                    >
+                      <option value="">Destination</option>
+                      {allowanceRates?.perDiemRates.map((rate) => (
+                        <option key={rate.id} value={rate.id}>
+                          {rate.destination} ({allowanceRates.baseCurrency} {rate.daily_allowance}/day)
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      {...register('perDiem.startDate', { required: 'Start date is required' })}
+                      type="date"
+                      className="input-field"
+                      max={new Date().toISOString().split('T')[0]}
+                    />
+                    <input
+                      {...register('perDiem.endDate', {
+                        required: 'End date is required',
+                        validate: (value) => !watch('perDiem.startDate') || value >= watch('perDiem.startDate') || 'The trip cannot end before it starts'
+                      })}
+                      type="date"
+                      className="input-field"
+                      max={new Date().toISOString().split('T')[0]}
+                    />
+                  </div>
+                )}
+                {(errors.perDiem?.rateId || errors.perDiem?.startDate || errors.perDiem?.endDate) && (
+                  <p className="text-sm text-red-600 animate-fade-in">
+                    {(errors.perDiem.rateId || errors.perDiem.startDate || errors.perDiem.endDate).message}
+                  </p>
+                )}
+                {perDiem && (
+                  <p className="text-sm text-gray-600">
+                    Claim: {allowanceRates.baseCurrency} {perDiem.amount.toFixed(2)} for {perDiem.days} day(s),
+                    {' '}{perDiem.partialDays} of them partial
+                  </p>
                 )}
               </div>
-            </div>
+            )}
 
             {/* Merchant Name */}
             <div className="space-y-2">
@@ -185,25 +570,119 @@ const CreateExpense = () => {
               )}
             </div>
 
+            {/* Split across categories */}
+            {isStandard && (
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center text-sm font-medium text-gray-700">
+                    <TagIcon className="w-4 h-4 mr-2 text-gray-500" />
+                    Split across categories
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => appendAllocation(allocationFields.length === 0 ? [emptyAllocation, emptyAllocation] : emptyAllocation)}
+                    className="text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    {allocationFields.length === 0 ? 'Split expense' : 'Add line'}
+                  </button>
+                </div>
+                {allocationFields.map((field, index) => (
+                  <div key={field.id} className="grid grid-cols-12 gap-2 items-center">
+                    <select {...register(`allocations.${index}.categoryId`)} className="input-field col-span-3">
+                      <option value="">Category</option>
+                      {categories?.map((category) => (
+                        <option key={category.id} value={category.id}>{category.name}</option>
+                      ))}
+                    </select>
+                    <input
+                      {...register(`allocations.${index}.value`)}
+                      type="number"
+                      step="0.01"
+                      className="input-field col-span-2"
+                      placeholder="0.00"
+                    />
+                    <select {...register(`allocations.${index}.mode`)} className="input-field col-span-2">
+                      <option value="amount">Amount</option>
+                      <option value="percentage">%</option>
+                    </select>
+                    <input
+                      {...register(`allocations.${index}.costCenter`)}
+                      type="text"
+                      className="input-field col-span-2"
+                      placeholder="Cost center"
+                    />
+                    <input
+                      {...register(`allocations.${index}.project`)}
+                      type="text"
+                      className="input-field col-span-2"
+                      placeholder="Project"
+                    />
+                    <button type="button" onClick={() => removeAllocation(index)} className="col-span-1 text-gray-400 hover:text-red-600">
+                      <XMarkIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                {allocationFields.length > 0 && (
+                  <p className={`text-sm ${Math.abs(allocatedAmount - totalAmount) < 0.005 ? 'text-gray-500' : 'text-orange-600'}`}>
+                    {allocatedAmount.toFixed(2)} of {totalAmount.toFixed(2)} allocated; the lines must add up to the amount
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Attachments */}
+            {canAttach && (
+              <div className="space-y-2">
+                <label className="flex items-center text-sm font-medium text-gray-700">
+                  <PaperClipIcon className="w-4 h-4 mr-2 text-gray-500" />
+                  Receipts & Attachments
+                </label>
+                <AttachmentPicker attachments={attachments} onChange={setAttachments} />
+                {expense?.attachments?.length > 0 && (
+                  <p className="text-sm text-gray-500">
+                    {expense.attachments.length} file(s) already attached; new files are added to them
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Action Buttons */}
             <div className="flex flex-col sm:flex-row gap-4 pt-6 border-t border-gray-100">
               <button
                 type="button"
-                onClick={() => navigate('/expenses')}
+                onClick={() => navigate(returnPath)}
                 className="flex-1 px-6 py-3 border border-gray-300 text-gray-700 font-medium rounded-xl hover:bg-gray-50 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500"
               >
                 Cancel
               </button>
+              {canSaveDraft && (
+                <button
+                  type="button"
+                  onClick={saveDraft}
+                  disabled={isSaving}
+                  className="flex-1 px-6 py-3 border border-blue-600 text-blue-700 font-medium rounded-xl hover:bg-blue-50 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {isDraft ? 'Save Draft' : 'Save as Draft'}
+                </button>
+              )}
               <button
                 type="submit"
-                disabled={createMutation.isLoading}
+                disabled={isSaving}
                 className="flex-1 bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
-                {createMutation.isLoading ? (
+                {isSaving ? (
                   <div className="flex items-center justify-center">
                     <LoadingSpinner size="small" />
-                    <span className="ml-2">Creating...</span>
+                    <span className="ml-2">{isEditing ? 'Saving...' : 'Creating...'}</span>
                   </div>
+                ) : expense?.status === 'changes_requested' ? (
+                  'Save & Resubmit'
+                ) : isDraft ? (
+                  'Save & Submit'
+                ) : isEditing ? (
+                  'Save Changes'
+                ) : reportId ? (
+                  'Add to Report'
                 ) : (
                   'Create Expense'
                 )}
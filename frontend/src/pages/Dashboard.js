@@ -137,24 +137,26 @@ const Dashboard = () => {
                             <CurrencyDollarIcon className="w-5 h-5 text-gray-600" />
                           </div>
                           <div>
-                            <p className="font-medium text-gray-900">{expense.description}</p>
+                            <p className="font-medium text-gray-900">{expense.description || 'Untitled draft'}</p>
                             <div className="flex items-center mt-1 space-x-4">
                               <span className="text-sm text-gray-500">
-                                {new Date(expense.expense_date).toLocaleDateString()}
+                                {expense.expense_date ? new Date(expense.expense_date).toLocaleDateString() : '—'}
                               </span>
                               <span className="text-sm text-gray-500">{expense.first_name} {expense.last_name}</span>
-                              <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
-                                {expense.category_name}
-                              </span>
+                              {expense.category_name && (
+                                <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
+                                  {expense.category_name}
+                                </span>
+                              )}
                             </div>
                           </div>
                         </div>
                         <div className="text-right">
                           <p className="font-semibold text-gray-900">
-                            {expense.currency} {expense.amount.toLocaleString()}
+                            {expense.amount ? `${expense.currency || ''} ${expense.amount.toLocaleString()}` : '—'}
                           </p>
                           <span className={`status-${expense.status} mt-1`}>
-                            {expense.status.toUpperCase()}
+                            {expense.status.replace(/_/g, ' ').toUpperCase()}
                           </span>
                         </div>
                       </div>
@@ -0,0 +1,270 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { expenseService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import AttachmentGallery from '../components/AttachmentGallery';
+import AttachmentPicker from '../components/AttachmentPicker';
+import { ArrowLeftIcon, PaperClipIcon } from '@heroicons/react/24/outline';
+
+// Statuses in which the submitter can still edit an expense or change its attachments
+const openStatuses = ['submitted', 'in_review', 'changes_requested'];
+
+// How the server computed a mileage or per-diem amount
+const describeCalculation = (expense) => {
+  const calculation = expense.calculation;
+
+  if (expense.expense_type === 'mileage') {
+    return `${calculation.distance} ${calculation.unit} by ${calculation.vehicleType} at ${expense.currency} ${calculation.rate} per ${calculation.unit}` +
+      (calculation.route ? ` · ${calculation.route}` : '');
+  }
+
+  return `${calculation.destination}, ${calculation.startDate} to ${calculation.endDate}: ${calculation.fullDays} full day(s) ` +
+    `and ${calculation.partialDays} partial day(s) at ${calculation.partialDayPercentage}% of ${expense.currency} ${calculation.dailyAllowance}`;
+};
+
+const ExpenseDetail = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [newAttachments, setNewAttachments] = useState([]);
+
+  const { data: expense, isLoading, error } = useQuery(
+    ['expense', id],
+    () => expenseService.getExpense(id),
+    { retry: false }
+  );
+
+  const onChanged = () => {
+    queryClient.invalidateQueries(['expense', id]);
+    queryClient.invalidateQueries('expenses');
+  };
+
+  const uploadMutation = useMutation(
+    (attachments) => expenseService.addAttachments(id, attachments),
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        setNewAttachments([]);
+        onChanged();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to add attachments');
+      }
+    }
+  );
+
+  const removeMutation = useMutation(
+    (attachmentId) => expenseService.removeAttachment(id, attachmentId),
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        onChanged();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to remove attachment');
+      }
+    }
+  );
+
+  if (isLoading) {
+    return <LoadingSpinner className="h-64" />;
+  }
+
+  if (error) {
+    return (
+      <div className="card text-center text-gray-600">
+        {error.response?.data?.error || 'Failed to load expense'}
+      </div>
+    );
+  }
+
+  const isOwner = expense.employee_id === user?.id;
+  const canAttach = isOwner && (expense.status === 'draft' || openStatuses.includes(expense.status));
+  // Report lines are edited through their report
+  const canEdit = isOwner && !expense.report_id && (expense.status === 'draft' || openStatuses.includes(expense.status));
+
+  const handleRemove = (attachment) => {
+    if (window.confirm(`Remove ${attachment.original_name || 'this attachment'}?`)) {
+      removeMutation.mutate(attachment.id);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <button
+          onClick={() => navigate('/expenses')}
+          className="flex items-center text-gray-600 hover:text-gray-900 mb-4"
+        >
+          <ArrowLeftIcon className="w-5 h-5 mr-2" />
+          Back to Expenses
+        </button>
+        <div className="flex items-start justify-between">
+          <div>
+            <div className="flex items-center space-x-3">
+              <h1 className="text-2xl font-bold text-gray-900">{expense.description || 'Untitled draft'}</h1>
+              <span className={`status-${expense.status}`}>{expense.status.replace(/_/g, ' ')}</span>
+            </div>
+            <p className="text-gray-600">
+              {expense.first_name} {expense.last_name}
+              {expense.merchant_name && ` · ${expense.merchant_name}`}
+            </p>
+          </div>
+          {canEdit && (
+            <Link to={`/expenses/${expense.id}/edit`} className="btn-secondary">
+              Edit
+            </Link>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+          <div>
+            <p className="text-gray-500">Amount</p>
+            <p className="font-medium text-gray-900">
+              {expense.amount ? `${expense.currency || ''} ${expense.approved_amount || expense.amount}` : '—'}
+            </p>
+            {expense.converted_amount && expense.currency !== expense.base_currency && (
+              <p className="text-gray-500">{expense.base_currency} {expense.converted_amount}</p>
+            )}
+          </div>
+          <div>
+            <p className="text-gray-500">Category</p>
+            <p className="font-medium text-gray-900">{expense.category_name || '—'}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Date</p>
+            <p className="font-medium text-gray-900">
+              {expense.expense_date ? new Date(expense.expense_date).toLocaleDateString() : '—'}
+            </p>
+          </div>
+          <div>
+            <p className="text-gray-500">Report</p>
+            {expense.report_id ? (
+              <Link to={`/reports/${expense.report_id}`} className="font-medium text-blue-600 hover:text-blue-900">
+                View report
+              </Link>
+            ) : (
+              <p className="font-medium text-gray-900">—</p>
+            )}
+          </div>
+        </div>
+        {expense.expense_type !== 'standard' && (
+          <p className="text-sm text-gray-600 mt-4">
+            {expense.expense_type === 'mileage' ? 'Mileage' : 'Per diem'}
+            {expense.amount ? `: ${describeCalculation(expense)}` : ' (amount computed once the claim is complete)'}
+          </p>
+        )}
+        {expense.adjustment_reason && (
+          <p className="text-sm text-orange-700 mt-4">
+            Reduced from {expense.currency} {expense.amount}: {expense.adjustment_reason}
+          </p>
+        )}
+      </div>
+
+      {/* Allocation lines */}
+      {expense.allocations.length > 0 && (
+        <div className="card">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">Split</h2>
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cost Center</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Project</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {expense.allocations.map((line) => (
+                <tr key={line.id}>
+                  <td className="px-4 py-2 text-gray-900">{line.category_name}</td>
+                  <td className="px-4 py-2 text-gray-900">
+                    {expense.currency} {line.amount}
+                    {line.percentage && <span className="text-gray-500"> ({line.percentage}%)</span>}
+                  </td>
+                  <td className="px-4 py-2 text-gray-700">{line.cost_center || '—'}</td>
+                  <td className="px-4 py-2 text-gray-700">{line.project || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Attachments */}
+      <div className="card">
+        <h2 className="text-lg font-medium text-gray-900 mb-4">
+          Attachments ({expense.attachments.length})
+        </h2>
+
+        {expense.attachments.length > 0 ? (
+          <AttachmentGallery
+            attachments={expense.attachments}
+            onRemove={canAttach ? handleRemove : undefined}
+            removing={removeMutation.isLoading}
+          />
+        ) : (
+          <p className="text-sm text-gray-500">No receipts or other files attached</p>
+        )}
+
+        {canAttach && (
+          <div className="mt-6 pt-4 border-t border-gray-100 space-y-3">
+            <p className="flex items-center text-sm font-medium text-gray-700">
+              <PaperClipIcon className="w-4 h-4 mr-2 text-gray-500" />
+              Add files
+            </p>
+            <AttachmentPicker attachments={newAttachments} onChange={setNewAttachments} />
+            {newAttachments.length > 0 && (
+              <div className="flex justify-end">
+                <button
+                  onClick={() => uploadMutation.mutate(newAttachments)}
+                  disabled={uploadMutation.isLoading}
+                  className="btn-primary"
+                >
+                  {uploadMutation.isLoading ? <LoadingSpinner size="small" /> : 'Upload'}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Approval history */}
+      {expense.approvals.length > 0 && (
+        <div className="card">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">Approval History</h2>
+          <div className="space-y-2">
+            {expense.approvals.map((approval) => (
+              <div key={approval.id} className="flex items-start justify-between border border-gray-200 rounded-lg p-3 text-sm">
+                <div>
+                  <p className="text-gray-900">
+                    Step {approval.step_order} · {approval.first_name} {approval.last_name}
+                    {approval.acted_by_first_name && (
+                      <span className="text-gray-500"> (by {approval.acted_by_first_name} {approval.acted_by_last_name})</span>
+                    )}
+                  </p>
+                  {approval.comments && <p className="text-gray-600">{approval.comments}</p>}
+                </div>
+                <div className="text-right ml-4 whitespace-nowrap">
+                  <p className="text-gray-700 capitalize">{approval.status.replace(/_/g, ' ')}</p>
+                  {approval.approved_at && (
+                    <p className="text-gray-500">{new Date(approval.approved_at).toLocaleString()}</p>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExpenseDetail;
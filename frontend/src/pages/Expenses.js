@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
-import { useQuery } from 'react-query';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
 import { expenseService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import LoadingSpinner from '../components/LoadingSpinner';
 import {
   PlusIcon,
@@ -10,7 +12,12 @@ import {
   ArrowDownTrayIcon as DownloadIcon
 } from '@heroicons/react/24/outline';
 
+// Statuses in which the submitter can still edit or withdraw an expense
+const openStatuses = ['submitted', 'in_review', 'changes_requested'];
+
 const Expenses = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
   const [filters, setFilters] = useState({
     page: 1,
     limit: 10,
@@ -32,6 +39,63 @@ const Expenses = () => {
     expenseService.getCategories
   );
 
+  const withdrawMutation = useMutation(
+    ({ id, reason }) => expenseService.withdrawExpense(id, { reason }),
+    {
+      onSuccess: () => {
+        toast.success('Expense withdrawn successfully!');
+        queryClient.invalidateQueries('expenses');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to withdraw expense');
+      }
+    }
+  );
+
+  const submitMutation = useMutation(expenseService.submitExpense, {
+    onSuccess: (data) => {
+      toast.success(data.message);
+      queryClient.invalidateQueries('expenses');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to submit expense');
+    }
+  });
+
+  const deleteMutation = useMutation(expenseService.deleteExpense, {
+    onSuccess: () => {
+      toast.success('Draft deleted');
+      queryClient.invalidateQueries('expenses');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to delete draft');
+    }
+  });
+
+  const paidMutation = useMutation(expenseService.markExpensePaid, {
+    onSuccess: () => {
+      toast.success('Expense marked as paid!');
+      queryClient.invalidateQueries('expenses');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to mark expense as paid');
+    }
+  });
+
+  const handleWithdraw = (expense) => {
+    const reason = window.prompt(`Withdraw "${expense.description}" from approval? You can add a reason for the approvers (optional).`);
+
+    if (reason !== null) {
+      withdrawMutation.mutate({ id: expense.id, reason: reason.trim() });
+    }
+  };
+
+  const handleDeleteDraft = (expense) => {
+    if (window.confirm(`Delete the draft "${expense.description || 'Untitled draft'}"?`)) {
+      deleteMutation.mutate(expense.id);
+    }
+  };
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
@@ -48,10 +112,18 @@ const Expenses = () => {
     switch (status) {
       case 'approved':
         return 'bg-green-100 text-green-800';
+      case 'paid':
+        return 'bg-emerald-100 text-emerald-800';
       case 'rejected':
         return 'bg-red-100 text-red-800';
-      case 'pending':
+      case 'submitted':
         return 'bg-yellow-100 text-yellow-800';
+      case 'in_review':
+        return 'bg-blue-100 text-blue-800';
+      case 'changes_requested':
+        return 'bg-orange-100 text-orange-800';
+      case 'withdrawn':
+        return 'bg-gray-200 text-gray-600';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -107,9 +179,14 @@ const Expenses = () => {
               onChange={(e) => handleFilterChange('status', e.target.value)}
             >
               <option value="">All Statuses</option>
-              <option value="pending">Pending</option>
+              <option value="draft">Drafts</option>
+              <option value="submitted">Submitted</option>
+              <option value="in_review">In Review</option>
+              <option value="changes_requested">Changes Requested</option>
               <option value="approved">Approved</option>
+              <option value="paid">Paid</option>
               <option value="rejected">Rejected</option>
+              <option value="withdrawn">Withdrawn</option>
             </select>
           </div>
 
@@ -180,61 +257,126 @@ const Expenses = () => {
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {expenses?.expenses?.length > 0 ? (
-                    expenses.expenses.map((expense) => (
-                      <tr key={expense.id} className="hover:bg-gray-50">
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div>
-                            <div className="text-sm font-medium text-gray-900">
-                              {expense.description}
+                    expenses.expenses.map((expense) => {
+                      // Report lines are drafts too, but are edited and submitted through their report
+                      const isOwnDraft = expense.status === 'draft' && !expense.report_id && expense.employee_id === user?.id;
+
+                      return (
+                        <tr key={expense.id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div>
+                              <div className={`text-sm font-medium ${expense.description ? 'text-gray-900' : 'text-gray-500 italic'}`}>
+                                {expense.description || 'Untitled draft'}
+                              </div>
+                              {expense.merchant_name && (
+                                <div className="text-sm text-gray-500">
+                                  {expense.merchant_name}
+                                </div>
+                              )}
+                              {expense.report_title && (expense.employee_id === user?.id || user?.role === 'admin') && (
+                                <Link
+                                  to={`/reports/${expense.report_id}`}
+                                  className="text-xs text-blue-600 hover:text-blue-900"
+                                >
+                                  Report: {expense.report_title}
+                                </Link>
+                              )}
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {expense.category_name || '—'}
+                            {parseInt(expense.allocation_count) > 0 && (
+                              <div className="text-xs text-gray-500">Split across {expense.allocation_count} lines</div>
+                            )}
+                            {expense.expense_type !== 'standard' && (
+                              <div className="text-xs text-gray-500">{expense.expense_type === 'mileage' ? 'Mileage' : 'Per diem'}</div>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className={`text-sm font-medium ${expense.approved_amount ? 'text-gray-500 line-through' : 'text-gray-900'}`}>
+                              {expense.amount ? `${expense.currency || ''} ${expense.amount}` : '—'}
                             </div>
-                            {expense.merchant_name && (
+                            {expense.approved_amount && (
+                              <div className="text-sm font-medium text-gray-900">
+                                {expense.currency} {expense.approved_amount} approved
+                              </div>
+                            )}
+                            {expense.converted_amount && expense.currency !== expense.base_currency && (
                               <div className="text-sm text-gray-500">
-                                {expense.merchant_name}
+                                {expense.base_currency} {expense.converted_amount}
                               </div>
                             )}
-                          </div>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {expense.category_name}
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="text-sm font-medium text-gray-900">
-                            {expense.currency} {expense.amount}
-                          </div>
-                          {expense.currency !== expense.base_currency && (
-                            <div className="text-sm text-gray-500">
-                              {expense.base_currency} {expense.converted_amount}
-                            </div>
-                          )}
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {new Date(expense.expense_date).toLocaleDateString()}
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(expense.status)}`}>
-                            {expense.status}
-                          </span>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                          <div className="flex space-x-2">
-                            <Link
-                              to={`/expenses/${expense.id}`}
-                              className="text-blue-600 hover:text-blue-900"
-                            >
-                              View
-                            </Link>
-                            {expense.status === 'pending' && (
+                            {expense.adjustment_reason && (
+                              <div className="text-xs text-orange-700 whitespace-normal max-w-xs">
+                                {expense.adjustment_reason}
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {expense.expense_date ? new Date(expense.expense_date).toLocaleDateString() : '—'}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(expense.status)}`}>
+                              {expense.status.replace(/_/g, ' ')}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                            <div className="flex space-x-2">
                               <Link
-                                to={`/expenses/${expense.id}/edit`}
-                                className="text-green-600 hover:text-green-900"
+                                to={`/expenses/${expense.id}`}
+                                className="text-blue-600 hover:text-blue-900"
                               >
-                                Edit
+                                View
                               </Link>
-                            )}
-                          </div>
-                        </td>
-                      </tr>
-                    ))
+                              {(openStatuses.includes(expense.status) || isOwnDraft) && (
+                                <Link
+                                  to={`/expenses/${expense.id}/edit`}
+                                  className="text-green-600 hover:text-green-900"
+                                >
+                                  Edit
+                                </Link>
+                              )}
+                              {isOwnDraft && (
+                                <button
+                                  onClick={() => submitMutation.mutate(expense.id)}
+                                  disabled={submitMutation.isLoading}
+                                  className="text-blue-600 hover:text-blue-900"
+                                >
+                                  Submit
+                                </button>
+                              )}
+                              {isOwnDraft && (
+                                <button
+                                  onClick={() => handleDeleteDraft(expense)}
+                                  disabled={deleteMutation.isLoading}
+                                  className="text-red-600 hover:text-red-900"
+                                >
+                                  Delete
+                                </button>
+                              )}
+                              {openStatuses.includes(expense.status) && expense.employee_id === user?.id && (
+                                <button
+                                  onClick={() => handleWithdraw(expense)}
+                                  disabled={withdrawMutation.isLoading}
+                                  className="text-gray-600 hover:text-gray-900"
+                                >
+                                  Withdraw
+                                </button>
+                              )}
+                              {expense.status === 'approved' && user?.role === 'admin' && (
+                                <button
+                                  onClick={() => paidMutation.mutate(expense.id)}
+                                  disabled={paidMutation.isLoading}
+                                  className="text-emerald-600 hover:text-emerald-900"
+                                >
+                                  Mark Paid
+                                </button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })
                   ) : (
                     <tr>
                       <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
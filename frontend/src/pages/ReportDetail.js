@@ -0,0 +1,203 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { reportService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { ArrowLeftIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const ReportDetail = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  const { data: report, isLoading, error } = useQuery(
+    ['expense-report', id],
+    () => reportService.getReport(id),
+    { retry: false }
+  );
+
+  const onChanged = () => {
+    queryClient.invalidateQueries(['expense-report', id]);
+    queryClient.invalidateQueries('expense-reports');
+    queryClient.invalidateQueries('expenses');
+  };
+
+  const submitMutation = useMutation(() => reportService.submitReport(id), {
+    onSuccess: (data) => {
+      toast.success(data.message);
+      onChanged();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to submit expense report');
+    }
+  });
+
+  const removeLineMutation = useMutation((expenseId) => reportService.removeLine(id, expenseId), {
+    onSuccess: () => {
+      toast.success('Expense removed from the report');
+      onChanged();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to remove expense');
+    }
+  });
+
+  const deleteMutation = useMutation(() => reportService.deleteReport(id), {
+    onSuccess: () => {
+      toast.success('Expense report deleted');
+      queryClient.invalidateQueries('expense-reports');
+      queryClient.invalidateQueries('expenses');
+      navigate('/reports');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to delete expense report');
+    }
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner className="h-64" />;
+  }
+
+  if (error) {
+    return (
+      <div className="card text-center text-gray-600">
+        {error.response?.data?.error || 'Failed to load expense report'}
+      </div>
+    );
+  }
+
+  const isEditable = report.status === 'draft' && report.employee_id === user?.id;
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${report.title}" and the ${report.line_count} expense(s) in it?`)) {
+      deleteMutation.mutate();
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <button
+          onClick={() => navigate('/reports')}
+          className="flex items-center text-gray-600 hover:text-gray-900 mb-4"
+        >
+          <ArrowLeftIcon className="w-5 h-5 mr-2" />
+          Back to Reports
+        </button>
+        <div className="flex items-start justify-between">
+          <div>
+            <div className="flex items-center space-x-3">
+              <h1 className="text-2xl font-bold text-gray-900">{report.title}</h1>
+              <span className={`status-${report.progress}`}>{report.progress.replace(/_/g, ' ')}</span>
+            </div>
+            <p className="text-gray-600">
+              {new Date(report.start_date).toLocaleDateString()} – {new Date(report.end_date).toLocaleDateString()}
+              {report.employee_id !== user?.id && ` · ${report.first_name} ${report.last_name}`}
+            </p>
+            {report.purpose && <p className="text-sm text-gray-500 mt-1">{report.purpose}</p>}
+          </div>
+          {isEditable && (
+            <div className="flex space-x-2">
+              <button onClick={handleDelete} disabled={deleteMutation.isLoading} className="btn-secondary">
+                Delete
+              </button>
+              <button
+                onClick={() => submitMutation.mutate()}
+                disabled={submitMutation.isLoading || report.lines.length === 0}
+                className="btn-primary"
+              >
+                {submitMutation.isLoading ? <LoadingSpinner size="small" /> : 'Submit Report'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-medium text-gray-900">
+            Expenses ({report.line_count}) · {report.base_currency} {report.current_total}
+          </h2>
+          {isEditable && (
+            <Link to={`/expenses/new?reportId=${report.id}`} className="btn-secondary flex items-center">
+              <PlusIcon className="w-5 h-5 mr-2" />
+              Add Expense
+            </Link>
+          )}
+        </div>
+
+        {report.lines.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Date
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Description
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Category
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Amount
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  {isEditable && <th className="px-6 py-3" />}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {report.lines.map((line) => (
+                  <tr key={line.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {new Date(line.expense_date).toLocaleDateString()}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {line.description}
+                      {line.merchant_name && <div className="text-gray-500">{line.merchant_name}</div>}
+                      {line.rejection_comments && (
+                        <div className="text-xs text-red-600">Rejected: {line.rejection_comments}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{line.category_name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {line.currency} {line.approved_amount || line.amount}
+                      {line.currency !== report.base_currency && (
+                        <div className="text-gray-500">{report.base_currency} {line.converted_amount}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`status-${line.status}`}>{line.status.replace(/_/g, ' ')}</span>
+                    </td>
+                    {isEditable && (
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        <button
+                          onClick={() => removeLineMutation.mutate(line.id)}
+                          disabled={removeLineMutation.isLoading}
+                          className="text-red-600 hover:text-red-700"
+                        >
+                          <TrashIcon className="w-4 h-4" />
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No expenses in this report yet</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReportDetail;
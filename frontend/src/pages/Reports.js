@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Link, useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-hot-toast';
+import { reportService } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { PlusIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline';
+
+const Reports = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [showModal, setShowModal] = useState(false);
+
+  const { register, handleSubmit, formState: { errors }, reset, watch } = useForm();
+
+  const { data: reports, isLoading } = useQuery('expense-reports', reportService.getReports);
+
+  const createMutation = useMutation(reportService.createReport, {
+    onSuccess: (data) => {
+      toast.success('Expense report created! Add its expenses next.');
+      queryClient.invalidateQueries('expense-reports');
+      setShowModal(false);
+      reset();
+      navigate(`/reports/${data.report.id}`);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to create expense report');
+    }
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner className="h-64" />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Expense Reports</h1>
+          <p className="text-gray-600">Group the expenses of a trip or project and submit them once</p>
+        </div>
+        <button onClick={() => setShowModal(true)} className="btn-primary flex items-center">
+          <PlusIcon className="w-5 h-5 mr-2" />
+          New Report
+        </button>
+      </div>
+
+      <div className="card">
+        {reports?.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Report
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Dates
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Expenses
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Total
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {reports.map((report) => (
+                  <tr key={report.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <Link to={`/reports/${report.id}`} className="text-sm font-medium text-blue-600 hover:text-blue-900">
+                        {report.title}
+                      </Link>
+                      {report.purpose && (
+                        <div className="text-sm text-gray-500">{report.purpose}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {new Date(report.start_date).toLocaleDateString()} – {new Date(report.end_date).toLocaleDateString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {report.line_count}
+                      {parseInt(report.rejected_lines) > 0 && (
+                        <span className="text-red-600"> ({report.rejected_lines} rejected)</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {report.base_currency} {report.current_total}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`status-${report.progress}`}>
+                        {report.progress.replace(/_/g, ' ')}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-center py-12">
+            <DocumentDuplicateIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No expense reports</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Create a report to submit the expenses of a trip together.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Create Report Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">New Expense Report</h3>
+
+              <form onSubmit={handleSubmit((data) => createMutation.mutate(data))} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Title *
+                  </label>
+                  <input
+                    {...register('title', { required: 'Title is required' })}
+                    type="text"
+                    className="input-field"
+                    placeholder="e.g., Berlin customer visit"
+                  />
+                  {errors.title && (
+                    <p className="mt-1 text-sm text-red-600">{errors.title.message}</p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Purpose
+                  </label>
+                  <textarea
+                    {...register('purpose')}
+                    rows={2}
+                    className="input-field"
+                  />
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      From *
+                    </label>
+                    <input
+                      {...register('startDate', { required: 'Start date is required' })}
+                      type="date"
+                      className="input-field"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Until *
+                    </label>
+                    <input
+                      {...register('endDate', {
+                        required: 'End date is required',
+                        validate: (value) => value >= watch('startDate') || 'End date must be after the start date'
+                      })}
+                      type="date"
+                      className="input-field"
+                    />
+                  </div>
+                </div>
+                {(errors.startDate || errors.endDate) && (
+                  <p className="text-sm text-red-600">{(errors.startDate || errors.endDate).message}</p>
+                )}
+
+                <div className="flex justify-end space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setShowModal(false);
+                      reset();
+                    }}
+                    className="btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button type="submit" disabled={createMutation.isLoading} className="btn-primary">
+                    {createMutation.isLoading ? <LoadingSpinner size="small" /> : 'Create'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Reports;
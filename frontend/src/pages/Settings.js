@@ -2,8 +2,12 @@ import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { toast } from 'react-hot-toast';
 import { useForm } from 'react-hook-form';
-import { companyService, approvalService } from '../services/api';
+import { companyService, approvalService, userService } from '../services/api';
 import LoadingSpinner from '../components/LoadingSpinner';
+import RuleSimulator from '../components/RuleSimulator';
+import RuleVersionHistory from '../components/RuleVersionHistory';
+import ApproverGroupsPanel from '../components/ApproverGroupsPanel';
+import AllowanceRatesPanel from '../components/AllowanceRatesPanel';
 import {
   CogIcon,
   PlusIcon,
@@ -12,7 +16,10 @@ import {
   BuildingOfficeIcon,
   CurrencyDollarIcon,
   TagIcon,
-  CheckCircleIcon
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  UserGroupIcon,
+  TruckIcon
 } from '@heroicons/react/24/outline';
 
 const Settings = () => {
@@ -22,6 +29,7 @@ const Settings = () => {
   const [showRuleModal, setShowRuleModal] = useState(false);
   const [editingCategory, setEditingCategory] = useState(null);
   const [editingRule, setEditingRule] = useState(null);
+  const [historyRule, setHistoryRule] = useState(null);
 
   const { register: registerCompany, handleSubmit: handleCompanySubmit, formState: { errors: companyErrors }, setValue: setCompanyValue } = useForm();
   const { register: registerCategory, handleSubmit: handleCategorySubmit, formState: { errors: categoryErrors }, reset: resetCategory } = useForm();
@@ -35,6 +43,7 @@ const Settings = () => {
       onSuccess: (data) => {
         setCompanyValue('name', data.name);
         setCompanyValue('baseCurrency', data.base_currency);
+        setCompanyValue('overrideConfirmationThreshold', data.override_confirmation_threshold ?? '');
       }
     }
   );
@@ -42,6 +51,11 @@ const Settings = () => {
   const { data: currencies } = useQuery('currencies', companyService.getCurrencies);
   const { data: categories } = useQuery('categories', companyService.getCategories);
   const { data: approvalRules } = useQuery('approval-rules', approvalService.getApprovalRules);
+  const { data: approverGroups } = useQuery('approver-groups', approvalService.getApproverGroups);
+  const { data: teamMembers } = useQuery('team-members', userService.getTeamMembers);
+  const { data: ruleValidation } = useQuery('approval-rule-warnings', approvalService.getRuleValidation, {
+    enabled: activeTab === 'approval-rules'
+  });
 
   // Mutations
   const updateCompanyMutation = useMutation(companyService.updateProfile, {
@@ -93,20 +107,32 @@ const Settings = () => {
   });
 
   const createRuleMutation = useMutation(approvalService.createApprovalRule, {
-    onSuccess: () => {
+    onSuccess: (data) => {
       toast.success('Approval rule created successfully!');
+      if (data.warnings?.length > 0) {
+        toast(`The rule set has ${data.warnings.length} warning(s)`, { icon: '⚠️' });
+      }
       queryClient.invalidateQueries('approval-rules');
+      queryClient.invalidateQueries('approval-rule-warnings');
       setShowRuleModal(false);
       resetRule();
     },
     onError: (error) => {
-      toast.error(error.response?.data?.error || 'Failed to create approval rule');
+      const warnings = error.response?.data?.warnings;
+      toast.error(warnings?.length > 0
+        ? `${error.response.data.error}: ${warnings[0].message}`
+        : error.response?.data?.error || 'Failed to create approval rule');
     }
   });
 
   // Handlers
   const onCompanySubmit = (data) => {
-    updateCompanyMutation.mutate(data);
+    updateCompanyMutation.mutate({
+      ...data,
+      overrideConfirmationThreshold: data.overrideConfirmationThreshold === ''
+        ? null
+        : parseFloat(data.overrideConfirmationThreshold)
+    });
   };
 
   const handleCreateCategory = () => {
@@ -144,23 +170,76 @@ const Settings = () => {
     setShowRuleModal(true);
   };
 
+  // Checkbox groups and multi-selects yield false, a single value or an array
+  const toList = (value) => {
+    if (Array.isArray(value)) return value;
+    return value ? [value] : [];
+  };
+
   const onRuleSubmit = (data) => {
+    const conditions = data.conditions || {};
     const formData = {
       ...data,
       minAmount: parseFloat(data.minAmount) || 0,
       maxAmount: data.maxAmount ? parseFloat(data.maxAmount) : null,
       percentageRequired: data.percentageRequired ? parseInt(data.percentageRequired) : null,
       specificApproverId: data.specificApproverId ? parseInt(data.specificApproverId) : null,
-      sequenceOrder: parseInt(data.sequenceOrder) || 1
+      approverGroupId: data.ruleType === 'percentage' && data.approverGroupId
+        ? parseInt(data.approverGroupId)
+        : undefined,
+      sequenceOrder: parseInt(data.sequenceOrder) || 1,
+      slaHours: data.slaHours ? parseInt(data.slaHours) : undefined,
+      distinctStepApprovers: data.ruleType === 'sequential' && Boolean(data.distinctStepApprovers),
+      conditions: {
+        categoryIds: toList(conditions.categoryIds).map((id) => parseInt(id)),
+        submitterRoles: toList(conditions.submitterRoles),
+        employeeIds: toList(conditions.employeeIds).map((id) => parseInt(id)),
+        merchantPattern: conditions.merchantPattern?.trim() || null,
+        currencies: (conditions.currencies || '')
+          .split(',')
+          .map((currency) => currency.trim().toUpperCase())
+          .filter(Boolean)
+      }
     };
 
     createRuleMutation.mutate(formData);
   };
 
+  const describeConditions = (conditions = {}) => {
+    const parts = [];
+
+    if (conditions.categoryIds?.length > 0) {
+      const names = conditions.categoryIds.map(
+        (id) => categories?.find((category) => category.id === id)?.name || `#${id}`
+      );
+      parts.push(`Categories: ${names.join(', ')}`);
+    }
+    if (conditions.submitterRoles?.length > 0) {
+      parts.push(`Submitted by: ${conditions.submitterRoles.join(', ')}`);
+    }
+    if (conditions.employeeIds?.length > 0) {
+      const names = conditions.employeeIds.map((id) => {
+        const member = teamMembers?.find((m) => m.id === id);
+        return member ? `${member.first_name} ${member.last_name}` : `#${id}`;
+      });
+      parts.push(`Employees: ${names.join(', ')}`);
+    }
+    if (conditions.merchantPattern) {
+      parts.push(`Merchant: ${conditions.merchantPattern}`);
+    }
+    if (conditions.currencies?.length > 0) {
+      parts.push(`Currencies: ${conditions.currencies.join(', ')}`);
+    }
+
+    return parts;
+  };
+
   const tabs = [
     { id: 'company', name: 'Company Profile', icon: BuildingOfficeIcon },
     { id: 'categories', name: 'Expense Categories', icon: TagIcon },
-    { id: 'approval-rules', name: 'Approval Rules', icon: CheckCircleIcon }
+    { id: 'approval-rules', name: 'Approval Rules', icon: CheckCircleIcon },
+    { id: 'approver-groups', name: 'Approver Groups', icon: UserGroupIcon },
+    { id: 'allowances', name: 'Mileage & Per Diem', icon: TruckIcon }
   ];
 
   if (companyLoading) {
@@ -233,6 +312,27 @@ const Settings = () => {
               )}
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Override Confirmation Threshold ({company?.base_currency})
+              </label>
+              <input
+                {...registerCompany('overrideConfirmationThreshold', {
+                  min: { value: 0, message: 'Threshold cannot be negative' }
+                })}
+                type="number"
+                step="0.01"
+                placeholder="No confirmation required"
+                className="input-field"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Admin overrides of expenses above this amount take effect only after a second admin confirms them
+              </p>
+              {companyErrors.overrideConfirmationThreshold && (
+                <p className="mt-1 text-sm text-red-600">{companyErrors.overrideConfirmationThreshold.message}</p>
+              )}
+            </div>
+
             <div className="flex justify-end">
               <button
                 type="submit"
@@ -299,6 +399,20 @@ const Settings = () => {
             </button>
           </div>
 
+          {ruleValidation?.warnings?.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4">
+              <div className="flex items-center mb-2">
+                <ExclamationTriangleIcon className="w-5 h-5 mr-2 text-yellow-600" />
+                <h3 className="text-sm font-medium text-yellow-800">Rule set warnings</h3>
+              </div>
+              <ul className="list-disc list-inside space-y-1 text-sm text-yellow-700">
+                {ruleValidation.warnings.map((warning) => (
+                  <li key={warning.message}>{warning.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div className="card">
             <div className="space-y-4">
               {approvalRules?.map((rule) => (
@@ -315,21 +429,62 @@ const Settings = () => {
                         {rule.first_name && (
                           <p>Specific Approver: {rule.first_name} {rule.last_name}</p>
                         )}
+                        {rule.approver_group_name && (
+                          <p>Approver Group: {rule.approver_group_name}</p>
+                        )}
+                        {rule.sla_hours && (
+                          <p>Approval SLA: {rule.sla_hours} hours</p>
+                        )}
+                        {rule.distinct_step_approvers && (
+                          <p>Each step needs a different approver</p>
+                        )}
+                        {describeConditions(rule.conditions).map((condition) => (
+                          <p key={condition}>{condition}</p>
+                        ))}
                       </div>
                     </div>
-                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-                      rule.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
-                    }`}>
-                      {rule.is_active ? 'Active' : 'Inactive'}
-                    </span>
+                    <div className="flex flex-col items-end space-y-2">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                        rule.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                      }`}>
+                        {rule.is_active ? 'Active' : 'Inactive'}
+                      </span>
+                      <button
+                        onClick={() => setHistoryRule(rule)}
+                        className="text-sm text-blue-600 hover:text-blue-700"
+                      >
+                        v{rule.current_version} · History
+                      </button>
+                    </div>
                   </div>
                 </div>
               ))}
             </div>
           </div>
+
+          <RuleSimulator
+            categories={categories}
+            currencies={currencies}
+            teamMembers={teamMembers}
+            baseCurrency={company?.base_currency}
+          />
         </div>
       )}
 
+      {/* Approver Groups Tab */}
+      {activeTab === 'approver-groups' && (
+        <ApproverGroupsPanel teamMembers={teamMembers} />
+      )}
+
+      {/* Mileage & Per Diem Tab */}
+      {activeTab === 'allowances' && (
+        <AllowanceRatesPanel />
+      )}
+
+      {historyRule && (
+        <RuleVersionHistory rule={historyRule} onClose={() => setHistoryRule(null)} />
+      )}
+
       {/* Category Modal */}
       {showCategoryModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -486,6 +641,22 @@ const Settings = () => {
                   </div>
                 )}
 
+                {watchRule('ruleType') === 'percentage' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Approver Group
+                    </label>
+                    <select {...registerRule('approverGroupId')} className="input-field">
+                      <option value="">All managers and admins</option>
+                      {approverGroups?.map((group) => (
+                        <option key={group.id} value={group.id}>
+                          {group.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Sequence Order
@@ -499,6 +670,141 @@ const Settings = () => {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Approval SLA (hours)
+                  </label>
+                  <input
+                    {...registerRule('slaHours', {
+                      min: { value: 1, message: 'Minimum 1 hour' }
+                    })}
+                    type="number"
+                    min="1"
+                    className="input-field"
+                    placeholder="No deadline"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    Overdue approvals are escalated to the approver's manager or an admin
+                  </p>
+                  {ruleErrors.slaHours && (
+                    <p className="mt-1 text-sm text-red-600">{ruleErrors.slaHours.message}</p>
+                  )}
+                </div>
+
+                <div className="border-t border-gray-200 pt-4 space-y-4">
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-900">Conditions</h4>
+                    <p className="text-xs text-gray-500">
+                      Leave a field empty to match any value
+                    </p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Categories
+                    </label>
+                    <select
+                      {...registerRule('conditions.categoryIds')}
+                      multiple
+                      className="input-field"
+                    >
+                      {categories?.map((category) => (
+                        <option key={category.id} value={category.id}>
+                          {category.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Submitter Roles
+                    </label>
+                    <div className="flex space-x-4">
+                      {['employee', 'manager', 'admin'].map((role) => (
+                        <label key={role} className="flex items-center text-sm text-gray-700 capitalize">
+                          <input
+                            {...registerRule('conditions.submitterRoles')}
+                            type="checkbox"
+                            value={role}
+                            className="mr-2"
+                          />
+                          {role}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Specific Employees
+                    </label>
+                    <select
+                      {...registerRule('conditions.employeeIds')}
+                      multiple
+                      className="input-field"
+                    >
+                      {teamMembers?.map((member) => (
+                        <option key={member.id} value={member.id}>
+                          {member.first_name} {member.last_name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Merchant Pattern
+                    </label>
+                    <input
+                      {...registerRule('conditions.merchantPattern')}
+                      type="text"
+                      className="input-field"
+                      placeholder="e.g. Uber*"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Currencies
+                    </label>
+                    <input
+                      {...registerRule('conditions.currencies', {
+                        pattern: {
+                          value: /^\s*([A-Za-z]{3}\s*(,\s*[A-Za-z]{3}\s*)*)?$/,
+                          message: 'Use comma-separated 3-letter currency codes'
+                        }
+                      })}
+                      type="text"
+                      className="input-field"
+                      placeholder="e.g. USD, EUR"
+                    />
+                    {ruleErrors.conditions?.currencies && (
+                      <p className="mt-1 text-sm text-red-600">{ruleErrors.conditions.currencies.message}</p>
+                    )}
+                  </div>
+                </div>
+
+                {watchRule('ruleType') === 'sequential' && (
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      {...registerRule('distinctStepApprovers')}
+                      type="checkbox"
+                      className="mr-2"
+                    />
+                    Nobody may approve more than one step
+                  </label>
+                )}
+
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    {...registerRule('enforceValidation')}
+                    type="checkbox"
+                    className="mr-2"
+                  />
+                  Don't save if this rule overlaps, leaves gaps or uses inactive approvers
+                </label>
+
                 <div className="flex justify-end space-x-3 pt-4">
                   <button
                     type="button"
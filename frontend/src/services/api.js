@@ -51,6 +51,34 @@ export const authService = {
   }
 };
 
+// Adds a field to multipart form data; nested objects and arrays go under bracketed keys
+// (allocations[0][amount]), which the server parses back. Empty values are left out.
+const appendField = (formData, key, value) => {
+  if (value === undefined || value === null || value === '') {
+    return;
+  }
+
+  if (typeof value === 'object') {
+    Object.entries(value).forEach(([name, item]) => appendField(formData, `${key}[${name}]`, item));
+  } else {
+    formData.append(key, value);
+  }
+};
+
+// Request arguments for expense data that may carry files ({ kind, file } pairs): with files the
+// fields are sent as multipart form data and each file under its kind, otherwise as JSON
+const withAttachments = ({ attachments = [], ...fields }) => {
+  if (attachments.length === 0) {
+    return [fields];
+  }
+
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => appendField(formData, key, value));
+  attachments.forEach(({ kind, file }) => formData.append(kind, file));
+
+  return [formData, { headers: { 'Content-Type': 'multipart/form-data' } }];
+};
+
 // Expense services
 export const expenseService = {
   getExpenses: async (params = {}) => {
@@ -64,12 +92,32 @@ export const expenseService = {
   },
 
   createExpense: async (data) => {
-    const response = await api.post('/expenses', data);
+    const response = await api.post('/expenses', ...withAttachments(data));
+    return response.data;
+  },
+
+  createDraft: async (data) => {
+    const response = await api.post('/expenses/drafts', ...withAttachments(data));
     return response.data;
   },
 
   updateExpense: async (id, data) => {
-    const response = await api.put(`/expenses/${id}`, data);
+    const response = await api.put(`/expenses/${id}`, ...withAttachments(data));
+    return response.data;
+  },
+
+  submitExpense: async (id) => {
+    const response = await api.post(`/expenses/${id}/submit`);
+    return response.data;
+  },
+
+  addAttachments: async (id, attachments) => {
+    const response = await api.post(`/expenses/${id}/attachments`, ...withAttachments({ attachments }));
+    return response.data;
+  },
+
+  removeAttachment: async (id, attachmentId) => {
+    const response = await api.delete(`/expenses/${id}/attachments/${attachmentId}`);
     return response.data;
   },
 
@@ -78,6 +126,16 @@ export const expenseService = {
     return response.data;
   },
 
+  withdrawExpense: async (id, data) => {
+    const response = await api.post(`/expenses/${id}/withdraw`, data);
+    return response.data;
+  },
+
+  markExpensePaid: async (id) => {
+    const response = await api.post(`/expenses/${id}/paid`);
+    return response.data;
+  },
+
   getCategories: async () => {
     const response = await api.get('/expenses/categories/list');
     return response.data;
@@ -106,6 +164,21 @@ export const approvalService = {
     return response.data;
   },
 
+  bulkProcessApprovals: async (data) => {
+    const response = await api.post('/approvals/bulk', data);
+    return response.data;
+  },
+
+  getActionToken: async (token) => {
+    const response = await api.get(`/approvals/action-tokens/${token}`);
+    return response.data;
+  },
+
+  redeemActionToken: async (token, data) => {
+    const response = await api.post(`/approvals/action-tokens/${token}`, data);
+    return response.data;
+  },
+
   getApprovalHistory: async (expenseId) => {
     const response = await api.get(`/approvals/${expenseId}/history`);
     return response.data;
@@ -116,6 +189,36 @@ export const approvalService = {
     return response.data;
   },
 
+  getPendingReports: async () => {
+    const response = await api.get('/approvals/reports/pending');
+    return response.data;
+  },
+
+  getReportForApproval: async (reportId) => {
+    const response = await api.get(`/approvals/reports/${reportId}`);
+    return response.data;
+  },
+
+  processReport: async (reportId, data) => {
+    const response = await api.post(`/approvals/reports/${reportId}/process`, data);
+    return response.data;
+  },
+
+  getPendingOverrides: async () => {
+    const response = await api.get('/approvals/overrides/pending');
+    return response.data;
+  },
+
+  confirmOverride: async (id, data) => {
+    const response = await api.post(`/approvals/overrides/${id}/confirm`, data);
+    return response.data;
+  },
+
+  declineOverride: async (id, data) => {
+    const response = await api.post(`/approvals/overrides/${id}/decline`, data);
+    return response.data;
+  },
+
   getApprovalRules: async () => {
     const response = await api.get('/approvals/rules');
     return response.data;
@@ -134,6 +237,94 @@ export const approvalService = {
   deleteApprovalRule: async (id) => {
     const response = await api.delete(`/approvals/rules/${id}`);
     return response.data;
+  },
+
+  getRuleVersions: async (ruleId) => {
+    const response = await api.get(`/approvals/rules/${ruleId}/versions`);
+    return response.data;
+  },
+
+  getRuleValidation: async () => {
+    const response = await api.get('/approvals/rules/validation');
+    return response.data;
+  },
+
+  simulateApprovalRules: async (data) => {
+    const response = await api.post('/approvals/rules/simulate', data);
+    return response.data;
+  },
+
+  getApproverGroups: async () => {
+    const response = await api.get('/approvals/groups');
+    return response.data;
+  },
+
+  createApproverGroup: async (data) => {
+    const response = await api.post('/approvals/groups', data);
+    return response.data;
+  },
+
+  updateApproverGroup: async (id, data) => {
+    const response = await api.put(`/approvals/groups/${id}`, data);
+    return response.data;
+  },
+
+  deleteApproverGroup: async (id) => {
+    const response = await api.delete(`/approvals/groups/${id}`);
+    return response.data;
+  },
+
+  getDelegations: async () => {
+    const response = await api.get('/approvals/delegations');
+    return response.data;
+  },
+
+  createDelegation: async (data) => {
+    const response = await api.post('/approvals/delegations', data);
+    return response.data;
+  },
+
+  cancelDelegation: async (id) => {
+    const response = await api.delete(`/approvals/delegations/${id}`);
+    return response.data;
+  }
+};
+
+// Expense report services
+export const reportService = {
+  getReports: async () => {
+    const response = await api.get('/reports');
+    return response.data;
+  },
+
+  getReport: async (id) => {
+    const response = await api.get(`/reports/${id}`);
+    return response.data;
+  },
+
+  createReport: async (data) => {
+    const response = await api.post('/reports', data);
+    return response.data;
+  },
+
+  updateReport: async (id, data) => {
+    const response = await api.put(`/reports/${id}`, data);
+    return response.data;
+  },
+
+  deleteReport: async (id) => {
+    const response = await api.delete(`/reports/${id}`);
+    return response.data;
+  },
+
+  removeLine: async (id, expenseId) => {
+    const response = await api.delete(`/reports/${id}/lines/${expenseId}`);
+    return response.data;
+  },
+
+  submitReport: async (id) => {
+    const response = await api.post(`/reports/${id}/submit`);
+    return response.data;
   }
 };
 
@@ -217,6 +408,31 @@ export const companyService = {
     return response.data;
   },
 
+  getAllowanceRates: async () => {
+    const response = await api.get('/companies/allowance-rates');
+    return response.data;
+  },
+
+  updateMileageRates: async (rates) => {
+    const response = await api.put('/companies/mileage-rates', { rates });
+    return response.data;
+  },
+
+  createPerDiemRate: async (data) => {
+    const response = await api.post('/companies/per-diem-rates', data);
+    return response.data;
+  },
+
+  updatePerDiemRate: async (id, data) => {
+    const response = await api.put(`/companies/per-diem-rates/${id}`, data);
+    return response.data;
+  },
+
+  deletePerDiemRate: async (id) => {
+    const response = await api.delete(`/companies/per-diem-rates/${id}`);
+    return response.data;
+  },
+
   getAnalytics: async (params = {}) => {
     const response = await api.get('/companies/analytics', { params });
     return response.data;